@@ -122,6 +122,52 @@ export async function initializeDatabase() {
   }
 }
 
+// Add a column to an existing table if it is missing
+// CREATE TABLE IF NOT EXISTS does not alter tables created by older versions
+async function ensureColumn(connection, table, column, definition) {
+  const [columns] = await connection.query(
+    'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+
+  if (columns.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+}
+
+// Add an index to an existing table if it is missing
+async function ensureIndex(connection, table, index, columns) {
+  const [indexes] = await connection.query(
+    'SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+
+  if (indexes.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD INDEX ${index} ${columns}`);
+    console.log(`Added index ${table}.${index}`);
+  }
+}
+
+// Index mail received before received_email_search existed (runs once, while the index is empty)
+async function backfillSearchIndex(connection) {
+  const [indexed] = await connection.query('SELECT 1 FROM received_email_search LIMIT 1');
+  if (indexed.length > 0) return;
+
+  const [result] = await connection.query(`
+    INSERT IGNORE INTO received_email_search (email_id, temp_email_id, sender, subject, body_text, has_attachments, received_at)
+    SELECT re.id, re.temp_email_id, CONCAT(COALESCE(re.from_name, ''), ' <', COALESCE(re.from_email, ''), '>'),
+           re.subject, LEFT(re.body_text, 65536),
+           EXISTS (SELECT 1 FROM email_attachments ea WHERE ea.email_id = re.id),
+           re.received_at
+    FROM received_emails re
+  `);
+
+  if (result.affectedRows > 0) {
+    console.log(`Indexed ${result.affectedRows} received emails for search`);
+  }
+}
+
 async function createTables(connection) {
   // Users table with optimized settings
   await connection.query(`
@@ -221,6 +267,18 @@ async function createTables(connection) {
     ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
   `);
 
+  // Raw RFC 822 source of received emails (gzip-compressed)
+  // No foreign key: received_emails is partitioned, orphans are removed by the cleanup job
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_raw (
+      email_id VARCHAR(36) PRIMARY KEY,
+      raw_source LONGBLOB NOT NULL,
+      raw_size INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_raw_created_at (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
   // Custom messages table
   await connection.query(`
     CREATE TABLE IF NOT EXISTS custom_messages (
@@ -338,6 +396,429 @@ async function createTables(connection) {
       INDEX idx_status (status)
     ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
   `);
+
+  // Admin-managed spam rules (patterns and URL blocklist)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS spam_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      rule_type ENUM('subject', 'body', 'sender', 'url') NOT NULL,
+      pattern VARCHAR(512) NOT NULL,
+      score DECIMAL(5,2) NOT NULL DEFAULT 1,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by VARCHAR(36),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_spam_rule_active (is_active, rule_type)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // User-registered callbacks fired when mail arrives (temp_email_id NULL = every address of the user)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_webhooks (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36),
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      failure_count INT DEFAULT 0,
+      disabled_at TIMESTAMP NULL,
+      last_delivery_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_webhook_user (user_id),
+      INDEX idx_webhook_temp_email (temp_email_id, is_active)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Delivery log and retry queue for user webhooks
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      webhook_id VARCHAR(36) NOT NULL,
+      email_id VARCHAR(36),
+      event VARCHAR(50) NOT NULL,
+      payload MEDIUMTEXT NOT NULL,
+      status ENUM('pending', 'success', 'failed') DEFAULT 'pending',
+      attempts INT DEFAULT 0,
+      response_status INT,
+      error VARCHAR(512),
+      next_attempt_at TIMESTAMP NULL,
+      delivered_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES user_webhooks(id) ON DELETE CASCADE,
+      INDEX idx_delivery_webhook (webhook_id, created_at),
+      INDEX idx_delivery_pending (status, next_attempt_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Personal API keys (only the SHA-256 hash of the key is stored)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(20) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scope ENUM('read', 'read_write') NOT NULL DEFAULT 'read',
+      rate_limit INT NOT NULL DEFAULT 1000,
+      expires_at TIMESTAMP NULL,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_api_key_user (user_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Outbound relay accounts rotated by smtpManager, with their send counters
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS smtp_servers (
+      id VARCHAR(36) PRIMARY KEY,
+      host VARCHAR(255) NOT NULL,
+      port INT NOT NULL DEFAULT 587,
+      username VARCHAR(255) NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255),
+      rotation_order INT NOT NULL DEFAULT 0,
+      daily_limit INT NOT NULL DEFAULT 450,
+      monthly_limit INT NOT NULL DEFAULT 9500,
+      daily_email_count INT NOT NULL DEFAULT 0,
+      monthly_email_count INT NOT NULL DEFAULT 0,
+      error_count INT NOT NULL DEFAULT 0,
+      last_error TEXT,
+      last_error_at TIMESTAMP NULL,
+      last_used_at TIMESTAMP NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_smtp_rotation (is_active, rotation_order)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Replies and forwards sent from temp addresses (shown alongside the received message)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sent_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      original_email_id VARCHAR(36) NOT NULL,
+      kind ENUM('reply', 'forward') NOT NULL,
+      to_address VARCHAR(255) NOT NULL,
+      subject TEXT,
+      body_html LONGTEXT,
+      body_text LONGTEXT,
+      message_id VARCHAR(255) NOT NULL,
+      in_reply_to VARCHAR(255),
+      reference_ids JSON,
+      status ENUM('sending', 'sent', 'failed') NOT NULL DEFAULT 'sending',
+      error VARCHAR(255),
+      smtp_server_id VARCHAR(36),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_sent_user_created (user_id, created_at),
+      INDEX idx_sent_temp_email (temp_email_id, created_at),
+      INDEX idx_sent_original (original_email_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Outgoing system mail (notifications, forwarded messages) with delivery outcome
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_notifications (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(36),
+      email_type VARCHAR(50) NOT NULL,
+      smtp_server_id VARCHAR(36),
+      sent_to VARCHAR(255) NOT NULL,
+      subject TEXT,
+      content MEDIUMTEXT,
+      status ENUM('sent', 'failed') NOT NULL,
+      error_message TEXT,
+      forwarding_rule_id VARCHAR(36) NULL,
+      received_email_id VARCHAR(36) NULL,
+      sent_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_notification_user (user_id, email_type, created_at),
+      INDEX idx_notification_rule (forwarding_rule_id, created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Real mailboxes a user has confirmed they own, used as forwarding targets
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_destinations (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      token_hash CHAR(64) NULL,
+      token_expires_at TIMESTAMP NULL,
+      confirmation_sent_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_user_destination (user_id, email),
+      UNIQUE KEY uniq_destination_token (token_hash)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Relay mail arriving at a temp email to a verified destination
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      destination_id VARCHAR(36) NOT NULL,
+      from_filter VARCHAR(255) NULL,
+      subject_filter VARCHAR(255) NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      failure_count INT NOT NULL DEFAULT 0,
+      disabled_at TIMESTAMP NULL,
+      last_forwarded_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (destination_id) REFERENCES forwarding_destinations(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_rule_destination (temp_email_id, destination_id),
+      INDEX idx_rule_user (user_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Per-address rules run on every incoming message (tag, star, mark read, auto-expire, delete)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL DEFAULT '',
+      conditions JSON NOT NULL,
+      actions JSON NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      position INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_inbox_rule_order (temp_email_id, position)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Account-wide exports built in the background; files live on disk until expires_at
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS account_exports (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      format ENUM('mbox', 'eml-zip', 'json') NOT NULL,
+      status ENUM('pending', 'running', 'ready', 'failed') NOT NULL DEFAULT 'pending',
+      download_token_hash CHAR(64) NOT NULL,
+      file_path VARCHAR(512) NULL,
+      size BIGINT NULL,
+      email_count INT NULL,
+      error VARCHAR(255) NULL,
+      expires_at TIMESTAMP NULL,
+      completed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_export_user (user_id, created_at),
+      INDEX idx_export_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Admin expiry policies by domain and/or role (domain_id and role NULL = any); see expiryPolicyService
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS expiry_policies (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      domain_id VARCHAR(36) NULL,
+      role ENUM('guest', 'user', 'admin') NULL,
+      default_lifetime_days INT NOT NULL,
+      max_lifetime_days INT NOT NULL,
+      message_retention_days INT NOT NULL,
+      max_renewals INT NULL,
+      renewal_days INT NOT NULL,
+      created_by VARCHAR(36),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (domain_id) REFERENCES domains(id) ON DELETE CASCADE,
+      INDEX idx_expiry_policy_scope (domain_id, role)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Guest-to-account migrations (read by /monitor)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_migrations (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      user_email VARCHAR(255) NOT NULL,
+      migration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      emails_migrated INT NOT NULL DEFAULT 0,
+      emails_renamed INT NOT NULL DEFAULT 0,
+      emails_skipped INT NOT NULL DEFAULT 0,
+      client_ip VARCHAR(45),
+      user_agent TEXT,
+      country VARCHAR(100),
+      success BOOLEAN NOT NULL DEFAULT TRUE,
+      error_message TEXT,
+      INDEX idx_migration_date (migration_date)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Mail handed over by relays (webhook and ingest API); replay_key blocks replays of signed requests
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS ingest_log (
+      id VARCHAR(36) PRIMARY KEY,
+      endpoint VARCHAR(64) NOT NULL,
+      relay VARCHAR(64) NULL,
+      auth_method ENUM('hmac', 'secret', 'none') NULL,
+      replay_key CHAR(64) NULL,
+      sender VARCHAR(255) NULL,
+      recipient VARCHAR(255) NULL,
+      status ENUM('received', 'delivered', 'not_found', 'failed') NOT NULL DEFAULT 'received',
+      reason VARCHAR(255) NULL,
+      email_id VARCHAR(36) NULL,
+      client_ip VARCHAR(45) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY idx_ingest_replay (replay_key),
+      INDEX idx_ingest_created (created_at),
+      INDEX idx_ingest_recipient (recipient)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Guest sessions for GUEST_SESSION_STORE=mysql, keyed by the SHA-256 of the guest token
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS guest_sessions (
+      session_key CHAR(64) PRIMARY KEY,
+      session_id VARCHAR(36) NOT NULL,
+      emails JSON,
+      rules JSON,
+      version BIGINT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_guest_session_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Address → guest session lookup used by inbound delivery
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS guest_session_addresses (
+      email VARCHAR(255) PRIMARY KEY,
+      session_key CHAR(64) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      FOREIGN KEY (session_key) REFERENCES guest_sessions(session_key) ON DELETE CASCADE,
+      INDEX idx_guest_address_session (session_key)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Received emails of guest sessions (attachments inside data, raw source gzip-compressed)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS guest_session_messages (
+      id VARCHAR(36) PRIMARY KEY,
+      session_key CHAR(64) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      data LONGTEXT NOT NULL,
+      raw_source LONGBLOB NULL,
+      raw_size INT NULL,
+      expires_at TIMESTAMP NULL,
+      stored_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      FOREIGN KEY (session_key) REFERENCES guest_sessions(session_key) ON DELETE CASCADE,
+      INDEX idx_guest_message_session (session_key, stored_at),
+      INDEX idx_guest_message_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // New-mail events shared between instances (GUEST_SESSION_STORE=mysql) so long-polls and
+  // streams are woken whichever instance stored the message
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      origin CHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      email LONGTEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_inbox_event_created (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Private domains submitted by users; a row in domains is created once DNS verification passes
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_domains (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      domain VARCHAR(255) NOT NULL,
+      domain_id VARCHAR(36) NULL,
+      verification_token VARCHAR(64) NOT NULL,
+      status ENUM('pending', 'verified', 'failed') NOT NULL DEFAULT 'pending',
+      last_error VARCHAR(255) NULL,
+      last_checked_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (domain_id) REFERENCES domains(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_user_domain (user_id, domain),
+      UNIQUE KEY uniq_domain_id (domain_id),
+      INDEX idx_user_domain_status (status, last_checked_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Wildcard ("qa-*") and catch-all ("*") claims routing unknown recipients to one inbox
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS address_patterns (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      domain_id VARCHAR(36) NOT NULL,
+      local_pattern VARCHAR(64) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (domain_id) REFERENCES domains(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_domain_pattern (domain_id, local_pattern),
+      INDEX idx_pattern_user (user_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Full-text search index for received emails
+  // received_emails is partitioned and partitioned tables can't carry a FULLTEXT index
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_search (
+      email_id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      sender VARCHAR(512),
+      subject VARCHAR(255),
+      body_text MEDIUMTEXT,
+      has_attachments BOOLEAN DEFAULT FALSE,
+      received_at TIMESTAMP NOT NULL,
+      INDEX idx_search_temp_email (temp_email_id, received_at),
+      INDEX idx_search_received_at (received_at),
+      FULLTEXT INDEX ft_received_search (subject, sender, body_text)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Columns added to existing tables
+  await ensureColumn(connection, 'received_emails', 'spam_score', 'DECIMAL(6,2) NOT NULL DEFAULT 0');
+  await ensureColumn(connection, 'received_emails', 'is_spam', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await ensureColumn(connection, 'received_emails', 'spam_reasons', 'JSON');
+  await ensureColumn(connection, 'received_emails', 'verification', 'JSON');
+  await ensureColumn(connection, 'received_emails', 'matched_local_part', 'VARCHAR(64)');
+  await ensureColumn(connection, 'received_emails', 'message_id', 'VARCHAR(255)');
+  await ensureColumn(connection, 'received_emails', 'in_reply_to', 'VARCHAR(255)');
+  await ensureColumn(connection, 'received_emails', 'reference_ids', 'JSON');
+  await ensureColumn(connection, 'received_emails', 'is_read', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await ensureColumn(connection, 'received_emails', 'is_starred', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await ensureColumn(connection, 'received_emails', 'labels', 'JSON');
+  await ensureColumn(connection, 'received_emails', 'expires_at', 'TIMESTAMP NULL');
+  await ensureIndex(connection, 'received_emails', 'idx_received_expires_at', '(expires_at)');
+  await ensureColumn(connection, 'received_emails', 'thread_id', 'VARCHAR(255)');
+  await ensureIndex(connection, 'received_emails', 'idx_received_thread', '(temp_email_id, thread_id)');
+  await ensureIndex(connection, 'received_emails', 'idx_received_message_id', '(temp_email_id, message_id)');
+  await ensureColumn(connection, 'email_attachments', 'content_id', 'VARCHAR(255)');
+  await ensureColumn(connection, 'user_migrations', 'messages_migrated', 'INT NOT NULL DEFAULT 0');
+  await ensureColumn(connection, 'user_migrations', 'address_mapping', 'JSON');
+  await ensureColumn(connection, 'user_migrations', 'migration_type', "VARCHAR(20) NOT NULL DEFAULT 'register'");
+  await ensureColumn(connection, 'temp_emails', 'renewal_count', 'INT NOT NULL DEFAULT 0');
+
+  await backfillSearchIndex(connection);
 }
 
 // Cleanup function with stats logging
@@ -1,19 +1,33 @@
 // guestSessionHandler.js
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcryptjs';
 import { pool } from './db/init.js';
 import { recentRequests } from './middleware/requestTracker.js'; // Import recentRequests for migration tracking
+import { attachAttachmentMetadata, saveAttachments } from './services/attachmentService.js';
+import { saveRawSource } from './services/rawEmailService.js';
+import { indexReceivedEmail } from './services/searchService.js';
+import { isAddressClaimedByPattern } from './services/addressPatternService.js';
+import { applyStateUpdate } from './services/messageStateService.js';
+import { getSessionStore } from './services/sessionStore.js';
 
-// In-memory storage for guest sessions
-// Using Map for better performance
+// In-memory storage for guest sessions, keyed by session key (SHA-256 of the guest token)
+// Using Map for better performance. With a persistent session store this is a cache of the
+// sessions this instance has served; every change is written through to the store.
 export const guestSessions = new Map();
 
 // Email address to guest session lookup for webhooks
 // This map allows quickly finding which guest session an email belongs to
-// Format: email address → { token, emailId }
+// Format: email address → { token (session key), emailId }
 export const emailToGuestMap = new Map();
 
+// Pending store writes per session key, applied in order
+const pendingWrites = new Map();
+
+// Sessions loaded from a persistent store are dropped from memory after an hour without use
+const SESSION_CACHE_IDLE = 60 * 60 * 1000;
+
 // In-memory cache for registered users (similar to guest sessions)
 // This dramatically reduces database load for frequent dashboard views
 // Format: userId → { emails: Map<emailId, emailData>, inbox: Map<emailId, emails[]>, lastFetched: Date }
@@ -38,31 +52,23 @@ const RESERVED_LOCALPARTS = new Set([
 // Clean up expired sessions every hour
 setInterval(() => {
   const now = new Date();
+  const store = getSessionStore();
   
   // Clean guest sessions
-  for (const [token, session] of guestSessions.entries()) {
-    // Check if the token is expired by decoding it
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-      if (decoded.exp * 1000 < now.getTime()) {
-        // Remove all email mappings for this session before deleting
-        for (const [emailId, emailData] of session.emails.entries()) {
-          emailToGuestMap.delete(emailData.email);
-        }
-        guestSessions.delete(token);
-      }
-    } catch (err) {
-      // If verification fails, token is invalid or expired
-      // Remove all email mappings for this session before deleting
-      if (session) {
-        for (const [emailId, emailData] of session.emails.entries()) {
-          emailToGuestMap.delete(emailData.email);
-        }
-      }
-      guestSessions.delete(token);
+  for (const [key, session] of guestSessions.entries()) {
+    const expired = !session.expires_at || new Date(session.expires_at) <= now;
+    const idle = store.persistent && now.getTime() - session.loaded_at.getTime() > SESSION_CACHE_IDLE;
+    
+    if (expired || idle) {
+      // The store still has idle sessions; they are loaded again on their next request
+      forgetSession(key);
     }
   }
   
+  store.deleteExpired().catch(error => {
+    console.error('Failed to delete expired guest sessions:', error);
+  });
+  
   // Clean registered user cache entries that are older than CACHE_EXPIRY
   for (const [userId, userData] of registeredUserCache.entries()) {
     if (now.getTime() - userData.lastFetched.getTime() > CACHE_EXPIRY) {
@@ -81,6 +87,11 @@ setInterval(() => {
  * @param {Array} emails - Array of temp emails from database
  */
 export async function cacheUserEmails(userId, emails) {
+  // A persistent session store means several instances; a per-instance cache would go stale
+  if (getSessionStore().persistent) {
+    return null;
+  }
+  
   // Clear any existing cache entries for this user
   const existingCache = registeredUserCache.get(userId);
   if (existingCache) {
@@ -119,6 +130,7 @@ export async function cacheUserEmails(userId, emails) {
       );
       
       if (receivedEmails.length > 0) {
+        await attachAttachmentMetadata(receivedEmails);
         userCache.inbox.set(email.id, receivedEmails);
       }
     } catch (error) {
@@ -184,6 +196,32 @@ export function cacheReceivedEmail(userId, tempEmailId, emailData) {
   return true;
 }
 
+/**
+ * Copy read/star/label state of stored messages into a registered user's cached inbox
+ * @param {string} userId - User ID
+ * @param {string} tempEmailId - Temp email ID
+ * @param {Array} states - [{ id, is_read, is_starred, labels }]
+ * @returns {boolean} - Success status
+ */
+export function updateCachedEmailState(userId, tempEmailId, states) {
+  const userCache = registeredUserCache.get(userId);
+  if (!userCache) {
+    return false; // Cache miss
+  }
+
+  const inbox = userCache.inbox.get(tempEmailId) || [];
+  for (const state of states) {
+    const email = inbox.find(item => item.id === state.id);
+    if (email) {
+      email.is_read = state.is_read;
+      email.is_starred = state.is_starred;
+      email.labels = state.labels;
+    }
+  }
+
+  return true;
+}
+
 /**
  * Find registered user by email address (for webhook handling)
  * @param {string} emailAddress - The email address to look up
@@ -220,6 +258,23 @@ export function cacheAddedEmail(userId, emailData) {
   return true;
 }
 
+/**
+ * Update a cached temp email for a registered user (e.g. after a renewal)
+ * @param {string} userId - User ID
+ * @param {string} emailId - Temp email ID
+ * @param {object} changes - Fields to overwrite
+ * @returns {boolean} - Success status
+ */
+export function updateCachedTempEmail(userId, emailId, changes) {
+  const emailData = registeredUserCache.get(userId)?.emails.get(emailId);
+  if (!emailData) {
+    return false; // Cache miss
+  }
+
+  Object.assign(emailData, changes);
+  return true;
+}
+
 /**
  * Remove a cached email for a registered user (on delete)
  * @param {string} userId - User ID
@@ -277,23 +332,146 @@ export function generateGuestJWT() {
   );
 
   // Create a new guest session
-  guestSessions.set(token, {
+  const key = getSessionKey(token);
+  guestSessions.set(key, {
     id,
     emails: new Map(),
     inbox: new Map(),
-    created_at: new Date()
+    rawSources: new Map(), // received email ID → { compressed, size }
+    rules: new Map(), // temp email ID → inbox rules[]
+    created_at: new Date(),
+    expires_at: new Date(jwt.decode(token).exp * 1000),
+    loaded_at: new Date(),
+    version: null // Store version this copy reflects
   });
+  persist(key, (store, session, version) => store.saveSession(key, session, version));
 
   return token;
 }
 
+/**
+ * Session key of a guest token (SHA-256), used to address the session in memory and in the store
+ * Session keys are accepted wherever a token is, so inbound delivery can work on a session
+ * found by address without ever knowing its token.
+ * @param {string} token - Guest JWT token or session key
+ * @returns {string}
+ */
+export function getSessionKey(token) {
+  if (/^[a-f0-9]{64}$/.test(token || '')) return token;
+  return crypto.createHash('sha256').update(token || '').digest('hex');
+}
+
+function getSession(token) {
+  return guestSessions.get(getSessionKey(token)) || null;
+}
+
+// Drops a session and its address lookups from memory (the store is left alone)
+function forgetSession(key) {
+  const session = guestSessions.get(key);
+  if (session) {
+    for (const emailData of session.emails.values()) {
+      emailToGuestMap.delete(emailData.email);
+    }
+  }
+  guestSessions.delete(key);
+}
+
+// Caches a session loaded from the store, replacing the address lookups of the previous copy
+function cacheSession(key, session) {
+  forgetSession(key);
+  guestSessions.set(key, session);
+  for (const emailData of session.emails.values()) {
+    emailToGuestMap.set(emailData.email, { token: key, emailId: emailData.id });
+  }
+}
+
+/**
+ * Queues a write of a session to the store; writes of one session run one after another
+ * A failed or conflicting write leaves the local copy marked stale so the next load refreshes it.
+ * @param {string} key - Session key
+ * @param {Function} operation - (store, session, knownVersion) → Promise<new version|null>
+ */
+function persist(key, operation) {
+  const store = getSessionStore();
+  if (!store.persistent) return;
+
+  const next = (pendingWrites.get(key) || Promise.resolve())
+    .then(async () => {
+      const session = guestSessions.get(key);
+      const version = await operation(store, session, session ? session.version : null);
+      if (session) session.version = version;
+    })
+    .catch(error => {
+      console.error('Failed to persist guest session:', error);
+      const session = guestSessions.get(key);
+      if (session) session.version = null;
+    });
+
+  pendingWrites.set(key, next);
+  next.then(() => {
+    if (pendingWrites.get(key) === next) pendingWrites.delete(key);
+  });
+}
+
+/**
+ * Waits until every change to a guest session has reached the store
+ * Call before responding to a request that changed the session, so the next request sees it
+ * whichever instance serves it.
+ * @param {string} token - Guest JWT token or session key
+ * @returns {Promise<void>}
+ */
+export async function flushGuestSession(token) {
+  await pendingWrites.get(getSessionKey(token));
+}
+
+/**
+ * Makes sure this instance has the current copy of a guest session
+ * With the memory store this only checks the session exists. With a persistent store the
+ * session is reloaded when another instance changed it (or it isn't in memory yet).
+ * @param {string} token - Guest JWT token or session key
+ * @returns {Promise<boolean>} - Whether the session exists
+ */
+export async function loadGuestSession(token) {
+  const key = getSessionKey(token);
+  const store = getSessionStore();
+  if (!store.persistent) return guestSessions.has(key);
+
+  // Our own writes land first so the version check below sees them
+  await pendingWrites.get(key);
+
+  const local = guestSessions.get(key);
+  const loaded = await store.loadSession(key, local ? local.version : null);
+  if (!loaded) {
+    forgetSession(key);
+    return false;
+  }
+
+  if (loaded.unchanged) {
+    local.loaded_at = new Date();
+    return true;
+  }
+
+  cacheSession(key, { ...loaded.session, loaded_at: new Date(), version: loaded.version });
+  return true;
+}
+
 /**
  * Checks if an email address belongs to a guest user
+ * With a persistent store, sessions of other instances are found and loaded too.
  * @param {string} emailAddress - The email address to check
- * @returns {object|null} - Guest info {token, emailId} or null if not found
+ * @returns {Promise<object|null>} - Guest info {token (session key), emailId} or null if not found
  */
-export function findGuestByEmail(emailAddress) {
-  return emailToGuestMap.get(emailAddress) || null;
+export async function findGuestByEmail(emailAddress) {
+  const local = emailToGuestMap.get(emailAddress) || null;
+  const store = getSessionStore();
+  if (!store.persistent) return local;
+
+  const found = local
+    ? { key: local.token, tempEmailId: local.emailId }
+    : await store.findAddress(emailAddress);
+  if (!found || !(await loadGuestSession(found.key))) return null;
+
+  return { token: found.key, emailId: found.tempEmailId };
 }
 
 /**
@@ -304,7 +482,8 @@ export function findGuestByEmail(emailAddress) {
  */
 export function storeTempEmail(token, emailData) {
   try {
-    const session = guestSessions.get(token);
+    const key = getSessionKey(token);
+    const session = guestSessions.get(key);
     if (!session) return null;
 
     const emailId = emailData.id || uuidv4();
@@ -324,7 +503,8 @@ export function storeTempEmail(token, emailData) {
     }
     
     // Add to the email lookup map for webhook to find guest emails quickly
-    emailToGuestMap.set(emailData.email, { token, emailId });
+    emailToGuestMap.set(emailData.email, { token: key, emailId });
+    persist(key, (store, current, version) => store.saveSession(key, current, version));
 
     return emailId;
   } catch (error) {
@@ -340,7 +520,7 @@ export function storeTempEmail(token, emailData) {
  */
 export function getTempEmails(token) {
   try {
-    const session = guestSessions.get(token);
+    const session = getSession(token);
     if (!session) return [];
     
     return Array.from(session.emails.values());
@@ -358,7 +538,7 @@ export function getTempEmails(token) {
  */
 export function getTempEmailById(token, emailId) {
   try {
-    const session = guestSessions.get(token);
+    const session = getSession(token);
     if (!session) return null;
 
     return session.emails.get(emailId) || null;
@@ -368,6 +548,23 @@ export function getTempEmailById(token, emailId) {
   }
 }
 
+/**
+ * Updates fields of a guest's temporary email (e.g. expires_at on renewal)
+ * @param {string} token - Guest JWT token
+ * @param {string} emailId - ID of the temporary email
+ * @param {object} changes - Fields to overwrite
+ * @returns {object|null} - Updated temp email or null if not found
+ */
+export function updateGuestTempEmail(token, emailId, changes) {
+  const key = getSessionKey(token);
+  const email = getTempEmailById(token, emailId);
+  if (!email) return null;
+
+  Object.assign(email, changes);
+  persist(key, (store, session, version) => store.saveSession(key, session, version));
+  return email;
+}
+
 /**
  * Stores a received email in the guest's inbox
  * @param {string} token - Guest JWT token
@@ -377,7 +574,8 @@ export function getTempEmailById(token, emailId) {
  */
 export function storeReceivedEmail(token, tempEmailId, emailData) {
   try {
-    const session = guestSessions.get(token);
+    const key = getSessionKey(token);
+    const session = guestSessions.get(key);
     if (!session) return false;
 
     if (!session.emails.has(tempEmailId)) return false;
@@ -397,9 +595,15 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
       emailData.received_at = new Date().toISOString();
     }
 
+    // New messages start unread, unstarred and unlabelled unless inbox rules said otherwise
+    emailData.is_read = Boolean(emailData.is_read);
+    emailData.is_starred = Boolean(emailData.is_starred);
+    emailData.labels = emailData.labels || [];
+
     // Add email to inbox
     const inbox = session.inbox.get(tempEmailId);
     inbox.push(emailData);
+    persist(key, (store, current, version) => store.saveMessage(key, tempEmailId, emailData, version));
 
     return true;
   } catch (error) {
@@ -408,6 +612,42 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
   }
 }
 
+/**
+ * Keeps the compressed raw source of a guest's received email
+ * @param {string} token - Guest JWT token
+ * @param {string} emailId - ID of the received email
+ * @param {Buffer} compressed - Gzipped raw source
+ * @param {number} size - Uncompressed size in bytes
+ * @returns {boolean} - Success status
+ */
+export function storeRawSource(token, emailId, compressed, size) {
+  const key = getSessionKey(token);
+  const session = guestSessions.get(key);
+  if (!session || !compressed) return false;
+
+  session.rawSources.set(emailId, { compressed, size });
+  persist(key, (store, current, version) => store.saveRawSource(key, emailId, compressed, size, version));
+  return true;
+}
+
+/**
+ * Gets the compressed raw source of a guest's received email
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {string} emailId - ID of the received email
+ * @returns {object|null} - { compressed, size } or null if not found
+ */
+export function getRawSource(token, tempEmailId, emailId) {
+  const session = getSession(token);
+  if (!session) return null;
+
+  // Only hand out sources for messages that are still in this inbox
+  const inbox = session.inbox.get(tempEmailId) || [];
+  if (!inbox.some(email => email.id === emailId)) return null;
+
+  return session.rawSources.get(emailId) || null;
+}
+
 /**
  * Gets inbox content for a temporary email
  * @param {string} token - Guest JWT token
@@ -416,7 +656,7 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
  */
 export function getInbox(token, tempEmailId) {
   try {
-    const session = guestSessions.get(token);
+    const session = getSession(token);
     if (!session) return [];
 
     return session.inbox.get(tempEmailId) || [];
@@ -426,124 +666,392 @@ export function getInbox(token, tempEmailId) {
   }
 }
 
+/**
+ * Applies a read/star/label change to messages in a guest inbox
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {Array} emailIds - Received email IDs
+ * @param {object} update - Validated update (see messageStateService)
+ * @returns {Array} - Updated messages
+ */
+export function updateGuestEmailState(token, tempEmailId, emailIds, update) {
+  const key = getSessionKey(token);
+  const ids = new Set(emailIds);
+
+  const updated = getInbox(token, tempEmailId)
+    .filter(email => ids.has(email.id) && applyStateUpdate(email, update));
+
+  for (const email of updated) {
+    persist(key, (store, session, version) => store.saveMessage(key, tempEmailId, email, version));
+  }
+  return updated;
+}
+
+/**
+ * Retrieves every received email of a guest session
+ * @param {string} token - Guest JWT token
+ * @returns {Array} - Received emails tagged with temp_email_id and temp_email
+ */
+export function getAllReceivedEmails(token) {
+  const session = getSession(token);
+  if (!session) return [];
+
+  const emails = [];
+  for (const [tempEmailId, inbox] of session.inbox.entries()) {
+    const tempEmail = session.emails.get(tempEmailId);
+    for (const email of inbox) {
+      emails.push({ ...email, temp_email_id: tempEmailId, temp_email: tempEmail?.email });
+    }
+  }
+  return emails;
+}
+
+/**
+ * Gets the inbox rules of a guest's temporary email
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @returns {Array} - Rules in evaluation order
+ */
+export function getGuestRules(token, tempEmailId) {
+  const session = getSession(token);
+  if (!session || !session.rules) return [];
+
+  return session.rules.get(tempEmailId) || [];
+}
+
+/**
+ * Replaces the inbox rules of a guest's temporary email
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {Array} rules - Rules in evaluation order
+ * @returns {boolean} - Success status
+ */
+export function setGuestRules(token, tempEmailId, rules) {
+  const key = getSessionKey(token);
+  const session = guestSessions.get(key);
+  if (!session || !session.emails.has(tempEmailId)) return false;
+
+  if (!session.rules) {
+    session.rules = new Map();
+  }
+  session.rules.set(tempEmailId, rules);
+  persist(key, (store, current, version) => store.saveSession(key, current, version));
+  return true;
+}
+
+/**
+ * Deletes a guest's temporary email along with its inbox, raw sources and rules
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @returns {boolean} - Whether the email existed
+ */
+export function deleteGuestTempEmail(token, tempEmailId) {
+  const key = getSessionKey(token);
+  const session = guestSessions.get(key);
+  const emailData = session?.emails.get(tempEmailId);
+  if (!emailData) return false;
+
+  emailToGuestMap.delete(emailData.email);
+
+  // Drop retained raw sources for this inbox
+  for (const receivedEmail of session.inbox.get(tempEmailId) || []) {
+    session.rawSources.delete(receivedEmail.id);
+  }
+
+  session.emails.delete(tempEmailId);
+  session.inbox.delete(tempEmailId);
+  session.rules?.delete(tempEmailId);
+  persist(key, (store, current, version) => store.saveSession(key, current, version));
+  return true;
+}
+
+/**
+ * Drops received emails whose auto-expire time has passed from guest inboxes and the registered cache
+ * @param {Date} now - Current time
+ * @returns {number} - Emails removed
+ */
+export function pruneExpiredReceivedEmails(now) {
+  const isExpired = email => email.expires_at && new Date(email.expires_at) <= now;
+  let removed = 0;
+
+  for (const [key, session] of guestSessions.entries()) {
+    for (const [tempEmailId, inbox] of session.inbox.entries()) {
+      const kept = inbox.filter(email => !isExpired(email));
+      if (kept.length === inbox.length) continue;
+
+      const expiredIds = inbox.filter(isExpired).map(email => email.id);
+      for (const emailId of expiredIds) {
+        session.rawSources.delete(emailId);
+      }
+      removed += expiredIds.length;
+      session.inbox.set(tempEmailId, kept);
+      persist(key, (store, current, version) => store.deleteMessages(key, expiredIds, version));
+    }
+  }
+
+  for (const userCache of registeredUserCache.values()) {
+    for (const [tempEmailId, inbox] of userCache.inbox.entries()) {
+      const kept = inbox.filter(email => !isExpired(email));
+      removed += inbox.length - kept.length;
+      userCache.inbox.set(tempEmailId, kept);
+    }
+  }
+
+  return removed;
+}
+
+// How many alternative names are tried for a conflicting address
+const MAX_RENAME_CANDIDATES = 5;
+const MIGRATION_ACTIONS = ['migrate', 'rename', 'skip'];
+
+// Whether a database address (or, for new names, any guest or pattern) already holds an address
+async function isMigrationTargetTaken(connection, address, claimed, checkGuests) {
+  if (claimed.has(address)) return true;
+
+  const [existing] = await connection.query('SELECT id FROM temp_emails WHERE email = ? LIMIT 1', [address]);
+  if (existing.length > 0) return true;
+
+  return checkGuests && await isEmailAddressInUse(address);
+}
+
+/**
+ * Works out what happens to each address of a guest session when it is saved to an account
+ * Addresses that are free keep their name. Conflicting addresses are renamed to the first free
+ * proposal unless the client chose otherwise; resolutions that can't be honoured are reported
+ * as errors instead of being silently changed.
+ * @param {object} connection - Pool or transaction connection
+ * @param {object} session - Guest session
+ * @param {object} resolutions - temp email ID → { action: 'migrate'|'rename'|'skip', email }
+ * @returns {Promise<object>} - { plan, summary, errors }
+ */
+async function buildMigrationPlan(connection, session, resolutions = {}) {
+  const plan = [];
+  const errors = [];
+  const claimed = new Set(); // Names taken by earlier entries of this plan
+
+  for (const [emailId, emailData] of session.emails) {
+    const [localPart, domain] = emailData.email.split('@');
+    const inbox = session.inbox.get(emailId) || [];
+    const resolution = resolutions[emailId] || {};
+    const conflict = await isMigrationTargetTaken(connection, emailData.email, claimed, false);
+
+    // First free variant, derived from the session so a preview and the save agree
+    let proposedEmail = null;
+    if (conflict || resolution.action === 'rename') {
+      for (let attempt = 1; attempt <= MAX_RENAME_CANDIDATES && !proposedEmail; attempt++) {
+        const candidate = `${localPart}_${session.id.substring(0, 6)}${attempt > 1 ? attempt : ''}@${domain}`;
+        if (!(await isMigrationTargetTaken(connection, candidate, claimed, true))) {
+          proposedEmail = candidate;
+        }
+      }
+    }
+
+    const entry = {
+      id: emailId,
+      email: emailData.email,
+      conflict,
+      messages: inbox.length,
+      attachments: inbox.reduce((sum, email) => sum + (email.attachments || []).length, 0),
+      proposedEmail,
+      action: null,
+      migratedEmail: null
+    };
+
+    let action = resolution.action || (conflict ? (proposedEmail ? 'rename' : 'skip') : 'migrate');
+    let error = null;
+
+    if (!MIGRATION_ACTIONS.includes(action)) {
+      error = `action must be one of: ${MIGRATION_ACTIONS.join(', ')}`;
+    } else if (action === 'migrate' && conflict) {
+      error = 'Address is already in use; rename or skip it';
+    } else if (action === 'rename') {
+      const newEmail = resolution.email ? String(resolution.email).trim().toLowerCase() : proposedEmail;
+      const [newLocalPart, newDomain] = (newEmail || '').split('@');
+
+      if (!newEmail) {
+        error = 'No free name found; choose one or skip the address';
+      } else if (newDomain !== domain || !/^[a-z0-9._+-]{1,64}$/i.test(newLocalPart || '')) {
+        error = `New name must be a valid address on ${domain}`;
+      } else if (newEmail !== proposedEmail && await isMigrationTargetTaken(connection, newEmail, claimed, true)) {
+        error = 'New name is already in use';
+      } else {
+        entry.migratedEmail = newEmail;
+      }
+    } else if (action === 'migrate') {
+      entry.migratedEmail = emailData.email;
+    }
+
+    if (error) {
+      action = null;
+      entry.error = error;
+      errors.push({ id: emailId, email: emailData.email, error });
+    } else if (entry.migratedEmail) {
+      claimed.add(entry.migratedEmail);
+    }
+    if (action === 'skip' && conflict && !resolution.action) {
+      entry.reason = 'Address and proposed names are already in use';
+    }
+
+    entry.action = action;
+    plan.push(entry);
+  }
+
+  const count = action => plan.filter(entry => entry.action === action).length;
+  const summary = {
+    totalEmails: plan.length,
+    migrate: count('migrate'),
+    rename: count('rename'),
+    skip: count('skip'),
+    messages: plan.filter(entry => entry.migratedEmail).reduce((sum, entry) => sum + entry.messages, 0)
+  };
+
+  return { plan, summary, errors };
+}
+
+/**
+ * Dry run of saving a guest session to an account: the per-address plan without changing anything
+ * @param {string} token - Guest JWT token
+ * @param {object} [resolutions] - temp email ID → { action, email } chosen by the client
+ * @returns {Promise<object>} - { success, plan, summary, errors } or { success: false, error }
+ */
+export async function previewGuestMigration(token, resolutions = {}) {
+  const session = getSession(token);
+  if (!session) return { success: false, error: 'Session not found' };
+
+  const { plan, summary, errors } = await buildMigrationPlan(pool, session, resolutions);
+  return { success: true, plan, summary, errors };
+}
+
 /**
  * Migrates guest session data to a registered user
  * @param {string} token - Guest JWT token
  * @param {string} userId - ID of the registered user
  * @param {string} realEmail - User's real email
  * @param {string} realPassword - User's real password
- * @returns {Promise<object>} - Success status and migration results
+ * @param {object} [resolutions] - temp email ID → { action, email } (see previewGuestMigration)
+ * @returns {Promise<object>} - Success status and migration results; { success: false, plan, errors } when a resolution can't be applied
  */
-export async function migrateGuestSessionToUser(token, userId, realEmail, realPassword) {
+export async function migrateGuestSessionToUser(token, userId, realEmail, realPassword, resolutions = {}) {
+  return runGuestMigration(token, userId, realEmail, resolutions, {
+    type: 'register',
+    requestPath: '/guest/save-inbox',
+    async prepareUser(connection) {
+      // First check if the user already exists
+      const [existingUsers] = await connection.query(
+        'SELECT id FROM users WHERE email = ?',
+        [realEmail]
+      );
+
+      if (existingUsers && existingUsers.length > 0) {
+        // User already exists, we can't migrate
+        return 'User already exists';
+      }
+
+      // Hash the password
+      const hashedPassword = await bcrypt.hash(realPassword, 10);
+
+      // Insert the new user
+      await connection.query(
+        'INSERT INTO users (id, email, password) VALUES (?, ?, ?)',
+        [userId, realEmail, hashedPassword]
+      );
+      return null;
+    }
+  });
+}
+
+/**
+ * Moves a guest session into an existing account (a returning user who logged in)
+ * Uses the same per-address plan and conflict handling as migrateGuestSessionToUser.
+ * @param {string} token - Guest JWT token
+ * @param {string} userId - ID of the logged-in user
+ * @param {string} userEmail - The user's email (for the migration log)
+ * @param {object} [resolutions] - temp email ID → { action, email } (see previewGuestMigration)
+ * @returns {Promise<object>} - Same as migrateGuestSessionToUser
+ */
+export async function claimGuestSessionForUser(token, userId, userEmail, resolutions = {}) {
+  return runGuestMigration(token, userId, userEmail, resolutions, {
+    type: 'claim',
+    requestPath: '/guest/claim',
+    async prepareUser(connection) {
+      const [users] = await connection.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+      return users.length > 0 ? null : 'User not found';
+    }
+  });
+}
+
+/**
+ * Moves a guest session's addresses, messages, attachments and rules to an account in one transaction
+ * @param {string} token - Guest JWT token
+ * @param {string} userId - Receiving user
+ * @param {string} realEmail - The user's email (for the migration log)
+ * @param {object} resolutions - temp email ID → { action, email }
+ * @param {object} options
+ * @param {string} options.type - 'register' (new account) or 'claim' (existing account)
+ * @param {string} options.requestPath - Route whose tracked request supplies IP and user agent for the log
+ * @param {Function} options.prepareUser - (connection) → error message or null, runs inside the transaction
+ * @returns {Promise<object>}
+ */
+async function runGuestMigration(token, userId, realEmail, resolutions, { type, requestPath, prepareUser }) {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
 
-    const session = guestSessions.get(token);
-    if (!session) return { success: false, error: 'Session not found' };
-
-    // First check if the user already exists
-    const [existingUsers] = await connection.query(
-      'SELECT id FROM users WHERE email = ?',
-      [realEmail]
-    );
-
-    if (existingUsers && existingUsers.length > 0) {
-      // User already exists, we can't migrate
+    const session = getSession(token);
+    if (!session) {
       await connection.rollback();
-      return { success: false, error: 'User already exists' };
+      return { success: false, error: 'Session not found' };
     }
 
-    // Hash the password
-    const hashedPassword = await bcrypt.hash(realPassword, 10);
+    const userError = await prepareUser(connection);
+    if (userError) {
+      await connection.rollback();
+      return { success: false, error: userError };
+    }
 
-    // Insert the new user
-    await connection.query(
-      'INSERT INTO users (id, email, password) VALUES (?, ?, ?)',
-      [userId, realEmail, hashedPassword]
-    );
+    // Every address must have a workable resolution before anything is written
+    const { plan, summary, errors } = await buildMigrationPlan(connection, session, resolutions);
+    if (errors.length > 0) {
+      await connection.rollback();
+      return { success: false, error: 'Invalid migration resolutions', plan, summary, errors };
+    }
     
     // Track migration results
     const migrationResults = {
-      totalEmails: session.emails.size,
-      migratedEmails: 0,
-      renamedEmails: 0,
-      skippedEmails: 0,
-      details: []
+      totalEmails: summary.totalEmails,
+      migratedEmails: summary.migrate,
+      renamedEmails: summary.rename,
+      skippedEmails: summary.skip,
+      migratedMessages: summary.messages,
+      details: plan
     };
 
-    // Migrate all temporary emails
-    for (const [emailId, emailData] of session.emails) {
-      // Quick check if this email exists in the database
-      const [existingEmails] = await connection.query(
-        'SELECT id FROM temp_emails WHERE email = ?',
-        [emailData.email]
-      );
-      
-      let emailToInsert = emailData.email;
-      let status = 'migrated';
-      
-      if (existingEmails && existingEmails.length > 0) {
-        // Try to create a renamed version if there's a conflict
-        const localPart = emailData.email.split('@')[0];
-        const domain = emailData.email.split('@')[1];
-        const newEmail = `${localPart}_${userId.substring(0, 6)}@${domain}`;
-        
-        // Check if the renamed email also exists
-        const [checkRenamed] = await connection.query(
-          'SELECT id FROM temp_emails WHERE email = ?',
-          [newEmail]
-        );
-        
-        if (checkRenamed && checkRenamed.length > 0) {
-          // Skip this email if even the renamed version exists
-          migrationResults.skippedEmails++;
-          migrationResults.details.push({
-            id: emailId,
-            email: emailData.email,
-            status: 'skipped',
-            reason: 'Both original and renamed versions exist'
-          });
-          continue;
-        }
-        
-        // Use the renamed email
-        emailToInsert = newEmail;
-        status = 'renamed';
-        migrationResults.renamedEmails++;
-      } else {
-        migrationResults.migratedEmails++;
+    // Format dates for MySQL (convert ISO string to MySQL datetime format)
+    const formatDate = (dateString) => {
+      try {
+        const date = new Date(dateString);
+        // MySQL TIMESTAMP format: YYYY-MM-DD HH:MM:SS
+        return date.toISOString().slice(0, 19).replace('T', ' ');
+      } catch (error) {
+        console.error('Error formatting date:', error);
+        const now = new Date();
+        return now.toISOString().slice(0, 19).replace('T', ' ');
       }
+    };
 
-      // Format dates for MySQL (convert ISO string to MySQL datetime format)
-      const formatDate = (dateString) => {
-        try {
-          const date = new Date(dateString);
-          // MySQL TIMESTAMP format: YYYY-MM-DD HH:MM:SS
-          return date.toISOString().slice(0, 19).replace('T', ' ');
-        } catch (error) {
-          console.error('Error formatting date:', error);
-          const now = new Date();
-          return now.toISOString().slice(0, 19).replace('T', ' ');
-        }
-      };
+    // Migrate the temporary emails the plan keeps, with their messages, attachments and rules
+    for (const entry of plan.filter(item => item.migratedEmail)) {
+      const emailId = entry.id;
+      const emailData = session.emails.get(emailId);
       
       const formattedExpiresAt = formatDate(emailData.expires_at);
       const formattedCreatedAt = formatDate(emailData.created_at);
 
       // Insert the temp email
       await connection.query(
-        'INSERT INTO temp_emails (id, user_id, email, domain_id, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-        [emailId, userId, emailToInsert, emailData.domain_id, formattedExpiresAt, formattedCreatedAt]
+        'INSERT INTO temp_emails (id, user_id, email, domain_id, expires_at, created_at, renewal_count) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [emailId, userId, entry.migratedEmail, emailData.domain_id, formattedExpiresAt, formattedCreatedAt, emailData.renewal_count || 0]
       );
-      
-      // Record the migration result
-      migrationResults.details.push({
-        id: emailId,
-        originalEmail: emailData.email,
-        migratedEmail: emailToInsert,
-        status
-      });
 
       // Get the inbox for this email
       const inbox = session.inbox.get(emailId) || [];
@@ -554,7 +1062,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
         
         // Insert the received email
         await connection.query(
-          'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, spam_score, is_spam, spam_reasons, verification, message_id, in_reply_to, reference_ids, thread_id, is_read, is_starred, labels, expires_at, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
           [
             receivedEmail.id,
             emailId,
@@ -563,9 +1071,42 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
             receivedEmail.subject,
             receivedEmail.body_html,
             receivedEmail.body_text,
+            receivedEmail.spam_score || 0,
+            Boolean(receivedEmail.is_spam),
+            JSON.stringify(receivedEmail.spam_reasons || []),
+            receivedEmail.verification ? JSON.stringify(receivedEmail.verification) : null,
+            receivedEmail.message_id || null,
+            receivedEmail.in_reply_to || null,
+            JSON.stringify(receivedEmail.reference_ids || []),
+            receivedEmail.thread_id || null,
+            Boolean(receivedEmail.is_read),
+            Boolean(receivedEmail.is_starred),
+            JSON.stringify(receivedEmail.labels || []),
+            receivedEmail.expires_at ? formatDate(receivedEmail.expires_at) : null,
             formattedReceivedAt
           ]
         );
+        
+        // Move attachments and the raw source out of memory along with the message
+        await saveAttachments(receivedEmail.id, receivedEmail.attachments || [], connection);
+        
+        const rawSource = session.rawSources.get(receivedEmail.id);
+        if (rawSource) {
+          await saveRawSource(receivedEmail.id, rawSource.compressed, rawSource.size, connection);
+        }
+        
+        await indexReceivedEmail(emailId, receivedEmail, receivedEmail.received_at, connection);
+      }
+
+      // Inbox rules move along with their address
+      const rules = session.rules?.get(emailId) || [];
+      for (const [position, rule] of rules.entries()) {
+        await connection.query(
+          `INSERT INTO inbox_rules (id, user_id, temp_email_id, name, conditions, actions, is_active, position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [rule.id, userId, emailId, rule.name, JSON.stringify(rule.conditions), JSON.stringify(rule.actions),
+            rule.is_active, position]
+        );
       }
     }
 
@@ -586,7 +1127,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
       if (requests.length > 0) {
         // Find the most recent request that could be associated with this session
         const recentRequest = requests
-          .filter(req => req.requestPath?.includes('/guest/save-inbox'))
+          .filter(req => req.requestPath?.includes(requestPath))
           .sort((a, b) => b.timestamp - a.timestamp)[0];
           
         if (recentRequest) {
@@ -599,13 +1140,21 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
       console.error('Error getting request info for migration logging:', error);
     }
     
-    // Record the migration in the database
+    // Record the migration in the database, with where each guest address ended up
+    const addressMapping = plan.map(entry => ({
+      id: entry.id,
+      original_email: entry.email,
+      migrated_email: entry.migratedEmail,
+      action: entry.action,
+      messages: entry.migratedEmail ? entry.messages : 0
+    }));
+
     await connection.query(
       `INSERT INTO user_migrations (
         id, user_id, user_email, migration_date, 
-        emails_migrated, emails_renamed, emails_skipped,
-        client_ip, user_agent, country, success
-      ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?)`,
+        emails_migrated, emails_renamed, emails_skipped, messages_migrated, address_mapping,
+        migration_type, client_ip, user_agent, country, success
+      ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         migrationId,
         userId,
@@ -613,6 +1162,9 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
         migrationResults.migratedEmails,
         migrationResults.renamedEmails,
         migrationResults.skippedEmails,
+        migrationResults.migratedMessages,
+        JSON.stringify(addressMapping),
+        type,
         clientIp,
         userAgent,
         country,
@@ -623,11 +1175,9 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
     // Commit the transaction
     await connection.commit();
     
-    // Clean up the guest session
-    for (const [emailId, emailData] of session.emails.entries()) {
-      emailToGuestMap.delete(emailData.email);
-    }
-    guestSessions.delete(token);
+    // Clean up the guest session; the account's cached address list is now incomplete
+    await removeGuestSession(token);
+    clearUserCache(userId);
     
     return { success: true, results: migrationResults };
   } catch (error) {
@@ -641,13 +1191,14 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
         `INSERT INTO user_migrations (
           id, user_id, user_email, migration_date, 
           emails_migrated, emails_renamed, emails_skipped,
-          client_ip, user_agent, country, success, error_message
-        ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+          migration_type, client_ip, user_agent, country, success, error_message
+        ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           migrationId,
           userId,
           realEmail,
           0, 0, 0,
+          type,
           '', '', '',
           false,
           error.message.substring(0, 1000) // Limit error message length
@@ -665,13 +1216,19 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
 
 /**
  * Checks if a token is a valid guest token
- * @param {string} token - JWT token to verify
+ * A session key (from a URL ticket) is valid while its session exists and hasn't expired.
+ * @param {string} token - JWT token or session key to verify
  * @returns {boolean} - Whether the token is a valid guest token
  */
 export function isValidGuestToken(token) {
+  if (/^[a-f0-9]{64}$/.test(token || '')) {
+    const session = guestSessions.get(token);
+    return Boolean(session) && new Date(session.expires_at) > new Date();
+  }
+
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-    return !!decoded.isGuest && guestSessions.has(token);
+    return !!decoded.isGuest && guestSessions.has(getSessionKey(token));
   } catch (error) {
     return false;
   }
@@ -683,14 +1240,19 @@ export function isValidGuestToken(token) {
  * @returns {boolean} - Success status
  */
 export function deleteGuestSession(token) {
-  const session = guestSessions.get(token);
-  if (session) {
-    // Remove all email mappings from the lookup map
-    for (const [emailId, emailData] of session.emails.entries()) {
-      emailToGuestMap.delete(emailData.email);
-    }
-  }
-  return guestSessions.delete(token);
+  const existed = Boolean(getSession(token));
+  removeGuestSession(token).catch(error => {
+    console.error('Failed to delete guest session:', error);
+  });
+  return existed;
+}
+
+// Removes a session from memory and from the store once its pending writes have landed
+async function removeGuestSession(token) {
+  const key = getSessionKey(token);
+  forgetSession(key);
+  await pendingWrites.get(key);
+  await getSessionStore().deleteSession(key);
 }
 
 /**
@@ -737,9 +1299,10 @@ function shouldCheckEmailInDB(email) {
  * Checks if an email address might be in use by a registered user
  * Uses smart heuristics to reduce database load
  * @param {string} emailAddress - The email address to check 
+ * @param {string} [userId] - Registered user creating the address (their own patterns don't block it)
  * @returns {Promise<boolean>} - True if email is likely in use, false otherwise
  */
-export async function isEmailAddressInUse(emailAddress) {
+export async function isEmailAddressInUse(emailAddress, userId = null) {
   try {
     // Always check if the email exists in the guest system first (in-memory, fast)
     const guestEmail = emailToGuestMap.get(emailAddress);
@@ -747,6 +1310,17 @@ export async function isEmailAddressInUse(emailAddress) {
       return true;
     }
     
+    // Guests of other instances
+    const store = getSessionStore();
+    if (store.persistent && await store.findAddress(emailAddress)) {
+      return true;
+    }
+    
+    // Addresses covered by another user's wildcard pattern belong to that user
+    if (await isAddressClaimedByPattern(emailAddress, userId)) {
+      return true;
+    }
+    
     // Apply heuristics to determine if we should check the database
     if (shouldCheckEmailInDB(emailAddress)) {
       // Only hit the database for emails that are likely to be taken
@@ -18,10 +18,25 @@ import monitorRoutes from './routes/monitor.js';
 import gmailRoutes from './routes/gmailRoutes.js'; // Added Gmail routes
 import debugRoutes from './routes/debug.js'; // Added Debug routes
 import guestRoutes from './routes/guest.js'; // Added Guest routes
+import spamRulesRoutes from './routes/spamRules.js'; // Admin spam rules
+import userWebhookRoutes from './routes/userWebhooks.js'; // Outbound webhooks for users
+import apiKeyRoutes from './routes/apiKeys.js'; // Personal API keys
+import addressPatternRoutes from './routes/addressPatterns.js'; // Wildcard and catch-all addresses
+import forwardingRoutes from './routes/forwarding.js'; // Forwarding to verified real mailboxes
+import exportRoutes from './routes/exports.js'; // Account-wide inbox exports
+import mailViewRoutes from './routes/mailView.js'; // Image proxy and link warnings for rendered emails
+import ingestRoutes from './routes/ingest.js'; // Signed mail ingest for relays
+import expiryPolicyRoutes from './routes/expiryPolicies.js'; // Address lifetime and retention tiers
 import nodemailer from 'nodemailer';
 import http from 'http'; // Added for WebSocket support
 import { setupWebSocketServer } from './services/gmailImapService.js'; // Added for WebSocket
 import { setupActivityTracker } from './services/activityTracker.js'; // Add activity tracker
+import { startSmtpReceiver } from './services/smtpReceiver.js'; // Built-in inbound SMTP
+import { startWebhookRetryWorker } from './services/userWebhookService.js'; // Outbound webhook retries
+import { startDomainVerificationWorker } from './services/customDomainService.js'; // Private domain DNS checks
+import { startExpiryWorker } from './services/inboxRuleService.js'; // Inbox rule auto-expiry
+import { startInboxEventRelay } from './services/inboxEventService.js'; // New-mail events from other instances
+import { scheduleSmtpCounterResets } from './cron/emailTasks.js'; // Relay send counter resets
 
 dotenv.config();
 
@@ -109,11 +124,14 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access', 'X-API-Key'],
   credentials: true,
-  exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-ID']
+  exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-ID', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
 }));
 
+// Relays sign the raw request body, so the ingest API parses its own body before the global parser
+app.use('/ingest', ingestRoutes);
+
 app.use(express.json());
 
 // Health check endpoint
@@ -171,6 +189,14 @@ app.use('/monitor', monitorRoutes);
 app.use('/gmail', gmailRoutes); // Add Gmail routes
 app.use('/debug', debugRoutes); // Add Debug routes
 app.use('/guest', guestRoutes); // Add Guest routes
+app.use('/spam-rules', spamRulesRoutes); // Admin spam rules
+app.use('/user-webhooks', userWebhookRoutes); // Outbound webhooks for users
+app.use('/api-keys', apiKeyRoutes); // Personal API keys
+app.use('/address-patterns', addressPatternRoutes); // Wildcard and catch-all addresses
+app.use('/forwarding', forwardingRoutes); // Forwarding to verified real mailboxes
+app.use('/exports', exportRoutes); // Account-wide inbox exports
+app.use('/mail-view', mailViewRoutes); // Image proxy and link warnings for rendered emails
+app.use('/expiry-policies', expiryPolicyRoutes); // Address lifetime and retention tiers
 
 // Handle preflight requests for /admin/all
 app.options('/emails/admin/all', cors());
@@ -211,6 +237,7 @@ initializeDatabase().then(() => {
     console.log(`Server running on port ${port}`);
     scheduleCleanup();
     console.log('Email cleanup scheduler started');
+    scheduleSmtpCounterResets();
     
     // Setup WebSocket server for real-time email updates
     setupWebSocketServer(server);
@@ -219,6 +246,23 @@ initializeDatabase().then(() => {
     // Setup WebSocket server for real-time activity tracking
     setupActivityTracker(server);
     console.log('Real-time activity tracking system initialized');
+    
+    // Retry failed outbound user webhooks with backoff
+    startWebhookRetryWorker();
+    
+    // Verify newly added private domains and re-check verified ones
+    startDomainVerificationWorker();
+    
+    // Delete messages auto-expired by inbox rules
+    startExpiryWorker();
+    
+    // Wake waits and streams on this instance for mail stored by the others (shared session store)
+    startInboxEventRelay();
+    
+    // Accept inbound mail directly instead of through the HTTP relay webhook
+    if (process.env.SMTP_RECEIVER_ENABLED === 'true') {
+      startSmtpReceiver();
+    }
   });
 }).catch(error => {
   console.error('Failed to initialize database:', error);
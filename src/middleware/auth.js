@@ -1,17 +1,100 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import { isValidGuestToken } from '../guestSessionHandler.js';
+import { isValidGuestToken, loadGuestSession, getSessionKey } from '../guestSessionHandler.js';
+import { isApiKey, verifyApiKey } from '../services/apiKeyService.js';
+import { consumeApiKeyLimit } from './rateLimit.js';
 
 const ADMIN_KEY_HASH = '$2a$10$eZjWEiJVE5mc21CdNhSQvudM1xyCCUxC4voakIv3IPrc4wAGgfhHW';
 
-export function authenticateToken(req, res, next) {
+// Read the bearer token, or an API key sent as X-API-Key
+function getRequestToken(req) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
+}
+
+// Guest sessions may live in a shared store; load the current copy before checking the token
+async function hasGuestSession(token) {
+  try {
+    await loadGuestSession(token);
+  } catch (error) {
+    // Fall back to whatever copy this instance has
+    console.error('Failed to load guest session:', error);
+  }
+  return isValidGuestToken(token);
+}
+
+// How long a URL ticket can be used (see issueUrlTicket)
+const URL_TICKET_TTL = 5 * 60;
+
+// Tickets get their own key so one can never pass as a bearer token
+function getTicketSecret() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('url-ticket').digest();
+}
+
+// Methods a read-only API key may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticates a request made with a personal API key
+ * Sets req.user like a JWT would, plus apiKeyId and apiKeyScope
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} key - Raw API key
+ */
+async function authenticateApiKey(req, res, next, key) {
+  let apiKey;
+  try {
+    apiKey = await verifyApiKey(key);
+  } catch (error) {
+    console.error('API key verification error:', error);
+    return res.status(500).json({ error: 'Failed to verify API key' });
+  }
+
+  if (!apiKey) {
+    return res.status(403).json({ error: 'Invalid API key' });
+  }
+
+  if (apiKey.scope === 'read' && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({ error: 'API key is read-only' });
+  }
+
+  const rateLimit = consumeApiKeyLimit(apiKey);
+  res.setHeader('X-RateLimit-Limit', rateLimit.limit);
+  res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(rateLimit.resetAt / 1000));
+
+  if (rateLimit.exceeded) {
+    return res.status(429).json({
+      error: 'API key rate limit exceeded',
+      resetAt: new Date(rateLimit.resetAt).toISOString()
+    });
+  }
+
+  req.apiKeyRateLimit = rateLimit;
+  // API keys never carry admin rights
+  req.user = {
+    id: apiKey.userId,
+    email: apiKey.email,
+    isAdmin: false,
+    apiKeyId: apiKey.id,
+    apiKeyScope: apiKey.scope
+  };
+  next();
+}
+
+export function authenticateToken(req, res, next) {
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  if (isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
@@ -21,17 +104,128 @@ export function authenticateToken(req, res, next) {
   });
 }
 
+/**
+ * Verifies a registered or guest JWT outside of Express (WebSocket upgrades)
+ * Applies the same checks as authenticateAnyToken
+ * @param {string} token - JWT
+ * @returns {Promise<object|null>} - Decoded user or null if the token is invalid
+ */
+export function verifyAnyToken(token) {
+  return new Promise((resolve) => {
+    if (!token) return resolve(null);
+
+    if (isApiKey(token)) {
+      return verifyApiKey(token)
+        .then(apiKey => resolve(apiKey && { id: apiKey.userId, email: apiKey.email, isAdmin: false, apiKeyId: apiKey.id }))
+        .catch(() => resolve(null));
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+      if (err) return resolve(null);
+
+      // Guest tokens must still have a live session
+      if (user.isGuest === true && !(await hasGuestSession(token))) {
+        return resolve(null);
+      }
+
+      resolve(user);
+    });
+  });
+}
+
+/**
+ * Signs a short-lived ticket for one URL, for clients that cannot set headers (EventSource,
+ * iframes, download links). The ticket goes in ?ticket= and only opens that path, so a URL
+ * that ends up in a log or history is useless elsewhere and soon useless everywhere.
+ * @param {object} req - Authenticated request (JWT, not an API key)
+ * @param {string} path - Path the ticket opens, e.g. /emails/<id>/stream
+ * @returns {object} - { ticket, expiresAt }
+ */
+export function issueUrlTicket(req, path) {
+  const { iat, exp, ...user } = req.user;
+  const ticket = jwt.sign(
+    {
+      purpose: 'url-ticket',
+      path,
+      user,
+      // Guests are tied to their session by its key, never by the token itself
+      session: user.isGuest ? getSessionKey(req.guestToken) : undefined
+    },
+    getTicketSecret(),
+    { expiresIn: URL_TICKET_TTL }
+  );
+
+  return { ticket, expiresAt: new Date(jwt.decode(ticket).exp * 1000).toISOString() };
+}
+
+/**
+ * Checks a ticket from issueUrlTicket against the path it is used on
+ * Outside Express this is how the inbox WebSocket authenticates.
+ * @param {string} ticket - Ticket from ?ticket=
+ * @param {string} path - Path being opened
+ * @returns {Promise<object|null>} - { user, guestToken (session key, guests only) } or null
+ */
+export function verifyUrlTicket(ticket, path) {
+  return new Promise((resolve) => {
+    if (!ticket) return resolve(null);
+
+    jwt.verify(ticket, getTicketSecret(), async (err, payload) => {
+      if (err || payload.purpose !== 'url-ticket' || payload.path !== path) {
+        return resolve(null);
+      }
+
+      if (payload.user.isGuest && !(await hasGuestSession(payload.session))) {
+        return resolve(null);
+      }
+
+      resolve({ user: payload.user, guestToken: payload.user.isGuest ? payload.session : null });
+    });
+  });
+}
+
+/**
+ * Lets a route also be opened with a ?ticket= from issueUrlTicket
+ * Requests with an Authorization header (or no ticket) go through the given middleware.
+ * @param {Function} authenticate - authenticateToken or authenticateAnyToken
+ * @returns {Function} - Express middleware
+ */
+export function acceptUrlTicket(authenticate) {
+  return async (req, res, next) => {
+    const ticket = req.query.ticket;
+    if (req.headers['authorization'] || typeof ticket !== 'string') {
+      return authenticate(req, res, next);
+    }
+
+    const auth = await verifyUrlTicket(ticket, req.baseUrl + req.path);
+    if (!auth) {
+      return res.status(403).json({ error: 'Invalid or expired ticket' });
+    }
+    if (auth.user.isGuest && authenticate !== authenticateAnyToken) {
+      return res.status(403).json({ error: 'Registered account required' });
+    }
+
+    if (auth.guestToken) {
+      req.guestToken = auth.guestToken;
+    }
+    req.user = auth.user;
+    next();
+  };
+}
+
 // Function to authenticate tokens including guest tokens
 export function authenticateAnyToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  if (isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
   // Verify JWT
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
@@ -39,7 +233,7 @@ export function authenticateAnyToken(req, res, next) {
     // Check if this is a guest token
     if (user.isGuest === true) {
       // Verify the token is in our session store
-      if (!isValidGuestToken(token)) {
+      if (!(await hasGuestSession(token))) {
         return res.status(403).json({ error: 'Invalid guest token' });
       }
       
@@ -62,7 +256,7 @@ export function authenticateGuestToken(req, res, next) {
   }
 
   // Verify JWT
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
@@ -73,7 +267,7 @@ export function authenticateGuestToken(req, res, next) {
     }
     
     // Verify the token is in our session store
-    if (!isValidGuestToken(token)) {
+    if (!(await hasGuestSession(token))) {
       return res.status(403).json({ error: 'Invalid guest token' });
     }
     
@@ -84,6 +278,14 @@ export function authenticateGuestToken(req, res, next) {
   });
 }
 
+// Reject API keys on routes that must only be reachable from an interactive login (key management)
+export function requireSessionToken(req, res, next) {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({ error: 'This action cannot be performed with an API key' });
+  }
+  next();
+}
+
 export function requireAdmin(req, res, next) {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Admin access required' });
@@ -7,6 +7,8 @@ const rateLimitStore = {
   limits: {},
   // Structure: { [userId]: { count: number, resetAt: timestamp, captchaRequired: boolean } }
   userLimits: {},
+  // Structure: { [apiKeyId]: { count: number, resetAt: timestamp } }
+  apiKeyLimits: {},
   
   // Rotating CAPTCHA keys
   captchaKeys: [
@@ -88,6 +90,12 @@ const rateLimitStore = {
         delete this.userLimits[userId];
       }
     });
+    
+    Object.keys(this.apiKeyLimits).forEach(keyId => {
+      if (this.apiKeyLimits[keyId].resetAt < now) {
+        delete this.apiKeyLimits[keyId];
+      }
+    });
   }
 };
 
@@ -102,6 +110,34 @@ const RATE_LIMIT = {
   AUTH_MAX_EMAILS_PER_HOUR: 15, // Higher limit for authenticated users
 };
 
+/**
+ * Counts a request against an API key's hourly limit
+ * Called by the auth middleware for every API-key request
+ * @param {object} apiKey - Verified key { id, rateLimit }
+ * @returns {object} - { current, limit, remaining, resetAt, exceeded }
+ */
+export function consumeApiKeyLimit(apiKey) {
+  const now = Date.now();
+  
+  if (!rateLimitStore.apiKeyLimits[apiKey.id] || rateLimitStore.apiKeyLimits[apiKey.id].resetAt < now) {
+    rateLimitStore.apiKeyLimits[apiKey.id] = {
+      count: 0,
+      resetAt: now + RATE_LIMIT.WINDOW_MS
+    };
+  }
+  
+  const entry = rateLimitStore.apiKeyLimits[apiKey.id];
+  entry.count++;
+  
+  return {
+    current: entry.count,
+    limit: apiKey.rateLimit,
+    remaining: Math.max(0, apiKey.rateLimit - entry.count),
+    resetAt: entry.resetAt,
+    exceeded: entry.count > apiKey.rateLimit
+  };
+}
+
 // Rate limit middleware
 export function rateLimitMiddleware(req, res, next) {
   // Get client IP
@@ -138,6 +174,11 @@ export function rateLimitMiddleware(req, res, next) {
       resetAt: rateLimitStore.userLimits[userId].resetAt
     };
     
+    // Requests made with an API key also report that key's own request budget
+    if (req.apiKeyRateLimit) {
+      req.rateLimitInfo.apiKey = req.apiKeyRateLimit;
+    }
+    
     return next();
   }
   
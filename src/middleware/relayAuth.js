@@ -0,0 +1,26 @@
+import { verifyRelayRequest } from '../services/ingestService.js';
+
+/**
+ * Body parser verify hook that keeps the exact bytes a relay signed
+ * Pass as the verify option of express.json / express.urlencoded.
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Authenticates a mail relay (HMAC signature or shared secret, see verifyRelayRequest)
+ * Needs captureRawBody on the route's body parser. Sets req.relayAuth.
+ * Refused requests only reach the console: anyone can send them, so they must not cost a DB write.
+ */
+export function authenticateRelay(req, res, next) {
+  const auth = verifyRelayRequest(req.headers, req.rawBody);
+
+  if (auth.error) {
+    console.warn(`Refused ingest request from ${req.ip}: ${auth.error}`);
+    return res.status(auth.status).json({ success: false, error: auth.error });
+  }
+
+  req.relayAuth = auth;
+  next();
+}
@@ -0,0 +1,136 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  CATCH_ALL_PATTERN,
+  MAX_PATTERNS_PER_USER,
+  normalizeLocalPattern,
+  patternsOverlap,
+  checkPatternClaim
+} from '../services/addressPatternService.js';
+import { getDomainWithOwner } from '../services/customDomainService.js';
+
+const router = express.Router();
+
+// List the current user's wildcard and catch-all patterns
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [patterns] = await pool.query(`
+      SELECT ap.id, ap.local_pattern, ap.domain_id, d.domain, ap.temp_email_id, te.email as target_email,
+             CONCAT(ap.local_pattern, '@', d.domain) as pattern, ap.created_at
+      FROM address_patterns ap
+      JOIN domains d ON ap.domain_id = d.id
+      LEFT JOIN temp_emails te ON ap.temp_email_id = te.id
+      WHERE ap.user_id = ?
+      ORDER BY ap.created_at DESC
+    `, [req.user.id]);
+
+    res.json(patterns);
+  } catch (error) {
+    console.error('Failed to fetch address patterns:', error);
+    res.status(500).json({ error: 'Failed to fetch address patterns' });
+  }
+});
+
+// Claim a pattern such as "qa-*" (or "*" for every unclaimed address) on a domain
+// Matching mail is delivered to tempEmailId; addresses that already exist keep their own inbox
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { domainId, pattern, tempEmailId } = req.body;
+
+    if (!domainId || !pattern || !tempEmailId) {
+      return res.status(400).json({ error: 'domainId, pattern and tempEmailId are required' });
+    }
+
+    const normalized = normalizeLocalPattern(pattern);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const domain = await getDomainWithOwner(domainId);
+    if (!domain) {
+      return res.status(400).json({ error: 'Invalid domain' });
+    }
+
+    const claimError = checkPatternClaim(req.user, domain, normalized.pattern);
+    if (claimError) {
+      return res.status(claimError.status).json({ error: claimError.error });
+    }
+
+    const [targets] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ? AND expires_at > NOW()',
+      [tempEmailId, req.user.id]
+    );
+    if (targets.length === 0) {
+      return res.status(404).json({ error: 'Target email not found' });
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM address_patterns WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (countResult[0].total >= MAX_PATTERNS_PER_USER) {
+      return res.status(400).json({ error: `You can claim at most ${MAX_PATTERNS_PER_USER} patterns` });
+    }
+
+    // Wildcard patterns on a domain must not overlap - each address routes to exactly one inbox
+    const [existing] = await pool.query(
+      'SELECT local_pattern FROM address_patterns WHERE domain_id = ?',
+      [domainId]
+    );
+    const conflict = existing.find(row =>
+      normalized.pattern === CATCH_ALL_PATTERN
+        ? row.local_pattern === CATCH_ALL_PATTERN
+        : row.local_pattern !== CATCH_ALL_PATTERN && patternsOverlap(row.local_pattern, normalized.pattern)
+    );
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Pattern overlaps an existing claim on this domain',
+        conflictsWith: `${conflict.local_pattern}@${domain.domain}`
+      });
+    }
+
+    const id = uuidv4();
+    await pool.query(
+      'INSERT INTO address_patterns (id, user_id, domain_id, local_pattern, temp_email_id) VALUES (?, ?, ?, ?, ?)',
+      [id, req.user.id, domainId, normalized.pattern, tempEmailId]
+    );
+
+    res.json({
+      id,
+      domain_id: domainId,
+      domain: domain.domain,
+      local_pattern: normalized.pattern,
+      pattern: `${normalized.pattern}@${domain.domain}`,
+      temp_email_id: tempEmailId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Pattern already claimed on this domain' });
+    }
+    console.error('Failed to create address pattern:', error);
+    res.status(500).json({ error: 'Failed to create address pattern' });
+  }
+});
+
+// Release a pattern
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM address_patterns WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Pattern not found' });
+    }
+
+    res.json({ message: 'Pattern deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete address pattern:', error);
+    res.status(500).json({ error: 'Failed to delete address pattern' });
+  }
+});
+
+export default router;
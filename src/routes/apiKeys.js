@@ -0,0 +1,109 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken, requireSessionToken } from '../middleware/auth.js';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_RATE_LIMIT,
+  MAX_API_KEY_RATE_LIMIT,
+  MAX_API_KEYS_PER_USER,
+  generateApiKey,
+  invalidateApiKeyCache
+} from '../services/apiKeyService.js';
+
+const router = express.Router();
+
+// Key management needs a login token - an API key cannot mint or revoke keys
+router.use(authenticateToken, requireSessionToken);
+
+// Columns that are safe to list (the key itself is only returned once, on create)
+const API_KEY_FIELDS = 'id, name, key_prefix, scope, rate_limit, expires_at, last_used_at, revoked_at, created_at';
+
+// List API keys for the current user
+router.get('/', async (req, res) => {
+  try {
+    const [keys] = await pool.query(
+      `SELECT ${API_KEY_FIELDS} FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json(keys);
+  } catch (error) {
+    console.error('Failed to fetch API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create an API key
+router.post('/', async (req, res) => {
+  try {
+    const { name, scope = 'read', expires_at, rate_limit } = req.body;
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+    }
+
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({ error: 'expires_at must be a future date' });
+      }
+    }
+
+    const rateLimit = rate_limit !== undefined ? parseInt(rate_limit) : DEFAULT_API_KEY_RATE_LIMIT;
+    if (isNaN(rateLimit) || rateLimit < 1 || rateLimit > MAX_API_KEY_RATE_LIMIT) {
+      return res.status(400).json({ error: `rate_limit must be between 1 and ${MAX_API_KEY_RATE_LIMIT} requests per hour` });
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+      [req.user.id]
+    );
+    if (countResult[0].total >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys` });
+    }
+
+    const id = uuidv4();
+    const { key, prefix, hash } = generateApiKey();
+
+    await pool.query(
+      'INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scope, rate_limit, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, req.user.id, name, prefix, hash, scope, rateLimit, expiresAt]
+    );
+
+    const [keys] = await pool.query(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = ?`, [id]);
+
+    // The plain key is never stored - this is the only time it is shown
+    res.json({ ...keys[0], key });
+  } catch (error) {
+    console.error('Failed to create API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    invalidateApiKeyCache();
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Failed to revoke API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
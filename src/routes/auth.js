@@ -3,12 +3,29 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
-import { authenticateToken, authenticateMasterPassword } from '../middleware/auth.js';
+import {
+  authenticateToken,
+  authenticateAnyToken,
+  authenticateMasterPassword,
+  requireSessionToken,
+  issueUrlTicket
+} from '../middleware/auth.js';
 import { mailTransporter } from '../index.js';
 import { getPasswordResetEmailTemplate } from '../templates/passwordReset.js';
+import { loadGuestSession, isValidGuestToken, getTempEmails } from '../guestSessionHandler.js';
+import { INBOX_PUSH_PATH } from '../services/inboxPushService.js';
 
 const router = express.Router();
 
+// Routes that can be opened with a URL ticket instead of an Authorization header
+const TICKET_PATHS = [
+  new RegExp(`^${INBOX_PUSH_PATH}$`),
+  /^\/emails\/[^/]+\/stream$/,
+  /^\/emails\/[^/]+\/received\/[^/]+\/html$/,
+  /^\/emails\/[^/]+\/export$/,
+  /^\/exports\/[^/]+\/download$/
+];
+
 // Register a new user
 router.post('/register', async (req, res) => {
   try {
@@ -93,13 +110,21 @@ router.post('/login', authenticateMasterPassword, async (req, res) => {
       { expiresIn: '6h' }  // Set to 6 hours
     );
 
+    // A guest token sent along can be claimed into this account with POST /guest/claim
+    const { guestToken } = req.body;
+    let guestSession;
+    if (typeof guestToken === 'string' && await loadGuestSession(guestToken).catch(() => false) && isValidGuestToken(guestToken)) {
+      guestSession = { claimable: true, addresses: getTempEmails(guestToken).length };
+    }
+
     res.json({
       token,
       user: {
         id: user.id,
         email: user.email,
         isAdmin: user.is_admin
-      }
+      },
+      guestSession
     });
   } catch (error) {
     console.error('Login error details:', error);
@@ -182,7 +207,7 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // Change password (when logged in)
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateToken, requireSessionToken, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -241,7 +266,7 @@ router.post('/change-password', authenticateToken, async (req, res) => {
 });
 
 // Change email (when logged in)
-router.post('/change-email', authenticateToken, async (req, res) => {
+router.post('/change-email', authenticateToken, requireSessionToken, async (req, res) => {
   try {
     const { currentPassword, newEmail } = req.body;
     const userId = req.user.id;
@@ -292,4 +317,16 @@ router.post('/change-email', authenticateToken, async (req, res) => {
   }
 });
 
+// Short-lived ticket for opening one URL without headers (inbox socket and stream, email HTML, downloads)
+// Body: { path } such as /emails/<id>/stream; use the result as ?ticket=
+router.post('/url-ticket', authenticateAnyToken, requireSessionToken, (req, res) => {
+  const { path } = req.body;
+
+  if (typeof path !== 'string' || !TICKET_PATHS.some(pattern => pattern.test(path))) {
+    return res.status(400).json({ error: 'path must be an inbox socket, stream, email HTML or export URL path' });
+  }
+
+  res.json(issueUrlTicket(req, path));
+});
+
 export default router;
@@ -2,6 +2,14 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
+import { clearUserCache } from '../guestSessionHandler.js';
+import {
+  MAX_DOMAINS_PER_USER,
+  normalizeDomainName,
+  generateVerificationToken,
+  getRequiredRecords,
+  verifyUserDomain
+} from '../services/customDomainService.js';
 
 const router = express.Router();
 
@@ -9,9 +17,12 @@ const router = express.Router();
 router.get('/public', async (req, res) => {
   try {
     // Remove authentication requirement for this route
-    const [domains] = await pool.query(
-      'SELECT * FROM domains ORDER BY created_at DESC'
-    );
+    // Private (user-owned) domains are never listed publicly
+    const [domains] = await pool.query(`
+      SELECT d.* FROM domains d
+      WHERE NOT EXISTS (SELECT 1 FROM user_domains ud WHERE ud.domain_id = d.id)
+      ORDER BY d.created_at DESC
+    `);
     res.json(domains);
   } catch (error) {
     console.error('Failed to fetch public domains:', error);
@@ -20,10 +31,17 @@ router.get('/public', async (req, res) => {
 });
 
 // Protected routes
+// Shared domains plus the user's own verified domains (admins see every domain)
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const [domains] = await pool.query('SELECT * FROM domains ORDER BY created_at DESC');
-    res.json(domains);
+    const [domains] = await pool.query(`
+      SELECT d.*, ud.user_id as owner_id, ud.status as verification_status, ud.id IS NOT NULL as is_private
+      FROM domains d
+      LEFT JOIN user_domains ud ON ud.domain_id = d.id
+      WHERE ? OR ud.id IS NULL OR (ud.user_id = ? AND ud.status = 'verified')
+      ORDER BY d.created_at DESC
+    `, [Boolean(req.user.isAdmin), req.user.id]);
+    res.json(domains.map(domain => ({ ...domain, is_private: Boolean(domain.is_private) })));
   } catch (error) {
     res.status(400).json({ error: 'Failed to fetch domains' });
   }
@@ -45,4 +63,159 @@ router.post('/add', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Shape a user domain for responses, including the records to publish
+function toUserDomainResponse(userDomain) {
+  return {
+    id: userDomain.id,
+    domain: userDomain.domain,
+    domain_id: userDomain.domain_id,
+    status: userDomain.status,
+    last_error: userDomain.last_error,
+    last_checked_at: userDomain.last_checked_at,
+    verified_at: userDomain.verified_at,
+    created_at: userDomain.created_at,
+    records: getRequiredRecords(userDomain)
+  };
+}
+
+// List the current user's private domains with verification status
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const [userDomains] = await pool.query(
+      'SELECT * FROM user_domains WHERE user_id = ? ORDER BY created_at DESC',
+      [req.user.id]
+    );
+
+    res.json(userDomains.map(toUserDomainResponse));
+  } catch (error) {
+    console.error('Failed to fetch user domains:', error);
+    res.status(500).json({ error: 'Failed to fetch domains' });
+  }
+});
+
+// Submit a private domain; the response lists the DNS records to publish
+router.post('/mine', authenticateToken, async (req, res) => {
+  try {
+    const normalized = normalizeDomainName(req.body.domain);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    // Shared domains and domains already verified by someone else can't be claimed
+    const [existing] = await pool.query('SELECT id FROM domains WHERE domain = ?', [normalized.domain]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Domain is already registered on this service' });
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM user_domains WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (countResult[0].total >= MAX_DOMAINS_PER_USER) {
+      return res.status(400).json({ error: `You can add at most ${MAX_DOMAINS_PER_USER} domains` });
+    }
+
+    const userDomain = {
+      id: uuidv4(),
+      domain: normalized.domain,
+      domain_id: null,
+      status: 'pending',
+      verification_token: generateVerificationToken(),
+      last_error: null,
+      last_checked_at: null,
+      verified_at: null,
+      created_at: new Date()
+    };
+
+    await pool.query(
+      'INSERT INTO user_domains (id, user_id, domain, verification_token) VALUES (?, ?, ?, ?)',
+      [userDomain.id, req.user.id, userDomain.domain, userDomain.verification_token]
+    );
+
+    res.status(201).json(toUserDomainResponse(userDomain));
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'You have already added this domain' });
+    }
+    console.error('Failed to add user domain:', error);
+    res.status(500).json({ error: 'Failed to add domain' });
+  }
+});
+
+// Check DNS now (first verification or re-verification)
+router.post('/mine/:id/verify', authenticateToken, async (req, res) => {
+  try {
+    const [userDomains] = await pool.query(
+      'SELECT * FROM user_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (userDomains.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const result = await verifyUserDomain(userDomains[0]);
+
+    res.json({
+      ...toUserDomainResponse(result),
+      check: { txt: result.check.txt, mx: result.check.mx, errors: result.check.errors }
+    });
+  } catch (error) {
+    console.error('Failed to verify user domain:', error);
+    res.status(500).json({ error: 'Failed to verify domain' });
+  }
+});
+
+// Remove a private domain; its temp emails and their messages go with it
+router.delete('/mine/:id', authenticateToken, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [userDomains] = await connection.query(
+      'SELECT * FROM user_domains WHERE id = ? AND user_id = ? FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+
+    if (userDomains.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domainId = userDomains[0].domain_id;
+    let owners = [];
+
+    await connection.query('DELETE FROM user_domains WHERE id = ?', [req.params.id]);
+    if (domainId) {
+      // temp_emails and received_emails are partitioned, so their foreign keys don't cascade
+      [owners] = await connection.query(
+        'SELECT DISTINCT user_id FROM temp_emails WHERE domain_id = ? AND user_id IS NOT NULL',
+        [domainId]
+      );
+      await connection.query(
+        'DELETE re FROM received_emails re JOIN temp_emails te ON re.temp_email_id = te.id WHERE te.domain_id = ?',
+        [domainId]
+      );
+      await connection.query('DELETE FROM temp_emails WHERE domain_id = ?', [domainId]);
+      await connection.query('DELETE FROM domains WHERE id = ?', [domainId]);
+    }
+
+    await connection.commit();
+
+    // Cached addresses would otherwise keep receiving mail for the removed domain
+    for (const { user_id: userId } of owners) {
+      clearUserCache(userId);
+    }
+
+    res.json({ message: 'Domain deleted successfully' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Failed to delete user domain:', error);
+    res.status(500).json({ error: 'Failed to delete domain' });
+  } finally {
+    connection.release();
+  }
+});
+
 export default router;
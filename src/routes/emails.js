@@ -1,16 +1,25 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken, authenticateAnyToken } from '../middleware/auth.js';
+import { authenticateToken, authenticateAnyToken, acceptUrlTicket } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
 import compression from 'compression';
 import { rateLimitMiddleware, verifyCaptcha, checkCaptchaRequired, rateLimitStore } from '../middleware/rateLimit.js';
 import nodemailer from 'nodemailer';
+import multer from 'multer';
 import { 
   getTempEmails, 
   getTempEmailById, 
   getInbox, 
   storeTempEmail, 
   isEmailAddressInUse,
+  getRawSource,
+  getAllReceivedEmails,
+  getGuestRules,
+  setGuestRules,
+  updateGuestEmailState,
+  updateCachedEmailState,
+  updateGuestTempEmail,
+  flushGuestSession,
   // New cache functions for registered users
   getCachedUserEmails,
   getCachedUserInbox,
@@ -18,12 +27,122 @@ import {
   cacheReceivedEmail,
   cacheAddedEmail,
   removeCachedEmail,
+  updateCachedTempEmail,
   clearUserCache,
   findRegisteredUserByEmail
 } from '../guestSessionHandler.js';
+import {
+  attachAttachmentMetadata,
+  getStoredAttachment,
+  getInlineAttachments,
+  sendAttachment,
+  withAttachmentMetadata
+} from '../services/attachmentService.js';
+import {
+  decompressRawSource,
+  extractRawHeaders,
+  getStoredRawSource,
+  sendRawSource
+} from '../services/rawEmailService.js';
+import { parseFolder, filterByFolder } from '../services/spamFilter.js';
+import { IMAGE_MODES, renderSafeHtml, wrapHtmlDocument } from '../services/htmlRenderService.js';
+import { canSubscribe, streamInboxEvents } from '../services/inboxPushService.js';
+import { extractVerificationData, hasVerificationData } from '../services/codeExtractor.js';
+import { canUseDomain } from '../services/customDomainService.js';
+import { resolveExpiryPolicy, getPolicyRole, resolveAddressExpiry, planRenewal } from '../services/expiryPolicyService.js';
+import {
+  getSendQuota,
+  parseMessageBody,
+  composeReply,
+  composeForward,
+  sendFromTempAddress,
+  getSentEmails
+} from '../services/outboundMailService.js';
+import { parseWaitOptions, matchesWaitFilter, waitForEmail } from '../services/inboxWaitService.js';
+import { getThreadKey, groupIntoThreads, getStoredThreads, getStoredThreadMessages } from '../services/threadService.js';
+import {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_FILES,
+  MAX_GUEST_IMPORT_FILE_SIZE,
+  MAX_GUEST_IMPORT_FILES,
+  IMPORT_UPLOAD_DIR,
+  extractMessages,
+  importMessages,
+  removeUploadedFiles
+} from '../services/importService.js';
+import {
+  parseExportFormat,
+  getExportFileInfo,
+  iterateStoredMessages,
+  listInMemoryMessages,
+  writeAddressExport
+} from '../services/exportService.js';
+import {
+  MAX_BULK_MARK,
+  parseStateUpdate,
+  updateStoredEmailState,
+  getUnreadCounts,
+  countUnread
+} from '../services/messageStateService.js';
+import {
+  MAX_RULES_PER_ADDRESS,
+  validateInboxRule,
+  getInboxRules,
+  createInboxRule,
+  updateInboxRule
+} from '../services/inboxRuleService.js';
+import { parseSearchOptions, searchUserEmails, searchInMemoryEmails } from '../services/searchService.js';
 
 const router = express.Router();
 
+// Mailbox uploads go to disk and are parsed one file at a time; guests get smaller limits
+const importUploads = {
+  user: multer({
+    dest: IMPORT_UPLOAD_DIR,
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: MAX_IMPORT_FILES }
+  }).array('files', MAX_IMPORT_FILES),
+  guest: multer({
+    dest: IMPORT_UPLOAD_DIR,
+    limits: { fileSize: MAX_GUEST_IMPORT_FILE_SIZE, files: MAX_GUEST_IMPORT_FILES }
+  }).array('files', MAX_GUEST_IMPORT_FILES)
+};
+
+// Search received emails across all of the user's temp addresses
+// Query: q, from, after, before, hasAttachment, tempEmailId, limit, cursor
+// Registered before /:id so "search" isn't taken for an email ID
+router.get('/search', authenticateAnyToken, async (req, res) => {
+  try {
+    const options = parseSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    if (req.user.isGuest) {
+      return res.json(searchInMemoryEmails(getAllReceivedEmails(req.guestToken), options));
+    }
+
+    res.json(await searchUserEmails(req.user.id, options));
+  } catch (error) {
+    console.error('Failed to search emails:', error);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
+// Remaining replies/forwards the user can send today
+// Registered before /:id so "send-quota" isn't taken for an email ID
+router.get('/send-quota', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Sign in to send email' });
+    }
+
+    res.json(await getSendQuota(req.user.id));
+  } catch (error) {
+    console.error('Failed to fetch send quota:', error);
+    res.status(500).json({ error: 'Failed to fetch send quota' });
+  }
+});
+
 // Get a specific temporary email
 router.get('/:id', authenticateAnyToken, async (req, res) => {
   try {
@@ -182,17 +301,78 @@ router.post('/admin/batch-bulk-send', async (req, res) => {
   }
 });
 
+// Check that the current guest or user owns a temp email
+async function ownsTempEmail(req, tempEmailId) {
+  return Boolean(await getOwnedTempEmail(req, tempEmailId));
+}
+
+// The caller's temp email (guest session or database), or null
+async function getOwnedTempEmail(req, tempEmailId) {
+  if (req.user.isGuest) {
+    return getTempEmailById(req.guestToken, tempEmailId);
+  }
+
+  const [owned] = await pool.query(
+    'SELECT id, email, domain_id, expires_at, created_at, renewal_count FROM temp_emails WHERE id = ? AND user_id = ?',
+    [tempEmailId, req.user.id]
+  );
+  return owned[0] || null;
+}
+
+// Conversations of a temp email, most recently active first, paginated by thread
+async function sendThreadedInbox(req, res, tempEmailId, folder) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+  const offset = (page - 1) * limit;
+
+  let threads;
+  let total;
+
+  if (req.user.isGuest) {
+    const all = groupIntoThreads(filterByFolder(getInbox(req.guestToken, tempEmailId), folder).map(withAttachmentMetadata));
+    threads = all.slice(offset, offset + limit);
+    total = all.length;
+  } else {
+    if (!await ownsTempEmail(req, tempEmailId)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    ({ threads, total } = await getStoredThreads(tempEmailId, {
+      isSpam: folder === 'all' ? null : folder === 'spam',
+      limit,
+      offset
+    }));
+  }
+
+  res.json({
+    data: threads,
+    metadata: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}
+
 // Get received emails for a specific temporary email with pagination
 router.get('/:id/received', authenticateAnyToken, async (req, res) => {
   try {
     const emailId = req.params.id;
+    // Optional folder filter: inbox (not spam), spam or all
+    const folder = parseFolder(req.query.folder);
+    
+    // ?view=threads groups messages by conversation
+    if (req.query.view === 'threads') {
+      return await sendThreadedInbox(req, res, emailId, folder);
+    }
     
     // Check if this is a guest user
     if (req.user.isGuest) {
-      const emails = getInbox(req.guestToken, emailId);
+      const emails = filterByFolder(getInbox(req.guestToken, emailId), folder);
       
-      // Sort by received_at in descending order
-      const sortedEmails = [...emails].sort((a, b) => 
+      // Sort by received_at in descending order (attachment content stays out of listings)
+      const sortedEmails = emails.map(withAttachmentMetadata).sort((a, b) => 
         new Date(b.received_at).getTime() - new Date(a.received_at).getTime()
       );
       
@@ -216,6 +396,8 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
     let cachedEmails = skipCache ? null : getCachedUserInbox(userId, emailId);
     
     if (cachedEmails && cachedEmails.length > 0) {
+      cachedEmails = filterByFolder(cachedEmails, folder);
+      
       // Get pagination parameters with defaults
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
@@ -245,13 +427,20 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
+    let folderClause = '';
+    const folderParams = [];
+    if (folder !== 'all') {
+      folderClause = 'AND re.is_spam = ?';
+      folderParams.push(folder === 'spam');
+    }
+
     // First get the total count
     const [countResult] = await pool.query(`
       SELECT COUNT(*) as total
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
-    `, [req.params.id, req.user.id]);
+      WHERE te.id = ? AND te.user_id = ? ${folderClause}
+    `, [req.params.id, req.user.id, ...folderParams]);
 
     const totalCount = countResult[0].total;
 
@@ -260,10 +449,12 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
       SELECT re.*, te.email as temp_email
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
+      WHERE te.id = ? AND te.user_id = ? ${folderClause}
       ORDER BY re.received_at DESC
       LIMIT ? OFFSET ?
-    `, [req.params.id, req.user.id, limit, offset]);
+    `, [req.params.id, req.user.id, ...folderParams, limit, offset]);
+
+    await attachAttachmentMetadata(emails);
 
     // Return the data with pagination metadata
     res.json({
@@ -290,11 +481,20 @@ router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRe
     if (!email || !domainId) {
       return res.status(400).json({ error: 'Email and domain are required' });
     }
+
+    // Private domains are reserved for their verified owner
+    if (!(await canUseDomain(domainId, email, req.user.isGuest ? null : req.user.id))) {
+      return res.status(403).json({ error: 'Domain is not available' });
+    }
     
-    // Set default expiration if not provided (60 days from now)
-    const defaultExpiry = new Date();
-    defaultExpiry.setDate(defaultExpiry.getDate() + 60);
-    const validExpiresAt = expiresAt || defaultExpiry.toISOString();
+    // Lifetime comes from the expiry policy of the domain and the caller's role
+    // (default lifetime when none is requested, requests past the maximum are shortened)
+    const policy = await resolveExpiryPolicy(domainId, getPolicyRole(req.user));
+    const expiry = resolveAddressExpiry(policy, expiresAt);
+    if (expiry.error) {
+      return res.status(400).json({ error: expiry.error });
+    }
+    const validExpiresAt = expiry.expiresAt.toISOString();
     
     // Format date for MySQL (convert ISO string to MySQL datetime format)
     const formatDate = (dateString) => {
@@ -313,7 +513,7 @@ router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRe
     const mysqlExpiresAt = formatDate(validExpiresAt);
     
     // Smart check if email is in use (minimizes DB load)
-    const isInUse = await isEmailAddressInUse(email);
+    const isInUse = await isEmailAddressInUse(email, req.user.isGuest ? null : req.user.id);
     if (isInUse) {
       // Generate a suggestion for an alternative email
       const localPart = email.split('@')[0];
@@ -340,7 +540,8 @@ router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRe
         email,
         domain_id: domainId,
         expires_at: validExpiresAt, // Keep ISO format for in-memory storage
-        created_at: new Date().toISOString()
+        created_at: new Date().toISOString(),
+        renewal_count: 0
       };
       
       // Store in guest session
@@ -349,6 +550,7 @@ router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRe
       if (!emailId) {
         return res.status(500).json({ error: 'Failed to create temporary email' });
       }
+      await flushGuestSession(req.guestToken);
       
       res.json(emailData);
       return;
@@ -449,6 +651,61 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Extend a temp email within its expiry policy
+// Body: { days } (optional, defaults to the policy's renewal period)
+router.post('/:id/extend', authenticateAnyToken, async (req, res) => {
+  try {
+    const address = await getOwnedTempEmail(req, req.params.id);
+    if (!address) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const policy = await resolveExpiryPolicy(address.domain_id, getPolicyRole(req.user));
+    const days = req.body?.days === undefined ? undefined : Number(req.body.days);
+    const renewal = planRenewal(policy, address, days);
+
+    if (renewal.error) {
+      return res.status(renewal.status).json({
+        error: renewal.error,
+        renewalsRemaining: renewal.renewalsRemaining,
+        maxExpiresAt: renewal.maxExpiresAt
+      });
+    }
+
+    const changes = { expires_at: renewal.expiresAt.toISOString(), renewal_count: renewal.renewalCount };
+
+    if (req.user.isGuest) {
+      updateGuestTempEmail(req.guestToken, address.id, changes);
+      await flushGuestSession(req.guestToken);
+    } else {
+      // Matching the renewal count keeps two concurrent renewals from counting as one
+      const [result] = await pool.query(
+        'UPDATE temp_emails SET expires_at = ?, renewal_count = ? WHERE id = ? AND user_id = ? AND renewal_count = ?',
+        [renewal.expiresAt, renewal.renewalCount, address.id, req.user.id, Number(address.renewal_count) || 0]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(409).json({ error: 'Email was renewed at the same time, please try again' });
+      }
+
+      updateCachedTempEmail(req.user.id, address.id, { expires_at: renewal.expiresAt, renewal_count: renewal.renewalCount });
+    }
+
+    res.json({
+      id: address.id,
+      email: address.email,
+      expires_at: changes.expires_at,
+      renewal_count: renewal.renewalCount,
+      renewalsRemaining: renewal.renewalsRemaining,
+      maxExpiresAt: renewal.maxExpiresAt.toISOString(),
+      policy: policy.name
+    });
+  } catch (error) {
+    console.error('Failed to extend email:', error);
+    res.status(500).json({ error: 'Failed to extend email' });
+  }
+});
+
 // Get user emails with pagination
 router.get('/', authenticateAnyToken, async (req, res) => {
   try {
@@ -472,8 +729,11 @@ router.get('/', authenticateAnyToken, async (req, res) => {
       const limit = parseInt(req.query.limit) || 10;
       const offset = (page - 1) * limit;
       
-      // Paginate the results
-      const paginatedEmails = filteredEmails.slice(offset, offset + limit);
+      // Paginate the results (with unread counts from the in-memory inboxes)
+      const paginatedEmails = filteredEmails.slice(offset, offset + limit).map(email => ({
+        ...email,
+        unread_count: countUnread(getInbox(req.guestToken, email.id))
+      }));
       
       // Return the data with pagination metadata
       res.json({
@@ -482,7 +742,8 @@ router.get('/', authenticateAnyToken, async (req, res) => {
           total: filteredEmails.length,
           page: page,
           limit: limit,
-          pages: Math.ceil(filteredEmails.length / limit)
+          pages: Math.ceil(filteredEmails.length / limit),
+          unread: emails.reduce((sum, email) => sum + countUnread(getInbox(req.guestToken, email.id)), 0)
         }
       });
       return;
@@ -541,15 +802,17 @@ router.get('/', authenticateAnyToken, async (req, res) => {
       dataParams.push(limit, offset);
       
       const [paginatedEmails] = await pool.query(dataQuery, dataParams);
+      const unreadCounts = await getUnreadCounts(allEmails.map(email => email.id));
       
       // Return the data with pagination metadata
       res.json({
-        data: paginatedEmails,
+        data: paginatedEmails.map(email => ({ ...email, unread_count: unreadCounts.get(email.id) || 0 })),
         metadata: {
           total: totalCount,
           page: page,
           limit: limit,
           pages: Math.ceil(totalCount / limit),
+          unread: Array.from(unreadCounts.values()).reduce((sum, count) => sum + count, 0),
           cached: false
         }
       });
@@ -577,14 +840,18 @@ router.get('/', authenticateAnyToken, async (req, res) => {
     // Paginate the results
     const paginatedEmails = filteredEmails.slice(offset, offset + limit);
     
+    // Unread counts always come from the database - cached inboxes may be partial
+    const unreadCounts = await getUnreadCounts(cachedEmails.map(email => email.id));
+    
     // Return the data with pagination metadata
     res.json({
-      data: paginatedEmails,
+      data: paginatedEmails.map(email => ({ ...email, unread_count: unreadCounts.get(email.id) || 0 })),
       metadata: {
         total: filteredEmails.length,
         page: page,
         limit: limit,
         pages: Math.ceil(filteredEmails.length / limit),
+        unread: Array.from(unreadCounts.values()).reduce((sum, count) => sum + count, 0),
         cached: true
       }
     });
@@ -594,6 +861,640 @@ router.get('/', authenticateAnyToken, async (req, res) => {
   }
 });
 
+// Get the most recent verification code / magic link received by a temp email
+// Optional ?since=<ISO date> ignores older messages
+router.get('/:id/latest-code', authenticateAnyToken, async (req, res) => {
+  try {
+    const emailId = req.params.id;
+    const since = req.query.since ? new Date(req.query.since) : null;
+
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'Invalid since date' });
+    }
+
+    let candidates;
+
+    if (req.user.isGuest) {
+      if (!getTempEmailById(req.guestToken, emailId)) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      candidates = getInbox(req.guestToken, emailId)
+        .filter(email => !since || new Date(email.received_at) > since)
+        .sort((a, b) => new Date(b.received_at).getTime() - new Date(a.received_at).getTime());
+    } else {
+      const [owned] = await pool.query(
+        'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+        [emailId, req.user.id]
+      );
+      if (owned.length === 0) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const [rows] = await pool.query(`
+        SELECT id, from_email, from_name, subject, body_text, body_html, verification, received_at
+        FROM received_emails
+        WHERE temp_email_id = ? ${since ? 'AND received_at > ?' : ''}
+        ORDER BY received_at DESC
+        LIMIT 20
+      `, since ? [emailId, since] : [emailId]);
+      candidates = rows;
+    }
+
+    for (const email of candidates) {
+      // Messages stored before extraction existed are scanned on demand
+      const verification = email.verification || extractVerificationData(email);
+
+      if (hasVerificationData(verification)) {
+        return res.json({
+          emailId: email.id,
+          from_email: email.from_email,
+          from_name: email.from_name,
+          subject: email.subject,
+          received_at: email.received_at,
+          ...verification
+        });
+      }
+    }
+
+    res.status(404).json({ error: 'No verification code found' });
+  } catch (error) {
+    console.error('Failed to fetch latest code:', error);
+    res.status(500).json({ error: 'Failed to fetch latest code' });
+  }
+});
+
+// Wait for the next matching email (long-poll for test automation)
+// Query: since (ISO date or ms timestamp, default now), timeout (seconds, default 60), from, subjectContains
+// Responds with { data: email } as soon as one arrives, or 204 when the timeout passes
+router.get('/:id/received/wait', authenticateAnyToken, async (req, res) => {
+  try {
+    const emailId = req.params.id;
+
+    const options = parseWaitOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    if (req.user.isGuest) {
+      if (!getTempEmailById(req.guestToken, emailId)) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      await waitForEmail(req, res, emailId, options, async () =>
+        getInbox(req.guestToken, emailId)
+          .filter(email => matchesWaitFilter(email, options))
+          .sort((a, b) => new Date(a.received_at).getTime() - new Date(b.received_at).getTime())[0] || null
+      );
+      return;
+    }
+
+    const [owned] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [emailId, req.user.id]
+    );
+    if (owned.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    // One lookup for mail that arrived before the wait started, then the inbound path wakes us
+    await waitForEmail(req, res, emailId, options, async () => {
+      const [emails] = await pool.query(`
+        SELECT *
+        FROM received_emails
+        WHERE temp_email_id = ? AND received_at > ?
+        ORDER BY received_at ASC
+        LIMIT 50
+      `, [emailId, options.since]);
+
+      const match = emails.find(email => matchesWaitFilter(email, options));
+      if (!match) return null;
+
+      await attachAttachmentMetadata([match]);
+      return match;
+    });
+  } catch (error) {
+    console.error('Failed to wait for email:', error);
+    res.status(500).json({ error: 'Failed to wait for email' });
+  }
+});
+
+// Stream new_email events for a temp email (Server-Sent Events fallback for the /inbox-ws socket)
+// EventSource cannot set headers, so the stream can be opened with a ?ticket= (POST /auth/url-ticket)
+router.get('/:id/stream', acceptUrlTicket(authenticateAnyToken), async (req, res) => {
+  try {
+    if (!(await canSubscribe(req.user, req.guestToken, req.params.id))) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    streamInboxEvents(req, res, req.params.id);
+  } catch (error) {
+    console.error('Failed to open inbox stream:', error);
+    res.status(500).json({ error: 'Failed to open inbox stream' });
+  }
+});
+
+// Download an attachment of a received email
+router.get('/:tempEmailId/received/:emailId/attachments/:attachmentId', authenticateAnyToken, async (req, res) => {
+  try {
+    const { tempEmailId, emailId, attachmentId } = req.params;
+    
+    // Guest attachments live in the in-memory inbox
+    if (req.user.isGuest) {
+      const receivedEmail = getInbox(req.guestToken, tempEmailId).find(email => email.id === emailId);
+      const attachment = receivedEmail?.attachments?.find(att => att.id === attachmentId);
+      
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      
+      return sendAttachment(res, attachment);
+    }
+    
+    const attachment = await getStoredAttachment(req.user.id, tempEmailId, emailId, attachmentId);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Failed to download attachment:', error);
+    res.status(400).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Load the raw source of a received email for a guest or registered user
+async function loadRawSource(req) {
+  const { tempEmailId, emailId } = req.params;
+  
+  if (req.user.isGuest) {
+    const rawSource = getRawSource(req.guestToken, tempEmailId, emailId);
+    return rawSource ? decompressRawSource(rawSource.compressed) : null;
+  }
+  
+  return getStoredRawSource(req.user.id, tempEmailId, emailId);
+}
+
+// Download the original message source (.eml) of a received email
+router.get('/:tempEmailId/received/:emailId/raw', authenticateAnyToken, async (req, res) => {
+  try {
+    const rawSource = await loadRawSource(req);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    sendRawSource(res, rawSource, req.params.emailId);
+  } catch (error) {
+    console.error('Failed to fetch raw email:', error);
+    res.status(400).json({ error: 'Failed to fetch raw email' });
+  }
+});
+
+// Get the original headers of a received email
+router.get('/:tempEmailId/received/:emailId/headers', authenticateAnyToken, async (req, res) => {
+  try {
+    const rawSource = await loadRawSource(req);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    res.json({
+      emailId: req.params.emailId,
+      headers: extractRawHeaders(rawSource)
+    });
+  } catch (error) {
+    console.error('Failed to fetch email headers:', error);
+    res.status(400).json({ error: 'Failed to fetch email headers' });
+  }
+});
+
+// Sanitized view of a received email's body: tracking pixels removed, remote images proxied
+// or blocked, cid: images inlined and links sent through a warning page
+// Query: images=proxy (default) or block, format=json (default) or document (for an iframe)
+router.get('/:tempEmailId/received/:emailId/html', acceptUrlTicket(authenticateAnyToken), async (req, res) => {
+  try {
+    const { tempEmailId, emailId } = req.params;
+    const images = req.query.images || 'proxy';
+    
+    if (!IMAGE_MODES.includes(images)) {
+      return res.status(400).json({ error: `images must be one of: ${IMAGE_MODES.join(', ')}` });
+    }
+    
+    let email;
+    if (req.user.isGuest) {
+      // Guest attachments (with content) live in the in-memory inbox
+      email = getInbox(req.guestToken, tempEmailId).find(item => item.id === emailId);
+    } else {
+      const [rows] = await pool.query(`
+        SELECT re.id, re.body_html, re.body_text
+        FROM received_emails re
+        JOIN temp_emails te ON re.temp_email_id = te.id
+        WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+      `, [emailId, tempEmailId, req.user.id]);
+      
+      if (rows.length > 0) {
+        email = { ...rows[0], attachments: await getInlineAttachments(emailId) };
+      }
+    }
+    
+    if (!email) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+    
+    const rendered = renderSafeHtml(email, { images });
+    
+    if (req.query.format === 'document') {
+      res.setHeader('Cache-Control', 'private, no-store');
+      // Nothing in the document may run or load anything but the proxied and inline images
+      const proxyOrigin = process.env.API_URL ? new URL(process.env.API_URL).origin : '';
+      res.setHeader('Content-Security-Policy', `default-src 'none'; img-src 'self' ${proxyOrigin} data:; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'`);
+      return res.type('html').send(wrapHtmlDocument(rendered.html));
+    }
+    
+    res.json({ emailId, images, ...rendered });
+  } catch (error) {
+    console.error('Failed to render email:', error);
+    res.status(500).json({ error: 'Failed to render email' });
+  }
+});
+
+// Load a received email and its temp address for sending (registered users only)
+async function loadOwnedReceivedEmail(req) {
+  const [rows] = await pool.query(`
+    SELECT re.*, te.email as temp_email
+    FROM received_emails re
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE re.id = ? AND te.id = ? AND te.user_id = ? AND te.expires_at > NOW()
+  `, [req.params.emailId, req.params.tempEmailId, req.user.id]);
+
+  if (rows.length === 0) return null;
+
+  const original = rows[0];
+  return {
+    original,
+    tempEmail: { id: original.temp_email_id, email: original.temp_email }
+  };
+}
+
+// Reply to or forward a received email from the temp address it was sent to
+async function sendFromReceivedEmail(req, res, kind) {
+  if (req.user.isGuest) {
+    return res.status(403).json({ error: 'Sign in to send email' });
+  }
+
+  const message = parseMessageBody(req.body, kind === 'reply');
+  if (message.error) {
+    return res.status(400).json({ error: message.error });
+  }
+
+  const to = kind === 'forward' ? String(req.body.to || '').trim() : null;
+  if (kind === 'forward' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+    return res.status(400).json({ error: 'A valid "to" address is required' });
+  }
+
+  const owned = await loadOwnedReceivedEmail(req);
+  if (!owned) {
+    return res.status(404).json({ error: 'Received email not found' });
+  }
+
+  const { original, tempEmail } = owned;
+  const composed = kind === 'reply'
+    ? composeReply(original, message)
+    : composeForward(original, tempEmail.email, message);
+
+  const result = await sendFromTempAddress({
+    userId: req.user.id,
+    tempEmail,
+    original,
+    kind,
+    to: kind === 'reply' ? original.from_email : to,
+    composed
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({ error: result.error, quota: result.quota });
+  }
+
+  res.status(201).json({ data: result.sentEmail, quota: result.quota });
+}
+
+// Reply to the sender of a received email
+router.post('/:tempEmailId/received/:emailId/reply', authenticateToken, async (req, res) => {
+  try {
+    await sendFromReceivedEmail(req, res, 'reply');
+  } catch (error) {
+    console.error('Failed to send reply:', error);
+    res.status(502).json({ error: 'Failed to send reply' });
+  }
+});
+
+// Forward a received email (with its attachments) to another address
+router.post('/:tempEmailId/received/:emailId/forward', authenticateToken, async (req, res) => {
+  try {
+    await sendFromReceivedEmail(req, res, 'forward');
+  } catch (error) {
+    console.error('Failed to forward email:', error);
+    res.status(502).json({ error: 'Failed to forward email' });
+  }
+});
+
+// The conversation of a received email: its received messages and the replies and forwards
+// sent from them, oldest first
+router.get('/:tempEmailId/received/:emailId/thread', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Sign in to send email' });
+    }
+
+    const owned = await loadOwnedReceivedEmail(req);
+    if (!owned) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    const received = await attachAttachmentMetadata(await getStoredThreadMessages(owned.original));
+    const receivedIds = new Set(received.map(email => email.id));
+    const sent = (await getSentEmails(owned.tempEmail.id))
+      .filter(item => receivedIds.has(item.original_email_id));
+
+    const timeOf = item => new Date(item.direction === 'sent' ? item.created_at : item.received_at).getTime();
+    const data = [
+      ...received.map(email => ({ ...email, direction: 'received' })),
+      ...sent.map(item => ({ ...item, direction: 'sent' }))
+    ].sort((a, b) => timeOf(a) - timeOf(b));
+
+    res.json({ thread_id: getThreadKey(owned.original), data });
+  } catch (error) {
+    console.error('Failed to fetch email thread:', error);
+    res.status(500).json({ error: 'Failed to fetch email thread' });
+  }
+});
+
+// Download every received email of a temp address (with attachments)
+// Query: format=mbox (default), eml-zip or json
+router.get('/:id/export', acceptUrlTicket(authenticateAnyToken), async (req, res) => {
+  const format = parseExportFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: 'format must be mbox, eml-zip or json' });
+  }
+
+  try {
+    let address;
+    let messages;
+
+    if (req.user.isGuest) {
+      const tempEmail = getTempEmailById(req.guestToken, req.params.id);
+      if (!tempEmail) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      address = tempEmail.email;
+      messages = listInMemoryMessages(
+        getInbox(req.guestToken, req.params.id),
+        emailId => getRawSource(req.guestToken, req.params.id, emailId)
+      );
+    } else {
+      const [tempEmails] = await pool.query(
+        'SELECT id, email FROM temp_emails WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (tempEmails.length === 0) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      address = tempEmails[0].email;
+      messages = iterateStoredMessages(req.params.id);
+    }
+
+    const { filename, contentType } = getExportFileInfo(address, format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    await writeAddressExport({ address, format, messages, output: res });
+    res.end();
+  } catch (error) {
+    console.error('Failed to export emails:', error);
+    // Once streaming has started the only thing left is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export emails' });
+  }
+});
+
+// Import historical mail: multipart upload of .mbox and/or .eml files in the "files" field
+// Messages already in the inbox (same Message-ID) are skipped; the response is an import report
+router.post('/:id/import', authenticateAnyToken, async (req, res, next) => {
+  // Ownership is settled before a single byte of the upload is accepted
+  try {
+    req.importAddress = await getOwnedTempEmail(req, req.params.id);
+  } catch (error) {
+    console.error('Failed to import emails:', error);
+    return res.status(500).json({ error: 'Failed to import emails' });
+  }
+
+  if (!req.importAddress) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  next();
+}, (req, res) => {
+  const upload = req.user.isGuest ? importUploads.guest : importUploads.user;
+
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError instanceof multer.MulterError ? uploadError.message : 'Upload failed';
+      return res.status(400).json({ error: message });
+    }
+
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'Upload at least one .mbox or .eml file' });
+      }
+
+      const address = req.importAddress;
+      const policy = await resolveExpiryPolicy(address.domain_id, getPolicyRole(req.user));
+      const report = await importMessages({
+        target: { guestToken: req.user.isGuest ? req.guestToken : null, tempEmailId: req.params.id },
+        messages: extractMessages(req.files),
+        retentionDays: policy.message_retention_days
+      });
+
+      // Imported mail is older than what's cached; the next listing reloads from the database
+      if (req.user.isGuest) {
+        await flushGuestSession(req.guestToken);
+      } else if (report.imported > 0) {
+        clearUserCache(req.user.id);
+      }
+
+      res.status(report.imported > 0 ? 201 : 200).json(report);
+    } catch (error) {
+      console.error('Failed to import emails:', error);
+      res.status(500).json({ error: 'Failed to import emails' });
+    } finally {
+      removeUploadedFiles(req.files);
+    }
+  });
+});
+
+// Sent items of a temp email
+router.get('/:id/sent', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    res.json({ data: await getSentEmails(req.params.id) });
+  } catch (error) {
+    console.error('Failed to fetch sent emails:', error);
+    res.status(500).json({ error: 'Failed to fetch sent emails' });
+  }
+});
+
+// Inbox rules of a temp email, in evaluation order
+router.get('/:id/rules', authenticateAnyToken, async (req, res) => {
+  try {
+    if (!await ownsTempEmail(req, req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const rules = await getInboxRules({
+      guestToken: req.user.isGuest ? req.guestToken : null,
+      tempEmailId: req.params.id
+    });
+
+    res.json({ data: rules });
+  } catch (error) {
+    console.error('Failed to fetch inbox rules:', error);
+    res.status(500).json({ error: 'Failed to fetch inbox rules' });
+  }
+});
+
+// Add a rule: { name, conditions: { from, subject, hasAttachment, minSpamScore },
+// actions: { tag, star, markRead, expireAfterHours, delete }, is_active, position }
+router.post('/:id/rules', authenticateAnyToken, async (req, res) => {
+  try {
+    if (!await ownsTempEmail(req, req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const { rule, error } = validateInboxRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.user.isGuest) {
+      const rules = getGuestRules(req.guestToken, req.params.id);
+      if (rules.length >= MAX_RULES_PER_ADDRESS) {
+        return res.status(400).json({ error: `You can create at most ${MAX_RULES_PER_ADDRESS} rules per address` });
+      }
+
+      const now = new Date().toISOString();
+      const created = { id: uuidv4(), temp_email_id: req.params.id, ...rule, created_at: now, updated_at: now };
+      const updated = [...rules];
+      updated.splice(rule.position ?? rules.length, 0, created);
+      setGuestRules(req.guestToken, req.params.id, updated.map((item, position) => ({ ...item, position })));
+      await flushGuestSession(req.guestToken);
+
+      return res.status(201).json(getGuestRules(req.guestToken, req.params.id).find(item => item.id === created.id));
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM inbox_rules WHERE temp_email_id = ?',
+      [req.params.id]
+    );
+    if (countResult[0].total >= MAX_RULES_PER_ADDRESS) {
+      return res.status(400).json({ error: `You can create at most ${MAX_RULES_PER_ADDRESS} rules per address` });
+    }
+
+    res.status(201).json(await createInboxRule(req.user.id, req.params.id, rule));
+  } catch (error) {
+    console.error('Failed to create inbox rule:', error);
+    res.status(500).json({ error: 'Failed to create inbox rule' });
+  }
+});
+
+// Replace a rule (same body as POST)
+router.put('/:id/rules/:ruleId', authenticateAnyToken, async (req, res) => {
+  try {
+    if (!await ownsTempEmail(req, req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const { rule, error } = validateInboxRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.user.isGuest) {
+      const rules = getGuestRules(req.guestToken, req.params.id);
+      const existing = rules.find(item => item.id === req.params.ruleId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Inbox rule not found' });
+      }
+
+      const updatedRule = { ...existing, ...rule, position: existing.position, updated_at: new Date().toISOString() };
+      const updated = rules.filter(item => item.id !== existing.id);
+      updated.splice(rule.position ?? existing.position, 0, updatedRule);
+      setGuestRules(req.guestToken, req.params.id, updated.map((item, position) => ({ ...item, position })));
+      await flushGuestSession(req.guestToken);
+
+      return res.json(getGuestRules(req.guestToken, req.params.id).find(item => item.id === existing.id));
+    }
+
+    const updatedRule = await updateInboxRule(req.params.id, req.params.ruleId, rule);
+    if (!updatedRule) {
+      return res.status(404).json({ error: 'Inbox rule not found' });
+    }
+
+    res.json(updatedRule);
+  } catch (error) {
+    console.error('Failed to update inbox rule:', error);
+    res.status(500).json({ error: 'Failed to update inbox rule' });
+  }
+});
+
+// Delete a rule
+router.delete('/:id/rules/:ruleId', authenticateAnyToken, async (req, res) => {
+  try {
+    if (!await ownsTempEmail(req, req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    if (req.user.isGuest) {
+      const rules = getGuestRules(req.guestToken, req.params.id);
+      if (!rules.some(item => item.id === req.params.ruleId)) {
+        return res.status(404).json({ error: 'Inbox rule not found' });
+      }
+
+      setGuestRules(req.guestToken, req.params.id, rules.filter(item => item.id !== req.params.ruleId));
+      await flushGuestSession(req.guestToken);
+      return res.json({ message: 'Inbox rule deleted successfully' });
+    }
+
+    const [result] = await pool.query(
+      'DELETE FROM inbox_rules WHERE id = ? AND temp_email_id = ?',
+      [req.params.ruleId, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Inbox rule not found' });
+    }
+
+    res.json({ message: 'Inbox rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete inbox rule:', error);
+    res.status(500).json({ error: 'Failed to delete inbox rule' });
+  }
+});
+
 // Delete a received email
 router.delete('/:tempEmailId/received/:emailId', authenticateToken, async (req, res) => {
   try {
@@ -659,6 +1560,84 @@ router.post('/:tempEmailId/received/bulk/delete', authenticateToken, async (req,
   }
 });
 
+// Apply a read/star/label change to received emails of a temp email (guest inbox or database + cache)
+async function updateEmailState(req, tempEmailId, emailIds, update) {
+  if (req.user.isGuest) {
+    const updated = updateGuestEmailState(req.guestToken, tempEmailId, emailIds, update);
+    await flushGuestSession(req.guestToken);
+    return updated.map(({ id, is_read, is_starred, labels }) => ({ id, is_read, is_starred, labels }));
+  }
+
+  const updated = await updateStoredEmailState(tempEmailId, emailIds, update);
+  updateCachedEmailState(req.user.id, tempEmailId, updated);
+  return updated;
+}
+
+// Bulk mark received emails: { emailIds, is_read, is_starred, labels | addLabels, removeLabels }
+router.post('/:tempEmailId/received/bulk/mark', authenticateAnyToken, async (req, res) => {
+  const { emailIds } = req.body;
+
+  if (!emailIds || !Array.isArray(emailIds) || emailIds.length === 0 || emailIds.length > MAX_BULK_MARK) {
+    return res.status(400).json({ error: 'Invalid email IDs' });
+  }
+
+  const { update, error } = parseStateUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!await ownsTempEmail(req, req.params.tempEmailId)) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const updated = await updateEmailState(req, req.params.tempEmailId, emailIds, update);
+
+    res.json({
+      message: 'Emails updated successfully',
+      count: updated.length,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Failed to update received emails:', error);
+    res.status(500).json({ error: 'Failed to update received emails' });
+  }
+});
+
+// Mark a single received email read/unread, starred or relabelled
+router.patch('/:tempEmailId/received/:emailId', authenticateAnyToken, async (req, res) => {
+  const { update, error } = parseStateUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!await ownsTempEmail(req, req.params.tempEmailId)) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const [updated] = await updateEmailState(req, req.params.tempEmailId, [req.params.emailId], update);
+    if (!updated) {
+      // Either the message doesn't exist or the label limit was reached
+      const exists = req.user.isGuest
+        ? getInbox(req.guestToken, req.params.tempEmailId).some(email => email.id === req.params.emailId)
+        : (await pool.query(
+          'SELECT id FROM received_emails WHERE id = ? AND temp_email_id = ?',
+          [req.params.emailId, req.params.tempEmailId]
+        ))[0].length > 0;
+
+      return exists
+        ? res.status(400).json({ error: 'Too many labels on this email' })
+        : res.status(404).json({ error: 'Received email not found' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Failed to update received email:', error);
+    res.status(500).json({ error: 'Failed to update received email' });
+  }
+});
+
 // Get public emails (no auth required)
 router.get('/public/:email', async (req, res) => {
   try {
@@ -683,6 +1662,11 @@ router.post('/public/create', rateLimitMiddleware, checkCaptchaRequired, verifyC
   try {
     const { email, domainId } = req.body;
     const id = uuidv4();
+
+    // Private domains are reserved for their verified owner
+    if (!(await canUseDomain(domainId, email, null))) {
+      return res.status(403).json({ error: 'Domain is not available' });
+    }
     
     // Add CAPTCHA information to response if required
     if (res.locals.captchaRequired && !req.body.captchaResponse) {
@@ -694,9 +1678,10 @@ router.post('/public/create', rateLimitMiddleware, checkCaptchaRequired, verifyC
       });
     }
     
-    // Set expiry date to 48 hours from now
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 48);
+    // Set expiry date to 48 hours from now, within the guest policy of the domain
+    const requestedExpiry = new Date();
+    requestedExpiry.setHours(requestedExpiry.getHours() + 48);
+    const { expiresAt } = resolveAddressExpiry(await resolveExpiryPolicy(domainId, 'guest'), requestedExpiry.toISOString());
     
     // If CAPTCHA was provided and successfully verified, reset rate limit counter
     const clientIp = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
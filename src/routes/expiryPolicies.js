@@ -0,0 +1,130 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken, authenticateAnyToken, requireAdmin } from '../middleware/auth.js';
+import {
+  validateExpiryPolicy,
+  invalidateExpiryPolicies,
+  resolveExpiryPolicy,
+  getPolicyRole
+} from '../services/expiryPolicyService.js';
+
+const router = express.Router();
+
+// Policy fields as stored (empty domain/role = any, empty max_renewals = unlimited)
+function toPolicyRow(policy) {
+  return [
+    policy.name,
+    policy.domain_id || null,
+    policy.role || null,
+    parseInt(policy.default_lifetime_days),
+    parseInt(policy.max_lifetime_days),
+    parseInt(policy.message_retention_days),
+    policy.max_renewals === null || policy.max_renewals === undefined || policy.max_renewals === '' ? null : parseInt(policy.max_renewals),
+    parseInt(policy.renewal_days)
+  ];
+}
+
+// Policy that applies to the caller's new addresses on a domain
+router.get('/current', authenticateAnyToken, async (req, res) => {
+  try {
+    if (!req.query.domainId) {
+      return res.status(400).json({ error: 'domainId is required' });
+    }
+
+    res.json(await resolveExpiryPolicy(req.query.domainId, getPolicyRole(req.user)));
+  } catch (error) {
+    console.error('Failed to resolve expiry policy:', error);
+    res.status(500).json({ error: 'Failed to resolve expiry policy' });
+  }
+});
+
+// List all expiry policies (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [policies] = await pool.query('SELECT * FROM expiry_policies ORDER BY created_at DESC');
+    res.json(policies);
+  } catch (error) {
+    console.error('Failed to fetch expiry policies:', error);
+    res.status(500).json({ error: 'Failed to fetch expiry policies' });
+  }
+});
+
+// Create an expiry policy (admin only)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateExpiryPolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const id = uuidv4();
+
+    await pool.query(
+      `INSERT INTO expiry_policies
+        (id, name, domain_id, role, default_lifetime_days, max_lifetime_days, message_retention_days, max_renewals, renewal_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, ...toPolicyRow(req.body), req.user.id]
+    );
+
+    invalidateExpiryPolicies();
+
+    const [policies] = await pool.query('SELECT * FROM expiry_policies WHERE id = ?', [id]);
+    res.json(policies[0]);
+  } catch (error) {
+    console.error('Failed to create expiry policy:', error);
+    res.status(500).json({ error: 'Failed to create expiry policy' });
+  }
+});
+
+// Update an expiry policy (admin only)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [existing] = await pool.query('SELECT * FROM expiry_policies WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Expiry policy not found' });
+    }
+
+    // Validate the policy as it will look after the update
+    const policy = { ...existing[0], ...req.body };
+    const validationError = validateExpiryPolicy(policy);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await pool.query(
+      `UPDATE expiry_policies SET
+        name = ?, domain_id = ?, role = ?, default_lifetime_days = ?, max_lifetime_days = ?,
+        message_retention_days = ?, max_renewals = ?, renewal_days = ?
+       WHERE id = ?`,
+      [...toPolicyRow(policy), req.params.id]
+    );
+
+    invalidateExpiryPolicies();
+
+    const [policies] = await pool.query('SELECT * FROM expiry_policies WHERE id = ?', [req.params.id]);
+    res.json(policies[0]);
+  } catch (error) {
+    console.error('Failed to update expiry policy:', error);
+    res.status(500).json({ error: 'Failed to update expiry policy' });
+  }
+});
+
+// Delete an expiry policy (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.query('DELETE FROM expiry_policies WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Expiry policy not found' });
+    }
+
+    invalidateExpiryPolicies();
+
+    res.json({ message: 'Expiry policy deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete expiry policy:', error);
+    res.status(500).json({ error: 'Failed to delete expiry policy' });
+  }
+});
+
+export default router;
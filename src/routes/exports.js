@@ -0,0 +1,122 @@
+import express from 'express';
+import fs from 'fs';
+import { authenticateToken, acceptUrlTicket } from '../middleware/auth.js';
+import {
+  parseExportFormat,
+  createAccountExport,
+  getAccountExports,
+  getAccountExport,
+  findDownloadableExport,
+  deleteAccountExport
+} from '../services/exportService.js';
+
+const router = express.Router();
+
+// Stream a finished export file
+function sendExportFile(res, job) {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Length', job.size);
+  res.setHeader('Content-Disposition', `attachment; filename="export-${job.id}.zip"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  fs.createReadStream(job.file_path)
+    .on('error', error => {
+      console.error('Failed to read export file:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+// Download a finished export from its link (no login needed - the link carries a token)
+router.get('/:id/download', async (req, res, next) => {
+  if (!req.query.token) return next();
+
+  try {
+    const job = await findDownloadableExport(req.params.id, req.query.token);
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+
+    sendExportFile(res, job);
+  } catch (error) {
+    console.error('Failed to download export:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+// Download a finished export as its owner (for when the link was lost)
+router.get('/:id/download', acceptUrlTicket(authenticateToken), async (req, res) => {
+  try {
+    const job = await findDownloadableExport(req.params.id, null, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+
+    sendExportFile(res, job);
+  } catch (error) {
+    console.error('Failed to download export:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+// List the user's exports
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getAccountExports(req.user.id));
+  } catch (error) {
+    console.error('Failed to fetch exports:', error);
+    res.status(500).json({ error: 'Failed to fetch exports' });
+  }
+});
+
+// Start an export of every temp address on the account: { format: mbox | eml-zip | json }
+// The response carries the download link; poll GET /exports/:id until status is ready
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const format = parseExportFormat(req.body.format);
+    if (!format) {
+      return res.status(400).json({ error: 'format must be mbox, eml-zip or json' });
+    }
+
+    const result = await createAccountExport(req.user.id, format);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    res.status(202).json(result.job);
+  } catch (error) {
+    console.error('Failed to start export:', error);
+    res.status(500).json({ error: 'Failed to start export' });
+  }
+});
+
+// Status of an export
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getAccountExport(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Failed to fetch export:', error);
+    res.status(500).json({ error: 'Failed to fetch export' });
+  }
+});
+
+// Delete an export and its file
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!await deleteAccountExport(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ message: 'Export deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete export:', error);
+    res.status(500).json({ error: 'Failed to delete export' });
+  }
+});
+
+export default router;
@@ -0,0 +1,293 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  MAX_FORWARDING_RULES_PER_USER,
+  validateDestination,
+  requestDestinationConfirmation,
+  confirmDestination
+} from '../services/forwardingService.js';
+
+const router = express.Router();
+
+// Destination columns that are safe to list (never the token hash)
+const DESTINATION_FIELDS = 'id, email, verified_at, confirmation_sent_at, created_at';
+
+const RULE_FIELDS = `fr.id, fr.temp_email_id, te.email as temp_email, fr.destination_id, fd.email as destination,
+  fr.from_filter, fr.subject_filter, fr.is_active, fr.failure_count, fr.disabled_at, fr.last_forwarded_at, fr.created_at`;
+
+const MAX_FILTER_LENGTH = 255;
+
+// Load a rule owned by the current user
+async function findUserRule(userId, ruleId) {
+  const [rules] = await pool.query(`
+    SELECT ${RULE_FIELDS}
+    FROM forwarding_rules fr
+    JOIN forwarding_destinations fd ON fr.destination_id = fd.id
+    JOIN temp_emails te ON fr.temp_email_id = te.id
+    WHERE fr.id = ? AND fr.user_id = ?
+  `, [ruleId, userId]);
+  return rules.length > 0 ? rules[0] : null;
+}
+
+// Empty filters are stored as NULL (match everything)
+function parseFilter(value) {
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'string' || value.length > MAX_FILTER_LENGTH) {
+    return { error: `Filters must be strings of at most ${MAX_FILTER_LENGTH} characters` };
+  }
+  return { value: value.trim() || null };
+}
+
+// Confirm a destination from the link in the confirmation email (no login needed)
+router.post('/confirm', async (req, res) => {
+  try {
+    const destination = await confirmDestination(req.body.token);
+    if (!destination) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    res.json({ message: 'Forwarding address confirmed', email: destination.email });
+  } catch (error) {
+    console.error('Failed to confirm forwarding destination:', error);
+    res.status(500).json({ error: 'Failed to confirm forwarding address' });
+  }
+});
+
+// List the user's forwarding destinations
+router.get('/destinations', authenticateToken, async (req, res) => {
+  try {
+    const [destinations] = await pool.query(
+      `SELECT ${DESTINATION_FIELDS} FROM forwarding_destinations WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json(destinations);
+  } catch (error) {
+    console.error('Failed to fetch forwarding destinations:', error);
+    res.status(500).json({ error: 'Failed to fetch forwarding destinations' });
+  }
+});
+
+// Add a destination and email it a confirmation link (calling again resends the link)
+router.post('/destinations', authenticateToken, async (req, res) => {
+  try {
+    const validated = await validateDestination(req.body.email);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    const result = await requestDestinationConfirmation(req.user.id, validated.email);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    const { id, email, verified_at, confirmation_sent_at, created_at } = result.destination;
+    res.status(verified_at ? 200 : 201).json({ id, email, verified_at, confirmation_sent_at, created_at });
+  } catch (error) {
+    console.error('Failed to add forwarding destination:', error);
+    res.status(500).json({ error: 'Failed to send confirmation email' });
+  }
+});
+
+// Remove a destination (its rules go with it)
+router.delete('/destinations/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM forwarding_destinations WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+
+    res.json({ message: 'Destination deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete forwarding destination:', error);
+    res.status(500).json({ error: 'Failed to delete forwarding destination' });
+  }
+});
+
+// List forwarding rules, optionally for one temp email
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    const params = [req.user.id];
+    let tempEmailClause = '';
+    if (req.query.temp_email_id) {
+      tempEmailClause = 'AND fr.temp_email_id = ?';
+      params.push(req.query.temp_email_id);
+    }
+
+    const [rules] = await pool.query(`
+      SELECT ${RULE_FIELDS}
+      FROM forwarding_rules fr
+      JOIN forwarding_destinations fd ON fr.destination_id = fd.id
+      JOIN temp_emails te ON fr.temp_email_id = te.id
+      WHERE fr.user_id = ? ${tempEmailClause}
+      ORDER BY fr.created_at DESC
+    `, params);
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Failed to fetch forwarding rules:', error);
+    res.status(500).json({ error: 'Failed to fetch forwarding rules' });
+  }
+});
+
+// Forward mail from a temp email to a verified destination, optionally filtered by sender/subject
+router.post('/rules', authenticateToken, async (req, res) => {
+  try {
+    const { temp_email_id, destination_id } = req.body;
+
+    if (!temp_email_id || !destination_id) {
+      return res.status(400).json({ error: 'temp_email_id and destination_id are required' });
+    }
+
+    const fromFilter = parseFilter(req.body.from_filter);
+    const subjectFilter = parseFilter(req.body.subject_filter);
+    if (fromFilter.error || subjectFilter.error) {
+      return res.status(400).json({ error: fromFilter.error || subjectFilter.error });
+    }
+
+    const [emails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [temp_email_id, req.user.id]
+    );
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const [destinations] = await pool.query(
+      'SELECT verified_at FROM forwarding_destinations WHERE id = ? AND user_id = ?',
+      [destination_id, req.user.id]
+    );
+    if (destinations.length === 0) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+    if (!destinations[0].verified_at) {
+      return res.status(400).json({ error: 'Destination has not been confirmed yet' });
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM forwarding_rules WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (countResult[0].total >= MAX_FORWARDING_RULES_PER_USER) {
+      return res.status(400).json({ error: `You can create at most ${MAX_FORWARDING_RULES_PER_USER} forwarding rules` });
+    }
+
+    const id = uuidv4();
+    await pool.query(
+      `INSERT INTO forwarding_rules (id, user_id, temp_email_id, destination_id, from_filter, subject_filter)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, req.user.id, temp_email_id, destination_id, fromFilter.value, subjectFilter.value]
+    );
+
+    res.status(201).json(await findUserRule(req.user.id, id));
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'This email already forwards to that destination' });
+    }
+    console.error('Failed to create forwarding rule:', error);
+    res.status(500).json({ error: 'Failed to create forwarding rule' });
+  }
+});
+
+// Change filters or enable/disable a rule
+// Re-enabling resets the failure counter
+router.patch('/rules/:id', authenticateToken, async (req, res) => {
+  try {
+    const rule = await findUserRule(req.user.id, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Forwarding rule not found' });
+    }
+
+    const { is_active } = req.body;
+
+    for (const field of ['from_filter', 'subject_filter']) {
+      if (req.body[field] === undefined) continue;
+
+      const filter = parseFilter(req.body[field]);
+      if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+      }
+      await pool.query(`UPDATE forwarding_rules SET ${field} = ? WHERE id = ?`, [filter.value, rule.id]);
+    }
+
+    if (is_active === true) {
+      await pool.query(
+        'UPDATE forwarding_rules SET is_active = TRUE, failure_count = 0, disabled_at = NULL WHERE id = ?',
+        [rule.id]
+      );
+    } else if (is_active === false) {
+      await pool.query('UPDATE forwarding_rules SET is_active = FALSE WHERE id = ?', [rule.id]);
+    }
+
+    res.json(await findUserRule(req.user.id, rule.id));
+  } catch (error) {
+    console.error('Failed to update forwarding rule:', error);
+    res.status(500).json({ error: 'Failed to update forwarding rule' });
+  }
+});
+
+// Forwarding attempts for a rule with pagination
+router.get('/rules/:id/log', authenticateToken, async (req, res) => {
+  try {
+    const rule = await findUserRule(req.user.id, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Forwarding rule not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM email_notifications WHERE forwarding_rule_id = ?',
+      [rule.id]
+    );
+
+    const [attempts] = await pool.query(`
+      SELECT id, received_email_id, sent_to, subject, status, error_message, sent_at, created_at
+      FROM email_notifications
+      WHERE forwarding_rule_id = ?
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `, [rule.id, limit, offset]);
+
+    res.json({
+      data: attempts,
+      metadata: {
+        total: countResult[0].total,
+        page,
+        limit,
+        pages: Math.ceil(countResult[0].total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch forwarding log:', error);
+    res.status(500).json({ error: 'Failed to fetch forwarding log' });
+  }
+});
+
+// Delete a rule
+router.delete('/rules/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM forwarding_rules WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Forwarding rule not found' });
+    }
+
+    res.json({ message: 'Forwarding rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete forwarding rule:', error);
+    res.status(500).json({ error: 'Failed to delete forwarding rule' });
+  }
+});
+
+export default router;
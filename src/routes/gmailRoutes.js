@@ -10,8 +10,13 @@ import {
   rotateUserAlias,
   getGmailAccountStats,
   getEmailCacheStats,
-  initializeImapService
+  initializeImapService,
+  getGmailRawSource
 } from '../services/gmailImapService.js';
+import { extractRawHeaders, sendRawSource } from '../services/rawEmailService.js';
+import { parseEmailContent } from '../services/inboundEmailService.js';
+import { prepareAttachments } from '../services/attachmentService.js';
+import { IMAGE_MODES, renderSafeHtml } from '../services/htmlRenderService.js';
 
 const router = express.Router();
 
@@ -81,6 +86,79 @@ router.get('/:alias/emails', async (req, res) => {
   }
 });
 
+// Download the original source (.eml) of an alias email
+router.get('/:alias/emails/:emailId/raw', async (req, res) => {
+  try {
+    const { alias, emailId } = req.params;
+    const rawSource = getGmailRawSource(alias, emailId);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    sendRawSource(res, rawSource, encodeURIComponent(emailId.replace(/[<>]/g, '')));
+  } catch (error) {
+    console.error('Failed to fetch raw email:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to fetch raw email',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Get the original headers of an alias email
+router.get('/:alias/emails/:emailId/headers', async (req, res) => {
+  try {
+    const { alias, emailId } = req.params;
+    const rawSource = getGmailRawSource(alias, emailId);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    res.json({ emailId, headers: extractRawHeaders(rawSource) });
+  } catch (error) {
+    console.error('Failed to fetch email headers:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to fetch email headers',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Sanitized view of an alias email's body (see GET /emails/:tempEmailId/received/:emailId/html)
+router.get('/:alias/emails/:emailId/html', async (req, res) => {
+  try {
+    const { alias, emailId } = req.params;
+    const images = req.query.images || 'proxy';
+    
+    if (!IMAGE_MODES.includes(images)) {
+      return res.status(400).json({ error: `images must be one of: ${IMAGE_MODES.join(', ')}` });
+    }
+    
+    // Inline images aren't kept with cached alias emails, so the body is re-read from the source
+    const rawSource = getGmailRawSource(alias, emailId);
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Email not available' });
+    }
+    
+    const parsed = await parseEmailContent(rawSource);
+    const rendered = renderSafeHtml({
+      body_html: parsed.html,
+      body_text: parsed.text,
+      attachments: prepareAttachments(parsed.attachments).attachments
+    }, { images });
+    
+    res.json({ emailId, images, ...rendered });
+  } catch (error) {
+    console.error('Failed to render email:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to render email',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
 // Rotate to a new Gmail alias
 router.post('/rotate', async (req, res) => {
   try {
@@ -3,23 +3,32 @@ import { v4 as uuidv4 } from 'uuid';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { pool } from '../db/init.js';
-import { authenticateGuestToken, authenticateAnyToken } from '../middleware/auth.js';
+import { authenticateGuestToken, authenticateAnyToken, authenticateToken, requireSessionToken } from '../middleware/auth.js';
 import { 
   generateGuestJWT, 
   getTempEmails, 
   getTempEmailById,
   storeTempEmail, 
   getInbox, 
-  storeReceivedEmail,
   migrateGuestSessionToUser,
+  claimGuestSessionForUser,
+  previewGuestMigration,
   deleteGuestSession,
   isEmailAddressInUse,
-  isValidGuestToken
+  isValidGuestToken,
+  getRawSource,
+  getAllReceivedEmails,
+  deleteGuestTempEmail,
+  loadGuestSession,
+  flushGuestSession
 } from '../guestSessionHandler.js';
-
-// Import these directly from the file since they're not exported
-// This requires modifying guestSessionHandler.js to export these
-import { guestSessions, emailToGuestMap } from '../guestSessionHandler.js';
+import { withAttachmentMetadata } from '../services/attachmentService.js';
+import { decompressRawSource, extractRawHeaders, sendRawSource } from '../services/rawEmailService.js';
+import { parseFolder, filterByFolder } from '../services/spamFilter.js';
+import { parseWaitOptions, matchesWaitFilter, waitForEmail } from '../services/inboxWaitService.js';
+import { parseSearchOptions, searchInMemoryEmails } from '../services/searchService.js';
+import { canUseDomain } from '../services/customDomainService.js';
+import { resolveExpiryPolicy, resolveAddressExpiry } from '../services/expiryPolicyService.js';
 
 const router = express.Router();
 
@@ -28,6 +37,7 @@ router.post('/init', async (req, res) => {
   try {
     // Generate a guest JWT token
     const token = generateGuestJWT();
+    await flushGuestSession(token);
     
     res.json({ 
       token,
@@ -90,9 +100,14 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
   try {
     const { email, domain_id, expires_at } = req.body;
     
-    if (!email || !domain_id || !expires_at) {
+    if (!email || !domain_id) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+
+    // Private domains are reserved for their verified owner
+    if (!(await canUseDomain(domain_id, email, null))) {
+      return res.status(403).json({ error: 'Domain is not available' });
+    }
     
     // Only check for uniqueness with the smart approach that minimizes DB load
     const isInUse = await isEmailAddressInUse(email);
@@ -103,29 +118,19 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
       });
     }
     
-    // Format the date for MySQL format (useful if we need it later)
-    // But we'll store the original ISO format in memory since it's easier to work with
-    const formatDate = (dateString) => {
-      try {
-        const date = new Date(dateString);
-        // MySQL TIMESTAMP format: YYYY-MM-DD HH:MM:SS
-        return date.toISOString().slice(0, 19).replace('T', ' ');
-      } catch (error) {
-        console.error('Error formatting date:', error);
-        const now = new Date();
-        return now.toISOString().slice(0, 19).replace('T', ' ');
-      }
-    };
-    
-    // Keep date validation but don't convert yet since guest emails are stored in memory
-    const mysqlExpiresAt = formatDate(expires_at);
+    // The guest policy of the domain decides the lifetime (requests past its maximum are shortened)
+    const expiry = resolveAddressExpiry(await resolveExpiryPolicy(domain_id, 'guest'), expires_at);
+    if (expiry.error) {
+      return res.status(400).json({ error: expiry.error });
+    }
     
     const emailData = {
       id: uuidv4(),
       email,
       domain_id,
-      expires_at, // Store original ISO format for frontend and in-memory storage
-      created_at: new Date().toISOString()
+      expires_at: expiry.expiresAt.toISOString(), // ISO format for frontend and in-memory storage
+      created_at: new Date().toISOString(),
+      renewal_count: 0
     };
     
     const emailId = storeTempEmail(req.guestToken, emailData);
@@ -133,6 +138,7 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
     if (!emailId) {
       return res.status(500).json({ error: 'Failed to store temporary email' });
     }
+    await flushGuestSession(req.guestToken);
     
     res.json(emailData);
   } catch (error) {
@@ -144,11 +150,29 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
   }
 });
 
+// Search received emails across all temp emails of the guest session
+// Query: q, from, after, before, hasAttachment, tempEmailId, limit, cursor
+router.get('/search', authenticateGuestToken, async (req, res) => {
+  try {
+    const options = parseSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    res.json(searchInMemoryEmails(getAllReceivedEmails(req.guestToken), options));
+  } catch (error) {
+    console.error('Guest search error:', error);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
 // Get inbox for a temp email
 router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   try {
     const emailId = req.params.id;
-    const emails = getInbox(req.guestToken, emailId);
+    // Attachment content is downloaded separately via /emails/:id/received/:emailId/attachments/:attachmentId
+    const folder = parseFolder(req.query.folder);
+    const emails = filterByFolder(getInbox(req.guestToken, emailId), folder).map(withAttachmentMetadata);
     
     res.json({
       data: emails,
@@ -168,16 +192,123 @@ router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   }
 });
 
+// Wait for the next matching email (long-poll for test automation)
+// Query: since, timeout (seconds), from, subjectContains
+router.get('/emails/:id/received/wait', authenticateGuestToken, async (req, res) => {
+  try {
+    const emailId = req.params.id;
+    
+    if (!getTempEmailById(req.guestToken, emailId)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const options = parseWaitOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    await waitForEmail(req, res, emailId, options, async () => 
+      getInbox(req.guestToken, emailId)
+        .filter(email => matchesWaitFilter(email, options))
+        .sort((a, b) => new Date(a.received_at).getTime() - new Date(b.received_at).getTime())[0] || null
+    );
+  } catch (error) {
+    console.error('Guest wait for email error:', error);
+    res.status(500).json({ error: 'Failed to wait for email' });
+  }
+});
+
+// Download the original message source (.eml) of a received email
+router.get('/emails/:id/received/:emailId/raw', authenticateGuestToken, async (req, res) => {
+  try {
+    const rawSource = getRawSource(req.guestToken, req.params.id, req.params.emailId);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    sendRawSource(res, decompressRawSource(rawSource.compressed), req.params.emailId);
+  } catch (error) {
+    console.error('Get guest raw email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve raw email',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get the original headers of a received email
+router.get('/emails/:id/received/:emailId/headers', authenticateGuestToken, async (req, res) => {
+  try {
+    const rawSource = getRawSource(req.guestToken, req.params.id, req.params.emailId);
+    
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Raw message not available' });
+    }
+    
+    res.json({
+      emailId: req.params.emailId,
+      headers: extractRawHeaders(decompressRawSource(rawSource.compressed))
+    });
+  } catch (error) {
+    console.error('Get guest email headers error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve email headers',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Resolutions chosen by the client: { [tempEmailId]: { action: 'migrate'|'rename'|'skip', email } }
+function isValidResolutions(resolutions) {
+  return resolutions === undefined ||
+    (resolutions !== null && typeof resolutions === 'object' && !Array.isArray(resolutions) &&
+      Object.values(resolutions).every(value => value && typeof value === 'object'));
+}
+
+// Preview saving the inbox: what would happen to each address (migrate/rename/skip), nothing is changed
+router.post('/save-inbox/preview', authenticateGuestToken, async (req, res) => {
+  try {
+    const { resolutions } = req.body;
+    
+    if (!isValidResolutions(resolutions)) {
+      return res.status(400).json({ error: 'resolutions must map temp email IDs to { action, email }' });
+    }
+    
+    const preview = await previewGuestMigration(req.guestToken, resolutions);
+    if (!preview.success) {
+      return res.status(404).json({ error: preview.error });
+    }
+    
+    res.json({
+      plan: preview.plan,
+      summary: preview.summary,
+      errors: preview.errors
+    });
+  } catch (error) {
+    console.error('Save inbox preview error:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview saving the inbox',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Save inbox (register user and migrate data)
+// Optional resolutions (see /save-inbox/preview) decide what happens to conflicting addresses
 router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, resolutions } = req.body;
     
     // Validate input
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    if (!isValidResolutions(resolutions)) {
+      return res.status(400).json({ error: 'resolutions must map temp email IDs to { action, email }' });
+    }
+    
     // Check if email is already registered
     const [existingUsers] = await pool.query(
       'SELECT * FROM users WHERE email = ?',
@@ -185,7 +316,8 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
     );
     
     if (existingUsers.length > 0) {
-      return res.status(409).json({ error: 'Email already registered' });
+      // Returning users log in and claim the session instead (POST /guest/claim)
+      return res.status(409).json({ error: 'Email already registered', canClaim: true });
     }
     
     // Create a new user ID
@@ -196,9 +328,20 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
       req.guestToken,
       userId,
       email,
-      password
+      password,
+      resolutions
     );
     
+    // A chosen resolution no longer works (e.g. the new name was taken meanwhile); nothing was saved
+    if (!migrationResult.success && migrationResult.errors) {
+      return res.status(409).json({
+        error: migrationResult.error,
+        plan: migrationResult.plan,
+        summary: migrationResult.summary,
+        errors: migrationResult.errors
+      });
+    }
+    
     if (!migrationResult.success) {
       return res.status(500).json({ 
         error: 'Failed to migrate guest session',
@@ -221,7 +364,9 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
         totalEmails: migrationResult.results.totalEmails,
         migratedEmails: migrationResult.results.migratedEmails,
         renamedEmails: migrationResult.results.renamedEmails,
-        skippedEmails: migrationResult.results.skippedEmails
+        skippedEmails: migrationResult.results.skippedEmails,
+        migratedMessages: migrationResult.results.migratedMessages,
+        addresses: migrationResult.results.details
       }
     });
   } catch (error) {
@@ -233,43 +378,104 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
   }
 });
 
-// Endpoint to add a received email to a temp email inbox
-// This would typically be called by your mail server
-router.post('/receive-email/:emailId', async (req, res) => {
+// Check the guest token a logged-in user wants to claim (sent in the body as guestToken)
+async function getClaimableGuestToken(req) {
+  const { guestToken } = req.body;
+  if (typeof guestToken !== 'string' || !guestToken) return null;
+
+  try {
+    const decoded = jwt.verify(guestToken, process.env.JWT_SECRET);
+    if (decoded.isGuest !== true) return null;
+  } catch (error) {
+    return null;
+  }
+
+  return (await loadGuestSession(guestToken)) && isValidGuestToken(guestToken) ? guestToken : null;
+}
+
+// Preview claiming a guest session into the logged-in account (same plan as /save-inbox/preview)
+router.post('/claim/preview', authenticateToken, requireSessionToken, async (req, res) => {
   try {
-    const { guestToken, from_email, from_name, subject, body_html, body_text } = req.body;
-    const emailId = req.params.emailId;
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Log in to claim a guest session' });
+    }
     
-    if (!guestToken || !from_email || !emailId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { resolutions } = req.body;
+    if (!isValidResolutions(resolutions)) {
+      return res.status(400).json({ error: 'resolutions must map temp email IDs to { action, email }' });
     }
     
-    // Verify this is a valid guest token
-    if (!isValidGuestToken(guestToken)) {
-      return res.status(403).json({ error: 'Invalid guest token' });
+    const guestToken = await getClaimableGuestToken(req);
+    if (!guestToken) {
+      return res.status(404).json({ error: 'Guest session not found or expired' });
     }
     
-    const emailData = {
-      id: uuidv4(),
-      from_email,
-      from_name: from_name || '',
-      subject: subject || '',
-      body_html: body_html || '',
-      body_text: body_text || '',
-      received_at: new Date().toISOString()
-    };
+    const preview = await previewGuestMigration(guestToken, resolutions);
+    res.json({
+      plan: preview.plan,
+      summary: preview.summary,
+      errors: preview.errors
+    });
+  } catch (error) {
+    console.error('Claim guest session preview error:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview claiming the guest session',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Move a guest session's addresses and inbox into the logged-in account
+// Body: { guestToken, resolutions } - the guest token stops working once claimed
+router.post('/claim', authenticateToken, requireSessionToken, async (req, res) => {
+  try {
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Log in to claim a guest session' });
+    }
     
-    const success = storeReceivedEmail(guestToken, emailId, emailData);
+    const { resolutions } = req.body;
+    if (!isValidResolutions(resolutions)) {
+      return res.status(400).json({ error: 'resolutions must map temp email IDs to { action, email }' });
+    }
     
-    if (!success) {
-      return res.status(500).json({ error: 'Failed to store received email' });
+    const guestToken = await getClaimableGuestToken(req);
+    if (!guestToken) {
+      return res.status(404).json({ error: 'Guest session not found or expired' });
     }
     
-    res.json({ success: true, message: 'Email received successfully' });
+    const result = await claimGuestSessionForUser(guestToken, req.user.id, req.user.email, resolutions);
+    
+    if (!result.success && result.errors) {
+      return res.status(409).json({
+        error: result.error,
+        plan: result.plan,
+        summary: result.summary,
+        errors: result.errors
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(500).json({ 
+        error: 'Failed to claim guest session',
+        details: result.error
+      });
+    }
+    
+    res.json({
+      message: 'Guest session added to your account',
+      migrationDetails: {
+        totalEmails: result.results.totalEmails,
+        migratedEmails: result.results.migratedEmails,
+        renamedEmails: result.results.renamedEmails,
+        skippedEmails: result.results.skippedEmails,
+        migratedMessages: result.results.migratedMessages,
+        addresses: result.results.details
+      }
+    });
   } catch (error) {
-    console.error('Receive email error:', error);
+    console.error('Claim guest session error:', error);
     res.status(500).json({ 
-      error: 'Failed to process received email',
+      error: 'Failed to claim guest session',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -285,21 +491,8 @@ router.delete('/emails/delete/:id', authenticateGuestToken, async (req, res) =>
       return res.status(404).json({ error: 'Email not found' });
     }
     
-    // Get the guest session from the token
-    const session = guestSessions.get(req.guestToken);
-    if (!session) {
-      return res.status(404).json({ error: 'Guest session not found' });
-    }
-    
-    // Get the email data to remove from lookup map
-    const emailData = session.emails.get(emailId);
-    if (emailData) {
-      emailToGuestMap.delete(emailData.email);
-    }
-    
-    // Remove the email and its inbox
-    session.emails.delete(emailId);
-    session.inbox.delete(emailId);
+    deleteGuestTempEmail(req.guestToken, emailId);
+    await flushGuestSession(req.guestToken);
     
     res.json({ message: 'Email deleted successfully' });
   } catch (error) {
@@ -0,0 +1,51 @@
+import express from 'express';
+import { authenticateRelay, captureRawBody } from '../middleware/relayAuth.js';
+import { ingestEmail, MAX_INGEST_SIZE } from '../services/ingestService.js';
+
+const router = express.Router();
+
+/**
+ * Service-to-service mail ingest
+ * Relays post { recipient, sender, raw, encoding } where raw is the full RFC 822 message
+ * (encoding 'base64' for binary-safe transport). Mail is routed by recipient address to a
+ * guest session, a cached registered user or the database, exactly like SMTP delivery.
+ */
+router.post('/email', express.json({ limit: MAX_INGEST_SIZE, verify: captureRawBody }), authenticateRelay, async (req, res) => {
+  const { recipient, sender, raw, encoding } = req.body || {};
+
+  if (!recipient || typeof recipient !== 'string' || typeof raw !== 'string' || !raw) {
+    return res.status(400).json({ success: false, error: 'recipient and raw are required' });
+  }
+  if (encoding && !['base64', 'utf8'].includes(encoding)) {
+    return res.status(400).json({ success: false, error: 'encoding must be base64 or utf8' });
+  }
+
+  try {
+    const result = await ingestEmail({
+      endpoint: '/ingest/email',
+      auth: req.relayAuth,
+      rawContent: encoding === 'base64' ? Buffer.from(raw, 'base64') : raw,
+      sender,
+      recipient,
+      clientIp: req.ip
+    });
+
+    if (result.replay) {
+      return res.status(409).json(result);
+    }
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to ingest email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process incoming email',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import {
+  verifyUrlSignature,
+  buildRedirectPage,
+  fetchProxiedImage
+} from '../services/htmlRenderService.js';
+
+const router = express.Router();
+
+// No login on these routes: browsers load them from rendered emails, so the URL carries a signature instead
+
+// Serve a remote image from an email without exposing the reader's IP or cookies to the sender
+router.get('/image', async (req, res) => {
+  const { url, sig } = req.query;
+
+  if (!verifyUrlSignature(url, sig)) {
+    return res.status(403).json({ error: 'Invalid image link' });
+  }
+
+  try {
+    const image = await fetchProxiedImage(url);
+
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Content-Length', image.content.length);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'");
+    res.end(image.content);
+  } catch (error) {
+    console.error('Failed to proxy image:', error.message);
+    res.status(502).json({ error: 'Failed to load image' });
+  }
+});
+
+// Warn before following a link from an email; ?format=json lets the app show its own warning
+router.get('/redirect', (req, res) => {
+  const { url, sig } = req.query;
+
+  if (!verifyUrlSignature(url, sig)) {
+    return res.status(403).json({ error: 'Invalid link' });
+  }
+
+  try {
+    const { hostname } = new URL(url);
+
+    if (req.query.format === 'json') {
+      return res.json({ url, host: hostname });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.type('html').send(buildRedirectPage(url));
+  } catch (error) {
+    console.error('Failed to show link warning:', error);
+    res.status(400).json({ error: 'Invalid link' });
+  }
+});
+
+export default router;
@@ -752,7 +752,8 @@ router.get('/migration-stats', async (req, res) => {
       `SELECT 
         SUM(emails_migrated) as total_migrated,
         SUM(emails_renamed) as total_renamed,
-        SUM(emails_skipped) as total_skipped
+        SUM(emails_skipped) as total_skipped,
+        SUM(messages_migrated) as total_messages
       FROM user_migrations
       WHERE success = TRUE`
     );
@@ -821,6 +822,9 @@ router.get('/recent-migrations', async (req, res) => {
         emails_migrated, 
         emails_renamed, 
         emails_skipped,
+        messages_migrated,
+        address_mapping,
+        migration_type,
         client_ip,
         country,
         success,
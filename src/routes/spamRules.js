@@ -0,0 +1,123 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { SPAM_RULE_TYPES, invalidateSpamRules } from '../services/spamFilter.js';
+
+const router = express.Router();
+
+// Validate a rule body, returns an error message or null
+function validateRule({ name, rule_type, pattern, score }) {
+  if (!name || !rule_type || !pattern) {
+    return 'name, rule_type and pattern are required';
+  }
+
+  if (!SPAM_RULE_TYPES.includes(rule_type)) {
+    return `rule_type must be one of: ${SPAM_RULE_TYPES.join(', ')}`;
+  }
+
+  if (pattern.length > 512) {
+    return 'pattern must be at most 512 characters';
+  }
+
+  if (score !== undefined && isNaN(parseFloat(score))) {
+    return 'score must be a number';
+  }
+
+  // URL rules are domain names, everything else is a regular expression
+  if (rule_type !== 'url') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+// List all spam rules (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [rules] = await pool.query('SELECT * FROM spam_rules ORDER BY created_at DESC');
+    res.json(rules);
+  } catch (error) {
+    console.error('Failed to fetch spam rules:', error);
+    res.status(500).json({ error: 'Failed to fetch spam rules' });
+  }
+});
+
+// Create a spam rule (admin only)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, rule_type, pattern, score, is_active } = req.body;
+    const id = uuidv4();
+
+    await pool.query(
+      'INSERT INTO spam_rules (id, name, rule_type, pattern, score, is_active, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, name, rule_type, pattern, score !== undefined ? parseFloat(score) : 1, is_active !== false, req.user.id]
+    );
+
+    invalidateSpamRules();
+
+    const [rules] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [id]);
+    res.json(rules[0]);
+  } catch (error) {
+    console.error('Failed to create spam rule:', error);
+    res.status(500).json({ error: 'Failed to create spam rule' });
+  }
+});
+
+// Update a spam rule (admin only)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [existing] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Spam rule not found' });
+    }
+
+    // Validate the rule as it will look after the update
+    const rule = { ...existing[0], ...req.body };
+    const validationError = validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await pool.query(
+      'UPDATE spam_rules SET name = ?, rule_type = ?, pattern = ?, score = ?, is_active = ? WHERE id = ?',
+      [rule.name, rule.rule_type, rule.pattern, parseFloat(rule.score), Boolean(rule.is_active), req.params.id]
+    );
+
+    invalidateSpamRules();
+
+    const [rules] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [req.params.id]);
+    res.json(rules[0]);
+  } catch (error) {
+    console.error('Failed to update spam rule:', error);
+    res.status(500).json({ error: 'Failed to update spam rule' });
+  }
+});
+
+// Delete a spam rule (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.query('DELETE FROM spam_rules WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Spam rule not found' });
+    }
+
+    invalidateSpamRules();
+
+    res.json({ message: 'Spam rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete spam rule:', error);
+    res.status(500).json({ error: 'Failed to delete spam rule' });
+  }
+});
+
+export default router;
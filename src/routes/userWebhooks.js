@@ -0,0 +1,217 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  MAX_WEBHOOKS_PER_USER,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  sendTestWebhook
+} from '../services/userWebhookService.js';
+
+const router = express.Router();
+
+// Webhook columns that are safe to list (the secret is only returned on create/rotate)
+const WEBHOOK_FIELDS = 'id, temp_email_id, url, is_active, failure_count, disabled_at, last_delivery_at, created_at';
+
+// Load a webhook owned by the current user
+async function findUserWebhook(userId, webhookId) {
+  const [webhooks] = await pool.query(
+    'SELECT * FROM user_webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+  return webhooks.length > 0 ? webhooks[0] : null;
+}
+
+// List webhooks for the current user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [webhooks] = await pool.query(
+      `SELECT ${WEBHOOK_FIELDS} FROM user_webhooks WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json(webhooks);
+  } catch (error) {
+    console.error('Failed to fetch webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook for one temp email (temp_email_id) or for every address of the account
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { url, temp_email_id } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const urlError = await validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    if (temp_email_id) {
+      const [emails] = await pool.query(
+        'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+        [temp_email_id, req.user.id]
+      );
+      if (emails.length === 0) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM user_webhooks WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (countResult[0].total >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ error: `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+    }
+
+    const id = uuidv4();
+    const secret = generateWebhookSecret();
+
+    await pool.query(
+      'INSERT INTO user_webhooks (id, user_id, temp_email_id, url, secret) VALUES (?, ?, ?, ?, ?)',
+      [id, req.user.id, temp_email_id || null, url, secret]
+    );
+
+    const [webhooks] = await pool.query(`SELECT ${WEBHOOK_FIELDS} FROM user_webhooks WHERE id = ?`, [id]);
+    res.json({ ...webhooks[0], secret });
+  } catch (error) {
+    console.error('Failed to create webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update the URL or enable/disable a webhook
+// Re-enabling resets the failure counter
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req.user.id, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { url, is_active } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      await pool.query('UPDATE user_webhooks SET url = ? WHERE id = ?', [url, webhook.id]);
+    }
+
+    if (is_active === true) {
+      await pool.query(
+        'UPDATE user_webhooks SET is_active = TRUE, failure_count = 0, disabled_at = NULL WHERE id = ?',
+        [webhook.id]
+      );
+    } else if (is_active === false) {
+      await pool.query('UPDATE user_webhooks SET is_active = FALSE WHERE id = ?', [webhook.id]);
+    }
+
+    const [webhooks] = await pool.query(`SELECT ${WEBHOOK_FIELDS} FROM user_webhooks WHERE id = ?`, [webhook.id]);
+    res.json(webhooks[0]);
+  } catch (error) {
+    console.error('Failed to update webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Replace the signing secret
+router.post('/:id/rotate-secret', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req.user.id, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const secret = generateWebhookSecret();
+    await pool.query('UPDATE user_webhooks SET secret = ? WHERE id = ?', [secret, webhook.id]);
+
+    res.json({ id: webhook.id, secret });
+  } catch (error) {
+    console.error('Failed to rotate webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Send a signed webhook.test event right away
+router.post('/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req.user.id, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestWebhook(webhook);
+    res.json(delivery);
+  } catch (error) {
+    console.error('Failed to send test webhook:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// Delivery log for a webhook with pagination
+router.get('/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req.user.id, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM webhook_deliveries WHERE webhook_id = ?',
+      [webhook.id]
+    );
+
+    const [deliveries] = await pool.query(`
+      SELECT id, email_id, event, status, attempts, response_status, error, next_attempt_at, delivered_at, created_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `, [webhook.id, limit, offset]);
+
+    res.json({
+      data: deliveries,
+      metadata: {
+        total: countResult[0].total,
+        page,
+        limit,
+        pages: Math.ceil(countResult[0].total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Delete a webhook (its delivery log goes with it)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM user_webhooks WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+import { pool } from '../db/init.js';
+
+// A pattern of just "*" takes every unclaimed address on the domain
+export const CATCH_ALL_PATTERN = '*';
+const MIN_LITERAL_CHARS = 3; // Wildcard patterns need a meaningful fixed part (e.g. "qa-*")
+const MIN_SHARED_PREFIX = 3; // On shared domains that part must lead, so a claim covers one prefix of the namespace
+const MAX_PATTERN_LENGTH = 64; // Local part limit from RFC 5321
+export const MAX_PATTERNS_PER_USER = 20;
+
+/**
+ * Validates and normalizes the local part of an address pattern
+ * Only "*" is special; it matches any run of characters (including none)
+ * @param {string} pattern - Local part pattern such as "qa-*" or "*"
+ * @returns {object} - { pattern } or { error }
+ */
+export function normalizeLocalPattern(pattern) {
+  const normalized = String(pattern || '').trim().toLowerCase().replace(/\*+/g, '*');
+
+  if (!normalized || normalized.length > MAX_PATTERN_LENGTH) {
+    return { error: `Pattern must be 1-${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  if (!/^[a-z0-9._+*-]+$/.test(normalized)) {
+    return { error: 'Pattern may only contain letters, digits, ".", "_", "+", "-" and "*"' };
+  }
+
+  if (!normalized.includes('*')) {
+    return { error: 'Pattern must contain a "*" wildcard - create a regular address instead' };
+  }
+
+  if (normalized !== CATCH_ALL_PATTERN && normalized.replace(/\*/g, '').length < MIN_LITERAL_CHARS) {
+    return { error: `Pattern needs at least ${MIN_LITERAL_CHARS} fixed characters` };
+  }
+
+  return { pattern: normalized };
+}
+
+/**
+ * Checks whether a local part matches a pattern
+ * A single walk that only ever steps back to the last star, so any number of stars stays cheap
+ * (this runs for every unknown recipient).
+ * @param {string} pattern - Normalized pattern
+ * @param {string} localPart - Lowercase local part
+ * @returns {boolean}
+ */
+export function matchesLocalPattern(pattern, localPart) {
+  let i = 0;
+  let j = 0;
+  let star = -1; // Pattern index of the last star
+  let swallowed = 0; // Local part index that star has swallowed up to
+
+  while (j < localPart.length) {
+    if (i < pattern.length && pattern[i] !== '*' && pattern[i] === localPart[j]) {
+      i++;
+      j++;
+    } else if (i < pattern.length && pattern[i] === '*') {
+      star = i++;
+      swallowed = j;
+    } else if (star !== -1) {
+      i = star + 1;
+      j = ++swallowed;
+    } else {
+      return false;
+    }
+  }
+
+  while (pattern[i] === '*') i++;
+  return i === pattern.length;
+}
+
+/**
+ * Checks whether two wildcard patterns can match the same local part
+ * @param {string} a - Normalized pattern
+ * @param {string} b - Normalized pattern
+ * @returns {boolean}
+ */
+export function patternsOverlap(a, b) {
+  const memo = new Map();
+
+  const overlap = (i, j) => {
+    const key = `${i}:${j}`;
+    if (memo.has(key)) return memo.get(key);
+
+    let result;
+    if (i === a.length && j === b.length) {
+      result = true;
+    } else if (i < a.length && a[i] === '*') {
+      // Star matches nothing, or swallows the next character of the other pattern
+      result = overlap(i + 1, j) || (j < b.length && overlap(i, j + 1));
+    } else if (j < b.length && b[j] === '*') {
+      result = overlap(i, j + 1) || (i < a.length && overlap(i + 1, j));
+    } else {
+      result = i < a.length && j < b.length && a[i] === b[j] && overlap(i + 1, j + 1);
+    }
+
+    memo.set(key, result);
+    return result;
+  };
+
+  return overlap(0, 0);
+}
+
+// More fixed characters = more specific; the catch-all always comes last
+function specificity(pattern) {
+  return pattern === CATCH_ALL_PATTERN ? -1 : pattern.replace(/\*/g, '').length;
+}
+
+/**
+ * Loads the active patterns of a domain, most specific first
+ * @param {string} domain - Domain name
+ * @returns {Promise<Array>} - Pattern rows with their target temp email
+ */
+async function getDomainPatterns(domain) {
+  const [patterns] = await pool.query(`
+    SELECT ap.id, ap.user_id, ap.local_pattern, ap.temp_email_id, te.email as target_email,
+      ud.user_id as owner_id, ud.status as verification_status, u.is_admin
+    FROM address_patterns ap
+    JOIN domains d ON ap.domain_id = d.id
+    JOIN temp_emails te ON ap.temp_email_id = te.id
+    LEFT JOIN user_domains ud ON ud.domain_id = d.id
+    LEFT JOIN users u ON ap.user_id = u.id
+    WHERE d.domain = ? AND te.expires_at > NOW()
+  `, [domain]);
+
+  // Claims made under older, looser rules (or on a domain that changed hands) stay inactive
+  return patterns
+    .filter(pattern => !checkPatternClaim(
+      { id: pattern.user_id, isAdmin: Boolean(pattern.is_admin) },
+      { owner_id: pattern.owner_id, verification_status: pattern.verification_status },
+      pattern.local_pattern
+    ))
+    .sort((a, b) => specificity(b.local_pattern) - specificity(a.local_pattern));
+}
+
+// Split an address into lowercase local part and domain
+function splitAddress(address) {
+  const at = (address || '').lastIndexOf('@');
+  if (at <= 0) return null;
+
+  return {
+    localPart: address.substring(0, at).toLowerCase(),
+    domain: address.substring(at + 1).toLowerCase()
+  };
+}
+
+/**
+ * Finds the pattern that should receive mail for an address nobody owns
+ * @param {string} address - Recipient address
+ * @returns {Promise<object|null>} - { patternId, userId, tempEmailId, targetEmail, localPart } or null
+ */
+export async function findPatternMatch(address) {
+  const parts = splitAddress(address);
+  if (!parts) return null;
+
+  const patterns = await getDomainPatterns(parts.domain);
+  const match = patterns.find(pattern => matchesLocalPattern(pattern.local_pattern, parts.localPart));
+
+  if (!match) return null;
+
+  return {
+    patternId: match.id,
+    userId: match.user_id,
+    tempEmailId: match.temp_email_id,
+    targetEmail: match.target_email,
+    localPart: parts.localPart
+  };
+}
+
+/**
+ * Checks whether someone else's wildcard pattern already covers an address
+ * Catch-all patterns only take unclaimed addresses, so they never block creation
+ * @param {string} address - Address being created
+ * @param {string} [userId] - Creating user (their own patterns don't count)
+ * @returns {Promise<boolean>}
+ */
+export async function isAddressClaimedByPattern(address, userId = null) {
+  const parts = splitAddress(address);
+  if (!parts) return false;
+
+  const patterns = await getDomainPatterns(parts.domain);
+  return patterns.some(pattern =>
+    pattern.local_pattern !== CATCH_ALL_PATTERN &&
+    pattern.user_id !== userId &&
+    matchesLocalPattern(pattern.local_pattern, parts.localPart)
+  );
+}
+
+/**
+ * Checks whether a user may claim a pattern on a domain
+ * Private domains: any pattern, for their verified owner only. Shared domains: the catch-all
+ * is admin-only and other patterns must start with at least three fixed characters ("qa-*",
+ * not "*e*e*e*"), so nobody can take a broad slice of everyone's namespace.
+ * @param {object} user - Authenticated user ({ id, isAdmin })
+ * @param {object} domain - domains row with owner_id and verification_status (see getDomainWithOwner)
+ * @param {string} pattern - Normalized pattern
+ * @returns {object|null} - { status, error } when the claim is not allowed
+ */
+export function checkPatternClaim(user, domain, pattern) {
+  if (domain.owner_id) {
+    return domain.owner_id === user.id && domain.verification_status === 'verified'
+      ? null
+      : { status: 403, error: 'Domain is not available' };
+  }
+
+  if (pattern === CATCH_ALL_PATTERN) {
+    return user.isAdmin ? null : { status: 403, error: 'You cannot claim a catch-all on this domain' };
+  }
+
+  if (pattern.split('*')[0].length < MIN_SHARED_PREFIX) {
+    return {
+      status: 400,
+      error: `On shared domains a pattern must start with at least ${MIN_SHARED_PREFIX} fixed characters (e.g. "qa-*")`
+    };
+  }
+
+  return null;
+}
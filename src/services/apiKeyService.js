@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { pool } from '../db/init.js';
+
+// Configuration
+export const API_KEY_PREFIX = 'bml_'; // Lets auth middleware tell API keys from JWTs
+export const API_KEY_SCOPES = ['read', 'read_write'];
+export const DEFAULT_API_KEY_RATE_LIMIT = 1000; // Requests per hour
+export const MAX_API_KEY_RATE_LIMIT = 10000;
+export const MAX_API_KEYS_PER_USER = 10;
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000; // Write last_used_at at most once a minute per key
+const KEY_CACHE_TTL = 60 * 1000; // Revocations take effect within a minute
+
+// key hash -> { key, loadedAt }
+const keyCache = new Map();
+// key id -> last time last_used_at was written
+const lastUsedWrites = new Map();
+
+/**
+ * Checks whether a bearer token is an API key rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generates a new API key
+ * @returns {object} - { key, prefix, hash } where key is shown to the user once
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.substring(0, 12),
+    hash: hashApiKey(key)
+  };
+}
+
+/**
+ * Resolves an API key to its owner
+ * @param {string} key - Raw API key
+ * @returns {Promise<object|null>} - { id, userId, email, scope, rateLimit } or null if invalid, revoked or expired
+ */
+export async function verifyApiKey(key) {
+  if (!isApiKey(key)) return null;
+
+  const hash = hashApiKey(key);
+  const now = Date.now();
+  let cached = keyCache.get(hash);
+
+  if (!cached || now - cached.loadedAt > KEY_CACHE_TTL) {
+    const [keys] = await pool.query(`
+      SELECT ak.id, ak.user_id, ak.scope, ak.rate_limit, ak.expires_at, ak.revoked_at, u.email
+      FROM api_keys ak
+      JOIN users u ON ak.user_id = u.id
+      WHERE ak.key_hash = ?
+    `, [hash]);
+
+    cached = { key: keys.length > 0 ? keys[0] : null, loadedAt: now };
+    keyCache.set(hash, cached);
+  }
+
+  const apiKey = cached.key;
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= now) return null;
+
+  // Throttle last_used_at writes so busy keys don't hammer the table
+  if (now - (lastUsedWrites.get(apiKey.id) || 0) > LAST_USED_UPDATE_INTERVAL) {
+    lastUsedWrites.set(apiKey.id, now);
+    pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [apiKey.id])
+      .catch(error => console.error('Failed to update API key usage:', error));
+  }
+
+  return {
+    id: apiKey.id,
+    userId: apiKey.user_id,
+    email: apiKey.email,
+    scope: apiKey.scope,
+    rateLimit: apiKey.rate_limit
+  };
+}
+
+// Drop cached lookups after a key is revoked or changed
+export function invalidateApiKeyCache() {
+  keyCache.clear();
+}
+
+// Clear expired cache entries every 10 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [hash, cached] of keyCache.entries()) {
+    if (now - cached.loadedAt > KEY_CACHE_TTL) {
+      keyCache.delete(hash);
+    }
+  }
+  for (const [id, writtenAt] of lastUsedWrites.entries()) {
+    if (now - writtenAt > LAST_USED_UPDATE_INTERVAL) {
+      lastUsedWrites.delete(id);
+    }
+  }
+}, 10 * 60 * 1000);
@@ -0,0 +1,184 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+// Size caps for stored attachments (bytes, decoded)
+export const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE || String(10 * 1024 * 1024)); // 10 MB per file
+export const MAX_MESSAGE_ATTACHMENTS_SIZE = parseInt(process.env.MAX_MESSAGE_ATTACHMENTS_SIZE || String(25 * 1024 * 1024)); // 25 MB per message
+
+const MAX_FILENAME_LENGTH = 255; // email_attachments.filename
+const MAX_CONTENT_TYPE_LENGTH = 100; // email_attachments.content_type
+const MAX_CONTENT_ID_LENGTH = 255; // email_attachments.content_id
+
+/**
+ * Normalizes parsed attachments and applies the size caps
+ * @param {Array} parsedAttachments - Attachments from parseEmailContent (base64 content)
+ * @returns {object} - { attachments, skipped } where attachments still carry their content
+ */
+export function prepareAttachments(parsedAttachments = []) {
+  const attachments = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const attachment of parsedAttachments) {
+    const filename = (attachment.filename || 'attachment').substring(0, MAX_FILENAME_LENGTH);
+    const size = attachment.size || 0;
+
+    if (size > MAX_ATTACHMENT_SIZE) {
+      skipped.push({ filename, size, reason: 'Attachment exceeds per-file size limit' });
+      continue;
+    }
+
+    if (totalSize + size > MAX_MESSAGE_ATTACHMENTS_SIZE) {
+      skipped.push({ filename, size, reason: 'Message exceeds total attachment size limit' });
+      continue;
+    }
+
+    totalSize += size;
+    attachments.push({
+      id: uuidv4(),
+      filename,
+      content_type: (attachment.contentType || 'application/octet-stream').substring(0, MAX_CONTENT_TYPE_LENGTH),
+      size,
+      // Content-ID (without angle brackets) lets HTML bodies reference inline images as cid:
+      content_id: (attachment.contentId || '').replace(/^<|>$/g, '').substring(0, MAX_CONTENT_ID_LENGTH) || null,
+      content: attachment.content
+    });
+  }
+
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} oversized attachment(s):`, skipped.map(a => a.filename).join(', '));
+  }
+
+  return { attachments, skipped };
+}
+
+/**
+ * Strips attachment content so only listing metadata is left
+ * @param {Array} attachments - Attachments with or without content
+ * @returns {Array} - Attachment metadata
+ */
+export function toAttachmentMetadata(attachments = []) {
+  return attachments.map(({ id, filename, content_type, size }) => ({
+    id,
+    filename,
+    content_type,
+    size
+  }));
+}
+
+/**
+ * Returns a copy of an in-memory received email that is safe to list
+ * @param {object} email - Received email, possibly carrying attachment content
+ * @returns {object} - Received email with attachment metadata only
+ */
+export function withAttachmentMetadata(email) {
+  return {
+    ...email,
+    attachments: toAttachmentMetadata(email.attachments || [])
+  };
+}
+
+/**
+ * Persists attachments for a received email
+ * @param {string} emailId - Received email ID
+ * @param {Array} attachments - Prepared attachments (with base64 content)
+ * @param {object} connection - Pool or transaction connection
+ */
+export async function saveAttachments(emailId, attachments = [], connection = pool) {
+  for (const attachment of attachments) {
+    await connection.query(
+      'INSERT INTO email_attachments (id, email_id, filename, content_type, size, content_id, content) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        attachment.id || uuidv4(),
+        emailId,
+        attachment.filename,
+        attachment.content_type,
+        attachment.size,
+        attachment.content_id || null,
+        attachment.content
+      ]
+    );
+  }
+}
+
+/**
+ * Adds attachment metadata to received email rows loaded from the database
+ * @param {Array} emails - Received email rows
+ * @returns {Promise<Array>} - The same rows with an attachments array
+ */
+export async function attachAttachmentMetadata(emails) {
+  if (!emails || emails.length === 0) return emails;
+
+  const [attachments] = await pool.query(
+    'SELECT id, email_id, filename, content_type, size FROM email_attachments WHERE email_id IN (?) ORDER BY created_at ASC',
+    [emails.map(email => email.id)]
+  );
+
+  const byEmail = new Map();
+  for (const attachment of attachments) {
+    if (!byEmail.has(attachment.email_id)) {
+      byEmail.set(attachment.email_id, []);
+    }
+    byEmail.get(attachment.email_id).push(toAttachmentMetadata([attachment])[0]);
+  }
+
+  for (const email of emails) {
+    email.attachments = byEmail.get(email.id) || [];
+  }
+
+  return emails;
+}
+
+/**
+ * Loads an attachment owned by a registered user
+ * @param {string} userId - Owner of the temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} emailId - Received email ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<object|null>} - Attachment row with base64 content or null if not found
+ */
+export async function getStoredAttachment(userId, tempEmailId, emailId, attachmentId) {
+  const [attachments] = await pool.query(`
+    SELECT ea.*
+    FROM email_attachments ea
+    JOIN received_emails re ON ea.email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE ea.id = ? AND re.id = ? AND te.id = ? AND te.user_id = ?
+  `, [attachmentId, emailId, tempEmailId, userId]);
+
+  return attachments.length > 0 ? attachments[0] : null;
+}
+
+/**
+ * Loads the inline images (attachments with a Content-ID) of a stored received email
+ * @param {string} emailId - Received email ID
+ * @returns {Promise<Array>} - [{ content_id, content_type, content }] with base64 content
+ */
+export async function getInlineAttachments(emailId) {
+  const [attachments] = await pool.query(
+    "SELECT content_id, content_type, content FROM email_attachments WHERE email_id = ? AND content_id IS NOT NULL AND content_type LIKE 'image/%'",
+    [emailId]
+  );
+  return attachments;
+}
+
+/**
+ * Writes an attachment as a file download
+ * @param {object} res - Express response
+ * @param {object} attachment - Attachment with base64 content
+ */
+export function sendAttachment(res, attachment) {
+  const content = Buffer.from(attachment.content || '', 'base64');
+  const filename = attachment.filename || 'attachment';
+  // Plain ASCII fallback plus RFC 5987 encoded name for non-ASCII filenames
+  const asciiName = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+
+  res.setHeader('Content-Type', attachment.content_type || 'application/octet-stream');
+  res.setHeader('Content-Length', content.length);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.end(content);
+}
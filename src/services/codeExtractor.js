@@ -0,0 +1,206 @@
+// Verification code and magic-link extraction for received messages
+
+const MAX_CODES = 5; // Candidates returned per message
+const MAX_LINKS = 5;
+const MIN_CONFIDENCE = 0.3; // Candidates below this are dropped
+const KEYWORD_WINDOW = 60; // Characters around a code searched for a keyword
+
+// Words that usually sit next to a one-time code
+const CODE_KEYWORDS = /\b(code|otp|one[- ]time|passcode|pass code|pin|verification|verify|confirm(ation)?|security|login|log in|sign[- ]?in|2fa|two[- ]factor|authenticat\w*|token|c[oó]digo|kod|code de)\b/i;
+
+// Words that rule out a number as a code (money, dates, quantities)
+const NON_CODE_CONTEXT = /(\$|€|£|¥|usd|eur|gbp|%|order|invoice|phone|tel|fax|zip|postal|street|suite|floor|ref(erence)?\s*(no|number|#))\s*[:#]?\s*$/i;
+
+// URL fragments that signal a verification or sign-in link
+const LINK_KEYWORDS = /(verif|confirm|activat|magic|login|log-in|signin|sign-in|sign_in|auth|validate|token|otp|reset|passwordless|invite|onboard)/i;
+const LINK_TEXT_KEYWORDS = /\b(verify|confirm|activate|sign in|log in|login|reset|get started|continue|validate|accept)\b/i;
+
+// URL fragments that are almost never the link a user is after
+const LINK_NOISE = /(unsubscribe|optout|opt-out|privacy|terms|help|support|preferences|facebook\.com|twitter\.com|x\.com\/|instagram\.com|linkedin\.com|youtube\.com|\.(png|jpe?g|gif|svg|webp|ico|css)(\?|$))/i;
+
+// Decode the handful of entities that matter for link and code matching
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+// Plain text for a message, preferring the text part
+function toPlainText(bodyText, bodyHtml) {
+  if (bodyText && bodyText.trim()) {
+    return bodyText;
+  }
+
+  return decodeEntities((bodyHtml || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|td|h\d|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '));
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, Math.round(value * 100) / 100));
+}
+
+// Score a code candidate from its surroundings
+function scoreCode(value, type, before, after, inSubject) {
+  let confidence = type === 'numeric' ? 0.3 : 0.15;
+
+  if (CODE_KEYWORDS.test(before) || CODE_KEYWORDS.test(after)) {
+    confidence += 0.4;
+  }
+
+  if (/[:：]\s*$/.test(before)) {
+    confidence += 0.1;
+  }
+
+  if (inSubject) {
+    confidence += 0.15;
+  }
+
+  if (type === 'numeric' && value.length === 6) {
+    confidence += 0.1;
+  }
+
+  // Years, dates and times
+  if (type === 'numeric' && value.length === 4 && /^(19|20)\d{2}$/.test(value)) {
+    confidence -= 0.35;
+  }
+  if (/[/:.]$/.test(before) || /^[/:.]\d/.test(after)) {
+    confidence -= 0.3;
+  }
+
+  if (NON_CODE_CONTEXT.test(before)) {
+    confidence -= 0.4;
+  }
+
+  return clamp(confidence);
+}
+
+// Find code candidates in one piece of text
+function findCodes(text, inSubject, candidates) {
+  const patterns = [
+    // 123456, 123 456, 123-456
+    { type: 'numeric', regex: /(?<![\w.,/:-])(\d{3}[ -]\d{3}|\d{4,8})(?![\w.,/:-]?\d)/g },
+    // AB12CD, 9F3K-2LQ8 (must mix letters and digits)
+    { type: 'alphanumeric', regex: /(?<![\w-])(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])([A-Z0-9]{3,5}-[A-Z0-9]{3,5}|[A-Z0-9]{5,10})(?![\w-])/g }
+  ];
+
+  for (const { type, regex } of patterns) {
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const raw = match[1];
+      const value = type === 'numeric' ? raw.replace(/[ -]/g, '') : raw;
+      const before = text.substring(Math.max(0, match.index - KEYWORD_WINDOW), match.index);
+      const after = text.substring(match.index + raw.length, match.index + raw.length + KEYWORD_WINDOW);
+      const confidence = scoreCode(value, type, before, after, inSubject);
+
+      const existing = candidates.get(value);
+      if (!existing || existing.confidence < confidence) {
+        candidates.set(value, { value, type, confidence });
+      }
+    }
+  }
+}
+
+// Collect links with their anchor text
+function findLinks(bodyText, bodyHtml) {
+  const links = new Map();
+
+  const anchorPattern = /<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let anchor;
+  while ((anchor = anchorPattern.exec(bodyHtml || '')) !== null) {
+    const url = decodeEntities(anchor[1].trim());
+    if (/^https?:\/\//i.test(url) && !links.has(url)) {
+      links.set(url, decodeEntities(anchor[2].replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  const urlPattern = /https?:\/\/[^\s"'<>)\]]+/gi;
+  for (const source of [bodyText || '', decodeEntities(bodyHtml || '')]) {
+    for (const url of source.match(urlPattern) || []) {
+      const cleaned = url.replace(/[.,;]+$/, '');
+      if (!links.has(cleaned)) {
+        links.set(cleaned, '');
+      }
+    }
+  }
+
+  return links;
+}
+
+function scoreLink(url, text) {
+  let confidence = 0.1;
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 0;
+  }
+
+  const pathAndQuery = `${parsed.pathname}${parsed.search}`;
+
+  if (LINK_KEYWORDS.test(pathAndQuery)) {
+    confidence += 0.45;
+  }
+
+  if (text && LINK_TEXT_KEYWORDS.test(text)) {
+    confidence += 0.3;
+  }
+
+  // Long opaque query values are typical of one-time tokens
+  for (const value of parsed.searchParams.values()) {
+    if (/^[\w-]{16,}$/.test(value)) {
+      confidence += 0.15;
+      break;
+    }
+  }
+
+  if (LINK_NOISE.test(url)) {
+    confidence -= 0.6;
+  }
+
+  return clamp(confidence);
+}
+
+/**
+ * Extracts likely verification codes and magic links from a message
+ * @param {object} message - { subject, body_text, body_html }
+ * @returns {object} - { code, link, codes, links } where code/link are the best candidates or null
+ */
+export function extractVerificationData({ subject, body_text, body_html }) {
+  const candidates = new Map();
+  findCodes(subject || '', true, candidates);
+  findCodes(toPlainText(body_text, body_html), false, candidates);
+
+  const codes = Array.from(candidates.values())
+    .filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CODES);
+
+  const links = Array.from(findLinks(body_text, body_html).entries())
+    .map(([url, text]) => ({ url, text, confidence: scoreLink(url, text) }))
+    .filter(link => link.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_LINKS);
+
+  return {
+    code: codes[0] || null,
+    link: links[0] || null,
+    codes,
+    links
+  };
+}
+
+/**
+ * Checks whether extraction found anything worth returning
+ * @param {object} verification - Result of extractVerificationData
+ * @returns {boolean}
+ */
+export function hasVerificationData(verification) {
+  return Boolean(verification && (verification.code || verification.link));
+}
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+// Configuration
+const VERIFICATION_HOST_PREFIX = '_boomlify-verification'; // TXT record lives at <prefix>.<domain>
+const VERIFICATION_VALUE_PREFIX = 'boomlify-verification=';
+const MX_HOST = process.env.CUSTOM_DOMAIN_MX_HOST || process.env.SMTP_RECEIVER_HOSTNAME || null; // MX target users must publish
+const PENDING_CHECK_INTERVAL = 5 * 60 * 1000; // Re-check pending domains every 5 minutes
+const PENDING_TIMEOUT_DAYS = 7; // Pending domains stop being checked automatically after this
+const VERIFIED_RECHECK_INTERVAL = 24 * 60 * 60 * 1000; // Verified domains are re-checked daily
+const WORKER_INTERVAL = 60 * 1000;
+export const MAX_DOMAINS_PER_USER = 5;
+
+// Resolver errors that mean "the record does not exist" rather than "DNS is unreachable"
+const NOT_FOUND_CODES = new Set(['ENOTFOUND', 'ENODATA', 'NXDOMAIN', 'ENONAME']);
+
+let dnsResolver = dns.promises;
+let verificationWorker = null;
+
+/**
+ * Replaces the DNS resolver used for verification (tests, offline environments)
+ * @param {object|null} resolver - Object with resolveTxt(host) and resolveMx(host); null restores the default
+ */
+export function setDnsResolver(resolver) {
+  dnsResolver = resolver || dns.promises;
+}
+
+/**
+ * Normalizes and validates a domain name submitted by a user
+ * @param {string} domain - Domain such as "mail.example.com"
+ * @returns {object} - { domain } or { error }
+ */
+export function normalizeDomainName(domain) {
+  const normalized = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+
+  if (!/^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(normalized)) {
+    return { error: 'Invalid domain name' };
+  }
+
+  return { domain: normalized };
+}
+
+/**
+ * Lists the DNS records a user has to publish for their domain
+ * @param {object} userDomain - user_domains row
+ * @returns {Array} - [{ type, host, value, priority? }]
+ */
+export function getRequiredRecords(userDomain) {
+  const records = [{
+    type: 'TXT',
+    host: `${VERIFICATION_HOST_PREFIX}.${userDomain.domain}`,
+    value: `${VERIFICATION_VALUE_PREFIX}${userDomain.verification_token}`
+  }];
+
+  if (MX_HOST) {
+    records.push({ type: 'MX', host: userDomain.domain, value: MX_HOST, priority: 10 });
+  }
+
+  return records;
+}
+
+// Run a lookup; a missing record is an empty answer, anything else is a lookup failure
+async function lookup(resolve, host) {
+  try {
+    return { records: await resolve(host) };
+  } catch (error) {
+    if (NOT_FOUND_CODES.has(error.code)) {
+      return { records: [] };
+    }
+    return { records: [], error: `${host}: ${error.code || error.message}` };
+  }
+}
+
+/**
+ * Checks the verification TXT record and (when an MX host is configured) the MX record
+ * @param {string} domain - Domain name
+ * @param {string} token - Verification token
+ * @param {object} [resolver] - DNS resolver, defaults to the configured one
+ * @returns {Promise<object>} - { txt, mx, verified, lookupFailed, errors }
+ */
+export async function checkDomainRecords(domain, token, resolver = dnsResolver) {
+  const errors = [];
+
+  const txtLookup = await lookup(host => resolver.resolveTxt(host), `${VERIFICATION_HOST_PREFIX}.${domain}`);
+  // TXT answers come back as chunk arrays - join them before comparing
+  const txt = txtLookup.records.some(chunks => [].concat(chunks).join('').trim() === `${VERIFICATION_VALUE_PREFIX}${token}`);
+  if (txtLookup.error) errors.push(txtLookup.error);
+  else if (!txt) errors.push('Verification TXT record not found');
+
+  let mx = true;
+  let mxLookup = { records: [] };
+  if (MX_HOST) {
+    mxLookup = await lookup(host => resolver.resolveMx(host), domain);
+    mx = mxLookup.records.some(record => (record.exchange || '').toLowerCase().replace(/\.$/, '') === MX_HOST.toLowerCase());
+    if (mxLookup.error) errors.push(mxLookup.error);
+    else if (!mx) errors.push(`MX record pointing to ${MX_HOST} not found`);
+  }
+
+  return {
+    txt,
+    mx,
+    verified: txt && mx,
+    lookupFailed: Boolean(txtLookup.error || mxLookup.error),
+    errors
+  };
+}
+
+/**
+ * Generates a verification token for a new domain
+ * @returns {string}
+ */
+export function generateVerificationToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Make a verified domain usable: it gets a row in domains so temp emails can reference it
+async function activateDomain(connection, userDomain) {
+  if (userDomain.domain_id) {
+    return userDomain.domain_id;
+  }
+
+  const [existing] = await connection.query('SELECT id FROM domains WHERE domain = ?', [userDomain.domain]);
+  if (existing.length > 0) {
+    return null; // Someone else got there first (shared domain or another owner)
+  }
+
+  const domainId = uuidv4();
+  await connection.query('INSERT INTO domains (id, domain) VALUES (?, ?)', [domainId, userDomain.domain]);
+  return domainId;
+}
+
+/**
+ * Checks DNS for a user domain and records the outcome
+ * Pending domains become verified once both records are published; a verified domain
+ * whose records disappear is marked failed. Resolver outages never change the status.
+ * @param {object} userDomain - user_domains row
+ * @param {object} [resolver] - DNS resolver, defaults to the configured one
+ * @returns {Promise<object>} - Updated row plus the check result
+ */
+export async function verifyUserDomain(userDomain, resolver = dnsResolver) {
+  const check = await checkDomainRecords(userDomain.domain, userDomain.verification_token, resolver);
+  const lastError = check.errors.length > 0 ? check.errors.join('; ').substring(0, 255) : null;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    let status = userDomain.status;
+    let domainId = userDomain.domain_id;
+    let error = lastError;
+
+    if (check.verified) {
+      domainId = await activateDomain(connection, userDomain);
+      if (domainId) {
+        status = 'verified';
+      } else {
+        status = 'failed';
+        error = 'Domain is already registered on this service';
+      }
+    } else if (!check.lookupFailed) {
+      const pendingSince = Date.now() - new Date(userDomain.created_at).getTime();
+      if (userDomain.status === 'verified' || pendingSince > PENDING_TIMEOUT_DAYS * 24 * 60 * 60 * 1000) {
+        status = 'failed';
+      }
+    }
+
+    await connection.query(
+      `UPDATE user_domains
+       SET status = ?, domain_id = ?, last_error = ?, last_checked_at = NOW(),
+           verified_at = IF(? = 'verified' AND verified_at IS NULL, NOW(), verified_at)
+       WHERE id = ?`,
+      [status, domainId, error, status, userDomain.id]
+    );
+
+    await connection.commit();
+
+    return { ...userDomain, status, domain_id: domainId, last_error: error, last_checked_at: new Date(), check };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Loads a domain together with its private owner, if any
+ * @param {string} domainId - Domain ID
+ * @returns {Promise<object|null>} - domains row plus owner_id and verification_status (null for shared domains)
+ */
+export async function getDomainWithOwner(domainId) {
+  const [domains] = await pool.query(`
+    SELECT d.*, ud.user_id as owner_id, ud.status as verification_status
+    FROM domains d
+    LEFT JOIN user_domains ud ON ud.domain_id = d.id
+    WHERE d.id = ?
+  `, [domainId]);
+
+  return domains.length > 0 ? domains[0] : null;
+}
+
+/**
+ * Checks that a temp email may be created on a domain
+ * Private domains are usable only by their owner, and only while verified. The address's
+ * own domain part is checked too, since mail is routed by address rather than domain_id.
+ * @param {string} domainId - Requested domain ID
+ * @param {string} emailAddress - Requested address
+ * @param {string|null} userId - Registered user (null for guests and public creation)
+ * @returns {Promise<boolean>}
+ */
+export async function canUseDomain(domainId, emailAddress, userId) {
+  const addressDomain = (emailAddress || '').split('@')[1]?.toLowerCase() || '';
+
+  const [owners] = await pool.query(`
+    SELECT ud.user_id, ud.status
+    FROM domains d
+    JOIN user_domains ud ON ud.domain_id = d.id
+    WHERE d.id = ? OR d.domain = ?
+  `, [domainId, addressDomain]);
+
+  return owners.every(owner => owner.user_id === userId && owner.status === 'verified');
+}
+
+// Check pending domains and re-check verified ones that are due
+async function processDueVerifications() {
+  const [due] = await pool.query(`
+    SELECT * FROM user_domains
+    WHERE (status = 'pending'
+           AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+           AND (last_checked_at IS NULL OR last_checked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)))
+       OR (status = 'verified'
+           AND (last_checked_at IS NULL OR last_checked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)))
+    LIMIT 50
+  `, [PENDING_TIMEOUT_DAYS + 1, PENDING_CHECK_INTERVAL / 1000, VERIFIED_RECHECK_INTERVAL / 1000]);
+
+  for (const userDomain of due) {
+    try {
+      const result = await verifyUserDomain(userDomain);
+      if (result.status !== userDomain.status) {
+        console.log(`Custom domain ${userDomain.domain} is now ${result.status}`);
+      }
+    } catch (error) {
+      console.error(`Failed to verify custom domain ${userDomain.domain}:`, error);
+    }
+  }
+}
+
+/**
+ * Starts the background job that verifies and re-verifies user domains
+ */
+export function startDomainVerificationWorker() {
+  if (verificationWorker) return;
+
+  verificationWorker = setInterval(() => {
+    processDueVerifications().catch(error => console.error('Domain verification worker failed:', error));
+  }, WORKER_INTERVAL);
+}
@@ -0,0 +1,247 @@
+import { pool } from '../db/init.js';
+
+// Configuration
+export const DEFAULT_RETENTION_DAYS = 14; // Message retention when no policy says otherwise
+const POLICY_CACHE_TTL = 5 * 60 * 1000; // Reload admin policies every 5 minutes
+const MAX_POLICY_DAYS = 3650;
+
+// Roles a policy can target; registered addresses without an owner (public API) count as guest
+export const EXPIRY_POLICY_ROLES = ['guest', 'user', 'admin'];
+
+// Built-in tiers used until an admin adds a policy for the domain or role
+// max_renewals null = unlimited; max_lifetime_days caps expires_at - created_at, renewals included
+const DEFAULT_POLICIES = {
+  guest: { default_lifetime_days: 60, max_lifetime_days: 60, message_retention_days: DEFAULT_RETENTION_DAYS, max_renewals: 0, renewal_days: 30 },
+  user: { default_lifetime_days: 60, max_lifetime_days: 365, message_retention_days: DEFAULT_RETENTION_DAYS, max_renewals: 5, renewal_days: 60 },
+  admin: { default_lifetime_days: 60, max_lifetime_days: MAX_POLICY_DAYS, message_retention_days: DEFAULT_RETENTION_DAYS, max_renewals: null, renewal_days: 365 }
+};
+
+// Which temp_emails rows (joined with users u) belong to a role
+const ROLE_CONDITIONS = {
+  guest: 'te.user_id IS NULL',
+  user: 'te.user_id IS NOT NULL AND NOT COALESCE(u.is_admin, FALSE)',
+  admin: 'u.is_admin = TRUE'
+};
+
+const POLICY_FIELDS = ['default_lifetime_days', 'max_lifetime_days', 'message_retention_days', 'max_renewals', 'renewal_days'];
+
+// Admin policy cache to avoid a DB query for every address created
+const policyCache = {
+  policies: [],
+  loadedAt: 0
+};
+
+async function getPolicies() {
+  if (Date.now() - policyCache.loadedAt < POLICY_CACHE_TTL) {
+    return policyCache.policies;
+  }
+
+  try {
+    const [policies] = await pool.query('SELECT * FROM expiry_policies');
+    policyCache.policies = policies;
+    policyCache.loadedAt = Date.now();
+  } catch (error) {
+    console.error('Failed to load expiry policies:', error);
+  }
+
+  return policyCache.policies;
+}
+
+// Force the next lookup to reload admin policies
+export function invalidateExpiryPolicies() {
+  policyCache.loadedAt = 0;
+}
+
+/**
+ * Policy role of an authenticated request
+ * @param {object} user - req.user
+ * @returns {string} - 'guest', 'user' or 'admin'
+ */
+export function getPolicyRole(user) {
+  if (!user || user.isGuest) return 'guest';
+  return user.isAdmin ? 'admin' : 'user';
+}
+
+/**
+ * Validates a policy body, returns an error message or null
+ * @param {object} policy - Policy fields (domain_id, role and the day limits)
+ * @returns {string|null}
+ */
+export function validateExpiryPolicy(policy) {
+  if (!policy.name) {
+    return 'name is required';
+  }
+
+  if (policy.role && !EXPIRY_POLICY_ROLES.includes(policy.role)) {
+    return `role must be one of: ${EXPIRY_POLICY_ROLES.join(', ')}`;
+  }
+
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (field === 'max_renewals' && (value === null || value === undefined)) continue;
+
+    const minimum = field === 'max_renewals' ? 0 : 1;
+    if (!Number.isInteger(Number(value)) || Number(value) < minimum || Number(value) > MAX_POLICY_DAYS) {
+      return `${field} must be a whole number between ${minimum} and ${MAX_POLICY_DAYS}`;
+    }
+  }
+
+  if (Number(policy.default_lifetime_days) > Number(policy.max_lifetime_days)) {
+    return 'default_lifetime_days cannot exceed max_lifetime_days';
+  }
+
+  return null;
+}
+
+/**
+ * Finds the policy that applies to addresses of a domain owned by a role
+ * The most specific policy wins: domain and role, then domain, then role, then the built-in tier.
+ * @param {string} domainId - Domain ID
+ * @param {string} role - 'guest', 'user' or 'admin'
+ * @returns {Promise<object>} - { id, name, default_lifetime_days, max_lifetime_days, message_retention_days, max_renewals, renewal_days }
+ */
+export async function resolveExpiryPolicy(domainId, role) {
+  const policies = await getPolicies();
+
+  const match = policies.find(policy => policy.domain_id === domainId && policy.role === role)
+    || policies.find(policy => policy.domain_id === domainId && !policy.role)
+    || policies.find(policy => !policy.domain_id && policy.role === role);
+
+  if (!match) {
+    return { id: null, name: `default-${role}`, ...DEFAULT_POLICIES[role] };
+  }
+
+  return {
+    id: match.id,
+    name: match.name,
+    ...Object.fromEntries(POLICY_FIELDS.map(field => [field, match[field] === null ? null : Number(match[field])]))
+  };
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Expiry of a new address under a policy
+ * A requested date beyond the policy's maximum lifetime is shortened to it.
+ * @param {object} policy - From resolveExpiryPolicy
+ * @param {string} [requested] - Requested ISO expiry (policy default when missing)
+ * @param {Date} [now]
+ * @returns {object} - { expiresAt (Date), clamped } or { error }
+ */
+export function resolveAddressExpiry(policy, requested, now = new Date()) {
+  const maxExpiresAt = addDays(now, policy.max_lifetime_days);
+
+  if (!requested) {
+    return { expiresAt: addDays(now, policy.default_lifetime_days), clamped: false };
+  }
+
+  const expiresAt = new Date(requested);
+  if (isNaN(expiresAt.getTime())) {
+    return { error: 'expiresAt must be a valid date' };
+  }
+  if (expiresAt <= now) {
+    return { error: 'expiresAt must be in the future' };
+  }
+
+  return expiresAt > maxExpiresAt
+    ? { expiresAt: maxExpiresAt, clamped: true }
+    : { expiresAt, clamped: false };
+}
+
+/**
+ * New expiry of an address being renewed
+ * A renewal adds up to renewal_days to the current expiry (or to now, if it already passed),
+ * counts against max_renewals and never goes past created_at + max_lifetime_days.
+ * @param {object} policy - From resolveExpiryPolicy
+ * @param {object} address - { created_at, expires_at, renewal_count }
+ * @param {number} [days] - Requested extension in days (policy renewal_days when missing)
+ * @param {Date} [now]
+ * @returns {object} - { expiresAt, renewalCount, renewalsRemaining, maxExpiresAt } or { error, status }
+ */
+export function planRenewal(policy, address, days, now = new Date()) {
+  const renewalCount = Number(address.renewal_count) || 0;
+
+  if (days !== undefined && (!Number.isInteger(days) || days < 1)) {
+    return { error: 'days must be a positive whole number', status: 400 };
+  }
+  if (days > policy.renewal_days) {
+    return { error: `An address can be extended by at most ${policy.renewal_days} days at a time`, status: 400 };
+  }
+  if (policy.max_renewals !== null && renewalCount >= policy.max_renewals) {
+    return { error: 'This address cannot be extended any further', status: 403, renewalsRemaining: 0 };
+  }
+
+  const maxExpiresAt = addDays(address.created_at || now, policy.max_lifetime_days);
+  const current = new Date(address.expires_at);
+  const base = isNaN(current.getTime()) || current < now ? now : current;
+  const expiresAt = new Date(Math.min(addDays(base, days || policy.renewal_days).getTime(), maxExpiresAt.getTime()));
+
+  if (expiresAt <= base) {
+    return { error: 'This address has reached its maximum lifetime', status: 403, maxExpiresAt };
+  }
+
+  return {
+    expiresAt,
+    renewalCount: renewalCount + 1,
+    renewalsRemaining: policy.max_renewals === null ? null : policy.max_renewals - renewalCount - 1,
+    maxExpiresAt
+  };
+}
+
+/**
+ * Applies message retention and lifetime limits to stored addresses (cleanup job)
+ * Each domain/role combination in use gets its own policy; addresses that outlive the maximum
+ * lifetime of an admin policy are shortened to it.
+ * Messages of deleted addresses are removed after DEFAULT_RETENTION_DAYS.
+ * @returns {Promise<object>} - { deletedEmails, shortenedAddresses }
+ */
+export async function enforceExpiryPolicies() {
+  const [groups] = await pool.query(`
+    SELECT te.domain_id,
+      CASE WHEN te.user_id IS NULL THEN 'guest' WHEN u.is_admin THEN 'admin' ELSE 'user' END AS role
+    FROM temp_emails te
+    LEFT JOIN users u ON te.user_id = u.id
+    GROUP BY te.domain_id, role
+  `);
+
+  let deletedEmails = 0;
+  let shortenedAddresses = 0;
+
+  for (const { domain_id: domainId, role } of groups) {
+    const policy = await resolveExpiryPolicy(domainId, role);
+    const condition = ROLE_CONDITIONS[role];
+
+    const [deleted] = await pool.query(`
+      DELETE re FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      LEFT JOIN users u ON te.user_id = u.id
+      WHERE te.domain_id = ? AND ${condition}
+        AND re.received_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+    `, [domainId, policy.message_retention_days]);
+    deletedEmails += deleted.affectedRows;
+
+    // The built-in tiers only bound new addresses; existing ones keep the expiry they were given
+    if (!policy.id) continue;
+
+    const [shortened] = await pool.query(`
+      UPDATE temp_emails te
+      LEFT JOIN users u ON te.user_id = u.id
+      SET te.expires_at = DATE_ADD(te.created_at, INTERVAL ? DAY)
+      WHERE te.domain_id = ? AND ${condition}
+        AND te.expires_at > DATE_ADD(te.created_at, INTERVAL ? DAY)
+    `, [policy.max_lifetime_days, domainId, policy.max_lifetime_days]);
+    shortenedAddresses += shortened.affectedRows;
+  }
+
+  // Messages whose address is gone have no policy left; they keep the default retention
+  const [orphaned] = await pool.query(`
+    DELETE re FROM received_emails re
+    LEFT JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE te.id IS NULL AND re.received_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [DEFAULT_RETENTION_DAYS]);
+  deletedEmails += orphaned.affectedRows;
+
+  return { deletedEmails, shortenedAddresses };
+}
@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import { pool } from '../db/init.js';
+import { decompressRawSource } from './rawEmailService.js';
+import { createZipWriter, writeToStream } from './zipWriter.js';
+
+// Configuration
+export const EXPORT_FORMATS = ['mbox', 'eml-zip', 'json'];
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'boomlify-exports');
+const EXPORT_TTL_HOURS = 24; // Account exports can be downloaded for this long
+const BATCH_SIZE = 50; // Messages loaded from the database at a time
+const STALE_JOB_HOURS = 2; // Jobs still running after this (e.g. interrupted by a restart) are failed
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validates an export format
+ * @param {string} format - Requested format (defaults to mbox)
+ * @returns {string|null} - Format or null if unsupported
+ */
+export function parseExportFormat(format) {
+  const value = format || 'mbox';
+  return EXPORT_FORMATS.includes(value) ? value : null;
+}
+
+// Safe file name for an address inside an archive or a download
+function toFileName(value) {
+  return String(value || 'export').replace(/[^a-zA-Z0-9@._+-]/g, '_');
+}
+
+/**
+ * File name and content type for an export of one temp address
+ * @param {string} address - Temp email address
+ * @param {string} format - Export format
+ * @returns {object} - { filename, contentType }
+ */
+export function getExportFileInfo(address, format) {
+  const name = toFileName(address);
+  if (format === 'eml-zip') return { filename: `${name}.zip`, contentType: 'application/zip' };
+  if (format === 'json') return { filename: `${name}.json`, contentType: 'application/json' };
+  return { filename: `${name}.mbox`, contentType: 'application/mbox' };
+}
+
+/**
+ * Builds the RFC 822 source of a message
+ * The original source is used when it was retained; otherwise the message is rebuilt
+ * from its stored fields and attachments.
+ * @param {object} message - { email, attachments, rawSource }
+ * @param {string} address - Temp address the message was sent to
+ * @returns {Promise<Buffer>}
+ */
+export async function buildEml({ email, attachments, rawSource }, address) {
+  if (rawSource) return rawSource;
+
+  const composer = new MailComposer({
+    from: email.from_name ? { name: email.from_name, address: email.from_email } : email.from_email,
+    to: address,
+    subject: email.subject || '',
+    date: new Date(email.received_at),
+    messageId: email.message_id || undefined,
+    inReplyTo: email.in_reply_to || undefined,
+    text: email.body_text || undefined,
+    html: email.body_html || undefined,
+    attachments: attachments.map(attachment => ({
+      filename: attachment.filename || 'attachment',
+      contentType: attachment.content_type || 'application/octet-stream',
+      content: Buffer.from(attachment.content || '', 'base64')
+    }))
+  });
+
+  return new Promise((resolve, reject) => {
+    composer.compile().build((error, message) => (error ? reject(error) : resolve(message)));
+  });
+}
+
+/**
+ * Wraps a message for an mbox file (mboxrd: body lines starting with ">*From " get one more ">")
+ * @param {Buffer} eml - Message source
+ * @param {object} email - Received email
+ * @returns {Buffer}
+ */
+export function toMboxEntry(eml, email) {
+  const sender = (email.from_email || 'MAILER-DAEMON').replace(/\s/g, '') || 'MAILER-DAEMON';
+  // asctime() date, e.g. "Thu Oct  1 10:00:00 2026"
+  const [weekday, day, month, year, time] = new Date(email.received_at).toUTCString().replace(',', '').split(' ');
+  const separator = `From ${sender} ${weekday} ${month} ${day.replace(/^0/, ' ')} ${time} ${year}\n`;
+  const body = eml.toString('utf8')
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+    .replace(/\n*$/, '\n\n');
+
+  return Buffer.from(separator + body);
+}
+
+// JSON form of a message: stored fields plus attachments as base64
+function toJsonMessage({ email, attachments }) {
+  const { body_html, body_text, ...fields } = email;
+  return {
+    ...fields,
+    body_html,
+    body_text,
+    attachments: attachments.map(({ filename, content_type, size, content }) => ({ filename, content_type, size, content }))
+  };
+}
+
+/**
+ * Loads the messages of a database-backed temp email, oldest first, a batch at a time
+ * @param {string} tempEmailId - Temp email ID
+ * @yields {object} - { email, attachments, rawSource }
+ */
+export async function* iterateStoredMessages(tempEmailId) {
+  let lastReceivedAt = null;
+  let lastId = '';
+
+  while (true) {
+    const [emails] = await pool.query(`
+      SELECT * FROM received_emails
+      WHERE temp_email_id = ? ${lastReceivedAt ? 'AND (received_at > ? OR (received_at = ? AND id > ?))' : ''}
+      ORDER BY received_at ASC, id ASC
+      LIMIT ?
+    `, lastReceivedAt
+      ? [tempEmailId, lastReceivedAt, lastReceivedAt, lastId, BATCH_SIZE]
+      : [tempEmailId, BATCH_SIZE]);
+
+    if (emails.length === 0) return;
+
+    const ids = emails.map(email => email.id);
+    const [attachments] = await pool.query(
+      'SELECT email_id, filename, content_type, size, content FROM email_attachments WHERE email_id IN (?) ORDER BY created_at ASC',
+      [ids]
+    );
+    const [rawSources] = await pool.query(
+      'SELECT email_id, raw_source FROM received_email_raw WHERE email_id IN (?)',
+      [ids]
+    );
+    const rawById = new Map(rawSources.map(row => [row.email_id, row.raw_source]));
+
+    for (const email of emails) {
+      const raw = rawById.get(email.id);
+      yield {
+        email,
+        attachments: attachments.filter(attachment => attachment.email_id === email.id),
+        rawSource: raw ? decompressRawSource(raw) : null
+      };
+    }
+
+    lastReceivedAt = emails[emails.length - 1].received_at;
+    lastId = emails[emails.length - 1].id;
+    if (emails.length < BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Lists the messages of a guest inbox, oldest first
+ * @param {Array} inbox - In-memory received emails
+ * @param {function} getRaw - (emailId) => { compressed } or null
+ * @returns {Array} - [{ email, attachments, rawSource }]
+ */
+export function listInMemoryMessages(inbox, getRaw) {
+  return [...inbox]
+    .sort((a, b) => new Date(a.received_at).getTime() - new Date(b.received_at).getTime())
+    .map(({ attachments = [], ...email }) => {
+      const raw = getRaw(email.id);
+      return {
+        email,
+        attachments,
+        rawSource: raw ? decompressRawSource(raw.compressed) : null
+      };
+    });
+}
+
+/**
+ * Streams the messages of one temp address in the requested format
+ * The output is not ended.
+ * @param {object} params
+ * @param {string} params.address - Temp email address
+ * @param {string} params.format - mbox, eml-zip or json
+ * @param {AsyncIterable|Iterable} params.messages - { email, attachments, rawSource }
+ * @param {object} params.output - Writable stream
+ * @returns {Promise<number>} - Messages written
+ */
+export async function writeAddressExport({ address, format, messages, output }) {
+  let count = 0;
+
+  if (format === 'eml-zip') {
+    const zip = createZipWriter(output);
+    for await (const message of messages) {
+      count++;
+      const name = `${String(count).padStart(5, '0')}-${message.email.id}.eml`;
+      await zip.addFile(name, await buildEml(message, address), new Date(message.email.received_at));
+    }
+    await zip.finish();
+    return count;
+  }
+
+  if (format === 'json') {
+    await writeToStream(output, `{"address":${JSON.stringify(address)},"exported_at":${JSON.stringify(new Date().toISOString())},"emails":[`);
+    for await (const message of messages) {
+      await writeToStream(output, (count > 0 ? ',' : '') + JSON.stringify(toJsonMessage(message)));
+      count++;
+    }
+    await writeToStream(output, ']}');
+    return count;
+  }
+
+  for await (const message of messages) {
+    await writeToStream(output, toMboxEntry(await buildEml(message, address), message.email));
+    count++;
+  }
+  return count;
+}
+
+// Public view of a job (never the download token hash or file path)
+function toJobResponse(job, token = null) {
+  return {
+    id: job.id,
+    format: job.format,
+    status: job.status,
+    size: job.size,
+    email_count: job.email_count,
+    error: job.error,
+    expires_at: job.expires_at,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+    // The link token is only known when the job is created; owners can always download with their login
+    download_url: token ? `/exports/${job.id}/download?token=${token}` : `/exports/${job.id}/download`
+  };
+}
+
+// Build the archive of every temp address of a user
+async function runAccountExport(job) {
+  await pool.query(`UPDATE account_exports SET status = 'running' WHERE id = ?`, [job.id]);
+
+  const filePath = path.join(EXPORT_DIR, `${job.id}.zip`);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const [tempEmails] = await pool.query(
+      'SELECT id, email FROM temp_emails WHERE user_id = ? ORDER BY created_at ASC',
+      [job.user_id]
+    );
+
+    const file = fs.createWriteStream(filePath);
+    const zip = createZipWriter(file);
+    let emailCount = 0;
+
+    for (const tempEmail of tempEmails) {
+      const folder = toFileName(tempEmail.email);
+
+      if (job.format === 'eml-zip') {
+        // One .eml entry per message, in a folder per address
+        let index = 0;
+        for await (const message of iterateStoredMessages(tempEmail.id)) {
+          index++;
+          await zip.addFile(
+            `${folder}/${String(index).padStart(5, '0')}-${message.email.id}.eml`,
+            await buildEml(message, tempEmail.email),
+            new Date(message.email.received_at)
+          );
+        }
+        emailCount += index;
+        continue;
+      }
+
+      // Compressed into the archive as it is written, so a large mailbox is never held in memory
+      const entry = await zip.addStream(getExportFileInfo(tempEmail.email, job.format).filename);
+      emailCount += await writeAddressExport({
+        address: tempEmail.email,
+        format: job.format,
+        messages: iterateStoredMessages(tempEmail.id),
+        output: entry.input
+      });
+      await entry.end();
+    }
+
+    await zip.addFile('manifest.json', JSON.stringify({
+      exported_at: new Date().toISOString(),
+      format: job.format,
+      addresses: tempEmails.map(tempEmail => tempEmail.email),
+      email_count: emailCount
+    }, null, 2));
+    await zip.finish();
+    await new Promise((resolve, reject) => file.end(error => (error ? reject(error) : resolve())));
+
+    const { size } = await fs.promises.stat(filePath);
+    await pool.query(
+      `UPDATE account_exports
+       SET status = 'ready', file_path = ?, size = ?, email_count = ?, completed_at = NOW(),
+           expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+       WHERE id = ?`,
+      [filePath, size, emailCount, EXPORT_TTL_HOURS, job.id]
+    );
+  } catch (error) {
+    console.error(`Account export ${job.id} failed:`, error);
+    await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    await pool.query(
+      `UPDATE account_exports SET status = 'failed', error = ?, completed_at = NOW() WHERE id = ?`,
+      [(error.message || 'Export failed').substring(0, 255), job.id]
+    );
+  }
+}
+
+/**
+ * Queues an export of every temp address of a user
+ * Only one export per user can be pending or running at a time.
+ * @param {string} userId - User ID
+ * @param {string} format - mbox, eml-zip or json (per address inside the archive)
+ * @returns {Promise<object>} - { job } with a one-time download link, or { error, statusCode }
+ */
+export async function createAccountExport(userId, format) {
+  const [active] = await pool.query(
+    `SELECT id FROM account_exports WHERE user_id = ? AND status IN ('pending', 'running')`,
+    [userId]
+  );
+  if (active.length > 0) {
+    return { error: 'An export is already being prepared', statusCode: 409 };
+  }
+
+  const id = uuidv4();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `INSERT INTO account_exports (id, user_id, format, status, download_token_hash) VALUES (?, ?, ?, 'pending', ?)`,
+    [id, userId, format, hashToken(token)]
+  );
+
+  const [jobs] = await pool.query('SELECT * FROM account_exports WHERE id = ?', [id]);
+
+  // Built in the background; clients poll the job until it is ready
+  setImmediate(() => {
+    runAccountExport(jobs[0]).catch(error => console.error('Failed to run account export:', error));
+  });
+
+  return { job: toJobResponse(jobs[0], token) };
+}
+
+/**
+ * Lists a user's account exports
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export async function getAccountExports(userId) {
+  const [jobs] = await pool.query(
+    'SELECT * FROM account_exports WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+  return jobs.map(job => toJobResponse(job));
+}
+
+/**
+ * Loads one of a user's account exports
+ * @param {string} userId - User ID
+ * @param {string} id - Export ID
+ * @returns {Promise<object|null>}
+ */
+export async function getAccountExport(userId, id) {
+  const [jobs] = await pool.query('SELECT * FROM account_exports WHERE id = ? AND user_id = ?', [id, userId]);
+  return jobs.length > 0 ? toJobResponse(jobs[0]) : null;
+}
+
+/**
+ * Finds a ready, unexpired export from its download link or for its owner
+ * @param {string} id - Export ID
+ * @param {string|null} token - Token from the download link
+ * @param {string|null} [userId] - Owner, when downloading without the link
+ * @returns {Promise<object|null>} - account_exports row or null
+ */
+export async function findDownloadableExport(id, token, userId = null) {
+  const [jobs] = await pool.query(
+    `SELECT * FROM account_exports
+     WHERE id = ? AND ${userId ? 'user_id = ?' : 'download_token_hash = ?'} AND status = 'ready' AND expires_at > NOW()`,
+    [id, userId || hashToken(String(token || ''))]
+  );
+  return jobs.length > 0 ? jobs[0] : null;
+}
+
+/**
+ * Deletes an export and its file
+ * @param {string} userId - User ID
+ * @param {string} id - Export ID
+ * @returns {Promise<boolean>} - false if not found
+ */
+export async function deleteAccountExport(userId, id) {
+  const [jobs] = await pool.query('SELECT file_path FROM account_exports WHERE id = ? AND user_id = ?', [id, userId]);
+  if (jobs.length === 0) return false;
+
+  if (jobs[0].file_path) {
+    await fs.promises.rm(jobs[0].file_path, { force: true });
+  }
+  await pool.query('DELETE FROM account_exports WHERE id = ?', [id]);
+  return true;
+}
+
+// Remove expired export files, and fail jobs that never finished
+export async function cleanupExpiredExports() {
+  await pool.query(
+    `UPDATE account_exports SET status = 'failed', error = 'Export was interrupted', completed_at = NOW()
+     WHERE status IN ('pending', 'running') AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+    [STALE_JOB_HOURS]
+  );
+
+  const [expired] = await pool.query(
+    `SELECT id, file_path FROM account_exports
+     WHERE expires_at < NOW() OR (status = 'failed' AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR))`,
+    [EXPORT_TTL_HOURS]
+  );
+
+  for (const job of expired) {
+    if (job.file_path) {
+      await fs.promises.rm(job.file_path, { force: true }).catch(error => {
+        console.error(`Failed to remove export file ${job.file_path}:`, error);
+      });
+    }
+  }
+
+  if (expired.length > 0) {
+    await pool.query('DELETE FROM account_exports WHERE id IN (?)', [expired.map(job => job.id)]);
+  }
+
+  console.log(`Cleaned up ${expired.length} expired exports.`);
+  return expired.length;
+}
@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import smtpManager from './smtpManager.js';
+import { getForwardingConfirmationEmailTemplate } from '../templates/forwardingConfirmation.js';
+
+// Configuration
+const CONFIRMATION_TTL = 24 * 60 * 60 * 1000; // Confirmation links stay valid for 24 hours
+const CONFIRMATION_RESEND_INTERVAL = 60 * 1000; // At most one confirmation mail per minute per destination
+const MAX_CONSECUTIVE_FAILURES = 5; // Failed forwards before a rule is disabled
+export const USER_DAILY_FORWARD_LIMIT = parseInt(process.env.USER_DAILY_FORWARD_LIMIT || '100');
+export const MAX_FORWARDING_RULES_PER_USER = 20;
+// Dedicated key for SRS hashes; without it senders are not rewritten rather than hashed with a shared or empty key
+const SRS_SECRET = process.env.SRS_SECRET || null;
+const SRS_TIMESTAMP_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SRS_MAX_AGE_DAYS = 21; // Bounces to older SRS addresses are refused
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Days since the epoch, modulo the 10 bits an SRS timestamp holds
+function getSrsDay() {
+  return Math.floor(Date.now() / (24 * 60 * 60 * 1000)) % 1024;
+}
+
+function getSrsHash(timestamp, domain, local) {
+  return crypto.createHmac('sha1', SRS_SECRET)
+    .update(`${timestamp}${domain}${local}`.toLowerCase())
+    .digest('base64')
+    .substring(0, 4);
+}
+
+/**
+ * Rewrites a sender for the envelope of a forwarded message (SRS0)
+ * Lets SPF pass at the destination since the envelope domain becomes ours:
+ * alice@example.com -> SRS0=HHHH=TT=example.com=alice@<forwarding domain>
+ * @param {string} sender - Original envelope sender
+ * @param {string} forwardingDomain - Domain of the temp address doing the forwarding
+ * @returns {string|null} - Rewritten address, or null when the sender can't be rewritten (or SRS_SECRET is not set)
+ */
+export function buildSrsAddress(sender, forwardingDomain) {
+  const at = (sender || '').lastIndexOf('@');
+  if (!SRS_SECRET || at <= 0 || !forwardingDomain) return null;
+
+  const local = sender.substring(0, at);
+  const domain = sender.substring(at + 1).toLowerCase();
+
+  const days = getSrsDay();
+  const timestamp = SRS_TIMESTAMP_ALPHABET[days >> 5] + SRS_TIMESTAMP_ALPHABET[days & 31];
+
+  return `SRS0=${getSrsHash(timestamp, domain, local)}=${timestamp}=${domain}=${local}@${forwardingDomain}`;
+}
+
+/**
+ * Recovers the original sender from an SRS0 address built by buildSrsAddress
+ * Bounces of forwarded mail arrive at these addresses; the hash must match and the
+ * timestamp be at most SRS_MAX_AGE_DAYS old, so they can't be used as an open relay.
+ * @param {string} address - Envelope recipient
+ * @returns {string|null} - Original sender, or null when the address is not a valid SRS0 address
+ */
+export function reverseSrsAddress(address) {
+  const match = /^SRS0=([A-Za-z0-9+/]{4})=([A-Z2-7]{2})=([^=@]+)=(.+)@[^@]+$/i.exec(address || '');
+  if (!SRS_SECRET || !match) return null;
+
+  const [, hash, timestamp, domain, local] = match;
+  // Relays may change the case of the address, so the hash is compared case-insensitively
+  const expected = getSrsHash(timestamp, domain, local).toLowerCase();
+  if (!crypto.timingSafeEqual(Buffer.from(hash.toLowerCase()), Buffer.from(expected))) {
+    return null;
+  }
+
+  const stamp = timestamp.toUpperCase();
+  const stampedDay = SRS_TIMESTAMP_ALPHABET.indexOf(stamp[0]) * 32 + SRS_TIMESTAMP_ALPHABET.indexOf(stamp[1]);
+  if ((getSrsDay() - stampedDay + 1024) % 1024 > SRS_MAX_AGE_DAYS) {
+    return null;
+  }
+
+  return `${local}@${domain}`;
+}
+
+/**
+ * Sends a bounce received at an SRS0 address back to the original sender
+ * The message is relayed unchanged with a null envelope sender, as RFC 5321 requires for bounces.
+ * @param {string|Buffer} rawContent - Raw bounce message
+ * @param {string} sender - Original sender from reverseSrsAddress
+ * @returns {Promise<object>} - smtpManager result
+ */
+export async function relayBounce(rawContent, sender) {
+  return smtpManager.sendEmail(sender, null, null, {
+    envelopeFrom: '',
+    raw: rawContent
+  });
+}
+
+/**
+ * Validates a forwarding destination
+ * Addresses on domains served here are refused so two temp emails can't forward to each other forever
+ * @param {string} email - Destination mailbox
+ * @returns {Promise<object>} - { email } or { error }
+ */
+export async function validateDestination(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) || normalized.length > 255) {
+    return { error: 'A valid email address is required' };
+  }
+
+  const [domains] = await pool.query('SELECT id FROM domains WHERE domain = ?', [normalized.split('@')[1]]);
+  if (domains.length > 0) {
+    return { error: 'Mail cannot be forwarded to a temporary address' };
+  }
+
+  return { email: normalized };
+}
+
+/**
+ * Adds a destination (or refreshes an unconfirmed one) and mails it a confirmation link
+ * @param {string} userId - User ID
+ * @param {string} email - Validated destination address
+ * @returns {Promise<object>} - { destination } or { error, statusCode }
+ */
+export async function requestDestinationConfirmation(userId, email) {
+  const [existing] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE user_id = ? AND email = ?',
+    [userId, email]
+  );
+
+  if (existing.length > 0 && existing[0].verified_at) {
+    return { destination: existing[0] };
+  }
+
+  if (existing.length > 0 && existing[0].confirmation_sent_at &&
+      Date.now() - new Date(existing[0].confirmation_sent_at).getTime() < CONFIRMATION_RESEND_INTERVAL) {
+    return { error: 'Confirmation email was sent recently, please wait a minute', statusCode: 429 };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL);
+  const id = existing.length > 0 ? existing[0].id : uuidv4();
+
+  if (existing.length > 0) {
+    await pool.query(
+      'UPDATE forwarding_destinations SET token_hash = ?, token_expires_at = ?, confirmation_sent_at = NOW() WHERE id = ?',
+      [hashToken(token), expiresAt, id]
+    );
+  } else {
+    await pool.query(
+      `INSERT INTO forwarding_destinations (id, user_id, email, token_hash, token_expires_at, confirmation_sent_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [id, userId, email, hashToken(token), expiresAt]
+    );
+  }
+
+  const template = getForwardingConfirmationEmailTemplate(
+    `${process.env.FRONTEND_URL}/confirm-forwarding?token=${token}`
+  );
+
+  try {
+    const result = await smtpManager.sendEmail(email, template.subject, template.html);
+    await recordNotification({
+      userId,
+      emailType: 'forwarding_confirmation',
+      smtpServerId: result.smtpServerId,
+      sentTo: email,
+      subject: template.subject,
+      status: 'sent'
+    });
+  } catch (error) {
+    await recordNotification({
+      userId,
+      emailType: 'forwarding_confirmation',
+      smtpServerId: smtpManager.currentSMTP?.id,
+      sentTo: email,
+      subject: template.subject,
+      status: 'failed',
+      errorMessage: error.message
+    });
+    throw error;
+  }
+
+  const [destinations] = await pool.query('SELECT * FROM forwarding_destinations WHERE id = ?', [id]);
+  return { destination: destinations[0] };
+}
+
+/**
+ * Marks a destination as verified from its confirmation link
+ * @param {string} token - Token from the link
+ * @returns {Promise<object|null>} - Verified destination or null if the token is invalid or expired
+ */
+export async function confirmDestination(token) {
+  const tokenHash = hashToken(String(token || ''));
+
+  const [destinations] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE token_hash = ? AND token_expires_at > NOW()',
+    [tokenHash]
+  );
+
+  if (destinations.length === 0) return null;
+
+  await pool.query(
+    'UPDATE forwarding_destinations SET verified_at = NOW(), token_hash = NULL, token_expires_at = NULL WHERE id = ?',
+    [destinations[0].id]
+  );
+
+  return { ...destinations[0], verified_at: new Date(), token_hash: null };
+}
+
+// Log an outgoing system message in email_notifications
+async function recordNotification({ userId, emailType, smtpServerId, sentTo, subject, status, errorMessage, ruleId, receivedEmailId }) {
+  await pool.query(
+    `INSERT INTO email_notifications
+     (user_id, email_type, smtp_server_id, sent_to, subject, status, error_message, forwarding_rule_id, received_email_id, sent_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, emailType, smtpServerId || null, sentTo, subject, status, errorMessage || null,
+      ruleId || null, receivedEmailId || null, status === 'sent' ? new Date() : null]
+  );
+}
+
+/**
+ * Checks a received email against a rule's optional sender and subject filters
+ * @param {object} rule - forwarding_rules row
+ * @param {object} email - Received email
+ * @returns {boolean}
+ */
+export function matchesForwardingRule(rule, email) {
+  if (rule.from_filter) {
+    const sender = `${email.from_name || ''} ${email.from_email || ''}`.toLowerCase();
+    if (!sender.includes(rule.from_filter.toLowerCase())) return false;
+  }
+
+  if (rule.subject_filter && !(email.subject || '').toLowerCase().includes(rule.subject_filter.toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+// Forwards today, counted from the notification log
+async function getForwardsToday(userId) {
+  const [[usage]] = await pool.query(
+    `SELECT COUNT(*) as used FROM email_notifications
+     WHERE user_id = ? AND email_type = 'forwarded_email' AND status = 'sent' AND created_at >= CURDATE()`,
+    [userId]
+  );
+  return Number(usage.used);
+}
+
+// Track consecutive failures; a rule that keeps failing is disabled
+async function updateRuleHealth(ruleId, succeeded) {
+  if (succeeded) {
+    await pool.query(
+      'UPDATE forwarding_rules SET failure_count = 0, last_forwarded_at = NOW() WHERE id = ?',
+      [ruleId]
+    );
+    return;
+  }
+
+  await pool.query(
+    `UPDATE forwarding_rules
+     SET failure_count = failure_count + 1,
+         is_active = IF(failure_count >= ?, FALSE, is_active),
+         disabled_at = IF(failure_count >= ? AND disabled_at IS NULL, NOW(), disabled_at)
+     WHERE id = ?`,
+    [MAX_CONSECUTIVE_FAILURES, MAX_CONSECUTIVE_FAILURES, ruleId]
+  );
+}
+
+// Send one message to one destination
+async function forwardToDestination(rule, address, email) {
+  const sender = email.from_name ? `${email.from_name} via ${address}` : address;
+
+  return smtpManager.sendEmail(rule.destination, email.subject || '(no subject)', email.body_html || '', {
+    // Our address in From keeps DMARC happy; replies still go to the original sender
+    from: { name: sender.replace(/["\r\n]/g, ''), address },
+    envelopeFrom: buildSrsAddress(email.from_email, address.split('@')[1]) || undefined,
+    replyTo: email.from_email || undefined,
+    text: email.body_text || undefined,
+    headers: {
+      'X-Original-From': email.from_email || '',
+      'X-Forwarded-For': `${address} ${rule.destination}`
+    },
+    attachments: (email.attachments || [])
+      .filter(attachment => attachment.content)
+      .map(attachment => ({
+        filename: attachment.filename || 'attachment',
+        contentType: attachment.contentType || attachment.content_type || 'application/octet-stream',
+        content: Buffer.from(attachment.content, 'base64')
+      }))
+  });
+}
+
+/**
+ * Relays a stored message to the verified destinations of its temp email
+ * Called from the shared inbound path after a registered user's message is stored
+ * @param {object} params
+ * @param {string} params.userId - Owner of the temp email
+ * @param {string} params.tempEmailId - Temp email that received the message
+ * @param {string} params.address - Temp email address
+ * @param {object} params.email - Stored received email (attachments with content)
+ */
+export async function forwardReceivedEmail({ userId, tempEmailId, address, email }) {
+  // Relaying spam would hurt the reputation of the outbound accounts
+  if (email.is_spam) return;
+
+  const [rules] = await pool.query(`
+    SELECT fr.*, fd.email as destination
+    FROM forwarding_rules fr
+    JOIN forwarding_destinations fd ON fr.destination_id = fd.id
+    WHERE fr.temp_email_id = ? AND fr.user_id = ? AND fr.is_active = true AND fd.verified_at IS NOT NULL
+  `, [tempEmailId, userId]);
+
+  const matching = rules.filter(rule => matchesForwardingRule(rule, email));
+  if (matching.length === 0) return;
+
+  let forwardsToday = await getForwardsToday(userId);
+
+  for (const rule of matching) {
+    const notification = {
+      userId,
+      emailType: 'forwarded_email',
+      sentTo: rule.destination,
+      subject: email.subject,
+      ruleId: rule.id,
+      receivedEmailId: email.id
+    };
+
+    // Over the limit is logged but isn't held against the rule
+    if (forwardsToday >= USER_DAILY_FORWARD_LIMIT) {
+      await recordNotification({ ...notification, status: 'failed', errorMessage: 'Daily forward limit reached' });
+      continue;
+    }
+
+    try {
+      const result = await forwardToDestination(rule, address, email);
+      forwardsToday++;
+      await recordNotification({ ...notification, smtpServerId: result.smtpServerId, status: 'sent' });
+      await updateRuleHealth(rule.id, true);
+    } catch (error) {
+      console.error(`Failed to forward email ${email.id} to ${rule.destination}:`, error.message);
+      await recordNotification({
+        ...notification,
+        smtpServerId: smtpManager.currentSMTP?.id,
+        status: 'failed',
+        errorMessage: error.message
+      });
+      await updateRuleHealth(rule.id, false);
+    }
+  }
+}
+
+// Remove forwarding attempt logs older than the given number of days
+export async function cleanupForwardingLog(days) {
+  const [result] = await pool.query(
+    `DELETE FROM email_notifications WHERE email_type = 'forwarded_email' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [days]
+  );
+
+  console.log(`Cleaned up ${result.affectedRows} forwarding log entries.`);
+  return result.affectedRows;
+}
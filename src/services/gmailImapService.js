@@ -3,10 +3,15 @@ import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
 import crypto from 'crypto';
 import { WebSocketServer } from 'ws';
+import { INBOX_PUSH_PATH, handleInboxConnection } from './inboxPushService.js';
+import { extractVerificationData } from './codeExtractor.js';
 import { simpleParser } from 'mailparser';  // For better email parsing
+import { compressRawSource, decompressRawSource } from './rawEmailService.js';
+import { resolveThreadId } from './threadService.js';
 
 // In-memory storage
 const emailCache = new Map(); // Cache for fetched emails
+const rawSourceCache = new Map(); // Compressed raw sources, keyed like emailCache (alias:uid)
 const aliasCache = new Map(); // Cache for active aliases during runtime
 const activeImapAccounts = new Set(); // Track which accounts are being actively polled
 const imapClients = new Map(); // Store active IMAP clients
@@ -162,6 +167,13 @@ export function setupWebSocketServer(server) {
   wss.on('connection', (ws, req) => {
     // Extract userId and alias from URL parameters
     const url = new URL(req.url, `http://${req.headers.host}`);
+    
+    // This server accepts upgrades on every path - hand domain temp email subscriptions off
+    if (url.pathname === INBOX_PUSH_PATH) {
+      handleInboxConnection(ws, req).catch(err => console.error('Inbox push connection error:', err));
+      return;
+    }
+    
     const userId = url.searchParams.get('userId');
     const alias = url.searchParams.get('alias');
     
@@ -1169,7 +1181,7 @@ async function fetchEmailsForAlias(accountEmail, alias) {
             
             // Only add if not already in cache
             if (!emailCache.has(cacheKey)) {
-              addToEmailCache(cacheKey, email);
+              addToEmailCache(cacheKey, email, message.source);
               totalEmails++;
               newEmails.push(email);
               
@@ -1233,9 +1245,21 @@ async function parseImapMessage(source, recipientAlias) {
     // Generate a unique ID based on message ID and date
     const id = parsed.messageId || `${date.getTime()}-${Math.random().toString(36).substring(2, 10)}`;
     
+    // Replies share the thread of the conversation root named in References/In-Reply-To
+    const references = parsed.references ? [].concat(parsed.references) : [];
+    const threadId = resolveThreadId({
+      id,
+      message_id: parsed.messageId,
+      in_reply_to: parsed.inReplyTo,
+      reference_ids: references
+    }, new Map());
+    
     return {
       id,
-      threadId: parsed.messageId || id, 
+      threadId,
+      messageId: parsed.messageId || null,
+      inReplyTo: parsed.inReplyTo || null,
+      references,
       from: fromText,
       fromEmail: fromEmail,
       fromName: fromName,
@@ -1247,7 +1271,9 @@ async function parseImapMessage(source, recipientAlias) {
       timestamp: Date.now(),
       snippet: bodyText.substring(0, 150).replace(/\s+/g, ' ').trim(),
       recipientAlias,
-      attachments
+      attachments,
+      // OTPs and magic links, pushed with the new_email event
+      verification: extractVerificationData({ subject, body_text: bodyText, body_html: bodyHtml })
     };
   } catch (error) {
     console.error('Error parsing email message:', error);
@@ -1446,7 +1472,7 @@ async function pollForNewEmails(accountEmail) {
                 
                 // Only add if not already in cache
                 if (!emailCache.has(cacheKey)) {
-                  addToEmailCache(cacheKey, email);
+                  addToEmailCache(cacheKey, email, message.source);
                   totalNewEmails++;
                   
                   // Notify connected clients about the new email in real-time
@@ -1820,7 +1846,7 @@ async function processNewIdleEmails(accountEmail, client, count) {
           
           // Only add if not already in cache
           if (!emailCache.has(cacheKey)) {
-            addToEmailCache(cacheKey, email);
+            addToEmailCache(cacheKey, email, message.source);
             deliveredCount++;
             
             // IMMEDIATE notification to connected clients
@@ -2037,7 +2063,8 @@ export async function initializeImapService() {
 // Improved: Schedule polling has been replaced with synchronized polling for ALL accounts
 
 // Cache Management with improved efficiency
-function addToEmailCache(key, email) {
+// The original source is kept (compressed) under the same key so headers and signatures can be inspected
+function addToEmailCache(key, email, source) {
   // If cache is at capacity, remove oldest entries
   if (emailCache.size >= MAX_CACHE_SIZE) {
     const oldestKeys = [...emailCache.keys()]
@@ -2046,7 +2073,7 @@ function addToEmailCache(key, email) {
       .slice(0, Math.ceil(MAX_CACHE_SIZE * 0.2)) // Remove oldest 20%
       .map(item => item.key);
     
-    oldestKeys.forEach(key => emailCache.delete(key));
+    oldestKeys.forEach(key => removeFromEmailCache(key));
   }
   
   // Add new email to cache
@@ -2054,6 +2081,17 @@ function addToEmailCache(key, email) {
     ...email,
     timestamp: Date.now()
   });
+
+  const compressedSource = compressRawSource(source);
+  if (compressedSource) {
+    rawSourceCache.set(key, compressedSource);
+  }
+}
+
+// Remove an email from the cache together with its retained raw source
+function removeFromEmailCache(key) {
+  rawSourceCache.delete(key);
+  emailCache.delete(key);
 }
 
 // Run optimization checks at regular intervals
@@ -2116,7 +2154,7 @@ async function optimizeResources() {
     if (emailsToRemove.length > 0) {
       console.log(`Removing ${emailsToRemove.length} emails for inactive aliases`);
       for (const key of emailsToRemove) {
-        emailCache.delete(key);
+        removeFromEmailCache(key);
       }
     }
     
@@ -2215,7 +2253,7 @@ export async function cleanupInactiveAliases() {
         .slice(0, Math.ceil(MAX_CACHE_SIZE * 0.3))
         .map(item => item.key);
       
-      oldestKeys.forEach(key => emailCache.delete(key));
+      oldestKeys.forEach(key => removeFromEmailCache(key));
       console.log(`Cleaned up ${oldestKeys.length} old emails from cache`);
     }
     
@@ -2423,6 +2461,23 @@ export async function getGmailAccountStats() {
   }
 }
 
+/**
+ * Gets the original source of a cached Gmail alias email
+ * @param {string} alias - Gmail alias
+ * @param {string} emailId - Email ID (Message-ID)
+ * @returns {Buffer|null} - Raw RFC 822 source or null if not retained
+ */
+export function getGmailRawSource(alias, emailId) {
+  const prefix = `${alias}:`;
+  for (const [key, email] of emailCache) {
+    if (key.startsWith(prefix) && email.id === emailId) {
+      const compressed = rawSourceCache.get(key);
+      return compressed ? decompressRawSource(compressed) : null;
+    }
+  }
+  return null;
+}
+
 export function getEmailCacheStats() {
   return {
     size: emailCache.size,
@@ -2670,7 +2725,7 @@ async function fetchAllAliasesForAccount(accountEmail, aliases) {
                   const cacheKey = `${alias}:${message.uid}`;
                   
                   if (!emailCache.has(cacheKey)) {
-                    addToEmailCache(cacheKey, email);
+                    addToEmailCache(cacheKey, email, message.source);
                     totalEmails++;
                     
                     // Notify connected clients
@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { JSDOM } from 'jsdom';
+import createDOMPurify from 'dompurify';
+import { resolvePublicAddresses, createPinnedAgent } from './networkGuard.js';
+
+// Configuration
+// Dedicated key for proxy and redirect links; without it rendered mail keeps its images blocked
+// and links are left out rather than signed with a guessable or shared key
+const LINK_SECRET = process.env.MAIL_VIEW_SECRET || null;
+const MAX_PROXIED_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB per image
+const PROXY_TIMEOUT = 10 * 1000; // 10 seconds per image
+const MAX_PROXY_REDIRECTS = 3;
+export const IMAGE_MODES = ['proxy', 'block'];
+
+// Dedicated instance so the blog's DOMPurify configuration doesn't apply to mail
+const { window } = new JSDOM('');
+const DOMPurify = createDOMPurify(window);
+
+// Email markup that is never rendered: active content, forms (phishing) and document-level styling
+const FORBIDDEN_TAGS = [
+  'style', 'link', 'meta', 'base', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'form', 'input', 'button', 'select', 'textarea', 'option', 'svg', 'math', 'video', 'audio', 'source'
+];
+
+// Inline CSS that could load remote content or cover the page around the message
+const UNSAFE_STYLE_PATTERN = /url\s*\(|expression\s*\(|@import|position\s*:\s*(fixed|absolute|sticky)|behavior\s*:|-moz-binding/i;
+
+if (!LINK_SECRET) {
+  console.warn('MAIL_VIEW_SECRET is not set: rendered emails will block remote images and drop outbound links');
+}
+
+function signUrl(url) {
+  if (!LINK_SECRET) {
+    throw new Error('MAIL_VIEW_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', LINK_SECRET).update(url).digest('hex').substring(0, 32);
+}
+
+/**
+ * Checks the signature of a proxied image or outbound link
+ * @param {string} url - Original URL
+ * @param {string} signature - sig query parameter
+ * @returns {boolean}
+ */
+export function verifyUrlSignature(url, signature) {
+  if (!LINK_SECRET || typeof url !== 'string' || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signUrl(url));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Link through the click-warning interstitial
+ * @param {string} url - Original http(s) URL
+ * @returns {string}
+ */
+export function buildRedirectUrl(url) {
+  return `${process.env.API_URL || ''}/mail-view/redirect?url=${encodeURIComponent(url)}&sig=${signUrl(url)}`;
+}
+
+/**
+ * Image URL served through the image proxy
+ * @param {string} url - Original http(s) URL
+ * @returns {string}
+ */
+export function buildImageProxyUrl(url) {
+  return `${process.env.API_URL || ''}/mail-view/image?url=${encodeURIComponent(url)}&sig=${signUrl(url)}`;
+}
+
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test((value || '').trim());
+}
+
+// Declarations like width:1px or display:none from an inline style
+function getStyleValue(style, property) {
+  const match = new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i').exec(style || '');
+  return match ? match[1].trim().toLowerCase() : null;
+}
+
+// 1x1 (or smaller) and hidden images only exist to report that the message was opened
+function isTrackingPixel(img) {
+  const style = img.getAttribute('style');
+  const display = getStyleValue(style, 'display');
+  const visibility = getStyleValue(style, 'visibility');
+  if (display === 'none' || visibility === 'hidden') return true;
+
+  const size = dimension => {
+    const value = img.getAttribute(dimension) || getStyleValue(style, dimension);
+    return value !== null && /^\d+(\.\d+)?(px)?$/.test(value.trim()) ? parseFloat(value) : null;
+  };
+  const width = size('width');
+  const height = size('height');
+  return (width !== null && width <= 1) || (height !== null && height <= 1);
+}
+
+// Drops inline style declarations that load remote content or escape the message area
+function cleanStyle(element) {
+  const style = element.getAttribute('style');
+  if (!style) return;
+
+  const safe = style.split(';').filter(declaration => declaration.trim() && !UNSAFE_STYLE_PATTERN.test(declaration));
+  if (safe.length > 0) {
+    element.setAttribute('style', safe.join(';'));
+  } else {
+    element.removeAttribute('style');
+  }
+}
+
+/**
+ * Resolves cid: references against a message's attachments
+ * @param {Array} attachments - Attachments with content_id and base64 content
+ * @returns {Map} - Content-ID (lower case, no brackets) → data URI
+ */
+function buildInlineImageMap(attachments = []) {
+  const images = new Map();
+  for (const attachment of attachments) {
+    const contentId = (attachment.content_id || '').replace(/^<|>$/g, '').toLowerCase();
+    const contentType = (attachment.content_type || '').toLowerCase();
+    if (!contentId || !attachment.content || !contentType.startsWith('image/') || contentType.includes('svg')) continue;
+
+    images.set(contentId, `data:${contentType};base64,${attachment.content}`);
+  }
+  return images;
+}
+
+// cid: URLs may be percent-encoded (RFC 2392)
+function decodeContentId(value) {
+  let contentId = value;
+  try {
+    contentId = decodeURIComponent(value);
+  } catch (error) {
+    // Keep malformed escapes as written
+  }
+  return contentId.replace(/^<|>$/g, '').toLowerCase();
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the body of a received email as HTML that is safe to embed
+ * Scripts, forms and remote CSS are removed, tracking pixels are dropped, remote images are
+ * proxied or blocked, cid: images are inlined from attachments and links go through the
+ * click-warning interstitial. Plain-text messages are escaped into a pre-wrapped block.
+ * @param {object} email - { body_html, body_text, attachments } (attachments with content_id and content)
+ * @param {object} [options]
+ * @param {string} [options.images] - 'proxy' (default) or 'block' for remote images
+ * @returns {object} - { html, source, stats: { trackersRemoved, imagesProxied, imagesBlocked, inlineImages, linksRewritten } }
+ */
+export function renderSafeHtml(email, { images = 'proxy' } = {}) {
+  const stats = { trackersRemoved: 0, imagesProxied: 0, imagesBlocked: 0, inlineImages: 0, linksRewritten: 0 };
+
+  if (!email.body_html || !email.body_html.trim()) {
+    return {
+      html: `<div style="white-space: pre-wrap">${escapeHtml(email.body_text || '')}</div>`,
+      source: 'text',
+      stats
+    };
+  }
+
+  const body = DOMPurify.sanitize(email.body_html, {
+    FORBID_TAGS: FORBIDDEN_TAGS,
+    FORBID_ATTR: ['srcset', 'background', 'action', 'formaction', 'ping'],
+    RETURN_DOM: true
+  });
+  const inlineImages = buildInlineImageMap(email.attachments);
+
+  for (const element of body.querySelectorAll('[style]')) {
+    cleanStyle(element);
+  }
+
+  for (const img of Array.from(body.querySelectorAll('img'))) {
+    const src = (img.getAttribute('src') || '').trim();
+
+    if (isTrackingPixel(img)) {
+      img.remove();
+      stats.trackersRemoved++;
+      continue;
+    }
+
+    if (/^cid:/i.test(src)) {
+      const dataUri = inlineImages.get(decodeContentId(src.substring(4)));
+      if (dataUri) {
+        img.setAttribute('src', dataUri);
+        stats.inlineImages++;
+      } else {
+        img.removeAttribute('src');
+      }
+    } else if (isHttpUrl(src)) {
+      if (images === 'block' || !LINK_SECRET) {
+        img.removeAttribute('src');
+        img.setAttribute('data-blocked', 'true');
+        stats.imagesBlocked++;
+      } else {
+        img.setAttribute('src', buildImageProxyUrl(src));
+        stats.imagesProxied++;
+      }
+    } else if (!/^data:image\/(png|gif|jpe?g|webp|bmp);/i.test(src)) {
+      img.removeAttribute('src');
+    }
+  }
+
+  for (const link of body.querySelectorAll('a[href]')) {
+    const href = link.getAttribute('href').trim();
+
+    if (isHttpUrl(href) && LINK_SECRET) {
+      link.setAttribute('href', buildRedirectUrl(href));
+      link.setAttribute('target', '_blank');
+      link.setAttribute('rel', 'noopener noreferrer nofollow');
+      stats.linksRewritten++;
+    } else if (!/^(mailto:|#)/i.test(href)) {
+      link.removeAttribute('href');
+    }
+  }
+
+  return { html: body.innerHTML, source: 'html', stats };
+}
+
+/**
+ * Wraps rendered HTML in a standalone document for an iframe
+ * @param {string} html - Output of renderSafeHtml
+ * @returns {string}
+ */
+export function wrapHtmlDocument(html) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="referrer" content="no-referrer"></head><body>${html}</body></html>`;
+}
+
+/**
+ * Click-warning page shown before leaving for a link found in an email
+ * @param {string} url - Destination
+ * @returns {string}
+ */
+export function buildRedirectPage(url) {
+  const host = escapeHtml(new URL(url).hostname);
+  const target = escapeHtml(url);
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="referrer" content="no-referrer"><title>Leaving for ${host}</title></head>
+<body style="font-family: sans-serif; max-width: 640px; margin: 48px auto; padding: 0 16px">
+<h1>You are leaving your inbox</h1>
+<p>This link was in an email you received and leads to <strong>${host}</strong>. Only continue if you trust the sender.</p>
+<p style="word-break: break-all; color: #555">${target}</p>
+<p><a href="${target}" rel="noopener noreferrer nofollow">Continue to ${host}</a></p>
+</body></html>`;
+}
+
+/**
+ * Fetches a remote image for the image proxy
+ * Redirects are followed by hand so every hop is checked; SVG and non-image responses are refused.
+ * @param {string} url - Original http(s) URL
+ * @returns {Promise<object>} - { content (Buffer), contentType }
+ */
+export async function fetchProxiedImage(url) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_PROXY_REDIRECTS; hop++) {
+    const parsed = new URL(current);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Unsupported image URL');
+    }
+    // Every hop is resolved, checked and connected to by that checked address
+    const addresses = await resolvePublicAddresses(parsed.hostname);
+    const agent = createPinnedAgent(parsed.protocol, addresses);
+
+    const response = await axios.get(current, {
+      httpAgent: agent,
+      httpsAgent: agent,
+      proxy: false,
+      responseType: 'arraybuffer',
+      timeout: PROXY_TIMEOUT,
+      maxRedirects: 0,
+      maxContentLength: MAX_PROXIED_IMAGE_SIZE,
+      validateStatus: status => status < 400,
+      // No cookies or referrer: the sender only learns that the proxy fetched the image
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ImageProxy/1.0)', Accept: 'image/*' }
+    });
+
+    if (response.status >= 300) {
+      if (!response.headers.location) throw new Error('Redirect without location');
+      current = new URL(response.headers.location, current).toString();
+      continue;
+    }
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/') || contentType.includes('svg')) {
+      throw new Error('Response is not a supported image');
+    }
+
+    return { content: Buffer.from(response.data), contentType };
+  }
+
+  throw new Error('Too many redirects');
+}
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pool } from '../db/init.js';
+import { buildReceivedEmail, insertReceivedEmail } from './inboundEmailService.js';
+import { assignStoredThreadId, assignInMemoryThreadId, normalizeMessageId } from './threadService.js';
+import { getInbox, getAllReceivedEmails, storeReceivedEmail, storeRawSource } from '../guestSessionHandler.js';
+import { EMAIL_RETENTION_DAYS } from '../utils/cleanup.js';
+
+// Configuration
+export const MAX_IMPORT_FILE_SIZE = 25 * 1024 * 1024; // Per uploaded file
+export const MAX_IMPORT_FILES = 20;
+const MAX_IMPORT_MESSAGES = 1000; // Per request, across all files
+// Guest sessions live in process memory, so guests upload less and their sessions hold a bounded number of messages
+export const MAX_GUEST_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+export const MAX_GUEST_IMPORT_FILES = 5;
+const MAX_GUEST_SESSION_MESSAGES = 200;
+// Uploads are written here and read one file at a time
+export const IMPORT_UPLOAD_DIR = process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'boomlify-imports');
+
+/**
+ * Splits an mbox file into messages
+ * Understands mboxo/mboxrd: a line starting with "From " begins a message and one level
+ * of ">" is removed from quoted ">From " lines.
+ * @param {Buffer} content - mbox file
+ * @returns {Array} - Message sources (Buffers)
+ */
+export function splitMbox(content) {
+  const lines = content.toString('utf8').split(/\r?\n/);
+  const messages = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.startsWith('From ')) {
+      if (current) messages.push(current);
+      current = [];
+      continue;
+    }
+    if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+  }
+  if (current) messages.push(current);
+
+  return messages
+    .map(message => message.join('\r\n').replace(/(\r\n)+$/, '\r\n'))
+    .filter(message => message.trim())
+    .map(message => Buffer.from(message));
+}
+
+/**
+ * Turns uploaded files into message sources
+ * Files that start with an mbox "From " line are split; anything else is one .eml message.
+ * Files on disk are only read when their turn comes, so one file is in memory at a time.
+ * @param {Array} files - multer files ({ originalname, path } or { originalname, buffer })
+ * @returns {Iterable} - { source, index, content } per message
+ */
+export function* extractMessages(files) {
+  for (const file of files) {
+    const buffer = file.buffer || fs.readFileSync(file.path);
+    const isMbox = buffer.subarray(0, 5).toString('latin1') === 'From ';
+    const contents = isMbox ? splitMbox(buffer) : [buffer];
+
+    for (const [index, content] of contents.entries()) {
+      yield { source: file.originalname || 'upload', index: index + 1, content };
+    }
+  }
+}
+
+/**
+ * Removes uploaded files from disk once an import is done with them
+ * @param {Array} files - multer files
+ */
+export function removeUploadedFiles(files) {
+  for (const file of files || []) {
+    if (!file.path) continue;
+    fs.promises.unlink(file.path).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Failed to remove uploaded file:', error);
+    });
+  }
+}
+
+// Message-IDs (without brackets) already present in a database-backed inbox
+async function findStoredMessageIds(tempEmailId, messageIds) {
+  if (messageIds.length === 0) return new Set();
+
+  const [rows] = await pool.query(
+    'SELECT message_id FROM received_emails WHERE temp_email_id = ? AND message_id IN (?)',
+    [tempEmailId, [...messageIds, ...messageIds.map(id => `<${id}>`)]]
+  );
+  return new Set(rows.map(row => normalizeMessageId(row.message_id)));
+}
+
+// The Date header is kept as the receipt time, but never in the future
+function getReceivedAt(parsedDate) {
+  const date = parsedDate instanceof Date && !isNaN(parsedDate.getTime()) ? parsedDate : new Date();
+  return date > new Date() ? new Date() : date;
+}
+
+/**
+ * Imports uploaded messages into a temp inbox
+ * Messages go through the same parsing as live mail but skip inbox rules, webhooks and forwarding.
+ * A message whose Message-ID is already in the inbox (or earlier in the upload) is skipped.
+ * Guest sessions stop taking messages once they hold MAX_GUEST_SESSION_MESSAGES.
+ * @param {object} params
+ * @param {object} params.target - { guestToken, tempEmailId } (guestToken null for database-backed inboxes)
+ * @param {Iterable} params.messages - From extractMessages
+ * @param {number} [params.retentionDays] - Message retention of the inbox's expiry policy
+ * @returns {Promise<object>} - Import report { total, imported, duplicates, failed, details, warnings }
+ */
+export async function importMessages({ target, messages, retentionDays = EMAIL_RETENTION_DAYS }) {
+  const report = { total: 0, imported: 0, duplicates: 0, failed: 0, details: [], warnings: [] };
+
+  const seen = new Set();
+  const retentionCutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let expiringSoon = 0;
+  let guestMessages = target.guestToken ? getAllReceivedEmails(target.guestToken).length : 0;
+  let sessionFull = false;
+
+  for (const message of messages) {
+    // Messages past the limits are counted but not parsed
+    if (++report.total > MAX_IMPORT_MESSAGES || sessionFull) continue;
+
+    const detail = { source: message.source, index: message.index };
+
+    try {
+      const { emailData, rawSource, parsedEmail } = await buildReceivedEmail(message.content);
+      const messageId = normalizeMessageId(emailData.message_id);
+      detail.message_id = messageId || null;
+      detail.subject = emailData.subject;
+
+      // Historical mail keeps its original date
+      emailData.received_at = getReceivedAt(parsedEmail.date).toISOString();
+
+      const isDuplicate = messageId && (seen.has(messageId) || (target.guestToken
+        ? getInbox(target.guestToken, target.tempEmailId).some(email => normalizeMessageId(email.message_id) === messageId)
+        : (await findStoredMessageIds(target.tempEmailId, [messageId])).has(messageId)));
+
+      if (isDuplicate) {
+        report.duplicates++;
+        report.details.push({ ...detail, status: 'duplicate' });
+        continue;
+      }
+      if (messageId) seen.add(messageId);
+
+      if (target.guestToken && guestMessages >= MAX_GUEST_SESSION_MESSAGES) {
+        sessionFull = true;
+        continue;
+      }
+
+      if (target.guestToken) {
+        guestMessages++;
+        assignInMemoryThreadId(getInbox(target.guestToken, target.tempEmailId), emailData);
+        if (!storeReceivedEmail(target.guestToken, target.tempEmailId, emailData)) {
+          throw new Error('Guest session is no longer available');
+        }
+        storeRawSource(target.guestToken, emailData.id, rawSource.compressed, rawSource.size);
+      } else {
+        await assignStoredThreadId(target.tempEmailId, emailData);
+        await insertReceivedEmail(target.tempEmailId, emailData, rawSource);
+      }
+
+      if (new Date(emailData.received_at).getTime() < retentionCutoff) {
+        expiringSoon++;
+      }
+
+      report.imported++;
+      report.details.push({ ...detail, status: 'imported', emailId: emailData.id });
+    } catch (error) {
+      report.failed++;
+      report.details.push({ ...detail, status: 'failed', reason: error.message });
+    }
+  }
+
+  if (report.total > MAX_IMPORT_MESSAGES) {
+    report.warnings.push(`Only the first ${MAX_IMPORT_MESSAGES} messages were imported`);
+  }
+  if (sessionFull) {
+    report.warnings.push(`Guest sessions hold at most ${MAX_GUEST_SESSION_MESSAGES} messages; register to import more`);
+  }
+
+  if (expiringSoon > 0) {
+    report.warnings.push(
+      `${expiringSoon} message(s) are older than ${retentionDays} days and will be removed by the next retention cleanup`
+    );
+  }
+
+  return report;
+}
@@ -0,0 +1,508 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { simpleParser } from 'mailparser';
+import iconv from 'iconv-lite';
+import {
+  findGuestByEmail,
+  storeReceivedEmail,
+  findRegisteredUserByEmail,
+  cacheReceivedEmail,
+  storeRawSource,
+  flushGuestSession,
+  getInbox
+} from '../guestSessionHandler.js';
+import { prepareAttachments, saveAttachments, toAttachmentMetadata } from './attachmentService.js';
+import { compressRawSource, saveRawSource } from './rawEmailService.js';
+import { scoreEmail } from './spamFilter.js';
+import { announceNewEmail } from './inboxEventService.js';
+import { dispatchEmailWebhooks } from './userWebhookService.js';
+import { extractVerificationData } from './codeExtractor.js';
+import { indexReceivedEmail } from './searchService.js';
+import { findPatternMatch } from './addressPatternService.js';
+import { forwardReceivedEmail, reverseSrsAddress, relayBounce } from './forwardingService.js';
+import { getInboxRules, applyInboxRules } from './inboxRuleService.js';
+import { assignStoredThreadId, assignInMemoryThreadId } from './threadService.js';
+
+// Email parsing helper functions
+export function extractSenderEmail(emailFrom) {
+  // If no email provided, return empty string
+  if (!emailFrom) return '';
+
+  // Try to extract email from format "Name <email@domain.com>"
+  const angleEmailMatch = emailFrom.match(/<(.+?)>/);
+  if (angleEmailMatch) {
+    return angleEmailMatch[1];
+  }
+
+  // Try to extract email from format "email@domain.com"
+  const simpleEmailMatch = emailFrom.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
+  if (simpleEmailMatch) {
+    return simpleEmailMatch[1];
+  }
+
+  // Handle bounce/system emails
+  if (emailFrom.includes('bounce') || emailFrom.includes('mailer-daemon')) {
+    // Try to extract original sender from common bounce formats
+    const bounceMatch = emailFrom.match(/original-sender:\s*([^\s]+@[^\s]+)/i);
+    if (bounceMatch) {
+      return bounceMatch[1];
+    }
+
+    // If it's a bounce but we can't find original sender, mark it clearly
+    return 'system@bounced.mail';
+  }
+
+  // Return original if no pattern matches
+  return emailFrom;
+}
+
+export function extractSenderName(emailFrom) {
+  if (!emailFrom) return 'Unknown Sender';
+
+  // Try to extract name from "Name <email@domain.com>"
+  const nameMatch = emailFrom.match(/^"?([^"<]+)"?\s*</);
+  if (nameMatch) {
+    return nameMatch[1].trim();
+  }
+
+  // For bounce messages, return clear system name
+  if (emailFrom.includes('bounce') || emailFrom.includes('mailer-daemon')) {
+    return 'System Notification';
+  }
+
+  // If no name found, use email local part
+  const email = extractSenderEmail(emailFrom);
+  return email.split('@')[0] || 'Unknown Sender';
+}
+
+export function cleanSubject(subject) {
+  if (!subject) return 'No Subject';
+
+  // Remove common prefixes
+  const prefixesToRemove = [
+    /^re:\s*/i,
+    /^fwd:\s*/i,
+    /^fw:\s*/i,
+    /^\[SPAM\]\s*/i,
+    /^bounce:/i,
+    /^auto.*reply:\s*/i,
+    /^automatic\s+reply:\s*/i
+  ];
+
+  let cleanedSubject = subject;
+  prefixesToRemove.forEach(prefix => {
+    cleanedSubject = cleanedSubject.replace(prefix, '');
+  });
+
+  // Decode HTML entities
+  cleanedSubject = cleanedSubject
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
+
+  // Remove excess whitespace
+  cleanedSubject = cleanedSubject.replace(/\s+/g, ' ').trim();
+
+  // Limit length
+  if (cleanedSubject.length > 100) {
+    cleanedSubject = cleanedSubject.substring(0, 97) + '...';
+  }
+
+  return cleanedSubject || 'No Subject';
+}
+
+// Strip display names and angle brackets from a recipient address
+export function cleanRecipientAddress(recipient) {
+  if (!recipient) return '';
+
+  const angleMatch = recipient.match(/<(.+)>/);
+  return angleMatch ? angleMatch[1].trim() : recipient.trim();
+}
+
+export async function parseEmailContent(rawContent) {
+  try {
+    // Decode content if needed (raw SMTP data arrives as a Buffer already)
+    let decodedContent = rawContent;
+    if (typeof rawContent === 'string') {
+      try {
+        // Try UTF-8 first
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
+      } catch (err) {
+        // Fallback to latin1
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
+      }
+    }
+
+    // Parse email using mailparser
+    const parsed = await simpleParser(decodedContent);
+
+    return {
+      headers: parsed.headers,
+      subject: parsed.subject,
+      messageId: parsed.messageId || null,
+      inReplyTo: parsed.inReplyTo || null,
+      date: parsed.date || null,
+      references: parsed.references ? [].concat(parsed.references) : [],
+      from: parsed.from?.text || '',
+      to: parsed.to?.text || '',
+      text: parsed.text,
+      html: parsed.html,
+      attachments: parsed.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        contentId: attachment.contentId || null,
+        size: attachment.size,
+        content: attachment.content.toString('base64')
+      }))
+    };
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    return {
+      headers: {},
+      subject: 'Unable to parse subject',
+      messageId: null,
+      inReplyTo: null,
+      date: null,
+      references: [],
+      from: '',
+      to: '',
+      text: Buffer.isBuffer(rawContent) ? rawContent.toString() : rawContent,
+      html: '',
+      attachments: []
+    };
+  }
+}
+
+/**
+ * Finds which store owns a recipient address
+ * Checks the guest sessions and registered cache (in-memory) as well as the database,
+ * then falls back to wildcard/catch-all patterns for addresses nobody owns.
+ * SRS0 addresses of forwarded mail resolve to the original sender (bounceSender) instead.
+ * @param {string} recipient - Clean recipient email address
+ * @returns {Promise<object|null>} - { guestInfo, registeredInfo, tempEmail, matchedLocalPart, bounceSender } or null if unknown
+ */
+export async function findRecipient(recipient) {
+  // 0. Bounce of a forwarded message, addressed to its rewritten envelope sender
+  const bounceSender = reverseSrsAddress(recipient);
+  if (bounceSender) {
+    return { guestInfo: null, registeredInfo: null, tempEmail: null, matchedLocalPart: null, bounceSender };
+  }
+
+  // 1. Guest user (in memory, or in the shared session store)
+  const guestInfo = await findGuestByEmail(recipient);
+
+  // 2. Registered user with cached data (in-memory)
+  const registeredInfo = findRegisteredUserByEmail(recipient);
+
+  // 3. Temp email in the database
+  const [tempEmails] = await pool.query(
+    'SELECT id, user_id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
+    [recipient]
+  );
+  const tempEmail = tempEmails.length > 0 ? tempEmails[0] : null;
+
+  if (!guestInfo && !registeredInfo && !tempEmail) {
+    // 4. Wildcard or catch-all pattern claimed by a registered user
+    const patternMatch = await findPatternMatch(recipient);
+    if (!patternMatch) {
+      return null;
+    }
+
+    return {
+      guestInfo: null,
+      registeredInfo: null,
+      tempEmail: { id: patternMatch.tempEmailId, user_id: patternMatch.userId },
+      matchedLocalPart: patternMatch.localPart
+    };
+  }
+
+  return { guestInfo, registeredInfo, tempEmail, matchedLocalPart: null };
+}
+
+/**
+ * Inserts a received email row (with attachments, raw source and search index) for a database-backed temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} emailData - Received email from buildReceivedEmail
+ * @param {object} rawSource - { compressed, size }
+ */
+export async function insertReceivedEmail(tempEmailId, emailData, rawSource) {
+  await pool.query(
+    'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, spam_score, is_spam, spam_reasons, verification, matched_local_part, message_id, in_reply_to, reference_ids, thread_id, is_read, is_starred, labels, expires_at, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      emailData.id,
+      tempEmailId,
+      emailData.from_email,
+      emailData.from_name,
+      emailData.subject,
+      emailData.body_html,
+      emailData.body_text,
+      emailData.spam_score,
+      emailData.is_spam,
+      JSON.stringify(emailData.spam_reasons || []),
+      JSON.stringify(emailData.verification),
+      emailData.matched_local_part || null,
+      emailData.message_id || null,
+      emailData.in_reply_to || null,
+      JSON.stringify(emailData.reference_ids || []),
+      emailData.thread_id || null,
+      Boolean(emailData.is_read),
+      Boolean(emailData.is_starred),
+      JSON.stringify(emailData.labels || []),
+      emailData.expires_at ? new Date(emailData.expires_at) : null,
+      new Date(emailData.received_at)
+    ]
+  );
+
+  await saveAttachments(emailData.id, emailData.attachments);
+  await saveRawSource(emailData.id, rawSource.compressed, rawSource.size);
+  await indexReceivedEmail(tempEmailId, emailData, emailData.received_at);
+}
+
+// Registered-user cache entries only keep attachment metadata - content lives in the DB
+function toCachedEmail(emailData) {
+  return {
+    ...emailData,
+    attachments: toAttachmentMetadata(emailData.attachments)
+  };
+}
+
+/**
+ * Tells subscribers that a message was stored
+ * Pushes to open sockets/streams and wakes long-polls (on every instance), queues the owner's outbound webhooks
+ * and relays the message to the owner's forwarding destinations
+ * @param {object} params
+ * @param {string} params.tempEmailId - Temp email that received the message
+ * @param {string|null} params.userId - Registered owner (null for guests)
+ * @param {string} params.address - Temp email address
+ * @param {object} params.email - Stored received email
+ */
+export function notifyEmailStored({ tempEmailId, userId, address, email }) {
+  announceNewEmail(tempEmailId, email);
+
+  if (userId) {
+    dispatchEmailWebhooks({ userId, tempEmailId, address, email })
+      .catch(error => console.error('Failed to dispatch user webhooks:', error));
+    forwardReceivedEmail({ userId, tempEmailId, address, email })
+      .catch(error => console.error('Failed to forward email:', error));
+  }
+}
+
+/**
+ * Parses a raw message into a received email ready for storage
+ * Shared by live delivery and mailbox imports: sender/subject cleanup, attachment caps,
+ * spam scoring and verification code extraction
+ * @param {string|Buffer} rawContent - Raw RFC 822 source
+ * @param {object} [options]
+ * @param {string} [options.sender] - Sender reported by the relay (falls back to the From header)
+ * @param {Date} [options.receivedAt] - Receipt time (defaults to now)
+ * @returns {Promise<object>} - { emailData, rawSource, parsedEmail }
+ */
+export async function buildReceivedEmail(rawContent, { sender, receivedAt } = {}) {
+  const parsedEmail = await parseEmailContent(rawContent);
+
+  // Extract and clean email data
+  const senderEmail = extractSenderEmail(sender || parsedEmail.from);
+  const senderName = extractSenderName(sender || parsedEmail.from);
+  const cleanedSubject = cleanSubject(parsedEmail.subject);
+
+  // Apply attachment size caps before anything is stored
+  const { attachments } = prepareAttachments(parsedEmail.attachments);
+
+  // Keep the original MIME source so headers and signatures can be inspected later
+  const rawSource = {
+    compressed: compressRawSource(rawContent),
+    size: Buffer.byteLength(rawContent || '')
+  };
+
+  const emailData = {
+    id: uuidv4(),
+    from_email: senderEmail,
+    from_name: senderName,
+    subject: cleanedSubject,
+    body_html: parsedEmail.html || '',
+    body_text: parsedEmail.text || '',
+    received_at: (receivedAt || new Date()).toISOString(),
+    // Kept so replies sent from the temp address can continue the conversation
+    message_id: parsedEmail.messageId,
+    in_reply_to: parsedEmail.inReplyTo,
+    reference_ids: parsedEmail.references,
+    // Set by inbox rules
+    is_read: false,
+    is_starred: false,
+    labels: [],
+    expires_at: null,
+    attachments
+  };
+
+  // Score before storing so the message lands in the right folder
+  const spam = await scoreEmail({
+    ...emailData,
+    subject: parsedEmail.subject || '',
+    headers: parsedEmail.headers
+  });
+  emailData.spam_score = spam.score;
+  emailData.is_spam = spam.isSpam;
+  emailData.spam_reasons = spam.reasons;
+
+  // OTPs and magic links, served by /emails/:id/latest-code
+  emailData.verification = extractVerificationData(emailData);
+
+  return { emailData, rawSource, parsedEmail };
+}
+
+/**
+ * Parses a raw message and stores it for its recipient
+ * Shared by the HTTP webhook and the built-in SMTP receiver
+ * Priority:
+ * 1. Guest user (in-memory)
+ * 2. Registered user with cached data (database + in-memory)
+ * 3. Registered user (database)
+ * Inbox rules of the receiving temp email run first and may drop the message
+ * @param {object} message - Inbound message
+ * @param {string|Buffer} message.rawContent - Raw RFC 822 source
+ * @param {string} [message.sender] - Sender reported by the relay (falls back to the From header)
+ * @param {string} [message.recipient] - Envelope recipient (falls back to the To header)
+ * @returns {Promise<object>} - { success, message, emailId, conflict, recipient }
+ */
+export async function deliverInboundEmail({ rawContent, sender, recipient }) {
+  const { emailData, rawSource, parsedEmail } = await buildReceivedEmail(rawContent, { sender });
+
+  // Clean the recipient email address
+  const cleanRecipient = cleanRecipientAddress(recipient || parsedEmail.to);
+
+  const recipientInfo = await findRecipient(cleanRecipient);
+
+  if (!recipientInfo) {
+    return {
+      success: false,
+      message: 'Recipient not found in any system',
+      recipient: cleanRecipient
+    };
+  }
+
+  if (recipientInfo.bounceSender) {
+    await relayBounce(rawContent, recipientInfo.bounceSender);
+    return {
+      success: true,
+      message: 'Bounce relayed to the original sender',
+      emailId: null,
+      recipient: cleanRecipient
+    };
+  }
+
+  const { guestInfo, registeredInfo, tempEmail, matchedLocalPart } = recipientInfo;
+
+  // Mail routed by a wildcard pattern keeps the address it was actually sent to
+  if (matchedLocalPart) {
+    emailData.matched_local_part = matchedLocalPart;
+  }
+
+  // Temp email that will store the message (same priority as below)
+  const target = guestInfo && !tempEmail
+    ? { guestToken: guestInfo.token, tempEmailId: guestInfo.emailId }
+    : { tempEmailId: tempEmail ? tempEmail.id : registeredInfo.emailId };
+
+  // Inbox rules of that temp email
+  const ruleResult = applyInboxRules(await getInboxRules(target, true), emailData);
+
+  if (ruleResult.deleted) {
+    console.log(`Email to ${cleanRecipient} deleted by inbox rule ${ruleResult.deletedBy}`);
+    return {
+      success: true,
+      message: 'Email deleted by inbox rule',
+      emailId: emailData.id,
+      deletedByRule: ruleResult.deletedBy
+    };
+  }
+
+  // Join the conversation this message answers, if it's already in that inbox
+  if (target.guestToken) {
+    assignInMemoryThreadId(getInbox(target.guestToken, target.tempEmailId), emailData);
+  } else {
+    await assignStoredThreadId(target.tempEmailId, emailData);
+  }
+
+  // Process in priority order: guest, registered cache, database
+
+  // Handle potential conflicts between memory caches and database
+  if ((guestInfo || registeredInfo) && tempEmail) {
+    console.warn(`CONFLICT: Email ${cleanRecipient} exists in multiple stores!`);
+
+    // Prioritize registered user in database
+    await insertReceivedEmail(tempEmail.id, emailData, rawSource);
+    notifyEmailStored({ tempEmailId: tempEmail.id, userId: tempEmail.user_id, address: cleanRecipient, email: emailData });
+
+    // Also update cache if it exists
+    if (registeredInfo && registeredInfo.userId === tempEmail.user_id) {
+      cacheReceivedEmail(tempEmail.user_id, tempEmail.id, toCachedEmail(emailData));
+    }
+
+    return {
+      success: true,
+      message: 'Email stored in database (conflict resolved)',
+      emailId: emailData.id,
+      conflict: true
+    };
+  }
+
+  // If it's a guest user, store in memory
+  if (guestInfo) {
+    console.log(`Received email for guest user: ${cleanRecipient}`);
+    const success = storeReceivedEmail(guestInfo.token, guestInfo.emailId, emailData);
+
+    if (success) {
+      storeRawSource(guestInfo.token, emailData.id, rawSource.compressed, rawSource.size);
+      await flushGuestSession(guestInfo.token);
+      notifyEmailStored({ tempEmailId: guestInfo.emailId, userId: null, address: cleanRecipient, email: emailData });
+      
+      return {
+        success: true,
+        message: 'Email stored in guest session',
+        emailId: emailData.id
+      };
+    }
+  }
+
+  // If it's a registered user with active cache, update both DB and cache
+  if (registeredInfo) {
+    console.log(`Received email for cached registered user: ${cleanRecipient}`);
+
+    await insertReceivedEmail(registeredInfo.emailId, emailData, rawSource);
+    notifyEmailStored({ tempEmailId: registeredInfo.emailId, userId: registeredInfo.userId, address: cleanRecipient, email: emailData });
+
+    // Also update the cache
+    cacheReceivedEmail(registeredInfo.userId, registeredInfo.emailId, toCachedEmail(emailData));
+
+    return {
+      success: true,
+      message: 'Email stored in database and cache',
+      emailId: emailData.id
+    };
+  }
+
+  // If not a guest or cached registered user, store in database
+  if (tempEmail) {
+    await insertReceivedEmail(tempEmail.id, emailData, rawSource);
+    notifyEmailStored({ tempEmailId: tempEmail.id, userId: tempEmail.user_id, address: cleanRecipient, email: emailData });
+
+    // Pattern-routed mail can land in an inbox whose owner has a warm cache (no-op otherwise)
+    if (matchedLocalPart) {
+      cacheReceivedEmail(tempEmail.user_id, tempEmail.id, toCachedEmail(emailData));
+    }
+
+    return {
+      success: true,
+      message: 'Email stored in database',
+      emailId: emailData.id
+    };
+  }
+
+  // The guest session disappeared between lookup and storage
+  return {
+    success: false,
+    message: 'Recipient not found in any system',
+    recipient: cleanRecipient
+  };
+}
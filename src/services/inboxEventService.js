@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { getSessionStore } from './sessionStore.js';
+import { publishNewEmail } from './inboxPushService.js';
+import { resolveWaiters } from './inboxWaitService.js';
+import { withAttachmentMetadata } from './attachmentService.js';
+
+// Configuration
+const RELAY_INTERVAL = 1000; // How often other instances' events are picked up
+
+// Long-poll waiters and socket/stream subscribers live in the process that accepted them. With
+// a shared session store, every stored message is also written to the store and each instance
+// replays the events of the others, so a client is woken whichever instance got the mail.
+export const INSTANCE_ID = crypto.randomUUID();
+
+let relayWorker = null;
+let lastEventId = null;
+let relaying = false;
+
+function deliverLocally(tempEmailId, email) {
+  publishNewEmail(tempEmailId, email);
+  resolveWaiters(tempEmailId, email);
+}
+
+/**
+ * Wakes every client watching a temp email, on this and (with a shared store) other instances
+ * @param {string} tempEmailId - Temp email that received the message
+ * @param {object} email - Stored received email
+ */
+export function announceNewEmail(tempEmailId, email) {
+  deliverLocally(tempEmailId, email);
+
+  const store = getSessionStore();
+  if (!store.persistent) return;
+
+  store.publishInboxEvent(INSTANCE_ID, tempEmailId, withAttachmentMetadata(email)).catch(error => {
+    console.error('Failed to share inbox event:', error);
+  });
+}
+
+/**
+ * Delivers events that other instances wrote since the last call
+ * The first call only notes where the event log currently ends.
+ * @returns {Promise<number>} - Events delivered
+ */
+export async function relayInboxEvents() {
+  const store = getSessionStore();
+  if (!store.persistent || relaying) return 0;
+
+  relaying = true;
+  try {
+    const { events, lastId } = await store.readInboxEvents(lastEventId);
+    lastEventId = lastId;
+
+    const foreign = events.filter(event => event.origin !== INSTANCE_ID);
+    for (const event of foreign) {
+      deliverLocally(event.tempEmailId, event.email);
+    }
+    return foreign.length;
+  } finally {
+    relaying = false;
+  }
+}
+
+/**
+ * Starts polling the shared store for other instances' events (no-op with the memory store)
+ */
+export function startInboxEventRelay() {
+  if (relayWorker || !getSessionStore().persistent) return;
+
+  relayInboxEvents().catch(error => console.error('Inbox event relay failed:', error));
+  relayWorker = setInterval(() => {
+    relayInboxEvents().catch(error => console.error('Inbox event relay failed:', error));
+  }, RELAY_INTERVAL);
+}
@@ -0,0 +1,232 @@
+import { pool } from '../db/init.js';
+import { verifyAnyToken, verifyUrlTicket } from '../middleware/auth.js';
+import { getTempEmailById, isValidGuestToken } from '../guestSessionHandler.js';
+import { withAttachmentMetadata } from './attachmentService.js';
+
+// Configuration
+export const INBOX_PUSH_PATH = '/inbox-ws'; // WebSocket path for domain temp email updates
+const MAX_SUBSCRIPTIONS_PER_CLIENT = 50; // Temp emails a single connection may watch
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000; // Keep proxies from closing idle streams
+
+// tempEmailId -> Set of subscribers
+// A subscriber is { send(event), close(), guestToken }
+const subscriptions = new Map();
+
+/**
+ * Checks that a user (guest or registered) owns a temp email
+ * @param {object} user - Decoded JWT
+ * @param {string} guestToken - Guest JWT (or session key) when user is a guest
+ * @param {string} tempEmailId - Temp email ID
+ * @returns {Promise<boolean>} - Whether the user may subscribe
+ */
+export async function canSubscribe(user, guestToken, tempEmailId) {
+  if (!tempEmailId) return false;
+
+  if (user.isGuest) {
+    return Boolean(getTempEmailById(guestToken, tempEmailId));
+  }
+
+  const [emails] = await pool.query(
+    'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+    [tempEmailId, user.id]
+  );
+  return emails.length > 0;
+}
+
+function addSubscriber(tempEmailId, subscriber) {
+  if (!subscriptions.has(tempEmailId)) {
+    subscriptions.set(tempEmailId, new Set());
+  }
+  subscriptions.get(tempEmailId).add(subscriber);
+}
+
+function removeSubscriber(tempEmailId, subscriber) {
+  const subscribers = subscriptions.get(tempEmailId);
+  if (!subscribers) return;
+
+  subscribers.delete(subscriber);
+  if (subscribers.size === 0) {
+    subscriptions.delete(tempEmailId);
+  }
+}
+
+/**
+ * Pushes a new_email event to everyone watching a temp email
+ * Called by the shared inbound path after a message is stored
+ * @param {string} tempEmailId - Temp email that received the message
+ * @param {object} email - Stored received email
+ */
+export function publishNewEmail(tempEmailId, email) {
+  const subscribers = subscriptions.get(tempEmailId);
+  if (!subscribers || subscribers.size === 0) return;
+
+  const event = {
+    type: 'new_email',
+    tempEmailId,
+    email: withAttachmentMetadata(email),
+    timestamp: new Date().toISOString()
+  };
+
+  for (const subscriber of Array.from(subscribers)) {
+    // Guest sessions can expire while a socket is still open
+    if (subscriber.guestToken && !isValidGuestToken(subscriber.guestToken)) {
+      subscriber.close();
+      continue;
+    }
+
+    try {
+      subscriber.send(event);
+    } catch (error) {
+      removeSubscriber(tempEmailId, subscriber);
+    }
+  }
+}
+
+/**
+ * Handles a WebSocket connection on INBOX_PUSH_PATH
+ * Auth: an Authorization header (registered or guest JWT), or ?ticket= from POST /auth/url-ticket
+ * for browsers, then { type: 'subscribe', tempEmailId } messages
+ * An initial subscription can be passed as ?tempEmailId=
+ * @param {WebSocket} ws - Connected socket
+ * @param {object} req - Upgrade request
+ */
+export async function handleInboxConnection(ws, req) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  const auth = token
+    ? await verifyAnyToken(token).then(user => user && { user, guestToken: user.isGuest ? token : null })
+    : await verifyUrlTicket(url.searchParams.get('ticket'), INBOX_PUSH_PATH);
+  if (!auth) {
+    ws.close(4401, 'Invalid token');
+    return;
+  }
+
+  const { user, guestToken } = auth;
+  const watched = new Set();
+
+  const subscriber = {
+    guestToken,
+    send(event) {
+      if (ws.readyState === 1) {
+        ws.send(JSON.stringify(event));
+      }
+    },
+    close() {
+      ws.close(4401, 'Session expired');
+    }
+  };
+
+  const send = (message) => subscriber.send({ ...message, timestamp: new Date().toISOString() });
+
+  const subscribe = async (tempEmailId) => {
+    if (watched.has(tempEmailId)) return;
+
+    if (watched.size >= MAX_SUBSCRIPTIONS_PER_CLIENT) {
+      return send({ type: 'error', tempEmailId, error: 'Too many subscriptions' });
+    }
+
+    try {
+      if (!(await canSubscribe(user, guestToken, tempEmailId))) {
+        return send({ type: 'error', tempEmailId, error: 'Email not found' });
+      }
+    } catch (error) {
+      console.error('Inbox subscription check failed:', error);
+      return send({ type: 'error', tempEmailId, error: 'Failed to subscribe' });
+    }
+
+    // The socket may have closed while ownership was being checked
+    if (ws.readyState !== 1) return;
+
+    watched.add(tempEmailId);
+    addSubscriber(tempEmailId, subscriber);
+    send({ type: 'subscribed', tempEmailId });
+  };
+
+  const unsubscribe = (tempEmailId) => {
+    watched.delete(tempEmailId);
+    removeSubscriber(tempEmailId, subscriber);
+    send({ type: 'unsubscribed', tempEmailId });
+  };
+
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message.toString());
+
+      if (data.type === 'ping') {
+        send({ type: 'pong' });
+      } else if (data.type === 'subscribe') {
+        await subscribe(data.tempEmailId);
+      } else if (data.type === 'unsubscribe') {
+        unsubscribe(data.tempEmailId);
+      }
+    } catch (error) {
+      send({ type: 'error', error: 'Invalid message' });
+    }
+  });
+
+  ws.on('close', () => {
+    for (const tempEmailId of watched) {
+      removeSubscriber(tempEmailId, subscriber);
+    }
+    watched.clear();
+  });
+
+  ws.on('error', () => {
+    try {
+      ws.close();
+    } catch (closeErr) {
+      // Ignore close errors
+    }
+  });
+
+  send({ type: 'connected', message: 'Connected to real-time inbox updates' });
+
+  const initialEmailId = url.searchParams.get('tempEmailId');
+  if (initialEmailId) {
+    await subscribe(initialEmailId);
+  }
+}
+
+/**
+ * Streams new_email events for one temp email as Server-Sent Events
+ * Fallback for clients that cannot open a WebSocket
+ * @param {object} req - Express request (authenticated with authenticateAnyToken)
+ * @param {object} res - Express response
+ * @param {string} tempEmailId - Temp email ID (ownership already checked)
+ */
+export function streamInboxEvents(req, res, tempEmailId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // compression() buffers responses - flush after each write
+  const write = (chunk) => {
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  const subscriber = {
+    guestToken: req.guestToken || null,
+    send(event) {
+      write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    close() {
+      res.end();
+    }
+  };
+
+  addSubscriber(tempEmailId, subscriber);
+  subscriber.send({ type: 'connected', tempEmailId, timestamp: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeSubscriber(tempEmailId, subscriber);
+  });
+}
@@ -0,0 +1,316 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { getGuestRules, pruneExpiredReceivedEmails } from '../guestSessionHandler.js';
+import { MAX_LABEL_LENGTH } from './messageStateService.js';
+
+// Configuration
+export const MAX_RULES_PER_ADDRESS = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200; // Subject pattern
+const MAX_EXPIRE_HOURS = 24 * 365;
+const MATCHED_SUBJECT_LENGTH = 1000; // Subjects are truncated before pattern matching
+const EXPIRY_SWEEP_INTERVAL = 5 * 60 * 1000; // Delete auto-expired messages every 5 minutes
+
+let expiryWorker = null;
+
+/**
+ * Validates a rule from a request body
+ * Conditions (all optional, all must match): from, subject, hasAttachment, minSpamScore
+ * subject is a case-insensitive wildcard pattern over the whole subject ("*" any run, "?" one character)
+ * Actions (at least one): tag, star, markRead, expireAfterHours, delete
+ * @param {object} body - { name, conditions, actions, is_active, position }
+ * @returns {object} - { rule } or { error }
+ */
+export function validateInboxRule(body) {
+  const conditions = body.conditions || {};
+  const actions = body.actions || {};
+  const rule = {
+    name: typeof body.name === 'string' ? body.name.trim().substring(0, MAX_NAME_LENGTH) : '',
+    conditions: {},
+    actions: {},
+    is_active: body.is_active !== false,
+    position: Number.isInteger(body.position) ? body.position : null
+  };
+
+  if (typeof conditions !== 'object' || typeof actions !== 'object') {
+    return { error: 'conditions and actions must be objects' };
+  }
+
+  if (conditions.from !== undefined) {
+    if (typeof conditions.from !== 'string' || !conditions.from.trim() || conditions.from.length > 255) {
+      return { error: 'conditions.from must be a non-empty string' };
+    }
+    rule.conditions.from = conditions.from.trim().toLowerCase();
+  }
+
+  if (conditions.subjectRegex !== undefined) {
+    return { error: 'conditions.subjectRegex is no longer supported; use conditions.subject with "*" and "?" wildcards' };
+  }
+
+  if (conditions.subject !== undefined) {
+    if (typeof conditions.subject !== 'string' || !conditions.subject || conditions.subject.length > MAX_PATTERN_LENGTH) {
+      return { error: `conditions.subject must be a pattern of at most ${MAX_PATTERN_LENGTH} characters` };
+    }
+    rule.conditions.subject = conditions.subject.toLowerCase().replace(/\*+/g, '*');
+  }
+
+  if (conditions.hasAttachment !== undefined) {
+    if (typeof conditions.hasAttachment !== 'boolean') {
+      return { error: 'conditions.hasAttachment must be a boolean' };
+    }
+    rule.conditions.hasAttachment = conditions.hasAttachment;
+  }
+
+  if (conditions.minSpamScore !== undefined) {
+    if (typeof conditions.minSpamScore !== 'number' || !isFinite(conditions.minSpamScore)) {
+      return { error: 'conditions.minSpamScore must be a number' };
+    }
+    rule.conditions.minSpamScore = conditions.minSpamScore;
+  }
+
+  if (actions.tag !== undefined) {
+    if (typeof actions.tag !== 'string' || !actions.tag.trim() || actions.tag.length > MAX_LABEL_LENGTH) {
+      return { error: `actions.tag must be a label of at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    rule.actions.tag = actions.tag.trim();
+  }
+
+  for (const flag of ['star', 'markRead', 'delete']) {
+    if (actions[flag] === true) {
+      rule.actions[flag] = true;
+    }
+  }
+
+  if (actions.expireAfterHours !== undefined) {
+    const hours = actions.expireAfterHours;
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXPIRE_HOURS) {
+      return { error: `actions.expireAfterHours must be between 1 and ${MAX_EXPIRE_HOURS}` };
+    }
+    rule.actions.expireAfterHours = hours;
+  }
+
+  if (Object.keys(rule.actions).length === 0) {
+    return { error: 'At least one action is required' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Matches a text against a wildcard pattern ("*" any run, "?" one character)
+ * Walks both strings once, going back only to the last star, so the cost stays
+ * proportional to pattern length times text length whatever the pattern.
+ * @param {string} pattern - Lowercase pattern
+ * @param {string} text - Lowercase text
+ * @returns {boolean}
+ */
+export function matchesWildcard(pattern, text) {
+  let p = 0;
+  let t = 0;
+  let star = -1; // Pattern index of the last star seen
+  let resume = 0; // Text index that star currently swallows up to
+
+  while (t < text.length) {
+    if (p < pattern.length && (pattern[p] === '?' || (pattern[p] !== '*' && pattern[p] === text[t]))) {
+      p++;
+      t++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      resume = t;
+    } else if (star !== -1) {
+      p = star + 1;
+      t = ++resume;
+    } else {
+      return false;
+    }
+  }
+
+  while (pattern[p] === '*') p++;
+  return p === pattern.length;
+}
+
+/**
+ * Checks a received email against rule conditions
+ * @param {object} conditions - Validated conditions
+ * @param {object} email - Received email (before storage)
+ * @returns {boolean}
+ */
+export function matchesRuleConditions(conditions, email) {
+  if (conditions.from) {
+    const sender = `${email.from_name || ''} ${email.from_email || ''}`.toLowerCase();
+    if (!sender.includes(conditions.from)) return false;
+  }
+
+  // Regex rules saved before wildcard patterns are never evaluated, so they match nothing
+  if (conditions.subjectRegex) return false;
+
+  if (conditions.subject) {
+    const subject = (email.subject || '').substring(0, MATCHED_SUBJECT_LENGTH).toLowerCase();
+    if (!matchesWildcard(conditions.subject, subject)) return false;
+  }
+
+  if (conditions.hasAttachment !== undefined &&
+      ((email.attachments || []).length > 0) !== conditions.hasAttachment) {
+    return false;
+  }
+
+  if (conditions.minSpamScore !== undefined && Number(email.spam_score || 0) < conditions.minSpamScore) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Runs rules against an incoming email and applies their actions to it
+ * Every matching rule applies; a delete action wins over everything else
+ * @param {Array} rules - Active rules in order
+ * @param {object} emailData - Received email, updated in place (labels, is_starred, is_read, expires_at)
+ * @returns {object} - { deleted, deletedBy, matched: [ruleIds] }
+ */
+export function applyInboxRules(rules, emailData) {
+  const matched = [];
+
+  for (const rule of rules) {
+    let isMatch = false;
+    try {
+      isMatch = matchesRuleConditions(rule.conditions, emailData);
+    } catch (error) {
+      console.error(`Inbox rule ${rule.id} failed to evaluate:`, error.message);
+    }
+    if (!isMatch) continue;
+
+    matched.push(rule.id);
+    const { actions } = rule;
+
+    if (actions.delete) {
+      return { deleted: true, deletedBy: rule.id, matched };
+    }
+
+    if (actions.tag) {
+      emailData.labels = Array.from(new Set([...(emailData.labels || []), actions.tag]));
+    }
+    if (actions.star) {
+      emailData.is_starred = true;
+    }
+    if (actions.markRead) {
+      emailData.is_read = true;
+    }
+    if (actions.expireAfterHours) {
+      // The earliest expiry wins when several rules set one
+      const expiresAt = new Date(new Date(emailData.received_at).getTime() + actions.expireAfterHours * 60 * 60 * 1000);
+      if (!emailData.expires_at || expiresAt < new Date(emailData.expires_at)) {
+        emailData.expires_at = expiresAt.toISOString();
+      }
+    }
+  }
+
+  return { deleted: false, deletedBy: null, matched };
+}
+
+// Rows keep conditions/actions as JSON
+function toRule(row) {
+  const parse = value => (typeof value === 'string' ? JSON.parse(value) : value || {});
+  return {
+    ...row,
+    conditions: parse(row.conditions),
+    actions: parse(row.actions),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * Loads the rules of a temp email, in evaluation order
+ * @param {object} target - { guestToken } for guest sessions, plus tempEmailId
+ * @param {string|null} target.guestToken - Guest JWT (rules live in the session)
+ * @param {string} target.tempEmailId - Temp email ID
+ * @param {boolean} [activeOnly] - Skip disabled rules
+ * @returns {Promise<Array>}
+ */
+export async function getInboxRules({ guestToken = null, tempEmailId }, activeOnly = false) {
+  if (guestToken) {
+    return getGuestRules(guestToken, tempEmailId).filter(rule => !activeOnly || rule.is_active);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT * FROM inbox_rules WHERE temp_email_id = ? ${activeOnly ? 'AND is_active = true' : ''}
+     ORDER BY position ASC, created_at ASC`,
+    [tempEmailId]
+  );
+  return rows.map(toRule);
+}
+
+/**
+ * Creates a rule for a registered user's temp email
+ * @param {string} userId - Owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} rule - Validated rule
+ * @returns {Promise<object>} - Stored rule
+ */
+export async function createInboxRule(userId, tempEmailId, rule) {
+  const id = uuidv4();
+  const [[{ nextPosition }]] = await pool.query(
+    'SELECT COALESCE(MAX(position), -1) + 1 as nextPosition FROM inbox_rules WHERE temp_email_id = ?',
+    [tempEmailId]
+  );
+
+  await pool.query(
+    `INSERT INTO inbox_rules (id, user_id, temp_email_id, name, conditions, actions, is_active, position)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, tempEmailId, rule.name, JSON.stringify(rule.conditions), JSON.stringify(rule.actions),
+      rule.is_active, rule.position ?? nextPosition]
+  );
+
+  const [rows] = await pool.query('SELECT * FROM inbox_rules WHERE id = ?', [id]);
+  return toRule(rows[0]);
+}
+
+/**
+ * Replaces a registered user's rule
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} ruleId - Rule ID
+ * @param {object} rule - Validated rule
+ * @returns {Promise<object|null>} - Updated rule or null if not found
+ */
+export async function updateInboxRule(tempEmailId, ruleId, rule) {
+  const [result] = await pool.query(
+    `UPDATE inbox_rules
+     SET name = ?, conditions = ?, actions = ?, is_active = ?, position = COALESCE(?, position)
+     WHERE id = ? AND temp_email_id = ?`,
+    [rule.name, JSON.stringify(rule.conditions), JSON.stringify(rule.actions), rule.is_active,
+      rule.position, ruleId, tempEmailId]
+  );
+
+  if (result.affectedRows === 0) return null;
+
+  const [rows] = await pool.query('SELECT * FROM inbox_rules WHERE id = ?', [ruleId]);
+  return toRule(rows[0]);
+}
+
+/**
+ * Deletes messages whose auto-expire time has passed, in the database and in memory
+ * @returns {Promise<number>} - Messages deleted from the database
+ */
+export async function sweepExpiredEmails() {
+  pruneExpiredReceivedEmails(new Date());
+
+  const [result] = await pool.query(
+    'DELETE FROM received_emails WHERE expires_at IS NOT NULL AND expires_at <= NOW()'
+  );
+
+  if (result.affectedRows > 0) {
+    console.log(`Deleted ${result.affectedRows} auto-expired emails.`);
+  }
+  return result.affectedRows;
+}
+
+/**
+ * Starts the background job that removes auto-expired messages
+ */
+export function startExpiryWorker() {
+  if (expiryWorker) return;
+
+  expiryWorker = setInterval(() => {
+    sweepExpiredEmails().catch(error => console.error('Auto-expire sweep failed:', error));
+  }, EXPIRY_SWEEP_INTERVAL);
+}
@@ -0,0 +1,148 @@
+import { withAttachmentMetadata } from './attachmentService.js';
+
+// Configuration
+const DEFAULT_WAIT_TIMEOUT = 60; // Seconds
+const MAX_WAIT_TIMEOUT = 120; // Seconds, stays below typical proxy idle timeouts
+const MAX_WAITERS_PER_INBOX = 20; // Concurrent long-polls per temp email
+
+// tempEmailId -> Set of { options, resolve }
+const waiters = new Map();
+
+/**
+ * Parses the query of a wait request
+ * @param {object} query - Express query (since, timeout, from, subjectContains)
+ * @returns {object} - { since, timeoutMs, from, subjectContains } or { error }
+ */
+export function parseWaitOptions(query) {
+  const since = query.since ? new Date(isNaN(query.since) ? query.since : Number(query.since)) : new Date();
+  if (isNaN(since.getTime())) {
+    return { error: 'Invalid since value' };
+  }
+
+  const timeout = query.timeout !== undefined ? parseInt(query.timeout) : DEFAULT_WAIT_TIMEOUT;
+  if (isNaN(timeout) || timeout < 0 || timeout > MAX_WAIT_TIMEOUT) {
+    return { error: `timeout must be between 0 and ${MAX_WAIT_TIMEOUT} seconds` };
+  }
+
+  return {
+    since,
+    timeoutMs: timeout * 1000,
+    from: query.from ? String(query.from).toLowerCase() : null,
+    subjectContains: query.subjectContains ? String(query.subjectContains).toLowerCase() : null
+  };
+}
+
+/**
+ * Checks a received email against wait filters
+ * @param {object} email - Received email
+ * @param {object} options - Parsed wait options
+ * @returns {boolean}
+ */
+export function matchesWaitFilter(email, options) {
+  if (new Date(email.received_at).getTime() <= options.since.getTime()) {
+    return false;
+  }
+
+  if (options.from) {
+    const sender = `${email.from_name || ''} ${email.from_email || ''}`.toLowerCase();
+    if (!sender.includes(options.from)) return false;
+  }
+
+  if (options.subjectContains && !(email.subject || '').toLowerCase().includes(options.subjectContains)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Wakes long-polls waiting on a temp email
+ * Called from the shared inbound path right after a message is stored
+ * @param {string} tempEmailId - Temp email that received the message
+ * @param {object} email - Stored received email
+ */
+export function resolveWaiters(tempEmailId, email) {
+  const inboxWaiters = waiters.get(tempEmailId);
+  if (!inboxWaiters) return;
+
+  for (const waiter of Array.from(inboxWaiters)) {
+    if (matchesWaitFilter(email, waiter.options)) {
+      waiter.resolve(email);
+    }
+  }
+}
+
+function removeWaiter(tempEmailId, waiter) {
+  const inboxWaiters = waiters.get(tempEmailId);
+  if (!inboxWaiters) return;
+
+  inboxWaiters.delete(waiter);
+  if (inboxWaiters.size === 0) {
+    waiters.delete(tempEmailId);
+  }
+}
+
+/**
+ * Holds a request open until a matching email arrives or the timeout passes
+ * Responds 200 with the email, or 204 when nothing arrived in time
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} tempEmailId - Temp email ID (ownership already checked)
+ * @param {object} options - Parsed wait options
+ * @param {Function} findExisting - async (options) => email|null, checks messages stored before the wait began
+ */
+export async function waitForEmail(req, res, tempEmailId, options, findExisting) {
+  if ((waiters.get(tempEmailId)?.size || 0) >= MAX_WAITERS_PER_INBOX) {
+    return res.status(429).json({ error: 'Too many concurrent waits for this email' });
+  }
+
+  let finished = false;
+  let timer = null;
+
+  const waiter = {
+    options,
+    resolve(email) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      removeWaiter(tempEmailId, waiter);
+
+      if (res.writableEnded) return;
+      if (email) {
+        res.json({ data: withAttachmentMetadata(email) });
+      } else {
+        res.status(204).end();
+      }
+    }
+  };
+
+  // Register before looking at stored mail so nothing can slip in between
+  if (!waiters.has(tempEmailId)) {
+    waiters.set(tempEmailId, new Set());
+  }
+  waiters.get(tempEmailId).add(waiter);
+
+  req.on('close', () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    removeWaiter(tempEmailId, waiter);
+  });
+
+  timer = setTimeout(() => waiter.resolve(null), options.timeoutMs);
+
+  try {
+    const existing = await findExisting(options);
+    if (existing) {
+      waiter.resolve(existing);
+    }
+  } catch (error) {
+    console.error('Failed to check stored emails for wait request:', error);
+    if (!finished) {
+      finished = true;
+      clearTimeout(timer);
+      removeWaiter(tempEmailId, waiter);
+      res.status(500).json({ error: 'Failed to wait for email' });
+    }
+  }
+}
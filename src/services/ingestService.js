@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { deliverInboundEmail, cleanRecipientAddress } from './inboundEmailService.js';
+import { signWebhookPayload } from './webhookSignature.js';
+
+// Configuration
+export const MAX_INGEST_SIZE = '30mb'; // Raw message plus form/JSON encoding overhead
+const SIGNATURE_TOLERANCE = 5 * 60; // Seconds a signed request stays valid
+
+// Relays that may hand mail to the API, as INGEST_RELAYS="mx1:secret1,mx2:secret2"
+// (INGEST_SECRET alone configures a single relay named "default")
+function loadRelaySecrets() {
+  const relays = new Map();
+
+  for (const entry of (process.env.INGEST_RELAYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+
+    const name = entry.substring(0, separator).trim();
+    const secret = entry.substring(separator + 1).trim();
+    if (name && secret) relays.set(name, secret);
+  }
+
+  if (relays.size === 0 && process.env.INGEST_SECRET) {
+    relays.set('default', process.env.INGEST_SECRET);
+  }
+
+  return relays;
+}
+
+const relaySecrets = loadRelaySecrets();
+
+// Migration switch for relays that don't sign yet; every such request is still audited
+const ALLOW_UNSIGNED = process.env.INGEST_ALLOW_UNSIGNED === 'true';
+
+if (ALLOW_UNSIGNED) {
+  console.warn('INGEST_ALLOW_UNSIGNED is set: inbound mail is accepted from unauthenticated relays');
+} else if (relaySecrets.size === 0) {
+  console.warn('No ingest relays configured (INGEST_RELAYS): inbound mail over HTTP will be refused');
+}
+
+// Compares two secrets without leaking their length or contents through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Authenticates a relay request
+ * A relay proves itself with X-Ingest-Relay, X-Ingest-Timestamp (Unix seconds) and either
+ * X-Ingest-Signature (sha256=HMAC of "<timestamp>.<raw body>", preferred) or X-Ingest-Secret
+ * (the relay secret itself, for relays that can't sign). Requests older or newer than five
+ * minutes are refused; replays inside that window are caught by recordIngestRequest
+ * (a request whose delivery failed may be retried).
+ * @param {object} headers - Lower-cased request headers
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {object} - { relay, method, replayKey } or { error, status }
+ */
+export function verifyRelayRequest(headers, rawBody) {
+  const relay = headers['x-ingest-relay'] || (relaySecrets.size === 1 ? relaySecrets.keys().next().value : null);
+  const timestamp = headers['x-ingest-timestamp'];
+  const signature = headers['x-ingest-signature'];
+  const secret = headers['x-ingest-secret'];
+
+  if (!signature && !secret) {
+    if (ALLOW_UNSIGNED) return { relay: null, method: 'none', replayKey: null };
+    return { status: 401, error: 'Relay authentication required' };
+  }
+
+  const relaySecret = relay ? relaySecrets.get(relay) : null;
+  if (!relaySecret) {
+    return { status: 401, error: 'Unknown relay' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(now - parseInt(timestamp, 10)) > SIGNATURE_TOLERANCE) {
+    return { status: 401, error: 'Request timestamp is missing or outside the allowed window' };
+  }
+
+  const body = (rawBody || Buffer.alloc(0)).toString('utf8');
+  const valid = signature
+    ? safeEqual(signature.replace(/^sha256=/, ''), signWebhookPayload(relaySecret, timestamp, body))
+    : safeEqual(secret, relaySecret);
+
+  if (!valid) {
+    return { status: 401, error: 'Invalid relay credentials' };
+  }
+
+  // The same relay can't deliver the same body with the same timestamp twice
+  const replayKey = crypto.createHash('sha256').update(`${relay}.${timestamp}.`).update(rawBody || '').digest('hex');
+
+  return { relay, method: signature ? 'hmac' : 'secret', replayKey };
+}
+
+/**
+ * Records a relay request in the ingest log
+ * @param {object} entry - { endpoint, relay, method, replayKey, sender, recipient, clientIp, status, reason }
+ * @returns {Promise<string|null>} - Log id, or null when the request is a replay
+ */
+export async function recordIngestRequest({ endpoint, relay = null, method = null, replayKey = null, sender, recipient, clientIp, status = 'received', reason = null }) {
+  const id = uuidv4();
+
+  try {
+    await pool.query(`
+      INSERT INTO ingest_log (id, endpoint, relay, auth_method, replay_key, sender, recipient, status, reason, client_ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, endpoint, relay, method, replayKey,
+      sender ? String(sender).substring(0, 255) : null,
+      recipient ? String(recipient).substring(0, 255) : null,
+      status, reason, clientIp || null
+    ]);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return null;
+    throw error;
+  }
+
+  return id;
+}
+
+async function updateIngestRequest(id, status, { reason = null, emailId = null, recipient = null } = {}) {
+  // A failed delivery gives up its replay key so the relay can retry the same signed request
+  await pool.query(
+    `UPDATE ingest_log SET status = ?, reason = ?, email_id = ?, recipient = COALESCE(?, recipient),
+       replay_key = IF(? = 'failed', NULL, replay_key)
+     WHERE id = ?`,
+    [status, reason ? String(reason).substring(0, 255) : null, emailId, recipient, status, id]
+  );
+}
+
+/**
+ * Single entry point for mail handed over by relays (webhook and ingest API)
+ * The caller has already authenticated the relay; delivery is by recipient address.
+ * @param {object} params
+ * @param {string} params.endpoint - Route that received the request (for the log)
+ * @param {object} params.auth - Result of verifyRelayRequest
+ * @param {string|Buffer} params.rawContent - Full RFC 822 message
+ * @param {string} [params.sender] - Envelope sender
+ * @param {string} [params.recipient] - Envelope recipient
+ * @param {string} [params.clientIp]
+ * @returns {Promise<object>} - deliverInboundEmail result, or { success: false, replay: true }
+ */
+export async function ingestEmail({ endpoint, auth, rawContent, sender, recipient, clientIp }) {
+  const logId = await recordIngestRequest({
+    endpoint,
+    relay: auth.relay,
+    method: auth.method,
+    replayKey: auth.replayKey,
+    sender,
+    recipient: recipient ? cleanRecipientAddress(recipient) : null,
+    clientIp
+  });
+
+  if (!logId) {
+    console.warn(`Replayed ingest request from relay ${auth.relay} refused`);
+    return { success: false, replay: true, message: 'Request was already processed' };
+  }
+
+  try {
+    const result = await deliverInboundEmail({ rawContent, sender, recipient });
+
+    await updateIngestRequest(logId, result.success ? 'delivered' : 'not_found', {
+      reason: result.deletedByRule ? `Deleted by inbox rule ${result.deletedByRule}` : null,
+      emailId: result.success ? result.emailId : null,
+      recipient: result.recipient || null
+    });
+
+    return result;
+  } catch (error) {
+    await updateIngestRequest(logId, 'failed', { reason: error.message }).catch(logError => {
+      console.error('Failed to release ingest replay key:', logError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Removes ingest log entries older than the given number of days
+ * @param {number} days - Retention in days
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function cleanupIngestLog(days) {
+  const [result] = await pool.query(
+    'DELETE FROM ingest_log WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [days]
+  );
+
+  console.log(`Cleaned up ${result.affectedRows} ingest log entries.`);
+  return result.affectedRows;
+}
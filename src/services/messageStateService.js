@@ -0,0 +1,156 @@
+import { pool } from '../db/init.js';
+
+// Configuration
+export const MAX_LABEL_LENGTH = 50;
+const MAX_LABELS_PER_EMAIL = 20;
+export const MAX_BULK_MARK = 500; // Message IDs per bulk request
+
+// Labels are trimmed; the same label twice is kept once
+function normalizeLabels(labels) {
+  if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH)) {
+    return null;
+  }
+  return Array.from(new Set(labels.map(label => label.trim())));
+}
+
+/**
+ * Validates a read/star/label change from a request body
+ * labels replaces the whole set; addLabels/removeLabels edit it
+ * @param {object} body - { is_read, is_starred, labels, addLabels, removeLabels }
+ * @returns {object} - { update } or { error }
+ */
+export function parseStateUpdate(body) {
+  const update = {};
+
+  for (const flag of ['is_read', 'is_starred']) {
+    if (body[flag] === undefined) continue;
+    if (typeof body[flag] !== 'boolean') {
+      return { error: `${flag} must be a boolean` };
+    }
+    update[flag] = body[flag];
+  }
+
+  for (const field of ['labels', 'addLabels', 'removeLabels']) {
+    if (body[field] === undefined) continue;
+    const labels = normalizeLabels(body[field]);
+    if (!labels) {
+      return { error: `${field} must be an array of labels of at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    update[field] = labels;
+  }
+
+  if (update.labels && (update.addLabels || update.removeLabels)) {
+    return { error: 'labels cannot be combined with addLabels or removeLabels' };
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+
+  return { update };
+}
+
+function parseLabels(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Works out the labels of a message after an update
+ * @param {Array|string|null} current - Current labels (array or JSON)
+ * @param {object} update - Validated update
+ * @returns {Array|null} - New labels, or null if they would exceed the per-message limit
+ */
+export function computeLabels(current, update) {
+  let labels = update.labels || parseLabels(current);
+
+  if (update.addLabels) {
+    labels = Array.from(new Set([...labels, ...update.addLabels]));
+  }
+  if (update.removeLabels) {
+    labels = labels.filter(label => !update.removeLabels.includes(label));
+  }
+
+  return labels.length > MAX_LABELS_PER_EMAIL ? null : labels;
+}
+
+/**
+ * Applies an update to an in-memory message (guest inbox or registered cache)
+ * @param {object} email - Received email, updated in place
+ * @param {object} update - Validated update
+ * @returns {boolean} - false if the label limit would be exceeded
+ */
+export function applyStateUpdate(email, update) {
+  const labels = computeLabels(email.labels, update);
+  if (!labels) return false;
+
+  if (update.is_read !== undefined) email.is_read = update.is_read;
+  if (update.is_starred !== undefined) email.is_starred = update.is_starred;
+  email.labels = labels;
+  return true;
+}
+
+/**
+ * Applies an update to stored messages of a temp email
+ * Messages that would exceed the label limit are left unchanged
+ * @param {string} tempEmailId - Temp email ID
+ * @param {Array} emailIds - Received email IDs
+ * @param {object} update - Validated update
+ * @returns {Promise<Array>} - Updated messages ({ id, is_read, is_starred, labels })
+ */
+export async function updateStoredEmailState(tempEmailId, emailIds, update) {
+  const [emails] = await pool.query(
+    'SELECT id, is_read, is_starred, labels FROM received_emails WHERE temp_email_id = ? AND id IN (?)',
+    [tempEmailId, emailIds]
+  );
+
+  const updated = [];
+  for (const email of emails) {
+    const state = { ...email, is_read: Boolean(email.is_read), is_starred: Boolean(email.is_starred) };
+    if (!applyStateUpdate(state, update)) continue;
+
+    await pool.query(
+      'UPDATE received_emails SET is_read = ?, is_starred = ?, labels = ? WHERE id = ? AND temp_email_id = ?',
+      [state.is_read, state.is_starred, JSON.stringify(state.labels), email.id, tempEmailId]
+    );
+    updated.push(state);
+  }
+
+  return updated;
+}
+
+/**
+ * Counts unread inbox messages (spam excluded) per temp email
+ * @param {Array} tempEmailIds - Temp email IDs
+ * @returns {Promise<Map>} - temp email ID → unread count
+ */
+export async function getUnreadCounts(tempEmailIds) {
+  const counts = new Map();
+  if (tempEmailIds.length === 0) return counts;
+
+  const [rows] = await pool.query(`
+    SELECT temp_email_id, COUNT(*) as unread
+    FROM received_emails
+    WHERE temp_email_id IN (?) AND is_read = false AND is_spam = false
+    GROUP BY temp_email_id
+  `, [tempEmailIds]);
+
+  for (const row of rows) {
+    counts.set(row.temp_email_id, Number(row.unread));
+  }
+  return counts;
+}
+
+/**
+ * Counts unread inbox messages (spam excluded) in an in-memory inbox
+ * @param {Array} inbox - Received emails
+ * @returns {number}
+ */
+export function countUnread(inbox) {
+  return inbox.filter(email => !email.is_read && !email.is_spam).length;
+}
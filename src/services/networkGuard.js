@@ -0,0 +1,130 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+
+// Outbound requests to user-supplied URLs (webhooks, the image proxy) must never reach
+// internal services. Addresses are checked after resolution and the checked address is the
+// one connected to, so a second DNS answer can't swap in a private host (DNS rebinding).
+
+// Loopback, private, shared, link-local, benchmarking, documentation, multicast and reserved
+const blockedRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) {
+  blockedRanges.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['100::', 64], ['64:ff9b:1::', 48], ['2001:db8::', 32], ['fc00::', 7],
+  ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  blockedRanges.addSubnet(network, prefix, 'ipv6');
+}
+
+// 16 bytes of an IPv6 address (dotted IPv4 tail and zone IDs allowed), or null
+function parseIPv6(address) {
+  let value = address.replace(/%.*$/, '');
+
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+  if (dotted) {
+    if (!net.isIPv4(dotted[1])) return null;
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    value = value.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = value.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  const bytes = [];
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    const number = parseInt(group, 16);
+    bytes.push(number >> 8, number & 0xff);
+  }
+  return bytes;
+}
+
+const toIPv4 = bytes => bytes.join('.');
+const startsWith = (bytes, prefix) => prefix.every((byte, index) => bytes[index] === byte);
+
+// IPv4 address carried inside an IPv6 one (mapped, compatible, SIIT, NAT64, 6to4, Teredo)
+function getEmbeddedIPv4(bytes) {
+  const zeros = Array(10).fill(0);
+  if (startsWith(bytes, [...zeros, 0xff, 0xff])) return toIPv4(bytes.slice(12)); // ::ffff:a.b.c.d
+  if (startsWith(bytes, [...zeros, 0, 0])) return toIPv4(bytes.slice(12)); // ::a.b.c.d
+  if (startsWith(bytes, [...Array(8).fill(0), 0xff, 0xff, 0, 0])) return toIPv4(bytes.slice(12)); // ::ffff:0:a.b.c.d
+  if (startsWith(bytes, [0, 0x64, 0xff, 0x9b, ...Array(8).fill(0)])) return toIPv4(bytes.slice(12)); // 64:ff9b::/96
+  if (startsWith(bytes, [0x20, 0x02])) return toIPv4(bytes.slice(2, 6)); // 2002::/16
+  if (startsWith(bytes, [0x20, 0x01, 0, 0])) return toIPv4(bytes.slice(12).map(byte => byte ^ 0xff)); // Teredo
+  return null;
+}
+
+/**
+ * Checks for loopback, private, link-local and other non-routable ranges
+ * IPv6 forms that carry an IPv4 address are judged by that address. Anything that isn't an
+ * IP address counts as private.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const value = String(address || '').replace(/^\[|\]$/g, '');
+
+  if (net.isIPv4(value)) {
+    return blockedRanges.check(value, 'ipv4');
+  }
+
+  const bytes = net.isIPv6(value.replace(/%.*$/, '')) ? parseIPv6(value) : null;
+  if (!bytes) return true;
+
+  const embedded = getEmbeddedIPv4(bytes);
+  if (embedded && blockedRanges.check(embedded, 'ipv4')) return true;
+
+  return blockedRanges.check(value.replace(/%.*$/, ''), 'ipv6');
+}
+
+/**
+ * Resolves a host and refuses it unless every address is public
+ * @param {string} hostname - Host name or IP literal (brackets allowed)
+ * @returns {Promise<Array>} - [{ address, family }]
+ */
+export async function resolvePublicAddresses(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Host is not publicly reachable');
+  }
+  return addresses;
+}
+
+/**
+ * HTTP(S) agent that connects only to already checked addresses
+ * Pass as httpAgent/httpsAgent so the request can't resolve the host a second time.
+ * @param {string} protocol - 'http:' or 'https:'
+ * @param {Array} addresses - From resolvePublicAddresses
+ * @returns {http.Agent|https.Agent}
+ */
+export function createPinnedAgent(protocol, addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+
+  const Agent = protocol === 'https:' ? https.Agent : http.Agent;
+  return new Agent({ lookup, keepAlive: false });
+}
@@ -0,0 +1,284 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import smtpManager from './smtpManager.js';
+import { getStoredRawSource, extractRawHeaders } from './rawEmailService.js';
+
+// Configuration
+export const USER_DAILY_SEND_LIMIT = parseInt(process.env.USER_DAILY_SEND_LIMIT || '20'); // Replies + forwards per user per day
+const MAX_BODY_LENGTH = 100 * 1024; // Characters of user-written text/html
+const MAX_REFERENCES = 20; // Oldest References entries are dropped beyond this
+
+/**
+ * Reports how many messages a user can still send today
+ * The per-user limit is capped by what the relay accounts in smtp_servers have left,
+ * and both reset at midnight together with the smtp_servers daily counters.
+ * @param {string} userId - User ID
+ * @param {object} connection - Pool or transaction connection
+ * @returns {Promise<object>} - { limit, used, remaining, serverCapacity }
+ */
+export async function getSendQuota(userId, connection = pool) {
+  const [[usage]] = await connection.query(
+    `SELECT COUNT(*) as used FROM sent_emails
+     WHERE user_id = ? AND status != 'failed' AND created_at >= CURDATE()`,
+    [userId]
+  );
+
+  const [[capacity]] = await connection.query(
+    `SELECT COALESCE(SUM(GREATEST(daily_limit - daily_email_count, 0)), 0) as remaining
+     FROM smtp_servers WHERE is_active = true`
+  );
+
+  const used = Number(usage.used);
+  const serverCapacity = Number(capacity.remaining);
+
+  return {
+    limit: USER_DAILY_SEND_LIMIT,
+    used,
+    remaining: Math.max(0, Math.min(USER_DAILY_SEND_LIMIT - used, serverCapacity)),
+    serverCapacity
+  };
+}
+
+// Message-IDs are stored without angle brackets
+function stripBrackets(messageId) {
+  return (messageId || '').trim().replace(/^<|>$/g, '');
+}
+
+// Find Message-ID/References for messages stored before those columns existed
+async function getThreadHeadersFromRaw(userId, original) {
+  const rawSource = await getStoredRawSource(userId, original.temp_email_id, original.id);
+  if (!rawSource) return { messageId: null, references: [] };
+
+  const headers = extractRawHeaders(rawSource);
+  const find = name => headers.find(header => header.name.toLowerCase() === name)?.value || '';
+
+  return {
+    messageId: stripBrackets(find('message-id')) || null,
+    references: (find('references').match(/<[^>]+>/g) || []).map(stripBrackets)
+  };
+}
+
+/**
+ * Builds In-Reply-To and References for an answer to a received message
+ * @param {string} userId - Owner of the temp email
+ * @param {object} original - received_emails row
+ * @returns {Promise<object>} - { inReplyTo, references } (bare IDs, no angle brackets)
+ */
+export async function buildReplyHeaders(userId, original) {
+  let messageId = stripBrackets(original.message_id) || null;
+  let references = parseJsonArray(original.reference_ids).map(stripBrackets);
+
+  if (!messageId) {
+    ({ messageId, references } = await getThreadHeadersFromRaw(userId, original));
+  }
+
+  // Without References the parent's In-Reply-To is the best ancestor we have
+  if (references.length === 0 && original.in_reply_to) {
+    references = [stripBrackets(original.in_reply_to)];
+  }
+
+  if (!messageId) {
+    return { inReplyTo: null, references: references.slice(-MAX_REFERENCES) };
+  }
+
+  return {
+    inReplyTo: messageId,
+    references: [...references.filter(id => id !== messageId), messageId].slice(-MAX_REFERENCES)
+  };
+}
+
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Prefix a subject once ("Re: Re: Hello" is avoided)
+function prefixSubject(prefix, subject) {
+  const trimmed = (subject || '').trim();
+  return new RegExp(`^${prefix}:`, 'i').test(trimmed) ? trimmed : `${prefix}: ${trimmed}`;
+}
+
+function formatSender(email) {
+  return email.from_name && email.from_name !== email.from_email
+    ? `${email.from_name} <${email.from_email}>`
+    : email.from_email;
+}
+
+/**
+ * Composes the body of a reply: the user's text followed by the quoted original
+ * @param {object} original - Received email
+ * @param {object} message - { text, html } written by the user
+ * @returns {object} - { subject, text, html }
+ */
+export function composeReply(original, message) {
+  const date = new Date(original.received_at).toUTCString();
+  const attribution = `On ${date}, ${formatSender(original)} wrote:`;
+  const quotedText = (original.body_text || '').split(/\r?\n/).map(line => `> ${line}`).join('\n');
+  const userHtml = message.html || escapeHtml(message.text).replace(/\n/g, '<br>');
+
+  return {
+    subject: prefixSubject('Re', original.subject),
+    text: `${message.text || ''}\n\n${attribution}\n${quotedText}`,
+    html: `<div>${userHtml}</div><br><div>${escapeHtml(attribution)}</div>` +
+      `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">` +
+      `${original.body_html || escapeHtml(original.body_text).replace(/\n/g, '<br>')}</blockquote>`
+  };
+}
+
+/**
+ * Composes the body of a forward: an optional note, the original headers and body
+ * @param {object} original - Received email
+ * @param {string} toAddress - Temp address the original was sent to
+ * @param {object} message - { text, html } written by the user (may be empty)
+ * @returns {object} - { subject, text, html }
+ */
+export function composeForward(original, toAddress, message) {
+  const headerLines = [
+    '---------- Forwarded message ---------',
+    `From: ${formatSender(original)}`,
+    `Date: ${new Date(original.received_at).toUTCString()}`,
+    `Subject: ${original.subject || ''}`,
+    `To: ${toAddress}`
+  ];
+  const userHtml = message.html || escapeHtml(message.text).replace(/\n/g, '<br>');
+
+  return {
+    subject: prefixSubject('Fwd', original.subject),
+    text: `${message.text || ''}\n\n${headerLines.join('\n')}\n\n${original.body_text || ''}`,
+    html: `<div>${userHtml}</div><br><div>${headerLines.map(escapeHtml).join('<br>')}</div><br>` +
+      `${original.body_html || escapeHtml(original.body_text).replace(/\n/g, '<br>')}`
+  };
+}
+
+/**
+ * Validates the user-written part of a reply or forward
+ * @param {object} body - Request body ({ text, html })
+ * @param {boolean} required - Whether some content is required (replies)
+ * @returns {object} - { text, html } or { error }
+ */
+export function parseMessageBody(body, required) {
+  const text = typeof body.text === 'string' ? body.text : '';
+  const html = typeof body.html === 'string' ? body.html : '';
+
+  if (required && !text.trim() && !html.trim()) {
+    return { error: 'text or html is required' };
+  }
+
+  if (text.length > MAX_BODY_LENGTH || html.length > MAX_BODY_LENGTH) {
+    return { error: 'Message is too long' };
+  }
+
+  return { text, html };
+}
+
+// Attachments of the original, in nodemailer form
+async function loadForwardAttachments(emailId) {
+  const [attachments] = await pool.query(
+    'SELECT filename, content_type, content FROM email_attachments WHERE email_id = ?',
+    [emailId]
+  );
+
+  return attachments.map(attachment => ({
+    filename: attachment.filename || 'attachment',
+    contentType: attachment.content_type || 'application/octet-stream',
+    content: Buffer.from(attachment.content || '', 'base64')
+  }));
+}
+
+/**
+ * Sends a reply or forward from a temp address and records it as a sent item
+ * The quota slot is reserved before sending so concurrent requests can't overshoot it.
+ * @param {object} params
+ * @param {string} params.userId - Sending user
+ * @param {object} params.tempEmail - temp_emails row the message is sent from
+ * @param {object} params.original - received_emails row being answered
+ * @param {string} params.kind - 'reply' or 'forward'
+ * @param {string} params.to - Recipient
+ * @param {object} params.composed - { subject, text, html }
+ * @returns {Promise<object>} - { sentEmail, quota } or { error, statusCode }
+ */
+export async function sendFromTempAddress({ userId, tempEmail, original, kind, to, composed }) {
+  const id = uuidv4();
+  const domain = tempEmail.email.split('@')[1];
+  const messageId = `${id}@${domain}`;
+  const { inReplyTo, references } = kind === 'reply'
+    ? await buildReplyHeaders(userId, original)
+    : { inReplyTo: null, references: [] };
+
+  await pool.query(
+    `INSERT INTO sent_emails
+     (id, user_id, temp_email_id, original_email_id, kind, to_address, subject, body_html, body_text, message_id, in_reply_to, reference_ids)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, tempEmail.id, original.id, kind, to, composed.subject, composed.html, composed.text,
+      messageId, inReplyTo, JSON.stringify(references)]
+  );
+
+  const quota = await getSendQuota(userId);
+  // used already includes the reserved row
+  if (quota.used > quota.limit || quota.serverCapacity === 0) {
+    await pool.query('DELETE FROM sent_emails WHERE id = ?', [id]);
+    return {
+      error: quota.serverCapacity === 0 ? 'Sending capacity exhausted for today' : 'Daily send limit reached',
+      statusCode: 429,
+      quota: { ...quota, used: quota.used - 1, remaining: 0 }
+    };
+  }
+
+  try {
+    const result = await smtpManager.sendEmail(to, composed.subject, composed.html, {
+      from: tempEmail.email,
+      replyTo: tempEmail.email,
+      text: composed.text,
+      messageId: `<${messageId}>`,
+      inReplyTo: inReplyTo ? `<${inReplyTo}>` : undefined,
+      references: references.length > 0 ? references.map(ref => `<${ref}>`) : undefined,
+      attachments: kind === 'forward' ? await loadForwardAttachments(original.id) : undefined
+    });
+
+    await pool.query(
+      `UPDATE sent_emails SET status = 'sent', smtp_server_id = ?, sent_at = NOW() WHERE id = ?`,
+      [result.smtpServerId, id]
+    );
+  } catch (error) {
+    await pool.query(
+      `UPDATE sent_emails SET status = 'failed', error = ? WHERE id = ?`,
+      [(error.message || 'Send failed').substring(0, 255), id]
+    );
+    throw error;
+  }
+
+  const [sent] = await pool.query('SELECT * FROM sent_emails WHERE id = ?', [id]);
+  return { sentEmail: sent[0], quota };
+}
+
+/**
+ * Lists the sent items of a temp email, optionally for one received message
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} [originalEmailId] - Received email the items answer
+ * @returns {Promise<Array>}
+ */
+export async function getSentEmails(tempEmailId, originalEmailId = null) {
+  const [sent] = await pool.query(
+    `SELECT id, temp_email_id, original_email_id, kind, to_address, subject, body_html, body_text,
+            message_id, in_reply_to, status, error, created_at, sent_at
+     FROM sent_emails
+     WHERE temp_email_id = ? ${originalEmailId ? 'AND original_email_id = ?' : ''}
+     ORDER BY created_at ASC`,
+    originalEmailId ? [tempEmailId, originalEmailId] : [tempEmailId]
+  );
+
+  return sent;
+}
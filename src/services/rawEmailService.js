@@ -0,0 +1,110 @@
+import zlib from 'zlib';
+import { pool } from '../db/init.js';
+
+/**
+ * Compresses the original RFC 822 source of a message for storage
+ * @param {string|Buffer} rawContent - Raw message source
+ * @returns {Buffer|null} - Gzipped source or null if there is nothing to store
+ */
+export function compressRawSource(rawContent) {
+  if (!rawContent) return null;
+
+  try {
+    const source = Buffer.isBuffer(rawContent) ? rawContent : Buffer.from(rawContent);
+    return zlib.gzipSync(source);
+  } catch (error) {
+    console.error('Failed to compress raw email source:', error);
+    return null;
+  }
+}
+
+/**
+ * Restores a stored raw source
+ * @param {Buffer} compressed - Gzipped source
+ * @returns {Buffer} - Original message source
+ */
+export function decompressRawSource(compressed) {
+  return zlib.gunzipSync(compressed);
+}
+
+/**
+ * Extracts the header block of a raw message without parsing the body
+ * Keeps the original order and duplicates (Received, DKIM-Signature, ...)
+ * @param {Buffer|string} rawSource - Original message source
+ * @returns {Array} - Array of { name, value } with folded lines joined
+ */
+export function extractRawHeaders(rawSource) {
+  const source = Buffer.isBuffer(rawSource) ? rawSource.toString('utf8') : String(rawSource || '');
+
+  // Headers end at the first empty line
+  const headerEnd = source.search(/\r?\n\r?\n/);
+  const headerBlock = headerEnd === -1 ? source : source.substring(0, headerEnd);
+
+  const headers = [];
+  for (const line of headerBlock.split(/\r?\n/)) {
+    // Continuation of a folded header
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ' ' + line.trim();
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    headers.push({
+      name: line.substring(0, separator).trim(),
+      value: line.substring(separator + 1).trim()
+    });
+  }
+
+  return headers;
+}
+
+/**
+ * Persists the compressed raw source of a received email
+ * @param {string} emailId - Received email ID
+ * @param {Buffer} compressed - Gzipped source from compressRawSource
+ * @param {number} rawSize - Uncompressed size in bytes
+ * @param {object} connection - Pool or transaction connection
+ */
+export async function saveRawSource(emailId, compressed, rawSize, connection = pool) {
+  if (!compressed) return;
+
+  await connection.query(
+    'INSERT INTO received_email_raw (email_id, raw_source, raw_size) VALUES (?, ?, ?)',
+    [emailId, compressed, rawSize || 0]
+  );
+}
+
+/**
+ * Loads the raw source of a received email owned by a registered user
+ * @param {string} userId - Owner of the temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} emailId - Received email ID
+ * @returns {Promise<Buffer|null>} - Original message source or null if not retained
+ */
+export async function getStoredRawSource(userId, tempEmailId, emailId) {
+  const [rows] = await pool.query(`
+    SELECT rr.raw_source
+    FROM received_email_raw rr
+    JOIN received_emails re ON rr.email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE rr.email_id = ? AND te.id = ? AND te.user_id = ?
+  `, [emailId, tempEmailId, userId]);
+
+  return rows.length > 0 ? decompressRawSource(rows[0].raw_source) : null;
+}
+
+/**
+ * Writes a raw message as an .eml download
+ * @param {object} res - Express response
+ * @param {Buffer} rawSource - Original message source
+ * @param {string} emailId - Received email ID used for the filename
+ */
+export function sendRawSource(res, rawSource, emailId) {
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Length', rawSource.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${emailId}.eml"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.end(rawSource);
+}
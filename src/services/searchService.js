@@ -0,0 +1,303 @@
+import { pool } from '../db/init.js';
+
+// Configuration
+const MAX_INDEXED_BODY_LENGTH = 64 * 1024; // Characters of body_text kept in the search index
+const MIN_TERM_LENGTH = 3; // innodb_ft_min_token_size default
+const SNIPPET_RADIUS = 80; // Characters shown on each side of the first hit
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+// InnoDB's default FULLTEXT stopwords - a required stopword would make boolean searches return nothing
+const FULLTEXT_STOPWORDS = new Set([
+  'about', 'are', 'com', 'for', 'from', 'how', 'that', 'the', 'this', 'was', 'what',
+  'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+/**
+ * Adds a received email to the full-text search index
+ * received_emails is partitioned and MySQL can't FULLTEXT-index partitioned tables,
+ * so searchable columns are copied into received_email_search
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} email - Received email (id, from_name, from_email, subject, body_text, body_html, attachments)
+ * @param {Date|string} receivedAt - Stored received_at
+ * @param {object} connection - Pool or transaction connection
+ */
+export async function indexReceivedEmail(tempEmailId, email, receivedAt, connection = pool) {
+  const bodyText = email.body_text || (email.body_html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+
+  await connection.query(
+    `INSERT INTO received_email_search (email_id, temp_email_id, sender, subject, body_text, has_attachments, received_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE email_id = email_id`,
+    [
+      email.id,
+      tempEmailId,
+      `${email.from_name || ''} <${email.from_email || ''}>`,
+      email.subject || '',
+      bodyText.substring(0, MAX_INDEXED_BODY_LENGTH),
+      (email.attachments || []).length > 0,
+      new Date(receivedAt)
+    ]
+  );
+}
+
+// Split a query into plain words
+function getSearchTerms(query) {
+  return (query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}@._-]+/u)
+    .map(term => term.replace(/^[._-]+|[._-]+$/g, ''))
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+// Every word must match, as a prefix (boolean mode)
+function toBooleanQuery(terms) {
+  return terms
+    // Punctuation inside a term (addresses, domains) would be read as boolean operators
+    .flatMap(term => term.split(/[@._-]+/))
+    .filter(word => word.length >= MIN_TERM_LENGTH && !FULLTEXT_STOPWORDS.has(word))
+    .map(word => `+${word}*`)
+    .join(' ');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wraps search terms in <mark> (text is HTML-escaped first)
+ * @param {string} text - Plain text
+ * @param {Array} terms - Search terms
+ * @returns {string} - Safe HTML
+ */
+export function highlightTerms(text, terms) {
+  const escaped = escapeHtml(text || '');
+  if (terms.length === 0) return escaped;
+
+  const pattern = new RegExp(`(${terms.map(term => escapeRegExp(escapeHtml(term))).join('|')})`, 'gi');
+  return escaped.replace(pattern, '<mark>$1</mark>');
+}
+
+/**
+ * Builds a highlighted excerpt around the first term found in a body
+ * @param {string} body - Plain text body
+ * @param {Array} terms - Search terms
+ * @returns {string} - Safe HTML snippet
+ */
+export function buildSnippet(body, terms) {
+  const text = (body || '').replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  const hits = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  const firstHit = hits.length > 0 ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, firstHit - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstHit + SNIPPET_RADIUS * 2);
+  const excerpt = `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
+
+  return highlightTerms(excerpt, terms);
+}
+
+/**
+ * Parses search query parameters
+ * @param {object} query - Express query (q, from, after, before, hasAttachment, tempEmailId, limit, cursor)
+ * @returns {object} - Search options or { error }
+ */
+export function parseSearchOptions(query) {
+  const options = {
+    q: (query.q || '').trim(),
+    terms: getSearchTerms(query.q),
+    from: query.from ? String(query.from).toLowerCase() : null,
+    after: query.after ? new Date(query.after) : null,
+    before: query.before ? new Date(query.before) : null,
+    hasAttachment: query.hasAttachment === undefined ? null : query.hasAttachment === 'true',
+    tempEmailId: query.tempEmailId || null,
+    limit: Math.min(parseInt(query.limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT),
+    cursor: null
+  };
+
+  if (!options.q && !options.from) {
+    return { error: 'q or from is required' };
+  }
+
+  if ((options.after && isNaN(options.after.getTime())) || (options.before && isNaN(options.before.getTime()))) {
+    return { error: 'Invalid date range' };
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return options;
+}
+
+// Cursor = position of the last result in (received_at DESC, id DESC) order
+function encodeCursor(email) {
+  return Buffer.from(`${new Date(email.received_at).getTime()}|${email.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+    const receivedAt = new Date(Number(time));
+    if (!id || isNaN(receivedAt.getTime())) return null;
+    return { receivedAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Shape a hit the same way for database and in-memory results
+function toSearchResult(email, terms, relevance) {
+  return {
+    id: email.id,
+    temp_email_id: email.temp_email_id,
+    temp_email: email.temp_email,
+    from_email: email.from_email,
+    from_name: email.from_name,
+    subject: email.subject,
+    received_at: email.received_at,
+    has_attachments: Boolean(email.has_attachments),
+    relevance: relevance !== undefined ? Number(relevance) : undefined,
+    highlights: {
+      subject: highlightTerms(email.subject, terms),
+      snippet: buildSnippet(email.body_text, terms)
+    }
+  };
+}
+
+// Build the paginated response; one extra row was fetched to know whether more exist
+function toSearchPage(rows, options, relevanceKey) {
+  const page = rows.slice(0, options.limit);
+
+  return {
+    data: page.map(email => toSearchResult(email, options.terms, relevanceKey ? email[relevanceKey] : undefined)),
+    metadata: {
+      limit: options.limit,
+      nextCursor: rows.length > options.limit ? encodeCursor(page[page.length - 1]) : null
+    }
+  };
+}
+
+/**
+ * Searches every received email of a registered user
+ * @param {string} userId - User ID
+ * @param {object} options - Parsed search options
+ * @returns {Promise<object>} - { data, metadata: { limit, nextCursor } }
+ */
+export async function searchUserEmails(userId, options) {
+  const conditions = ['te.user_id = ?'];
+  const params = [userId];
+  let relevance = '0';
+  const relevanceParams = [];
+
+  const booleanQuery = toBooleanQuery(options.terms);
+  if (booleanQuery) {
+    conditions.push('MATCH(s.subject, s.sender, s.body_text) AGAINST (? IN BOOLEAN MODE)');
+    params.push(booleanQuery);
+    relevance = 'MATCH(s.subject, s.sender, s.body_text) AGAINST (? IN BOOLEAN MODE)';
+    relevanceParams.push(booleanQuery);
+  } else if (options.terms.length > 0) {
+    // Only short words - too small for the FULLTEXT index
+    for (const term of options.terms) {
+      conditions.push('(s.subject LIKE ? OR s.body_text LIKE ?)');
+      params.push(`%${term}%`, `%${term}%`);
+    }
+  }
+
+  if (options.from) {
+    conditions.push('s.sender LIKE ?');
+    params.push(`%${options.from}%`);
+  }
+
+  if (options.after) {
+    conditions.push('s.received_at >= ?');
+    params.push(options.after);
+  }
+
+  if (options.before) {
+    conditions.push('s.received_at < ?');
+    params.push(options.before);
+  }
+
+  if (options.hasAttachment !== null) {
+    conditions.push('s.has_attachments = ?');
+    params.push(options.hasAttachment);
+  }
+
+  if (options.tempEmailId) {
+    conditions.push('s.temp_email_id = ?');
+    params.push(options.tempEmailId);
+  }
+
+  if (options.cursor) {
+    conditions.push('(s.received_at < ? OR (s.received_at = ? AND s.email_id < ?))');
+    params.push(options.cursor.receivedAt, options.cursor.receivedAt, options.cursor.id);
+  }
+
+  // Joining received_emails drops index rows whose message has been deleted
+  const [rows] = await pool.query(`
+    SELECT re.id, re.temp_email_id, te.email as temp_email, re.from_email, re.from_name, re.subject,
+           s.body_text, s.has_attachments, s.received_at, ${relevance} as relevance
+    FROM received_email_search s
+    JOIN received_emails re ON re.id = s.email_id
+    JOIN temp_emails te ON s.temp_email_id = te.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY s.received_at DESC, s.email_id DESC
+    LIMIT ?
+  `, [...relevanceParams, ...params, options.limit + 1]);
+
+  return toSearchPage(rows, options, 'relevance');
+}
+
+/**
+ * Searches in-memory received emails (guest sessions)
+ * @param {Array} emails - Received emails, each with temp_email_id and temp_email set
+ * @param {object} options - Parsed search options
+ * @returns {object} - { data, metadata: { limit, nextCursor } }
+ */
+export function searchInMemoryEmails(emails, options) {
+  const matches = emails.filter(email => {
+    const haystack = `${email.subject || ''} ${email.from_name || ''} ${email.from_email || ''} ${email.body_text || ''}`.toLowerCase();
+    const receivedAt = new Date(email.received_at);
+
+    if (!options.terms.every(term => haystack.includes(term))) return false;
+    if (options.from && !`${email.from_name || ''} <${email.from_email || ''}>`.toLowerCase().includes(options.from)) return false;
+    if (options.after && receivedAt < options.after) return false;
+    if (options.before && receivedAt >= options.before) return false;
+    if (options.hasAttachment !== null && ((email.attachments || []).length > 0) !== options.hasAttachment) return false;
+    if (options.tempEmailId && email.temp_email_id !== options.tempEmailId) return false;
+
+    if (options.cursor) {
+      const time = receivedAt.getTime();
+      const cursorTime = options.cursor.receivedAt.getTime();
+      if (time > cursorTime || (time === cursorTime && email.id >= options.cursor.id)) return false;
+    }
+
+    return true;
+  });
+
+  matches.sort((a, b) => {
+    const diff = new Date(b.received_at).getTime() - new Date(a.received_at).getTime();
+    return diff !== 0 ? diff : (a.id < b.id ? 1 : -1);
+  });
+
+  const rows = matches.slice(0, options.limit + 1).map(email => ({
+    ...email,
+    has_attachments: (email.attachments || []).length > 0
+  }));
+
+  return toSearchPage(rows, options);
+}
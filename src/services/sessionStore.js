@@ -0,0 +1,283 @@
+import { pool } from '../db/init.js';
+
+// New-mail events are only needed until every instance has polled them
+const INBOX_EVENT_TTL = 10 * 60; // Seconds
+const INBOX_EVENT_BATCH = 500;
+
+// Guest session persistence
+//
+// guestSessionHandler keeps sessions in process Maps and reads them synchronously; a store is
+// where those sessions are written through to and reloaded from. Sessions are addressed by
+// their session key (SHA-256 of the guest token), so a leaked table can't be replayed as logins.
+//
+// A store implements:
+//   persistent                                  - false when the process Maps are the only copy
+//   loadSession(key, knownVersion)              - { session, version } | { unchanged: true } | null
+//   findAddress(address)                        - { key, tempEmailId } | null
+//   saveSession(key, session)                   - temp emails, rules and the address lookup
+//   saveMessage(key, tempEmailId, email)        - insert or replace a received email
+//   saveRawSource(key, emailId, compressed, size)
+//   deleteMessages(key, emailIds)
+//   deleteSession(key)
+//   deleteExpired()                             - Promise<number> sessions removed
+//   publishInboxEvent(origin, tempEmailId, email) - share a new-mail event with other instances
+//   readInboxEvents(afterId)                    - { events: [{ id, origin, tempEmailId, email }], lastId }
+//                                                 (afterId null = start from the newest event)
+// Every write resolves to the session's new version, or null when another process also wrote
+// since knownVersion (the local copy must then be reloaded).
+
+/**
+ * Keeps guest sessions in this process only (sessions are lost on restart and not shared)
+ * @returns {object} - Session store
+ */
+export function createMemorySessionStore() {
+  const noWrite = async () => null;
+
+  return {
+    name: 'memory',
+    persistent: false,
+    loadSession: async () => null,
+    findAddress: async () => null,
+    saveSession: noWrite,
+    saveMessage: noWrite,
+    saveRawSource: noWrite,
+    deleteMessages: noWrite,
+    deleteSession: async () => {},
+    deleteExpired: async () => 0,
+    publishInboxEvent: async () => {},
+    readInboxEvents: async afterId => ({ events: [], lastId: afterId })
+  };
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function toTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Keeps guest sessions in MySQL so they survive restarts and are shared between instances
+ * @param {object} [db] - mysql2 pool
+ * @returns {object} - Session store
+ */
+export function createMysqlSessionStore(db = pool) {
+  // Runs a write under the session row lock and bumps the session version
+  async function write(key, knownVersion, operation) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT version FROM guest_sessions WHERE session_key = ? FOR UPDATE',
+        [key]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      await operation(connection);
+      await connection.query('UPDATE guest_sessions SET version = version + 1 WHERE session_key = ?', [key]);
+      await connection.commit();
+
+      // Our copy is only current if nobody else wrote since it was loaded
+      return Number(rows[0].version) === knownVersion ? knownVersion + 1 : null;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  return {
+    name: 'mysql',
+    persistent: true,
+
+    async loadSession(key, knownVersion = null) {
+      const [sessions] = await db.query(
+        'SELECT * FROM guest_sessions WHERE session_key = ? AND expires_at > NOW()',
+        [key]
+      );
+      if (sessions.length === 0) return null;
+
+      const row = sessions[0];
+      if (knownVersion !== null && Number(row.version) === knownVersion) {
+        return { unchanged: true };
+      }
+
+      const [messages] = await db.query(`
+        SELECT id, temp_email_id, data, raw_source, raw_size
+        FROM guest_session_messages
+        WHERE session_key = ? AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY stored_at ASC, id ASC
+      `, [key]);
+
+      const emails = parseJson(row.emails, []);
+      const session = {
+        id: row.session_id,
+        emails: new Map(emails.map(email => [email.id, email])),
+        inbox: new Map(emails.map(email => [email.id, []])),
+        rawSources: new Map(),
+        rules: new Map(Object.entries(parseJson(row.rules, {}))),
+        created_at: row.created_at,
+        expires_at: row.expires_at
+      };
+
+      for (const message of messages) {
+        if (!session.inbox.has(message.temp_email_id)) continue;
+        session.inbox.get(message.temp_email_id).push(parseJson(message.data, {}));
+        if (message.raw_source) {
+          session.rawSources.set(message.id, { compressed: message.raw_source, size: message.raw_size });
+        }
+      }
+
+      return { session, version: Number(row.version) };
+    },
+
+    async findAddress(address) {
+      const [rows] = await db.query(`
+        SELECT a.session_key, a.temp_email_id
+        FROM guest_session_addresses a
+        JOIN guest_sessions s ON a.session_key = s.session_key
+        WHERE a.email = ? AND s.expires_at > NOW()
+      `, [address]);
+
+      return rows.length > 0 ? { key: rows[0].session_key, tempEmailId: rows[0].temp_email_id } : null;
+    },
+
+    async saveSession(key, session, knownVersion = null) {
+      const emails = Array.from(session.emails.values());
+      const rules = Object.fromEntries(session.rules || new Map());
+
+      // First write of a new session creates its row
+      const [created] = await db.query(
+        `INSERT IGNORE INTO guest_sessions (session_key, session_id, emails, rules, version, created_at, expires_at)
+         VALUES (?, ?, ?, ?, 0, ?, ?)`,
+        [key, session.id, JSON.stringify(emails), JSON.stringify(rules), toTimestamp(session.created_at) || new Date(), toTimestamp(session.expires_at)]
+      );
+      const baseVersion = created.affectedRows > 0 ? 0 : knownVersion;
+
+      return write(key, baseVersion, async connection => {
+        await connection.query(
+          'UPDATE guest_sessions SET emails = ?, rules = ? WHERE session_key = ?',
+          [JSON.stringify(emails), JSON.stringify(rules), key]
+        );
+
+        await connection.query('DELETE FROM guest_session_addresses WHERE session_key = ?', [key]);
+        for (const email of emails) {
+          await connection.query(
+            'INSERT INTO guest_session_addresses (email, session_key, temp_email_id) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE session_key = VALUES(session_key), temp_email_id = VALUES(temp_email_id)',
+            [email.email, key, email.id]
+          );
+        }
+
+        // Inboxes of removed addresses go with them
+        const ids = emails.map(email => email.id);
+        await connection.query(
+          ids.length > 0
+            ? 'DELETE FROM guest_session_messages WHERE session_key = ? AND temp_email_id NOT IN (?)'
+            : 'DELETE FROM guest_session_messages WHERE session_key = ?',
+          ids.length > 0 ? [key, ids] : [key]
+        );
+      });
+    },
+
+    async saveMessage(key, tempEmailId, email, knownVersion = null) {
+      return write(key, knownVersion, connection => connection.query(
+        `INSERT INTO guest_session_messages (id, session_key, temp_email_id, data, expires_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE data = VALUES(data), expires_at = VALUES(expires_at)`,
+        [email.id, key, tempEmailId, JSON.stringify(email), toTimestamp(email.expires_at)]
+      ));
+    },
+
+    async saveRawSource(key, emailId, compressed, size, knownVersion = null) {
+      return write(key, knownVersion, connection => connection.query(
+        'UPDATE guest_session_messages SET raw_source = ?, raw_size = ? WHERE id = ? AND session_key = ?',
+        [compressed, size, emailId, key]
+      ));
+    },
+
+    async deleteMessages(key, emailIds, knownVersion = null) {
+      if (emailIds.length === 0) return knownVersion;
+
+      return write(key, knownVersion, connection => connection.query(
+        'DELETE FROM guest_session_messages WHERE session_key = ? AND id IN (?)',
+        [key, emailIds]
+      ));
+    },
+
+    async deleteSession(key) {
+      // Addresses and messages are removed by ON DELETE CASCADE
+      await db.query('DELETE FROM guest_sessions WHERE session_key = ?', [key]);
+    },
+
+    async deleteExpired() {
+      await db.query('DELETE FROM guest_session_messages WHERE expires_at IS NOT NULL AND expires_at <= NOW()');
+      await db.query('DELETE FROM inbox_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)', [INBOX_EVENT_TTL]);
+      const [result] = await db.query('DELETE FROM guest_sessions WHERE expires_at <= NOW()');
+      return result.affectedRows;
+    },
+
+    async publishInboxEvent(origin, tempEmailId, email) {
+      await db.query(
+        'INSERT INTO inbox_events (origin, temp_email_id, email) VALUES (?, ?, ?)',
+        [origin, tempEmailId, JSON.stringify(email)]
+      );
+    },
+
+    async readInboxEvents(afterId) {
+      if (afterId === null) {
+        const [rows] = await db.query('SELECT COALESCE(MAX(id), 0) AS id FROM inbox_events');
+        return { events: [], lastId: Number(rows[0].id) };
+      }
+
+      const [rows] = await db.query(
+        'SELECT id, origin, temp_email_id, email FROM inbox_events WHERE id > ? ORDER BY id ASC LIMIT ?',
+        [afterId, INBOX_EVENT_BATCH]
+      );
+
+      return {
+        events: rows.map(row => ({
+          id: Number(row.id),
+          origin: row.origin,
+          tempEmailId: row.temp_email_id,
+          email: parseJson(row.email, {})
+        })),
+        lastId: rows.length > 0 ? Number(rows[rows.length - 1].id) : afterId
+      };
+    }
+  };
+}
+
+// GUEST_SESSION_STORE=mysql shares guest sessions between instances; the default keeps them in memory
+let activeStore = process.env.GUEST_SESSION_STORE === 'mysql'
+  ? createMysqlSessionStore()
+  : createMemorySessionStore();
+
+/**
+ * Store that guest sessions are written through to
+ * @returns {object} - Session store
+ */
+export function getSessionStore() {
+  return activeStore;
+}
+
+/**
+ * Replaces the session store (e.g. with a key-value adapter implementing the same methods)
+ * Call before the server starts accepting requests.
+ * @param {object} store - Session store
+ */
+export function setSessionStore(store) {
+  activeStore = store;
+}
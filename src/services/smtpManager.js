@@ -41,14 +41,20 @@ class SMTPManager {
       });
     }
 
+    // Not fatal at import time - routes that send mail fail in initialize() instead
     if (this.smtpConfigs.length === 0) {
-      throw new Error('No SMTP configurations found in environment variables');
+      console.warn('No SMTP configurations found in environment variables');
+      return;
     }
 
     console.log(`Loaded ${this.smtpConfigs.length} SMTP configurations`);
   }
 
   async initialize() {
+    if (this.smtpConfigs.length === 0) {
+      throw new Error('No SMTP configurations found in environment variables');
+    }
+
     try {
       // Initialize database records for SMTP configs
       await this.syncConfigsWithDB();
@@ -198,7 +204,15 @@ class SMTPManager {
     }
   }
 
-  async sendEmail(to, subject, html) {
+  /**
+   * Sends a message through the current relay account, rotating when it runs out
+   * @param {string} to - Recipient
+   * @param {string} subject - Subject
+   * @param {string} html - HTML body
+   * @param {object} [options] - from, envelopeFrom ('' for a null sender), replyTo, text, messageId, inReplyTo, references, headers, attachments, raw (a complete message sent as is)
+   * @returns {Promise<object>} - nodemailer result plus smtpServerId
+   */
+  async sendEmail(to, subject, html, options = {}) {
     if (!this.transporter || !this.currentSMTP) {
       await this.initialize();
     }
@@ -222,10 +236,22 @@ class SMTPManager {
 
       // Send email
       const result = await this.transporter.sendMail({
-        from: `"${this.currentSMTP.from_name}" <${this.currentSMTP.from_email}>`,
+        from: options.from || `"${this.currentSMTP.from_name}" <${this.currentSMTP.from_email}>`,
+        // Sending as another address still routes bounces to the relay account (or an SRS address)
+        envelope: options.from || options.envelopeFrom !== undefined
+          ? { from: options.envelopeFrom ?? this.currentSMTP.from_email, to }
+          : undefined,
         to,
         subject,
-        html
+        html,
+        text: options.text,
+        replyTo: options.replyTo,
+        messageId: options.messageId,
+        inReplyTo: options.inReplyTo,
+        references: options.references,
+        headers: options.headers,
+        attachments: options.attachments,
+        raw: options.raw
       });
 
       // Update counters
@@ -241,7 +267,7 @@ class SMTPManager {
       `, [this.currentSMTP.id]);
 
       await connection.commit();
-      return result;
+      return { ...result, smtpServerId: this.currentSMTP.id };
     } catch (error) {
       await connection.rollback();
 
@@ -0,0 +1,169 @@
+import fs from 'fs';
+import { SMTPServer } from 'smtp-server';
+import { findRecipient, deliverInboundEmail, cleanRecipientAddress } from './inboundEmailService.js';
+
+// Configuration
+const RECEIVER_PORT = parseInt(process.env.SMTP_RECEIVER_PORT || '25');
+const RECEIVER_HOST = process.env.SMTP_RECEIVER_HOST || '0.0.0.0';
+const MAX_MESSAGE_SIZE = parseInt(process.env.SMTP_RECEIVER_MAX_SIZE || String(25 * 1024 * 1024)); // 25 MB
+const MAX_RECIPIENTS = 50; // Maximum RCPT TO commands per message
+const SOCKET_TIMEOUT = 60 * 1000; // Drop idle SMTP clients after 1 minute
+
+let smtpServer = null;
+
+// Build an error that smtp-server turns into an SMTP reply code
+function smtpError(responseCode, message) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+}
+
+// Reject oversized messages early when the client announces SIZE
+function handleMailFrom(address, session, callback) {
+  const announcedSize = parseInt(address.args?.SIZE || '0');
+  if (announcedSize > MAX_MESSAGE_SIZE) {
+    return callback(smtpError(552, `Message size exceeds fixed maximum message size (${MAX_MESSAGE_SIZE} bytes)`));
+  }
+  callback();
+}
+
+// Validate recipients at SMTP time so mail for dead addresses is never accepted
+async function handleRcptTo(address, session, callback) {
+  if (session.envelope.rcptTo.length >= MAX_RECIPIENTS) {
+    return callback(smtpError(452, 'Too many recipients'));
+  }
+
+  try {
+    const recipient = cleanRecipientAddress(address.address);
+    const recipientInfo = await findRecipient(recipient);
+
+    if (!recipientInfo) {
+      return callback(smtpError(550, `5.1.1 <${recipient}>: Recipient address rejected: User unknown`));
+    }
+
+    callback();
+  } catch (error) {
+    console.error('SMTP recipient lookup failed:', error);
+    callback(smtpError(451, '4.3.0 Temporary lookup failure, please try again later'));
+  }
+}
+
+// Buffer the message and hand it to the shared storage path for each recipient
+function handleData(stream, session, callback) {
+  const chunks = [];
+  let totalSize = 0;
+
+  stream.on('data', (chunk) => {
+    totalSize += chunk.length;
+    // Stop buffering once the limit is hit - smtp-server flags sizeExceeded for us
+    if (totalSize <= MAX_MESSAGE_SIZE) {
+      chunks.push(chunk);
+    }
+  });
+
+  stream.on('error', (error) => {
+    console.error('SMTP data stream error:', error);
+  });
+
+  stream.on('end', async () => {
+    if (stream.sizeExceeded) {
+      return callback(smtpError(552, `Message size exceeds fixed maximum message size (${MAX_MESSAGE_SIZE} bytes)`));
+    }
+
+    const rawContent = Buffer.concat(chunks);
+    let delivered = 0;
+    const notFound = [];
+    const failed = [];
+
+    for (const rcpt of session.envelope.rcptTo) {
+      try {
+        const result = await deliverInboundEmail({
+          rawContent,
+          recipient: rcpt.address
+        });
+
+        if (result.success) {
+          delivered++;
+        } else {
+          console.warn(`SMTP delivery skipped for ${rcpt.address}: ${result.message}`);
+          notFound.push(rcpt.address);
+        }
+      } catch (error) {
+        console.error(`SMTP delivery failed for ${rcpt.address}:`, error);
+        failed.push(rcpt.address);
+      }
+    }
+
+    // Nothing to retry when every recipient went away after RCPT TO
+    if (delivered === 0 && failed.length === 0) {
+      return callback(smtpError(550, '5.1.1 Recipient address rejected: User unknown'));
+    }
+
+    if (delivered === 0) {
+      return callback(smtpError(451, '4.3.0 Message could not be stored, please try again later'));
+    }
+
+    // One reply covers every recipient, so a retry would duplicate the stored copies:
+    // accept and name the recipients that missed out
+    const skipped = [...failed, ...notFound];
+    if (skipped.length > 0) {
+      console.error(`SMTP message from ${session.envelope.mailFrom?.address || '<>'} stored for ${delivered} of ${session.envelope.rcptTo.length} recipient(s), not stored for: ${skipped.join(', ')}`);
+      return callback(null, `Message accepted for ${delivered} recipient(s), not stored for ${skipped.join(', ')}`);
+    }
+
+    callback(null, `Message accepted for ${delivered} recipient(s)`);
+  });
+}
+
+/**
+ * Starts the built-in SMTP receiver for inbound mail
+ * Replaces the external relay that POSTs to /webhook/email/incoming
+ * @returns {SMTPServer} - The running SMTP server
+ */
+export function startSmtpReceiver() {
+  if (smtpServer) {
+    return smtpServer;
+  }
+
+  // Offer STARTTLS only when a certificate is configured
+  const tlsKeyPath = process.env.SMTP_RECEIVER_TLS_KEY;
+  const tlsCertPath = process.env.SMTP_RECEIVER_TLS_CERT;
+  const tlsEnabled = Boolean(tlsKeyPath && tlsCertPath);
+
+  smtpServer = new SMTPServer({
+    name: process.env.SMTP_RECEIVER_HOSTNAME || undefined,
+    banner: 'Boomlify ESMTP',
+    authOptional: true,
+    disabledCommands: tlsEnabled ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+    ...(tlsEnabled && {
+      key: fs.readFileSync(tlsKeyPath),
+      cert: fs.readFileSync(tlsCertPath)
+    }),
+    size: MAX_MESSAGE_SIZE,
+    socketTimeout: SOCKET_TIMEOUT,
+    logger: false,
+    onMailFrom: handleMailFrom,
+    onRcptTo: handleRcptTo,
+    onData: handleData
+  });
+
+  smtpServer.on('error', (error) => {
+    console.error('SMTP receiver error:', error);
+  });
+
+  smtpServer.listen(RECEIVER_PORT, RECEIVER_HOST, () => {
+    console.log(`SMTP receiver listening on ${RECEIVER_HOST}:${RECEIVER_PORT}`);
+  });
+
+  return smtpServer;
+}
+
+// Stop accepting new SMTP connections
+export function stopSmtpReceiver() {
+  if (!smtpServer) return;
+
+  smtpServer.close(() => {
+    console.log('SMTP receiver stopped');
+  });
+  smtpServer = null;
+}
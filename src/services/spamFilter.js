@@ -0,0 +1,339 @@
+import { pool } from '../db/init.js';
+
+// Configuration
+export const SPAM_THRESHOLD = parseFloat(process.env.SPAM_THRESHOLD || '5'); // Score at which a message is flagged
+const RULES_CACHE_TTL = 5 * 60 * 1000; // Reload admin rules every 5 minutes
+const MAX_REASONS = 20; // Cap stored reasons per message
+
+// Hosts whose Authentication-Results we believe, as AUTHSERV_TRUSTED_HOSTS="mx1.example.com,mx2.example.com"
+// Anyone can put the header in a message, so results from other authserv-ids are ignored
+const TRUSTED_AUTHSERV_IDS = new Set(
+  (process.env.AUTHSERV_TRUSTED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+);
+
+if (TRUSTED_AUTHSERV_IDS.size === 0) {
+  console.warn('AUTHSERV_TRUSTED_HOSTS is not set: Authentication-Results headers are ignored by the spam filter');
+}
+
+// Rule types that admins can manage through /spam-rules
+export const SPAM_RULE_TYPES = ['subject', 'body', 'sender', 'url'];
+
+// Admin rule cache to avoid a DB query for every incoming message
+const rulesCache = {
+  rules: [],
+  loadedAt: 0
+};
+
+// Attachment extensions that are almost never legitimate in mail to a temp inbox
+const DANGEROUS_EXTENSIONS = new Set([
+  'exe', 'scr', 'bat', 'cmd', 'com', 'pif', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh',
+  'jar', 'msi', 'ps1', 'hta', 'lnk', 'iso', 'img', 'cpl', 'reg', 'docm', 'xlsm', 'pptm'
+]);
+
+// Built-in content heuristics
+const SUBJECT_PATTERNS = [
+  { pattern: /\b(you('ve| have)? won|winner|lottery|jackpot|prize)\b/i, score: 2, reason: 'Prize or lottery wording in subject' },
+  { pattern: /\b(free money|cash bonus|100% free|risk[- ]free|act now|limited time)\b/i, score: 1.5, reason: 'Promotional pressure wording in subject' },
+  { pattern: /\b(viagra|cialis|casino|bitcoin giveaway|crypto giveaway)\b/i, score: 2.5, reason: 'Common spam keyword in subject' }
+];
+
+const BODY_PATTERNS = [
+  { pattern: /\b(verify|confirm|update) your (account|identity|billing|payment)/i, score: 1.5, reason: 'Account verification request' },
+  { pattern: /\b(account|mailbox) (has been|will be) (suspended|locked|closed|deactivated)/i, score: 2, reason: 'Account suspension threat' },
+  { pattern: /\bpassword (will )?expire/i, score: 1.5, reason: 'Password expiry lure' },
+  { pattern: /\b(wire transfer|western union|inheritance|beneficiary)\b/i, score: 2, reason: 'Advance-fee fraud wording' }
+];
+
+const checks = [];
+
+/**
+ * Registers a spam check in the scoring pipeline
+ * A check receives the message and returns { score, reasons } (sync or async)
+ * @param {string} name - Check name, reported with its reasons
+ * @param {Function} check - Check implementation
+ */
+export function registerSpamCheck(name, check) {
+  checks.push({ name, check });
+}
+
+// Read a header from either a mailparser headers Map or a plain object
+function getHeaderValues(headers, name) {
+  if (!headers) return [];
+
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  if (value === undefined || value === null) return [];
+
+  return (Array.isArray(value) ? value : [value]).map(v => (typeof v === 'string' ? v : v?.value || String(v)));
+}
+
+// Collect every URL from the text and HTML bodies
+export function extractUrls(message) {
+  const urls = new Set();
+  const sources = [message.body_text || '', message.body_html || ''];
+
+  for (const source of sources) {
+    const matches = source.match(/https?:\/\/[^\s"'<>)]+/gi) || [];
+    matches.forEach(url => urls.add(url.replace(/[.,;]+$/, '')));
+  }
+
+  return Array.from(urls);
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// authserv-id of an Authentication-Results header: the first token, before any version and ';'
+function getAuthservId(header) {
+  const match = /^\s*(?:\([^)]*\)\s*)?([^\s;()]+)/.exec(header);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Parses Authentication-Results headers into SPF/DKIM/DMARC verdicts
+ * Only headers added by a host in AUTHSERV_TRUSTED_HOSTS count.
+ * @param {Map|object} headers - Parsed message headers
+ * @returns {object} - { spf, dkim, dmarc } with values like 'pass', 'fail', 'softfail' or null
+ */
+export function parseAuthenticationResults(headers) {
+  const results = { spf: null, dkim: null, dmarc: null };
+
+  for (const header of getHeaderValues(headers, 'authentication-results')) {
+    if (!TRUSTED_AUTHSERV_IDS.has(getAuthservId(header))) continue;
+
+    for (const method of Object.keys(results)) {
+      const match = header.match(new RegExp(`\\b${method}=(\\w+)`, 'i'));
+      // The first (top-most, added by our edge) verdict wins
+      if (match && !results[method]) {
+        results[method] = match[1].toLowerCase();
+      }
+    }
+  }
+
+  return results;
+}
+
+// SPF/DKIM/DMARC verdicts from Authentication-Results
+registerSpamCheck('authentication', (message) => {
+  const { spf, dkim, dmarc } = parseAuthenticationResults(message.headers);
+  let score = 0;
+  const reasons = [];
+
+  if (spf === 'fail') {
+    score += 3;
+    reasons.push('SPF failed');
+  }
+  if (spf === 'softfail') {
+    score += 1.5;
+    reasons.push('SPF soft-failed');
+  }
+  if (dkim === 'fail') {
+    score += 2;
+    reasons.push('DKIM signature failed');
+  }
+  if (dmarc === 'fail') {
+    score += 3.5;
+    reasons.push('DMARC failed');
+  }
+
+  // Fully authenticated mail gets a small bonus
+  if (spf === 'pass' && dkim === 'pass' && dmarc === 'pass') {
+    score -= 1;
+  }
+
+  return { score, reasons };
+});
+
+// Built-in subject and body heuristics
+registerSpamCheck('heuristics', (message) => {
+  const subject = message.subject || '';
+  const body = message.body_text || (message.body_html || '').replace(/<[^>]+>/g, ' ');
+  let score = 0;
+  const reasons = [];
+
+  for (const rule of SUBJECT_PATTERNS) {
+    if (rule.pattern.test(subject)) {
+      score += rule.score;
+      reasons.push(rule.reason);
+    }
+  }
+
+  for (const rule of BODY_PATTERNS) {
+    if (rule.pattern.test(body)) {
+      score += rule.score;
+      reasons.push(rule.reason);
+    }
+  }
+
+  const letters = subject.replace(/[^a-zA-Z]/g, '');
+  if (letters.length > 10 && letters === letters.toUpperCase()) {
+    score += 1;
+    reasons.push('Subject is all capitals');
+  }
+
+  if (/!{3,}/.test(subject)) {
+    score += 0.5;
+    reasons.push('Excessive exclamation marks in subject');
+  }
+
+  // Links whose visible text shows a different domain than the real target
+  const anchorPattern = /<a\b[^>]*href=["']?(https?:\/\/[^"'\s>]+)[^>]*>([\s\S]*?)<\/a>/gi;
+  let anchor;
+  while ((anchor = anchorPattern.exec(message.body_html || '')) !== null) {
+    const visibleUrl = anchor[2].replace(/<[^>]+>/g, '').trim().match(/https?:\/\/[^\s<]+/i);
+    if (!visibleUrl) continue;
+
+    const targetHost = getHostname(anchor[1]);
+    const visibleHost = getHostname(visibleUrl[0]);
+    if (targetHost && visibleHost && targetHost !== visibleHost) {
+      score += 2.5;
+      reasons.push(`Link text shows ${visibleHost} but points to ${targetHost}`);
+      break;
+    }
+  }
+
+  if (extractUrls(message).some(url => /^https?:\/\/\d{1,3}(\.\d{1,3}){3}/.test(url))) {
+    score += 2;
+    reasons.push('Link to a raw IP address');
+  }
+
+  return { score, reasons };
+});
+
+// Dangerous attachment types
+registerSpamCheck('attachments', (message) => {
+  let score = 0;
+  const reasons = [];
+
+  for (const attachment of message.attachments || []) {
+    const parts = (attachment.filename || '').toLowerCase().split('.');
+    const extension = parts.length > 1 ? parts[parts.length - 1] : '';
+
+    if (DANGEROUS_EXTENSIONS.has(extension)) {
+      score += 5;
+      reasons.push(`Executable attachment: ${attachment.filename}`);
+    } else if (parts.length > 2 && ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'jpg', 'png', 'txt'].includes(parts[parts.length - 2])) {
+      score += 2;
+      reasons.push(`Double file extension: ${attachment.filename}`);
+    }
+  }
+
+  return { score, reasons };
+});
+
+// Admin-managed rules: URL blocklist plus subject/body/sender patterns
+registerSpamCheck('rules', async (message) => {
+  const rules = await getActiveSpamRules();
+  let score = 0;
+  const reasons = [];
+
+  const hostnames = extractUrls(message).map(getHostname).filter(Boolean);
+  const fields = {
+    subject: message.subject || '',
+    body: `${message.body_text || ''}\n${message.body_html || ''}`,
+    sender: `${message.from_name || ''} <${message.from_email || ''}>`
+  };
+
+  for (const rule of rules) {
+    if (rule.rule_type === 'url') {
+      const blocked = rule.pattern.toLowerCase().replace(/^\*\./, '');
+      if (hostnames.some(host => host === blocked || host.endsWith(`.${blocked}`))) {
+        score += Number(rule.score);
+        reasons.push(`Blocklisted link domain: ${blocked}`);
+      }
+      continue;
+    }
+
+    try {
+      if (new RegExp(rule.pattern, 'i').test(fields[rule.rule_type] || '')) {
+        score += Number(rule.score);
+        reasons.push(rule.name);
+      }
+    } catch (error) {
+      // Invalid patterns are rejected by the admin API, but don't let one break scoring
+      console.error(`Invalid spam rule pattern (${rule.id}):`, error.message);
+    }
+  }
+
+  return { score, reasons };
+});
+
+/**
+ * Loads active admin spam rules (cached)
+ * @returns {Promise<Array>} - Active rules
+ */
+export async function getActiveSpamRules() {
+  if (Date.now() - rulesCache.loadedAt < RULES_CACHE_TTL) {
+    return rulesCache.rules;
+  }
+
+  try {
+    const [rules] = await pool.query(
+      'SELECT id, name, rule_type, pattern, score FROM spam_rules WHERE is_active = TRUE'
+    );
+    rulesCache.rules = rules;
+    rulesCache.loadedAt = Date.now();
+  } catch (error) {
+    console.error('Failed to load spam rules:', error);
+  }
+
+  return rulesCache.rules;
+}
+
+// Force the next scoring run to reload admin rules
+export function invalidateSpamRules() {
+  rulesCache.loadedAt = 0;
+}
+
+/**
+ * Runs every registered check over a message
+ * @param {object} message - { headers, subject, from_email, from_name, body_text, body_html, attachments }
+ * @returns {Promise<object>} - { score, isSpam, reasons }
+ */
+export async function scoreEmail(message) {
+  let score = 0;
+  const reasons = [];
+
+  for (const { name, check } of checks) {
+    try {
+      const result = await check(message);
+      score += result?.score || 0;
+      (result?.reasons || []).forEach(reason => reasons.push(`${name}: ${reason}`));
+    } catch (error) {
+      console.error(`Spam check ${name} failed:`, error);
+    }
+  }
+
+  score = Math.round(score * 100) / 100;
+
+  return {
+    score,
+    isSpam: score >= SPAM_THRESHOLD,
+    reasons: reasons.slice(0, MAX_REASONS)
+  };
+}
+
+/**
+ * Normalizes the folder query parameter of inbox list endpoints
+ * @param {string} folder - 'inbox', 'spam' or 'all'
+ * @returns {string} - Valid folder name (defaults to 'all')
+ */
+export function parseFolder(folder) {
+  return ['inbox', 'spam', 'all'].includes(folder) ? folder : 'all';
+}
+
+/**
+ * Filters in-memory received emails by folder
+ * @param {Array} emails - Received emails
+ * @param {string} folder - 'inbox', 'spam' or 'all'
+ * @returns {Array} - Emails in the folder
+ */
+export function filterByFolder(emails, folder) {
+  if (folder === 'spam') return emails.filter(email => Boolean(email.is_spam));
+  if (folder === 'inbox') return emails.filter(email => !email.is_spam);
+  return emails;
+}
@@ -0,0 +1,201 @@
+import { pool } from '../db/init.js';
+
+// SQL for the thread of a stored message; rows from before threading fall back to their own
+// Message-ID (without angle brackets, like getThreadKey) or row ID
+export const THREAD_KEY_SQL = "COALESCE(re.thread_id, NULLIF(TRIM(TRAILING '>' FROM TRIM(LEADING '<' FROM TRIM(re.message_id))), ''), re.id)";
+
+/**
+ * Strips angle brackets and whitespace from a Message-ID
+ * @param {string} messageId - Message-ID header value
+ * @returns {string}
+ */
+export function normalizeMessageId(messageId) {
+  return (messageId || '').trim().replace(/^<|>$/g, '');
+}
+
+function parseReferences(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Lists the ancestors named by a message, nearest first (In-Reply-To, then References newest to oldest)
+ * @param {object} email - Received email with in_reply_to and reference_ids
+ * @returns {Array} - Bare Message-IDs
+ */
+export function getAncestorIds(email) {
+  const ids = [email.in_reply_to, ...parseReferences(email.reference_ids).slice().reverse()]
+    .map(normalizeMessageId)
+    .filter(Boolean);
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Works out the thread of an incoming message
+ * Joins the thread of the nearest ancestor already in the inbox. Otherwise the conversation root
+ * (first References entry) is used, so replies to a message we never received still group together.
+ * @param {object} email - Incoming email
+ * @param {Map} knownThreads - Message-ID → thread ID of messages already in the inbox
+ * @returns {string} - Thread ID
+ */
+export function resolveThreadId(email, knownThreads) {
+  for (const ancestorId of getAncestorIds(email)) {
+    if (knownThreads.has(ancestorId)) {
+      return knownThreads.get(ancestorId);
+    }
+  }
+
+  const references = parseReferences(email.reference_ids).map(normalizeMessageId).filter(Boolean);
+  return references[0] || normalizeMessageId(email.in_reply_to) || normalizeMessageId(email.message_id) || email.id;
+}
+
+/**
+ * Assigns the thread of a message headed for a database-backed temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} email - Incoming email, thread_id is set in place
+ * @returns {Promise<string>} - Thread ID
+ */
+export async function assignStoredThreadId(tempEmailId, email) {
+  const ancestorIds = getAncestorIds(email);
+  const knownThreads = new Map();
+
+  if (ancestorIds.length > 0) {
+    // Message-IDs are stored as received, with or without angle brackets
+    const [rows] = await pool.query(
+      `SELECT re.message_id, ${THREAD_KEY_SQL} as thread_id FROM received_emails re
+       WHERE re.temp_email_id = ? AND re.message_id IN (?)`,
+      [tempEmailId, [...ancestorIds, ...ancestorIds.map(id => `<${id}>`)]]
+    );
+    for (const row of rows) {
+      knownThreads.set(normalizeMessageId(row.message_id), row.thread_id);
+    }
+  }
+
+  email.thread_id = resolveThreadId(email, knownThreads);
+  return email.thread_id;
+}
+
+/**
+ * Assigns the thread of a message headed for an in-memory inbox
+ * @param {Array} inbox - Received emails already in the inbox
+ * @param {object} email - Incoming email, thread_id is set in place
+ * @returns {string} - Thread ID
+ */
+export function assignInMemoryThreadId(inbox, email) {
+  const knownThreads = new Map();
+  for (const item of inbox) {
+    if (item.message_id) {
+      knownThreads.set(normalizeMessageId(item.message_id), getThreadKey(item));
+    }
+  }
+
+  email.thread_id = resolveThreadId(email, knownThreads);
+  return email.thread_id;
+}
+
+/**
+ * Thread of an in-memory or stored message
+ * @param {object} email - Received email
+ * @returns {string}
+ */
+export function getThreadKey(email) {
+  return email.thread_id || normalizeMessageId(email.message_id) || email.id;
+}
+
+/**
+ * Groups messages into conversations, most recently active first
+ * @param {Array} emails - Received emails (any order)
+ * @returns {Array} - [{ thread_id, subject, message_count, unread_count, participants, latest_received_at, latest }]
+ */
+export function groupIntoThreads(emails) {
+  const threads = new Map();
+
+  for (const email of emails) {
+    const threadId = getThreadKey(email);
+    const thread = threads.get(threadId) || { thread_id: threadId, messages: [] };
+    thread.messages.push(email);
+    threads.set(threadId, thread);
+  }
+
+  return Array.from(threads.values())
+    .map(({ thread_id, messages }) => {
+      messages.sort((a, b) => new Date(a.received_at).getTime() - new Date(b.received_at).getTime());
+      const latest = messages[messages.length - 1];
+
+      return {
+        thread_id,
+        subject: messages[0].subject,
+        message_count: messages.length,
+        unread_count: messages.filter(email => !email.is_read).length,
+        participants: Array.from(new Set(messages.map(email => email.from_email))),
+        latest_received_at: latest.received_at,
+        latest
+      };
+    })
+    .sort((a, b) => new Date(b.latest_received_at).getTime() - new Date(a.latest_received_at).getTime());
+}
+
+// Columns needed to summarise a conversation (bodies stay out of thread listings)
+const THREAD_MESSAGE_FIELDS = `re.id, re.temp_email_id, re.from_email, re.from_name, re.subject, re.received_at,
+  re.is_read, re.is_starred, re.labels, re.is_spam, re.spam_score, re.message_id, LEFT(re.body_text, 200) as snippet`;
+
+/**
+ * Lists the conversations of a database-backed temp email, most recently active first
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} options
+ * @param {boolean|null} options.isSpam - Only spam (true), only inbox (false) or both (null)
+ * @param {number} options.limit - Threads per page
+ * @param {number} options.offset - Threads to skip
+ * @returns {Promise<object>} - { threads, total }
+ */
+export async function getStoredThreads(tempEmailId, { isSpam = null, limit, offset }) {
+  const folderClause = isSpam === null ? '' : 'AND re.is_spam = ?';
+  const params = isSpam === null ? [tempEmailId] : [tempEmailId, isSpam];
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(DISTINCT ${THREAD_KEY_SQL}) as total FROM received_emails re WHERE re.temp_email_id = ? ${folderClause}`,
+    params
+  );
+
+  const [page] = await pool.query(`
+    SELECT ${THREAD_KEY_SQL} as thread_id, MAX(re.received_at) as latest_received_at
+    FROM received_emails re
+    WHERE re.temp_email_id = ? ${folderClause}
+    GROUP BY thread_id
+    ORDER BY latest_received_at DESC
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  if (page.length === 0) {
+    return { threads: [], total: Number(total) };
+  }
+
+  const [messages] = await pool.query(`
+    SELECT ${THREAD_MESSAGE_FIELDS}, ${THREAD_KEY_SQL} as thread_id
+    FROM received_emails re
+    WHERE re.temp_email_id = ? ${folderClause} AND ${THREAD_KEY_SQL} IN (?)
+  `, [...params, page.map(row => row.thread_id)]);
+
+  return { threads: groupIntoThreads(messages), total: Number(total) };
+}
+
+/**
+ * Loads every stored message in the conversation of a received email, oldest first
+ * @param {object} email - received_emails row
+ * @returns {Promise<Array>}
+ */
+export async function getStoredThreadMessages(email) {
+  const [messages] = await pool.query(`
+    SELECT re.*, ${THREAD_KEY_SQL} as thread_id
+    FROM received_emails re
+    WHERE re.temp_email_id = ? AND ${THREAD_KEY_SQL} = ?
+    ORDER BY re.received_at ASC
+  `, [email.temp_email_id, getThreadKey(email)]);
+
+  return messages;
+}
@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { toAttachmentMetadata } from './attachmentService.js';
+import { resolvePublicAddresses, createPinnedAgent } from './networkGuard.js';
+import { signWebhookPayload } from './webhookSignature.js';
+
+// Configuration
+const MAX_ATTEMPTS = 6; // Attempts per delivery before it is marked failed
+const RETRY_BASE_DELAY = 30; // Seconds, doubled after every failed attempt
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.USER_WEBHOOK_MAX_FAILURES || '10'); // Failed deliveries before a webhook is disabled
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds per attempt
+const RETRY_WORKER_INTERVAL = 30 * 1000; // Check for due retries every 30 seconds
+export const MAX_WEBHOOKS_PER_USER = 20;
+
+// Deliveries currently being attempted by this process
+const inFlight = new Set();
+let retryWorker = null;
+
+/**
+ * Generates a signing secret for a webhook
+ * @returns {string} - Secret shown to the user once
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Parses a webhook URL and resolves it to public addresses, or explains why it can't be used
+async function resolveWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'Invalid URL' };
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return { error: 'Webhook URL must use HTTPS' };
+  }
+
+  if (url.length > 2048) {
+    return { error: 'Webhook URL is too long' };
+  }
+
+  let addresses;
+  try {
+    addresses = await resolvePublicAddresses(parsed.hostname);
+  } catch (error) {
+    return { error: error.code ? 'Webhook host could not be resolved' : 'Webhook URL must resolve to a public address' };
+  }
+
+  return { parsed, addresses };
+}
+
+/**
+ * Checks that a webhook URL is HTTPS and resolves to a public address
+ * @param {string} url - Callback URL
+ * @returns {Promise<string|null>} - Error message or null if the URL is acceptable
+ */
+export async function validateWebhookUrl(url) {
+  const { error } = await resolveWebhookUrl(url);
+  return error || null;
+}
+
+// Build the JSON body sent for a received email
+function buildEmailPayload(deliveryId, address, tempEmailId, email) {
+  return {
+    event: 'email.received',
+    delivery_id: deliveryId,
+    created_at: new Date().toISOString(),
+    temp_email: {
+      id: tempEmailId,
+      address
+    },
+    email: {
+      id: email.id,
+      from_email: email.from_email,
+      from_name: email.from_name,
+      subject: email.subject,
+      body_text: email.body_text,
+      body_html: email.body_html,
+      received_at: email.received_at,
+      is_spam: Boolean(email.is_spam),
+      spam_score: email.spam_score || 0,
+      attachments: toAttachmentMetadata(email.attachments || [])
+    }
+  };
+}
+
+// Record the outcome of a webhook's latest finished delivery and disable it after too many failures
+async function updateWebhookHealth(webhookId, event, succeeded) {
+  // Manual test pings don't count towards disabling
+  if (event === 'webhook.test') return;
+
+  if (succeeded) {
+    await pool.query(
+      'UPDATE user_webhooks SET failure_count = 0, last_delivery_at = NOW() WHERE id = ?',
+      [webhookId]
+    );
+    return;
+  }
+
+  await pool.query(`
+    UPDATE user_webhooks
+    SET failure_count = failure_count + 1,
+        is_active = IF(failure_count >= ?, FALSE, is_active),
+        disabled_at = IF(failure_count >= ? AND disabled_at IS NULL, NOW(), disabled_at)
+    WHERE id = ?
+  `, [MAX_CONSECUTIVE_FAILURES, MAX_CONSECUTIVE_FAILURES, webhookId]);
+}
+
+/**
+ * Makes one delivery attempt and schedules the next one on failure
+ * @param {object} delivery - webhook_deliveries row joined with url and secret
+ * @returns {Promise<boolean>} - Whether the receiver accepted the payload
+ */
+async function attemptDelivery(delivery) {
+  if (inFlight.has(delivery.id)) return false;
+  inFlight.add(delivery.id);
+
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let errorMessage = null;
+
+  try {
+    // Re-check on every attempt - DNS may have changed since the webhook was created
+    const target = await resolveWebhookUrl(delivery.url);
+    if (target.error) {
+      throw new Error(target.error);
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signWebhookPayload(delivery.secret, timestamp, delivery.payload);
+
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Boomlify-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      // Connect to the address that was just checked, not whatever DNS answers next
+      httpsAgent: createPinnedAgent(target.parsed.protocol, target.addresses),
+      proxy: false,
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      // Treat any non-2xx answer as a failure without throwing
+      validateStatus: () => true
+    });
+
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  try {
+    if (!errorMessage) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'success', attempts = ?, response_status = ?, error = NULL, next_attempt_at = NULL, delivered_at = NOW()
+         WHERE id = ?`,
+        [attempts, responseStatus, delivery.id]
+      );
+      await updateWebhookHealth(delivery.webhook_id, delivery.event, true);
+      return true;
+    }
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'failed', attempts = ?, response_status = ?, error = ?, next_attempt_at = NULL
+         WHERE id = ?`,
+        [attempts, responseStatus, errorMessage.substring(0, 512), delivery.id]
+      );
+      await updateWebhookHealth(delivery.webhook_id, delivery.event, false);
+      return false;
+    }
+
+    // Exponential backoff: 30s, 1m, 2m, 4m, 8m
+    const delay = RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET attempts = ?, response_status = ?, error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [attempts, responseStatus, errorMessage.substring(0, 512), delay, delivery.id]
+    );
+    return false;
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/**
+ * Queues and sends email.received webhooks for a stored message
+ * Matches webhooks registered for the temp email and account-wide webhooks of its owner
+ * @param {object} params
+ * @param {string} params.userId - Owner of the temp email
+ * @param {string} params.tempEmailId - Temp email that received the message
+ * @param {string} params.address - Temp email address
+ * @param {object} params.email - Stored received email
+ */
+export async function dispatchEmailWebhooks({ userId, tempEmailId, address, email }) {
+  if (!userId) return;
+
+  const [webhooks] = await pool.query(`
+    SELECT id, url, secret
+    FROM user_webhooks
+    WHERE user_id = ? AND is_active = TRUE AND (temp_email_id = ? OR temp_email_id IS NULL)
+  `, [userId, tempEmailId]);
+
+  for (const webhook of webhooks) {
+    const deliveryId = uuidv4();
+    const payload = JSON.stringify(buildEmailPayload(deliveryId, address, tempEmailId, email));
+
+    await pool.query(
+      'INSERT INTO webhook_deliveries (id, webhook_id, email_id, event, payload) VALUES (?, ?, ?, ?, ?)',
+      [deliveryId, webhook.id, email.id, 'email.received', payload]
+    );
+
+    // First attempt runs in the background; failures are picked up by the retry worker
+    attemptDelivery({
+      id: deliveryId,
+      webhook_id: webhook.id,
+      url: webhook.url,
+      secret: webhook.secret,
+      event: 'email.received',
+      payload,
+      attempts: 0
+    }).catch(error => console.error(`Webhook delivery ${deliveryId} failed:`, error));
+  }
+}
+
+/**
+ * Sends a webhook.test event to check a receiver
+ * @param {object} webhook - user_webhooks row
+ * @returns {Promise<object>} - The delivery log entry
+ */
+export async function sendTestWebhook(webhook) {
+  const deliveryId = uuidv4();
+  const payload = JSON.stringify({
+    event: 'webhook.test',
+    delivery_id: deliveryId,
+    created_at: new Date().toISOString(),
+    webhook_id: webhook.id
+  });
+
+  await pool.query(
+    'INSERT INTO webhook_deliveries (id, webhook_id, event, payload, attempts) VALUES (?, ?, ?, ?, ?)',
+    [deliveryId, webhook.id, 'webhook.test', payload, MAX_ATTEMPTS - 1]
+  );
+
+  // A single attempt with no retries
+  await attemptDelivery({
+    id: deliveryId,
+    webhook_id: webhook.id,
+    url: webhook.url,
+    secret: webhook.secret,
+    event: 'webhook.test',
+    payload,
+    attempts: MAX_ATTEMPTS - 1
+  });
+
+  const [deliveries] = await pool.query(
+    'SELECT id, event, status, attempts, response_status, error, delivered_at, created_at FROM webhook_deliveries WHERE id = ?',
+    [deliveryId]
+  );
+  return deliveries[0];
+}
+
+// Retry deliveries whose backoff has elapsed
+async function processDueDeliveries() {
+  const [deliveries] = await pool.query(`
+    SELECT wd.id, wd.webhook_id, wd.event, wd.payload, wd.attempts, uw.url, uw.secret, uw.is_active
+    FROM webhook_deliveries wd
+    JOIN user_webhooks uw ON wd.webhook_id = uw.id
+    WHERE wd.status = 'pending' AND wd.next_attempt_at IS NOT NULL AND wd.next_attempt_at <= NOW()
+    ORDER BY wd.next_attempt_at ASC
+    LIMIT 50
+  `);
+
+  for (const delivery of deliveries) {
+    // Webhook was disabled while the retry was waiting
+    if (!delivery.is_active) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook disabled', next_attempt_at = NULL WHERE id = ?`,
+        [delivery.id]
+      );
+      continue;
+    }
+
+    await attemptDelivery(delivery);
+  }
+}
+
+// Start the background retry worker
+export function startWebhookRetryWorker() {
+  if (retryWorker) return;
+
+  retryWorker = setInterval(() => {
+    processDueDeliveries().catch(error => console.error('Webhook retry worker failed:', error));
+  }, RETRY_WORKER_INTERVAL);
+}
+
+// Remove delivery logs older than the given number of days
+export async function cleanupWebhookDeliveries(days) {
+  const [result] = await pool.query(
+    `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [days]
+  );
+
+  console.log(`Cleaned up ${result.affectedRows} webhook delivery logs.`);
+  return result.affectedRows;
+}
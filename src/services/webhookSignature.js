@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+// Signature scheme shared by outbound user webhooks and inbound relay requests (POST /ingest)
+
+/**
+ * Signs a payload the way receivers are told to verify it
+ * Signature is HMAC-SHA256 over `${timestamp}.${body}`
+ * @param {string} secret - Webhook or relay secret
+ * @param {number|string} timestamp - Unix time in seconds
+ * @param {string} body - JSON body as sent
+ * @returns {string} - Hex digest
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
@@ -0,0 +1,218 @@
+import { Transform } from 'stream';
+import zlib from 'zlib';
+
+// CRC-32 (IEEE) lookup table for ZIP entry checksums
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+// Pass the previous result to continue a checksum over several chunks
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// MS-DOS date/time used by ZIP headers
+function toDosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date.getTime()) ? date : new Date();
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full
+ * @param {object} output - Writable stream
+ * @param {Buffer|string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+export function writeToStream(output, chunk) {
+  return new Promise((resolve, reject) => {
+    const onError = error => reject(error);
+    output.once('error', onError);
+
+    if (output.write(chunk)) {
+      output.removeListener('error', onError);
+      resolve();
+    } else {
+      output.once('drain', () => {
+        output.removeListener('error', onError);
+        resolve();
+      });
+    }
+  });
+}
+
+/**
+ * Builds a local file header
+ * Streamed entries set the data descriptor flag and leave the checksum and sizes at 0.
+ */
+function buildLocalHeader({ flags, time, dosDate, checksum = 0, compressedSize = 0, size = 0, nameBuffer }) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0); // Local file header signature
+  header.writeUInt16LE(20, 4); // Version needed
+  header.writeUInt16LE(flags, 6);
+  header.writeUInt16LE(8, 8); // Deflate
+  header.writeUInt16LE(time, 10);
+  header.writeUInt16LE(dosDate, 12);
+  header.writeUInt32LE(checksum, 14);
+  header.writeUInt32LE(compressedSize, 18);
+  header.writeUInt32LE(size, 22);
+  header.writeUInt16LE(nameBuffer.length, 26);
+  header.writeUInt16LE(0, 28); // Extra field length
+  return Buffer.concat([header, nameBuffer]);
+}
+
+/**
+ * Creates a ZIP archive writer that streams entries to an output as they are added
+ * addFile compresses one entry in memory (one message at a time); addStream compresses
+ * as it is written, for entries too large to hold (a whole mailbox). No ZIP64: entries
+ * and the archive must stay under 4 GB.
+ * @param {object} output - Writable stream (HTTP response, file stream)
+ * @returns {object} - { addFile(name, data, date), addStream(name, date), finish() }
+ */
+export function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  return {
+    /**
+     * Adds a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Buffer|string} data - File content
+     * @param {Date} [date] - Modification time
+     */
+    async addFile(name, data, date = new Date()) {
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+      const compressed = zlib.deflateRawSync(content);
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const { time, date: dosDate } = toDosDateTime(date);
+      const entry = {
+        flags: 0x0800, // UTF-8 names
+        nameBuffer,
+        time,
+        dosDate,
+        checksum: crc32(content),
+        compressedSize: compressed.length,
+        size: content.length,
+        offset
+      };
+      entries.push(entry);
+
+      const header = buildLocalHeader(entry);
+      await writeToStream(output, header);
+      await writeToStream(output, compressed);
+      offset += header.length + compressed.length;
+    },
+
+    /**
+     * Starts a file whose content is written in chunks
+     * Write to the returned input (writeToStream handles backpressure), then await end()
+     * before adding another entry. The checksum and sizes follow in a data descriptor.
+     * @param {string} name - Path inside the archive
+     * @param {Date} [date] - Modification time
+     * @returns {Promise<object>} - { input, end() }
+     */
+    async addStream(name, date = new Date()) {
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const { time, date: dosDate } = toDosDateTime(date);
+      const entry = { flags: 0x0808, nameBuffer, time, dosDate, checksum: 0, compressedSize: 0, size: 0, offset };
+
+      const header = buildLocalHeader(entry);
+      await writeToStream(output, header);
+      offset += header.length;
+
+      const input = new Transform({
+        transform(chunk, encoding, callback) {
+          entry.checksum = crc32(chunk, entry.checksum);
+          entry.size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      const deflate = zlib.createDeflateRaw();
+      input.pipe(deflate);
+
+      let onOutputError;
+      const done = new Promise((resolve, reject) => {
+        onOutputError = reject;
+        output.once('error', onOutputError);
+        input.once('error', reject);
+        deflate.once('error', reject);
+        deflate.once('end', resolve);
+      });
+      // Keep a rejection from going unhandled before end() is awaited
+      done.catch(() => {});
+
+      deflate.on('data', chunk => {
+        entry.compressedSize += chunk.length;
+        if (!output.write(chunk)) {
+          deflate.pause();
+          output.once('drain', () => deflate.resume());
+        }
+      });
+
+      return {
+        input,
+        async end() {
+          input.end();
+          try {
+            await done;
+          } finally {
+            output.removeListener('error', onOutputError);
+          }
+
+          const descriptor = Buffer.alloc(16);
+          descriptor.writeUInt32LE(0x08074b50, 0); // Data descriptor signature
+          descriptor.writeUInt32LE(entry.checksum, 4);
+          descriptor.writeUInt32LE(entry.compressedSize, 8);
+          descriptor.writeUInt32LE(entry.size, 12);
+          await writeToStream(output, descriptor);
+
+          offset += entry.compressedSize + descriptor.length;
+          entries.push(entry);
+        }
+      };
+    },
+
+    /**
+     * Writes the central directory; the output is not ended
+     */
+    async finish() {
+      const directoryStart = offset;
+      const records = entries.map(entry => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0); // Central directory signature
+        record.writeUInt16LE(20, 4); // Version made by
+        record.writeUInt16LE(20, 6); // Version needed
+        record.writeUInt16LE(entry.flags, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.dosDate, 14);
+        record.writeUInt32LE(entry.checksum, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([record, entry.nameBuffer]);
+      });
+      const directory = Buffer.concat(records);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(directoryStart, 16);
+
+      await writeToStream(output, Buffer.concat([directory, end]));
+    }
+  };
+}
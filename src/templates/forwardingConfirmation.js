@@ -0,0 +1,64 @@
+export const getForwardingConfirmationEmailTemplate = (confirmLink) => ({
+    subject: 'Confirm Email Forwarding - Boomlify',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            .email-container {
+              max-width: 600px;
+              margin: 0 auto;
+              font-family: Arial, sans-serif;
+              color: #333333;
+            }
+            .header {
+              background-color: #4A90E2;
+              color: white;
+              padding: 20px;
+              text-align: center;
+            }
+            .content {
+              padding: 20px;
+              line-height: 1.5;
+            }
+            .button {
+              background-color: #4A90E2;
+              color: white;
+              padding: 12px 24px;
+              text-decoration: none;
+              border-radius: 4px;
+              display: inline-block;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              padding: 20px;
+              font-size: 12px;
+              color: #666666;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <h1>Confirm Email Forwarding</h1>
+            </div>
+            <div class="content">
+              <p>Hello,</p>
+              <p>A Boomlify user asked to forward mail from their temporary addresses to this address. Click the button below to confirm that this mailbox is yours:</p>
+              <p style="text-align: center;">
+                <a href="${confirmLink}" class="button">Confirm Forwarding</a>
+              </p>
+              <p>This link will expire in 24 hours.</p>
+              <p>If you didn't request this, ignore this email and nothing will be forwarded to you.</p>
+              <p>Best regards,<br>The Boomlify Team</p>
+            </div>
+            <div class="footer">
+              <p>This is an automated message, please do not reply to this email.</p>
+              <p>Boomlify - Secure Temporary Email Service</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  });
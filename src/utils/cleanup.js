@@ -1,16 +1,45 @@
 import { pool } from '../db/init.js';
+import { cleanupWebhookDeliveries } from '../services/userWebhookService.js';
+import { cleanupForwardingLog } from '../services/forwardingService.js';
+import { cleanupExpiredExports } from '../services/exportService.js';
+import { cleanupIngestLog } from '../services/ingestService.js';
+import { DEFAULT_RETENTION_DAYS, enforceExpiryPolicies } from '../services/expiryPolicyService.js';
+
+// Received emails are kept for this many days unless an expiry policy says otherwise; logs always
+export const EMAIL_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+// Remove search index rows whose email is gone
+async function cleanupSearchIndex() {
+  const [result] = await pool.query(`
+    DELETE s FROM received_email_search s
+    LEFT JOIN received_emails re ON s.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${result.affectedRows} search index entries.`);
+  return result.affectedRows;
+}
+
+// Remove raw sources whose email is gone (retention is per policy, so they follow their email)
+async function cleanupRawSources() {
+  const [result] = await pool.query(`
+    DELETE rr FROM received_email_raw rr
+    LEFT JOIN received_emails re ON rr.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${result.affectedRows} raw email sources.`);
+  return result.affectedRows;
+}
 
 export async function cleanupOldEmails() {
   try {
     console.log('Starting cleanup process for old received emails...');
     
-    // Delete received emails older than 14 days
-    const [result] = await pool.query(`
-      DELETE re FROM received_emails re
-      WHERE re.received_at < DATE_SUB(NOW(), INTERVAL 14 DAY)
-    `);
+    // Delete received emails older than their policy's retention and cap address lifetimes
+    const { deletedEmails, shortenedAddresses } = await enforceExpiryPolicies();
 
-    console.log(`Cleanup completed. Deleted ${result.affectedRows} old received emails.`);
+    console.log(`Cleanup completed. Deleted ${deletedEmails} old received emails, shortened ${shortenedAddresses} addresses.`);
     
     // Clean up orphaned attachments but keep temp emails
     const [attachmentResult] = await pool.query(`
@@ -21,9 +50,23 @@ export async function cleanupOldEmails() {
 
     console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
     
+    const deletedRawSources = await cleanupRawSources();
+    const deletedSearchEntries = await cleanupSearchIndex();
+    const deletedWebhookDeliveries = await cleanupWebhookDeliveries(EMAIL_RETENTION_DAYS);
+    const deletedForwardingLogs = await cleanupForwardingLog(EMAIL_RETENTION_DAYS);
+    const deletedExports = await cleanupExpiredExports();
+    const deletedIngestLogs = await cleanupIngestLog(EMAIL_RETENTION_DAYS);
+    
     return {
-      deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
+      deletedEmails,
+      shortenedAddresses,
+      deletedAttachments: attachmentResult.affectedRows,
+      deletedRawSources,
+      deletedSearchEntries,
+      deletedWebhookDeliveries,
+      deletedForwardingLogs,
+      deletedExports,
+      deletedIngestLogs
     };
   } catch (error) {
     console.error('Error during email cleanup:', error);
@@ -52,9 +95,14 @@ export async function manualCleanup(days = 10) {
 
     console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
     
+    const deletedRawSources = await cleanupRawSources();
+    const deletedSearchEntries = await cleanupSearchIndex();
+    
     return {
       deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
+      deletedAttachments: attachmentResult.affectedRows,
+      deletedRawSources,
+      deletedSearchEntries
     };
   } catch (error) {
     console.error('Error during manual cleanup:', error);
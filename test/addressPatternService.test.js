@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeLocalPattern,
+  matchesLocalPattern,
+  patternsOverlap,
+  checkPatternClaim
+} from '../src/services/addressPatternService.js';
+
+const user = { id: 'user-1', isAdmin: false };
+const admin = { id: 'admin-1', isAdmin: true };
+const shared = { owner_id: null, verification_status: null };
+const owned = { owner_id: 'user-1', verification_status: 'verified' };
+
+test('normalizeLocalPattern collapses stars and requires a wildcard', () => {
+  assert.deepEqual(normalizeLocalPattern(' QA-**'), { pattern: 'qa-*' });
+  assert.ok(normalizeLocalPattern('qa').error);
+  assert.ok(normalizeLocalPattern('a*').error);
+  assert.ok(normalizeLocalPattern('qa-*!').error);
+});
+
+test('matchesLocalPattern treats only "*" as special', () => {
+  assert.equal(matchesLocalPattern('qa-*', 'qa-build'), true);
+  assert.equal(matchesLocalPattern('qa-*', 'qa-'), true);
+  assert.equal(matchesLocalPattern('a.b*', 'axb1'), false);
+  assert.equal(matchesLocalPattern('*-ci', 'build-ci'), true);
+});
+
+test('matchesLocalPattern stays fast on many-star patterns', () => {
+  const started = Date.now();
+
+  assert.equal(matchesLocalPattern('qa-*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*b', `qa-${'a'.repeat(61)}`), false);
+  assert.equal(matchesLocalPattern('qa-*a*a*b', 'qa-xaxxaxb'), true);
+  assert.ok(Date.now() - started < 200);
+});
+
+test('patternsOverlap finds patterns that can match the same local part', () => {
+  assert.equal(patternsOverlap('qa-*', 'qa-build-*'), true);
+  assert.equal(patternsOverlap('qa-*', '*-ci'), true);
+  assert.equal(patternsOverlap('qa-*', 'dev-*'), false);
+  assert.equal(patternsOverlap('abc*', '*xyz'), true);
+  assert.equal(patternsOverlap('abc', 'abd'), false);
+});
+
+test('checkPatternClaim refuses broad patterns on shared domains', () => {
+  for (const pattern of ['*e*e*e*', '*...*', '*abc', 'ab*cdef']) {
+    assert.equal(checkPatternClaim(user, shared, pattern)?.status, 400, pattern);
+  }
+  assert.equal(checkPatternClaim(user, shared, 'qa-*'), null);
+  assert.equal(checkPatternClaim(user, shared, 'qa-*-ci'), null);
+});
+
+test('checkPatternClaim keeps the shared catch-all admin-only', () => {
+  assert.equal(checkPatternClaim(user, shared, '*').status, 403);
+  assert.equal(checkPatternClaim(admin, shared, '*'), null);
+});
+
+test('checkPatternClaim lets the verified owner use any pattern on a private domain', () => {
+  assert.equal(checkPatternClaim(user, owned, '*e*e*e*'), null);
+  assert.equal(checkPatternClaim(user, owned, '*'), null);
+  assert.equal(checkPatternClaim({ id: 'user-2' }, owned, 'qa-*').status, 403);
+  assert.equal(checkPatternClaim(user, { ...owned, verification_status: 'pending' }, 'qa-*').status, 403);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jwt-secret';
+const { issueUrlTicket, acceptUrlTicket, authenticateToken, authenticateAnyToken } = await import('../src/middleware/auth.js');
+const { getLoggedPath } = await import('../src/middleware/requestTracker.js');
+const { generateGuestJWT } = await import('../src/guestSessionHandler.js');
+
+// Runs a middleware and reports whether it called next or answered
+function run(middleware, options) {
+  return new Promise((resolve) => {
+    const req = { headers: {}, query: {}, ...options };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); },
+      setHeader() {}
+    };
+    middleware(req, res, () => resolve({ next: true, req }));
+  });
+}
+
+const user = { id: 'user-1', email: 'user@example.com', isAdmin: false };
+
+test('URL tickets open only the path they were issued for', async () => {
+  const { ticket, expiresAt } = issueUrlTicket({ user: { ...user, iat: 1, exp: 2 } }, '/emails/abc/stream');
+  assert.ok(new Date(expiresAt) > new Date());
+
+  const accepted = await run(acceptUrlTicket(authenticateAnyToken), { baseUrl: '/emails', path: '/abc/stream', query: { ticket } });
+  assert.equal(accepted.next, true);
+  assert.deepEqual(accepted.req.user, user);
+
+  const elsewhere = await run(acceptUrlTicket(authenticateAnyToken), { baseUrl: '/emails', path: '/other/stream', query: { ticket } });
+  assert.equal(elsewhere.status, 403);
+});
+
+test('URL tickets and API keys are not accepted as bearer tokens in the query', async () => {
+  const { ticket } = issueUrlTicket({ user }, '/emails/abc/stream');
+
+  const asBearer = await run(authenticateAnyToken, { headers: { authorization: `Bearer ${ticket}` } });
+  assert.equal(asBearer.status, 403);
+
+  const keyInQuery = await run(acceptUrlTicket(authenticateAnyToken), { baseUrl: '/emails', path: '/abc/stream', query: { access_token: 'bml_secret' } });
+  assert.equal(keyInQuery.status, 401);
+});
+
+test('guest tickets carry the session key, not the guest token', async () => {
+  const token = generateGuestJWT();
+  const guest = { id: 'guest-1', isGuest: true, isAdmin: false };
+  const { ticket } = issueUrlTicket({ user: guest, guestToken: token }, '/emails/abc/export');
+
+  assert.ok(!ticket.includes(token));
+  const accepted = await run(acceptUrlTicket(authenticateAnyToken), { baseUrl: '/emails', path: '/abc/export', query: { ticket } });
+  assert.match(accepted.req.guestToken, /^[0-9a-f]{64}$/);
+
+  const { ticket: download } = issueUrlTicket({ user: guest, guestToken: token }, '/exports/abc/download');
+  const refused = await run(acceptUrlTicket(authenticateToken), { baseUrl: '/exports', path: '/abc/download', query: { ticket: download } });
+  assert.equal(refused.status, 403);
+});
+
+test('getLoggedPath blanks credentials in the query string', () => {
+  assert.equal(getLoggedPath({ originalUrl: '/emails/abc/stream?ticket=secret&x=1' }), '/emails/abc/stream?ticket=redacted&x=1');
+  assert.equal(getLoggedPath({ originalUrl: '/emails/abc/stream?access_token=bml_key' }), '/emails/abc/stream?access_token=redacted');
+  assert.equal(getLoggedPath({ originalUrl: '/emails?page=2' }), '/emails?page=2');
+});
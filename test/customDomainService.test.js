@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CUSTOM_DOMAIN_MX_HOST = 'mx.temp.test';
+const { pool } = await import('../src/db/init.js');
+const { checkDomainRecords, verifyUserDomain, setDnsResolver } = await import('../src/services/customDomainService.js');
+
+const dnsError = code => Object.assign(new Error(code), { code });
+
+// Offline resolver answering from a table; a function entry can throw
+function createResolver({ txt = {}, mx = {} }) {
+  const answer = (table, host) => {
+    const value = table[host];
+    if (typeof value === 'function') return value();
+    if (value === undefined) throw dnsError('ENOTFOUND');
+    return value;
+  };
+  return {
+    resolveTxt: async host => answer(txt, host),
+    resolveMx: async host => answer(mx, host)
+  };
+}
+
+const published = createResolver({
+  txt: { '_boomlify-verification.example.com': [['boomlify-verification=', 'tok', 'en'], ['v=spf1 -all']] },
+  mx: { 'example.com': [{ exchange: 'MX.temp.test.', priority: 10 }] }
+});
+
+test('checkDomainRecords joins TXT chunks and matches the MX host', async () => {
+  const check = await checkDomainRecords('example.com', 'token', published);
+
+  assert.deepEqual(check, { txt: true, mx: true, verified: true, lookupFailed: false, errors: [] });
+});
+
+test('checkDomainRecords reports a wrong MX host', async () => {
+  const resolver = createResolver({
+    txt: { '_boomlify-verification.example.com': [['boomlify-verification=token']] },
+    mx: { 'example.com': [{ exchange: 'mail.elsewhere.test', priority: 10 }] }
+  });
+  const check = await checkDomainRecords('example.com', 'token', resolver);
+
+  assert.equal(check.txt, true);
+  assert.equal(check.mx, false);
+  assert.equal(check.verified, false);
+  assert.match(check.errors[0], /MX record pointing to mx\.temp\.test not found/);
+});
+
+test('checkDomainRecords tells a missing record from a failed lookup', async () => {
+  const missing = await checkDomainRecords('example.com', 'token', createResolver({}));
+  assert.equal(missing.lookupFailed, false);
+  assert.deepEqual(missing.errors, ['Verification TXT record not found', 'MX record pointing to mx.temp.test not found']);
+
+  const failing = await checkDomainRecords('example.com', 'token', createResolver({
+    txt: { '_boomlify-verification.example.com': () => { throw dnsError('ESERVFAIL'); } },
+    mx: { 'example.com': () => { throw dnsError('ETIMEOUT'); } }
+  }));
+  assert.equal(failing.lookupFailed, true);
+  assert.deepEqual(failing.errors, ['_boomlify-verification.example.com: ESERVFAIL', 'example.com: ETIMEOUT']);
+});
+
+// Records the user_domains update of verifyUserDomain
+function stubConnection() {
+  const updates = [];
+  pool.getConnection = async () => ({
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+    query: async (sql, params) => {
+      if (/UPDATE user_domains/.test(sql)) updates.push(params);
+      return [[]];
+    }
+  });
+  return updates;
+}
+
+const verifiedDomain = {
+  id: 'ud-1',
+  domain: 'example.com',
+  verification_token: 'token',
+  status: 'verified',
+  domain_id: 'd-1',
+  created_at: new Date('2026-01-01')
+};
+
+test('a verified domain whose records disappear drops back to failed', async () => {
+  const updates = stubConnection();
+  setDnsResolver(createResolver({}));
+
+  try {
+    const result = await verifyUserDomain(verifiedDomain);
+    assert.equal(result.status, 'failed');
+    assert.equal(updates[0][0], 'failed');
+  } finally {
+    setDnsResolver(null);
+  }
+});
+
+test('a resolver outage leaves a verified domain verified', async () => {
+  stubConnection();
+  const outage = createResolver({
+    txt: { '_boomlify-verification.example.com': () => { throw dnsError('ETIMEOUT'); } },
+    mx: { 'example.com': () => { throw dnsError('ETIMEOUT'); } }
+  });
+
+  const result = await verifyUserDomain(verifiedDomain, outage);
+  assert.equal(result.status, 'verified');
+  assert.equal(result.check.lookupFailed, true);
+});
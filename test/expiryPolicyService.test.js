@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/db/init.js';
+import { planRenewal, enforceExpiryPolicies, invalidateExpiryPolicies } from '../src/services/expiryPolicyService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-31T00:00:00Z');
+const policy = { default_lifetime_days: 30, max_lifetime_days: 90, max_renewals: 2, renewal_days: 30 };
+
+test('planRenewal extends from the current expiry', () => {
+  const address = { created_at: new Date('2026-01-01T00:00:00Z'), expires_at: new Date('2026-02-10T00:00:00Z'), renewal_count: 0 };
+  const plan = planRenewal(policy, address, 10, now);
+
+  assert.equal(plan.expiresAt.toISOString(), '2026-02-20T00:00:00.000Z');
+  assert.equal(plan.renewalCount, 1);
+  assert.equal(plan.renewalsRemaining, 1);
+});
+
+test('planRenewal extends an expired address from now', () => {
+  const address = { created_at: new Date('2026-01-01T00:00:00Z'), expires_at: new Date('2026-01-20T00:00:00Z'), renewal_count: 0 };
+  assert.equal(planRenewal(policy, address, undefined, now).expiresAt.getTime(), now.getTime() + 30 * DAY);
+});
+
+test('planRenewal stops at the maximum lifetime', () => {
+  const address = { created_at: new Date('2026-01-01T00:00:00Z'), expires_at: new Date('2026-03-20T00:00:00Z'), renewal_count: 1 };
+  assert.equal(planRenewal(policy, address, 30, now).expiresAt.toISOString(), '2026-04-01T00:00:00.000Z');
+
+  const capped = { ...address, expires_at: new Date('2026-04-01T00:00:00Z') };
+  assert.equal(planRenewal(policy, capped, 30, now).status, 403);
+});
+
+test('planRenewal refuses bad requests and exhausted renewals', () => {
+  const address = { created_at: now, expires_at: now, renewal_count: 2 };
+
+  assert.equal(planRenewal(policy, { ...address, renewal_count: 0 }, 0, now).status, 400);
+  assert.equal(planRenewal(policy, { ...address, renewal_count: 0 }, 31, now).status, 400);
+  assert.equal(planRenewal(policy, address, 10, now).status, 403);
+  assert.notEqual(planRenewal({ ...policy, max_renewals: null }, address, 10, now).error, 'This address cannot be extended any further');
+});
+
+test('enforceExpiryPolicies only shortens addresses under admin policies and purges orphaned mail', async () => {
+  const updates = [];
+  const orphanDeletes = [];
+  pool.query = async (sql, params) => {
+    if (/FROM expiry_policies/.test(sql)) {
+      return [[{ id: 'p1', name: 'short', domain_id: 'd1', role: null, default_lifetime_days: 7, max_lifetime_days: 7, message_retention_days: 7, max_renewals: 0, renewal_days: 7 }]];
+    }
+    if (/GROUP BY/.test(sql)) {
+      return [[{ domain_id: 'd1', role: 'user' }, { domain_id: 'd2', role: 'user' }]];
+    }
+    if (/^\s*UPDATE temp_emails/.test(sql)) updates.push(params);
+    if (/te\.id IS NULL/.test(sql)) orphanDeletes.push(params);
+    return [{ affectedRows: 1 }];
+  };
+  invalidateExpiryPolicies();
+
+  const result = await enforceExpiryPolicies();
+
+  assert.deepEqual(updates, [[7, 'd1', 7]]);
+  assert.deepEqual(orphanDeletes, [[14]]);
+  assert.deepEqual(result, { deletedEmails: 3, shortenedAddresses: 1 });
+});
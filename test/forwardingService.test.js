@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+async function loadForwarding(secret) {
+  if (secret) {
+    process.env.SRS_SECRET = secret;
+  } else {
+    delete process.env.SRS_SECRET;
+  }
+  process.env.JWT_SECRET = 'jwt-secret';
+  return import(`../src/services/forwardingService.js?secret=${secret || 'none'}`);
+}
+
+test('buildSrsAddress rewrites senders with SRS_SECRET', async () => {
+  const { buildSrsAddress } = await loadForwarding('srs-secret');
+  assert.match(buildSrsAddress('alice@Example.com', 'temp.test'), /^SRS0=[^=]{4}=[A-Z2-7]{2}=example\.com=alice@temp\.test$/);
+  assert.equal(buildSrsAddress('not-an-address', 'temp.test'), null);
+});
+
+test('buildSrsAddress does not fall back to JWT_SECRET', async () => {
+  const { buildSrsAddress } = await loadForwarding(null);
+  assert.equal(buildSrsAddress('alice@example.com', 'temp.test'), null);
+});
+
+test('reverseSrsAddress recovers the sender of a fresh SRS0 address', async () => {
+  const { buildSrsAddress, reverseSrsAddress } = await loadForwarding('srs-secret');
+  const address = buildSrsAddress('Alice@Example.com', 'temp.test');
+
+  assert.equal(reverseSrsAddress(address), 'Alice@example.com');
+  // Relays may change the case of the address
+  assert.equal(reverseSrsAddress(address.toLowerCase()), 'alice@example.com');
+  assert.equal(reverseSrsAddress('someone@temp.test'), null);
+});
+
+test('reverseSrsAddress refuses forged hashes and stale timestamps', async t => {
+  const { buildSrsAddress, reverseSrsAddress } = await loadForwarding('srs-secret');
+  const address = buildSrsAddress('alice@example.com', 'temp.test');
+
+  const [, hash] = address.split('=');
+  const forged = address.replace(`SRS0=${hash}=`, `SRS0=${hash === 'AAAA' ? 'BBBB' : 'AAAA'}=`);
+  assert.equal(reverseSrsAddress(forged), null);
+  assert.equal(reverseSrsAddress(address.replace('alice@', 'mallory@')), null);
+
+  // Signed with another key
+  const { reverseSrsAddress: reverseWithOtherKey } = await loadForwarding('other-secret');
+  assert.equal(reverseWithOtherKey(address), null);
+
+  // 22 days later the address has expired
+  t.mock.method(Date, 'now', () => new Date().getTime() + 22 * 24 * 60 * 60 * 1000);
+  assert.equal(reverseSrsAddress(address), null);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jwt-secret';
+const { pool } = await import('../src/db/init.js');
+const { generateGuestJWT, storeTempEmail, previewGuestMigration } = await import('../src/guestSessionHandler.js');
+
+// Addresses already saved by registered users
+let taken;
+beforeEach(() => {
+  taken = new Set();
+  pool.query = async (sql, params) => {
+    if (/FROM temp_emails WHERE email = \?/.test(sql)) {
+      return [taken.has(params[0]) ? [{ id: 'existing' }] : []];
+    }
+    return [[]];
+  };
+});
+
+function createSession(...addresses) {
+  const token = generateGuestJWT();
+  const ids = addresses.map(email => storeTempEmail(token, { email }));
+  return { token, ids };
+}
+
+test('buildMigrationPlan keeps free addresses and renames conflicting ones', async () => {
+  const { token, ids } = createSession('free.one@temp.test', 'taken.one@temp.test');
+  taken.add('taken.one@temp.test');
+
+  const { plan, summary, errors } = await previewGuestMigration(token);
+
+  assert.deepEqual(errors, []);
+  assert.equal(plan[0].action, 'migrate');
+  assert.equal(plan[0].migratedEmail, 'free.one@temp.test');
+  assert.equal(plan[1].id, ids[1]);
+  assert.equal(plan[1].conflict, true);
+  assert.equal(plan[1].action, 'rename');
+  assert.match(plan[1].migratedEmail, /^taken\.one_[0-9a-f]{6}@temp\.test$/);
+  assert.deepEqual({ migrate: summary.migrate, rename: summary.rename, skip: summary.skip }, { migrate: 1, rename: 1, skip: 0 });
+});
+
+test('buildMigrationPlan reports resolutions it cannot honour', async () => {
+  const { token, ids } = createSession('taken.two@temp.test', 'free.two@temp.test', 'free.three@temp.test');
+  taken.add('taken.two@temp.test');
+  taken.add('used@temp.test');
+
+  const { plan, errors } = await previewGuestMigration(token, {
+    [ids[0]]: { action: 'migrate' },
+    [ids[1]]: { action: 'rename', email: 'used@temp.test' },
+    [ids[2]]: { action: 'rename', email: 'moved@other.test' }
+  });
+
+  assert.deepEqual(errors.map(error => error.id), ids);
+  assert.ok(plan.every(entry => entry.action === null && entry.migratedEmail === null));
+});
+
+test('buildMigrationPlan honours chosen names and skips', async () => {
+  const { token, ids } = createSession('keep.me@temp.test', 'drop.me@temp.test');
+
+  const { plan, summary } = await previewGuestMigration(token, {
+    [ids[0]]: { action: 'rename', email: 'Chosen.Name@temp.test' },
+    [ids[1]]: { action: 'skip' }
+  });
+
+  assert.equal(plan[0].migratedEmail, 'chosen.name@temp.test');
+  assert.equal(plan[1].action, 'skip');
+  assert.equal(summary.skip, 1);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The link key is read when the module loads, so each case gets its own instance
+async function loadRenderer(secret) {
+  if (secret) {
+    process.env.MAIL_VIEW_SECRET = secret;
+  } else {
+    delete process.env.MAIL_VIEW_SECRET;
+  }
+  process.env.JWT_SECRET = 'jwt-secret';
+  return import(`../src/services/htmlRenderService.js?secret=${secret || 'none'}`);
+}
+
+test('proxies images and signs links with MAIL_VIEW_SECRET', async () => {
+  const renderer = await loadRenderer('view-secret');
+  const { html, stats } = renderSafeHtmlFor(renderer);
+
+  assert.equal(stats.imagesProxied, 1);
+  assert.equal(stats.linksRewritten, 1);
+  const sig = /\/mail-view\/image\?url=[^&]+&amp;sig=([0-9a-f]+)/.exec(html)[1];
+  assert.equal(renderer.verifyUrlSignature('https://example.com/a.png', sig), true);
+  assert.equal(renderer.verifyUrlSignature('https://example.com/b.png', sig), false);
+});
+
+test('never signs with JWT_SECRET or an empty key', async () => {
+  const renderer = await loadRenderer(null);
+  const { html, stats } = renderSafeHtmlFor(renderer);
+
+  assert.equal(stats.imagesProxied, 0);
+  assert.equal(stats.imagesBlocked, 1);
+  assert.equal(stats.linksRewritten, 0);
+  assert.doesNotMatch(html, /mail-view/);
+  assert.doesNotMatch(html, /href=/);
+  assert.equal(renderer.verifyUrlSignature('https://example.com/a.png', ''), false);
+});
+
+test('image proxy refuses hosts that embed a private IPv4 address', async () => {
+  const renderer = await loadRenderer('view-secret');
+  for (const url of ['http://[::ffff:a9fe:a9fe]/latest/meta-data', 'http://127.0.0.1/', 'http://[64:ff9b::a00:1]/']) {
+    await assert.rejects(renderer.fetchProxiedImage(url), /not publicly reachable/, url);
+  }
+});
+
+function renderSafeHtmlFor(renderer) {
+  return renderer.renderSafeHtml({
+    body_html: '<p><img src="https://example.com/a.png" width="200"><a href="https://example.com/page">link</a></p>'
+  });
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jwt-secret';
+const { pool } = await import('../src/db/init.js');
+const { splitMbox, extractMessages, importMessages, removeUploadedFiles } = await import('../src/services/importService.js');
+const { generateGuestJWT, storeTempEmail, getInbox } = await import('../src/guestSessionHandler.js');
+
+pool.query = async () => [[]];
+
+const message = (n) => `From: sender@example.com\r\nTo: box@temp.test\r\nSubject: Fixture ${n}\r\nMessage-ID: <fixture-${n}@example.com>\r\n\r\nBody ${n}\r\n`;
+const mbox = (count, start = 0) => Array.from({ length: count }, (_, i) => `From sender@example.com Thu Jan  1 00:00:00 2026\n${message(start + i).replace(/\r\n/g, '\n')}`).join('\n');
+
+test('splitMbox splits messages and unquotes >From lines', () => {
+  const messages = splitMbox(Buffer.from('From a Mon\nSubject: one\n\n>From here\nFrom b Tue\nSubject: two\n\nbody\n'));
+
+  assert.equal(messages.length, 2);
+  assert.match(messages[0].toString(), /^Subject: one\r\n\r\nFrom here/);
+});
+
+test('extractMessages reads uploaded files from disk one at a time', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+  const files = [
+    { originalname: 'box.mbox', path: path.join(dir, 'a') },
+    { originalname: 'one.eml', path: path.join(dir, 'b') }
+  ];
+  fs.writeFileSync(files[0].path, mbox(2));
+  fs.writeFileSync(files[1].path, message(9));
+
+  const messages = extractMessages(files);
+  assert.equal(messages.next().value.source, 'box.mbox');
+  fs.unlinkSync(files[1].path);
+  fs.writeFileSync(files[1].path, message(10));
+
+  const rest = [...messages];
+  assert.deepEqual(rest.map(item => [item.source, item.index]), [['box.mbox', 2], ['one.eml', 1]]);
+  assert.match(rest[1].content.toString(), /Fixture 10/);
+
+  removeUploadedFiles(files);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('importMessages skips duplicates and caps guest sessions', async () => {
+  const token = generateGuestJWT();
+  const tempEmailId = storeTempEmail(token, { email: 'box@temp.test' });
+  const target = { guestToken: token, tempEmailId };
+
+  const first = await importMessages({ target, messages: extractMessages([{ originalname: 'a.mbox', buffer: Buffer.from(mbox(3)) }]) });
+  assert.deepEqual([first.total, first.imported], [3, 3]);
+
+  const again = await importMessages({ target, messages: extractMessages([{ originalname: 'a.mbox', buffer: Buffer.from(mbox(3)) }]) });
+  assert.equal(again.duplicates, 3);
+
+  const large = await importMessages({ target, messages: extractMessages([{ originalname: 'b.mbox', buffer: Buffer.from(mbox(210, 100)) }]) });
+  assert.equal(large.total, 210);
+  assert.equal(large.imported, 197);
+  assert.match(large.warnings.join(' '), /at most 200 messages/);
+  assert.equal(getInbox(token, tempEmailId).length, 200);
+});
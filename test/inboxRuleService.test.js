@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInboxRule, matchesWildcard, matchesRuleConditions } from '../src/services/inboxRuleService.js';
+
+test('matchesWildcard handles stars and single-character wildcards', () => {
+  assert.equal(matchesWildcard('*invoice*', 'your invoice #42'), true);
+  assert.equal(matchesWildcard('invoice*', 'your invoice #42'), false);
+  assert.equal(matchesWildcard('order ?', 'order 7'), true);
+  assert.equal(matchesWildcard('order ?', 'order 77'), false);
+  assert.equal(matchesWildcard('*a*b', 'xaxxb'), true);
+  assert.equal(matchesWildcard('*a*b', 'xaxxbc'), false);
+  assert.equal(matchesWildcard('*', ''), true);
+});
+
+test('matchesWildcard stays fast on patterns that make regexes backtrack', () => {
+  const pattern = '*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*b';
+  const started = Date.now();
+
+  assert.equal(matchesWildcard(pattern, 'a'.repeat(1000)), false);
+  assert.ok(Date.now() - started < 200);
+});
+
+test('validateInboxRule accepts subject patterns and refuses regexes', () => {
+  const { rule } = validateInboxRule({ name: 'Bills', conditions: { subject: '*INVOICE**' }, actions: { star: true } });
+  assert.deepEqual(rule.conditions, { subject: '*invoice*' });
+
+  assert.match(validateInboxRule({ conditions: { subjectRegex: '^(a|aa)+$' }, actions: { star: true } }).error, /subjectRegex/);
+  assert.match(validateInboxRule({ conditions: { subject: 'x'.repeat(201) }, actions: { star: true } }).error, /subject/);
+});
+
+test('matchesRuleConditions combines conditions and ignores legacy regex rules', () => {
+  const email = { from_name: 'Billing', from_email: 'billing@example.com', subject: 'Your Invoice is ready', attachments: [{}], spam_score: 1 };
+
+  assert.equal(matchesRuleConditions({ from: 'billing@', subject: '*invoice*', hasAttachment: true }, email), true);
+  assert.equal(matchesRuleConditions({ subject: '*receipt*' }, email), false);
+  assert.equal(matchesRuleConditions({ minSpamScore: 5 }, email), false);
+  assert.equal(matchesRuleConditions({ subjectRegex: '.*' }, email), false);
+});
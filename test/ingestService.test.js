@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.INGEST_RELAYS = 'mx1:relay-secret,mx2:other-secret';
+const { pool } = await import('../src/db/init.js');
+const { verifyRelayRequest, ingestEmail } = await import('../src/services/ingestService.js');
+
+const sign = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+const now = () => String(Math.floor(Date.now() / 1000));
+const body = Buffer.from('{"recipient":"someone@temp.test","raw":"..."}');
+
+test('verifyRelayRequest accepts a signed request from a known relay', () => {
+  const timestamp = now();
+  const auth = verifyRelayRequest({
+    'x-ingest-relay': 'mx1',
+    'x-ingest-timestamp': timestamp,
+    'x-ingest-signature': sign('relay-secret', timestamp, body)
+  }, body);
+
+  assert.equal(auth.relay, 'mx1');
+  assert.equal(auth.method, 'hmac');
+  assert.match(auth.replayKey, /^[0-9a-f]{64}$/);
+});
+
+test('verifyRelayRequest refuses wrong keys, stale timestamps and missing credentials', () => {
+  const timestamp = now();
+  const signature = sign('relay-secret', timestamp, body);
+
+  assert.equal(verifyRelayRequest({ 'x-ingest-relay': 'mx2', 'x-ingest-timestamp': timestamp, 'x-ingest-signature': signature }, body).status, 401);
+  assert.equal(verifyRelayRequest({ 'x-ingest-relay': 'mx3', 'x-ingest-timestamp': timestamp, 'x-ingest-signature': signature }, body).status, 401);
+  assert.equal(verifyRelayRequest({ 'x-ingest-relay': 'mx1', 'x-ingest-timestamp': timestamp, 'x-ingest-signature': signature }, Buffer.from('{}')).status, 401);
+
+  const stale = String(Number(timestamp) - 600);
+  assert.equal(verifyRelayRequest({ 'x-ingest-relay': 'mx1', 'x-ingest-timestamp': stale, 'x-ingest-signature': sign('relay-secret', stale, body) }, body).status, 401);
+  assert.equal(verifyRelayRequest({}, body).status, 401);
+});
+
+test('verifyRelayRequest accepts the shared secret for relays that cannot sign', () => {
+  const headers = { 'x-ingest-relay': 'mx2', 'x-ingest-timestamp': now() };
+  assert.equal(verifyRelayRequest({ ...headers, 'x-ingest-secret': 'other-secret' }, body).method, 'secret');
+  assert.equal(verifyRelayRequest({ ...headers, 'x-ingest-secret': 'relay-secret' }, body).status, 401);
+});
+
+// Minimal ingest_log with a unique replay_key; any other query fails like a database outage
+let log;
+let failDelivery;
+beforeEach(() => {
+  log = new Map();
+  failDelivery = true;
+  pool.query = async (sql, params) => {
+    if (/INSERT INTO ingest_log/.test(sql)) {
+      const replayKey = params[4];
+      if (replayKey && [...log.values()].some(row => row.replayKey === replayKey)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      log.set(params[0], { replayKey, status: params[7] });
+      return [{ affectedRows: 1 }];
+    }
+    if (/UPDATE ingest_log/.test(sql)) {
+      const row = log.get(params[5]);
+      row.status = params[0];
+      if (params[4] === 'failed') row.replayKey = null;
+      return [{ affectedRows: 1 }];
+    }
+    if (failDelivery) throw new Error('Database unavailable');
+    return [[]];
+  };
+});
+
+test('ingestEmail refuses a replayed request', async () => {
+  failDelivery = false;
+  const params = {
+    endpoint: '/ingest/email',
+    auth: { relay: 'mx1', method: 'hmac', replayKey: 'a'.repeat(64) },
+    rawContent: 'From: a@example.com\r\nTo: nobody@temp.test\r\n\r\nhi',
+    recipient: 'nobody@temp.test'
+  };
+
+  assert.equal((await ingestEmail(params)).success, false);
+  assert.equal((await ingestEmail(params)).replay, true);
+});
+
+test('ingestEmail lets a relay retry a request whose delivery failed', async () => {
+  const params = {
+    endpoint: '/ingest/email',
+    auth: { relay: 'mx1', method: 'hmac', replayKey: 'b'.repeat(64) },
+    rawContent: 'From: a@example.com\r\nTo: nobody@temp.test\r\n\r\nhi',
+    recipient: 'nobody@temp.test'
+  };
+
+  await assert.rejects(ingestEmail(params), /Database unavailable/);
+  assert.equal([...log.values()][0].status, 'failed');
+
+  failDelivery = false;
+  const retry = await ingestEmail(params);
+  assert.notEqual(retry.replay, true);
+});
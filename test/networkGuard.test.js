@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, resolvePublicAddresses } from '../src/services/networkGuard.js';
+
+test('isPrivateAddress blocks private and reserved IPv4 ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPrivateAddress blocks private IPv6 ranges', () => {
+  for (const address of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress('2606:4700::1111'), false);
+});
+
+test('isPrivateAddress judges IPv6 forms that embed an IPv4 address by that address', () => {
+  // The forms new URL() produces for bracketed literals
+  assert.equal(isPrivateAddress(new URL('https://[::ffff:127.0.0.1]/').hostname), true);
+  for (const address of [
+    '::ffff:7f00:1', // mapped loopback
+    '::ffff:a9fe:a9fe', // mapped cloud metadata address
+    '::ffff:0:7f00:1', // SIIT
+    '::7f00:1', // IPv4-compatible
+    '64:ff9b::7f00:1', // NAT64
+    '64:ff9b:1::1', // local-use NAT64
+    '2002:7f00:1::', // 6to4
+    '2001:0:4136:e378:8000:63bf:80ff:fffe' // Teredo client 127.0.0.1
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress('::ffff:808:808'), false);
+  assert.equal(isPrivateAddress('64:ff9b::808:808'), false);
+});
+
+test('isPrivateAddress treats anything that is not an address as private', () => {
+  assert.equal(isPrivateAddress('localhost'), true);
+  assert.equal(isPrivateAddress(''), true);
+  assert.equal(isPrivateAddress(undefined), true);
+});
+
+test('resolvePublicAddresses refuses private literals', async () => {
+  await assert.rejects(resolvePublicAddresses('[::ffff:a9fe:a9fe]'));
+  assert.deepEqual(await resolvePublicAddresses('8.8.8.8'), [{ address: '8.8.8.8', family: 4 }]);
+});
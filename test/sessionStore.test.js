@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createMysqlSessionStore, setSessionStore, createMemorySessionStore } from '../src/services/sessionStore.js';
+import { waitForEmail, parseWaitOptions } from '../src/services/inboxWaitService.js';
+import { INSTANCE_ID, announceNewEmail, relayInboxEvents } from '../src/services/inboxEventService.js';
+
+// Just enough of MySQL for the session store: guest_sessions versions and the inbox event log
+function createFakeDb() {
+  const sessions = new Map();
+  const events = [];
+
+  const query = async (sql, params = []) => {
+    if (/^INSERT IGNORE INTO guest_sessions/.test(sql.trim())) {
+      if (sessions.has(params[0])) return [{ affectedRows: 0 }];
+      sessions.set(params[0], { version: 0 });
+      return [{ affectedRows: 1 }];
+    }
+    if (/SELECT version FROM guest_sessions/.test(sql)) {
+      const row = sessions.get(params[0]);
+      return [row ? [{ version: row.version }] : []];
+    }
+    if (/SET version = version \+ 1/.test(sql)) {
+      sessions.get(params[0]).version++;
+      return [{ affectedRows: 1 }];
+    }
+    if (/INSERT INTO inbox_events/.test(sql)) {
+      events.push({ id: events.length + 1, origin: params[0], temp_email_id: params[1], email: params[2] });
+      return [{ insertId: events.length }];
+    }
+    if (/MAX\(id\)/.test(sql)) {
+      return [[{ id: events.length }]];
+    }
+    if (/FROM inbox_events WHERE id > \?/.test(sql)) {
+      return [events.filter(event => event.id > params[0]).slice(0, params[1])];
+    }
+    return [{ affectedRows: 0 }];
+  };
+
+  const connection = { query, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {} };
+  return { query, getConnection: async () => connection, sessions, events };
+}
+
+const session = { id: 'guest-1', emails: new Map(), rules: new Map(), created_at: new Date(), expires_at: new Date(Date.now() + 60000) };
+const email = { id: 'msg-1', subject: 'Hello', received_at: new Date().toISOString(), attachments: [] };
+
+test('a write on a current copy returns the next version', async () => {
+  const store = createMysqlSessionStore(createFakeDb());
+
+  const created = await store.saveSession('key', session, null);
+  assert.equal(created, 1);
+  assert.equal(await store.saveMessage('key', 'temp-1', email, created), 2);
+});
+
+test('a write after another instance wrote returns null so the copy is reloaded', async () => {
+  const db = createFakeDb();
+  const instanceA = createMysqlSessionStore(db);
+  const instanceB = createMysqlSessionStore(db);
+
+  const version = await instanceA.saveSession('key', session, null);
+  assert.equal(await instanceB.saveMessage('key', 'temp-1', email, version), version + 1);
+
+  // A still believes the session is at the version it saved
+  assert.equal(await instanceA.saveMessage('key', 'temp-1', { ...email, id: 'msg-2' }, version), null);
+  assert.equal(db.sessions.get('key').version, version + 2);
+});
+
+test('writes to a session that no longer exists return null', async () => {
+  const store = createMysqlSessionStore(createFakeDb());
+  assert.equal(await store.saveMessage('gone', 'temp-1', email, 3), null);
+});
+
+test('mail stored by another instance wakes a local long-poll', async () => {
+  const db = createFakeDb();
+  setSessionStore(createMysqlSessionStore(db));
+
+  try {
+    await relayInboxEvents(); // Notes where the event log ends
+
+    const req = new EventEmitter();
+    const response = new Promise((resolve) => {
+      const res = { writableEnded: false, json: body => resolve(body), status() { return this; }, end: () => resolve(null) };
+      waitForEmail(req, res, 'temp-1', parseWaitOptions({ timeout: '5', since: '0' }), async () => null);
+    });
+
+    db.events.push({ id: db.events.length + 1, origin: 'other-instance', temp_email_id: 'temp-1', email: JSON.stringify(email) });
+    assert.equal(await relayInboxEvents(), 1);
+    assert.equal((await response).data.id, 'msg-1');
+
+    // Our own events are already delivered locally and are not replayed
+    announceNewEmail('temp-2', email);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(db.events.at(-1).origin, INSTANCE_ID);
+    assert.equal(await relayInboxEvents(), 0);
+  } finally {
+    setSessionStore(createMemorySessionStore());
+  }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+async function loadSpamFilter(trustedHosts) {
+  if (trustedHosts) {
+    process.env.AUTHSERV_TRUSTED_HOSTS = trustedHosts;
+  } else {
+    delete process.env.AUTHSERV_TRUSTED_HOSTS;
+  }
+  return import(`../src/services/spamFilter.js?trusted=${trustedHosts || 'none'}`);
+}
+
+test('parseAuthenticationResults reads verdicts from a trusted authserv-id', async () => {
+  const { parseAuthenticationResults } = await loadSpamFilter('mx.temp.test, mx2.temp.test');
+  const headers = new Map([['authentication-results', [
+    'MX.temp.test; spf=pass smtp.mailfrom=example.com; dkim=fail header.d=example.com; dmarc=fail',
+    'mx2.temp.test 1; spf=fail; dkim=pass; dmarc=pass'
+  ]]]);
+
+  assert.deepEqual(parseAuthenticationResults(headers), { spf: 'pass', dkim: 'fail', dmarc: 'fail' });
+});
+
+test('parseAuthenticationResults ignores headers from other hosts', async () => {
+  const { parseAuthenticationResults } = await loadSpamFilter('mx.temp.test');
+  const headers = {
+    'authentication-results': [
+      'attacker.example; spf=pass; dkim=pass; dmarc=pass',
+      'mx.temp.test.attacker.example; spf=pass',
+      'mx.temp.test; spf=softfail smtp.mailfrom=example.com'
+    ]
+  };
+
+  assert.deepEqual(parseAuthenticationResults(headers), { spf: 'softfail', dkim: null, dmarc: null });
+});
+
+test('parseAuthenticationResults trusts nothing when no hosts are configured', async () => {
+  const { parseAuthenticationResults } = await loadSpamFilter(null);
+  const headers = { 'authentication-results': 'mx.temp.test; spf=pass; dkim=pass; dmarc=pass' };
+
+  assert.deepEqual(parseAuthenticationResults(headers), { spf: null, dkim: null, dmarc: null });
+});
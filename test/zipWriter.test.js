@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import zlib from 'node:zlib';
+import { createZipWriter, writeToStream } from '../src/services/zipWriter.js';
+
+// Collects everything written to an output into one buffer
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+}
+
+// Reads an archive from its central directory, inflating every entry
+function unzip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const flags = archive.readUInt16LE(position + 8);
+    const checksum = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(content.length, size);
+
+    if (flags & 0x0008) {
+      // Streamed entry: the sizes and checksum follow the data
+      const descriptor = dataStart + compressedSize;
+      assert.equal(archive.readUInt32LE(descriptor), 0x08074b50);
+      assert.equal(archive.readUInt32LE(descriptor + 4), checksum);
+      assert.equal(archive.readUInt32LE(descriptor + 8), compressedSize);
+      assert.equal(archive.readUInt32LE(descriptor + 12), size);
+    } else {
+      assert.equal(archive.readUInt32LE(offset + 14), checksum);
+    }
+
+    files.push({ name, checksum, content });
+  }
+  return files;
+}
+
+async function buildArchive() {
+  const output = new PassThrough();
+  const read = collect(output);
+  const zip = createZipWriter(output);
+
+  await zip.addFile('check.txt', '123456789');
+  await zip.addFile('ünïcode/empty.eml', '');
+
+  const entry = await zip.addStream('mailbox.mbox');
+  for (let i = 0; i < 2000; i++) {
+    await writeToStream(entry.input, `From sender@example.com\nSubject: Message ${i}\n\nBody ${i}\n\n`);
+  }
+  await entry.end();
+
+  await zip.addFile('manifest.json', '{"email_count":2000}');
+  await zip.finish();
+  output.end();
+  return read();
+}
+
+test('writes entries that inflate back to their content with matching CRC-32', async () => {
+  const files = unzip(await buildArchive());
+
+  assert.deepEqual(files.map(file => file.name), ['check.txt', 'ünïcode/empty.eml', 'mailbox.mbox', 'manifest.json']);
+  // Standard CRC-32 check value
+  assert.equal(files[0].checksum, 0xcbf43926);
+  assert.equal(files[0].content.toString(), '123456789');
+  assert.equal(files[1].checksum, 0);
+  assert.equal(files[1].content.length, 0);
+
+  const mbox = files[2].content.toString();
+  assert.ok(mbox.startsWith('From sender@example.com\nSubject: Message 0\n'));
+  assert.ok(mbox.endsWith('Body 1999\n\n'));
+  assert.equal(mbox.split('\nSubject: ').length, 2001);
+  assert.equal(files[3].content.toString(), '{"email_count":2000}');
+});
+
+test('produces an archive the system unzip accepts', async t => {
+  try {
+    execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+  } catch {
+    t.skip('unzip is not installed');
+    return;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-writer-'));
+  try {
+    const file = path.join(dir, 'export.zip');
+    fs.writeFileSync(file, await buildArchive());
+    // -t tests every entry's CRC-32 and fails with a non-zero exit code on any error
+    const report = execFileSync('unzip', ['-t', file], { encoding: 'utf8' });
+    assert.match(report, /No errors detected/);
+    assert.equal(execFileSync('unzip', ['-p', file, 'check.txt'], { encoding: 'utf8' }), '123456789');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});